@@ -4,14 +4,20 @@ import { Route, Switch, useLocation } from "react-router-dom";
 
 import Checkout from "./components/Checkout";
 
+import ForgotPassword from "./components/ForgotPassword";
+
 import Home from "./components/Home";
 import Login from "./components/Login";
+import ProductDetail from "./components/ProductDetail";
 import Register from "./components/Register";
+import ResetPassword from "./components/ResetPassword";
 
 import Search from "./components/Search";
 
 import Thanks from "./components/Thanks";
 
+import Wallet from "./components/Wallet";
+
 import ipConfig from "./ipConfig.json";
 
 export const config = {
@@ -35,6 +41,18 @@ export default function App(props) {
           <Login />
         </Route>
 
+        <Route path="/forgot-password">
+          <ForgotPassword />
+        </Route>
+
+        <Route path="/reset-password">
+          <ResetPassword />
+        </Route>
+
+        <Route path="/products/:productId">
+          <ProductDetail />
+        </Route>
+
         <Route path="/products">
           <Search />
         </Route>
@@ -47,6 +65,10 @@ export default function App(props) {
           <Thanks />
         </Route>
 
+        <Route path="/wallet">
+          <Wallet />
+        </Route>
+
         <Route path="/">
           <Home />
         </Route>
@@ -0,0 +1,154 @@
+import { config } from "./App";
+
+/**
+ * Pending call to refresh the tokens, shared so that concurrent requests failing with a 401 only rotate the refresh token once
+ * @type {Promise<boolean>|null}
+ */
+let refreshing = null;
+
+/**
+ * Store the access and refresh tokens returned by the backend in localStorage
+ *
+ * @param {{ access: { token: string }, refresh: { token: string } }} tokens
+ *    The "tokens" field of the login, register or refresh-tokens API response
+ */
+export const persistTokens = (tokens) => {
+  localStorage.setItem("token", tokens.access.token);
+  localStorage.setItem("refreshToken", tokens.refresh.token);
+};
+
+/**
+ * Perform the API call to exchange the stored refresh token for a new pair of tokens and store them
+ *
+ * @returns {Promise<boolean>}
+ *    Whether the tokens were refreshed. If not, the user has to log in again
+ */
+export const refreshTokens = () => {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const refreshToken = localStorage.getItem("refreshToken");
+      if (!refreshToken) {
+        return false;
+      }
+
+      try {
+        const response = await fetch(
+          `${config.endpoint}/v1/auth/refresh-tokens`,
+          {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+            },
+            body: JSON.stringify({ refreshToken }),
+          }
+        );
+        if (!response.ok) {
+          return false;
+        }
+        persistTokens((await response.json()).tokens);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    })();
+    refreshing.then(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+/**
+ * Whether a user is logged in, as opposed to a guest browsing the store
+ *
+ * @returns {boolean}
+ */
+export const isLoggedIn = () => Boolean(localStorage.getItem("token"));
+
+/**
+ * Get the stored guest token, which a guest keeps a cart with till they log in
+ * If there isn't one, perform the API call to get a new guest token and store it
+ *
+ * @returns {Promise<string>}
+ */
+export const getGuestToken = async () => {
+  let guestToken = localStorage.getItem("guestToken");
+  if (!guestToken) {
+    const response = await fetch(`${config.endpoint}/v1/auth/guest`, {
+      method: "POST",
+    });
+    guestToken = (await response.json()).tokens.guest.token;
+    localStorage.setItem("guestToken", guestToken);
+  }
+  return guestToken;
+};
+
+/**
+ * Headers to send the stored guest token with, if there is one, eg: for logging in to merge the guest's cart into the user's
+ *
+ * @returns {Object}
+ */
+export const guestHeaders = () => {
+  const guestToken = localStorage.getItem("guestToken");
+  return guestToken ? { "X-Guest-Token": guestToken } : {};
+};
+
+/**
+ * Perform an authenticated fetch call with the stored access token
+ * If the access token has expired (HTTP 401), refresh the tokens and retry the call once with the new access token
+ *
+ * @param {string} url
+ * @param {Object|function(): Object} options
+ *    Options for fetch(). An Authorization header is added to the given headers
+ *    Pass a function returning them for options read from the stored tokens, which change when they're refreshed
+ * @returns {Promise<Response>}
+ */
+export const fetchWithAuth = async (url, options = {}) => {
+  const performFetch = () => {
+    const fetchOptions = typeof options === "function" ? options() : options;
+    return fetch(url, {
+      ...fetchOptions,
+      headers: {
+        ...fetchOptions.headers,
+        Authorization: `Bearer ${localStorage.getItem("token")}`,
+      },
+    });
+  };
+
+  let response = await performFetch();
+  if (response.status === 401 && (await refreshTokens())) {
+    response = await performFetch();
+  }
+  return response;
+};
+
+/**
+ * Perform a fetch call as the logged in user, see fetchWithAuth(), or else as a guest with the guest token
+ * If the guest token has expired (HTTP 401), get a new guest token and retry the call once with it
+ *
+ * @param {string} url
+ * @param {Object} options
+ *    Options for fetch(). An Authorization or X-Guest-Token header is added to the given headers
+ * @returns {Promise<Response>}
+ */
+export const fetchAsUserOrGuest = async (url, options = {}) => {
+  if (isLoggedIn()) {
+    return fetchWithAuth(url, options);
+  }
+
+  const performFetch = async () =>
+    fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        "X-Guest-Token": await getGuestToken(),
+      },
+    });
+
+  let response = await performFetch();
+  if (response.status === 401) {
+    localStorage.removeItem("guestToken");
+    response = await performFetch();
+  }
+  return response;
+};
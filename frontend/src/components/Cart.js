@@ -1,7 +1,8 @@
 import { ShoppingCartOutlined } from "@ant-design/icons";
-import { Button, Card, message, Spin, InputNumber } from "antd";
+import { Alert, Button, Card, Input, message, Spin, InputNumber } from "antd";
 import React from "react";
 import { config } from "../App";
+import { fetchAsUserOrGuest, fetchWithAuth, isLoggedIn } from "../auth";
 import "./Cart.css";
 
 /**
@@ -12,6 +13,16 @@ import "./Cart.css";
  * @property {number} rating - The aggregate rating of the product (integer out of five)
  * @property {string} image - Contains URL for the product image
  * @property {string} _id - Unique ID for the product
+ * @property {Variant[]} [variants] - The versions of the product it's sold in, eg: sizes
+ */
+
+/**
+ * @typedef {Object} Variant
+ * @property {string} _id - Unique ID for the variant
+ * @property {string} sku - Stock keeping unit code of the variant
+ * @property {Object<string, string>} attributes - What sets the variant apart, eg: { "size": "M" }
+ * @property {number} [cost] - The price of the variant, if it isn't the product's
+ * @property {number} stock - Number of units of the variant left
  */
 
 /**
@@ -19,22 +30,52 @@ import "./Cart.css";
  * @property {string} productId - Unique ID for the product
  * @property {number} qty - Quantity of the product in cart
  * @property {Product} product - Corresponding product object for that cart item
+ * @property {string} [variantId] - Unique ID for the variant of the product in cart, for products with variants
+ */
+
+/**
+ * @typedef {Object} CartChange
+ * @property {string} type - "PRICE_CHANGED" or "PRODUCT_REMOVED"
+ * @property {string} productId - Unique ID for the product
+ * @property {string} [variantId] - Unique ID for the variant of the product
+ * @property {string} name - The name of the product
+ * @property {number} [oldCost] - The price of the product when it was added to the cart, for "PRICE_CHANGED"
+ * @property {number} [newCost] - The current price of the product, for "PRICE_CHANGED"
+ */
+
+/**
+ * @typedef {Object} Pricing
+ * @property {number} subtotal - Sum of the cost of the items in cart
+ * @property {number} discount - Amount taken off by the coupon applied to the cart
+ * @property {number} shipping - Shipping charge
+ * @property {number} tax - Tax on the discounted subtotal
+ * @property {number} total - The amount checking out the cart charges
  */
 
 /**
  * @class Cart component handles functionality for the display and manipulation of the customer's shopping cart
  *
  * Contains the following fields
- * @property {Product[]} props.products
- *    List of all available products (that the cart items can be from)
  * @property {{ push: function }} props.history
  *    To navigate and redirect the user to different routes or pages
  * @property {string} props.token
- *    Oauth token for authentication for API calls
+ *    Oauth token for authentication for API calls. Once it expires, API calls get a new token using the stored refresh token
  * @property {boolean|undefined} props.checkout
  *    Denotes if the Cart component is created in the Checkout component
+ * @property {function|undefined} props.onSaveForLater
+ *    Called once a product was moved from the cart to the wishlist, eg: for the Wishlist component to be refreshed
+ * @property {function|undefined} props.onRefresh
+ *    Called with the cart fetched from backend each time the cart is refreshed, eg: for the Checkout component to read its payment option
  * @property {CartItem[]} state.items
  *    List of items currently in cart
+ * @property {CartChange[]} state.changes
+ *    Price changes and removed products found by the backend since the items were added to cart
+ * @property {Pricing|null} state.pricing
+ *    Totals of the cart worked out by the backend, with the discount of its coupon
+ * @property {string|undefined} state.couponCode
+ *    Code of the coupon applied to the cart
+ * @property {string|undefined} state.couponError
+ *    Why the coupon applied to the cart isn't taking anything off, if it isn't
  * @property {boolean} state.loading
  *    Indicates background action pending completion. When true, further UI actions might be blocked
  */
@@ -43,6 +84,10 @@ export default class Cart extends React.Component {
     super();
     this.state = {
       items: [],
+      changes: [],
+      pricing: null,
+      couponCode: undefined,
+      couponError: undefined,
       loading: false,
     };
   }
@@ -60,6 +105,7 @@ export default class Cart extends React.Component {
    * If the API call itself encounters an error, errored flag will be true.
    * If the backend returns an error, then success field will be false and message field will have a string with error details to be displayed.
    * When there is an error in the API call itself, display a generic error message and return false.
+   * When the session could not be refreshed (HTTP 401), redirect the user to the login page and return false.
    * When there is an error returned by backend, display the given message field and return false.
    * When there is no error and API call is successful, return true.
    */
@@ -69,6 +115,10 @@ export default class Cart extends React.Component {
         "Could not update cart. Check that the backend is running, reachable and returns valid JSON."
       );
       return false;
+    } else if (response.code === 401) {
+      message.error("Your session has expired. Please log in again.");
+      this.props.history.push("/login");
+      return false;
     } else if (response.message) {
       message.error(response.message);
       return false;
@@ -86,7 +136,9 @@ export default class Cart extends React.Component {
    * -    Set the loading state variable to true
    * -    Perform the API call via a fetch call: https://developer.mozilla.org/en-US/docs/Web/API/Fetch_API
    * -    The call must be made asynchronously using Promises or async/await
-   * -    The call must be authenticated with an authorization header containing Oauth token
+   * -    The call must be authenticated with an authorization header containing Oauth token (fetchWithAuth() refreshes an expired token),
+   *      or with the guest token for guests (fetchAsUserOrGuest() picks the one to use)
+   * -    Guests who haven't added anything yet don't have a cart, skip the call for them
    * -    The call must handle any errors thrown from the fetch call
    * -    Parse the result as JSON
    * -    Set the loading state variable to false once the call has completed
@@ -117,17 +169,18 @@ export default class Cart extends React.Component {
     let response = {};
     let errored = false;
 
+    if (!isLoggedIn() && !localStorage.getItem("guestToken")) {
+      return;
+    }
+
     this.setState({
       loading: true,
     });
 
     try {
       response = await (
-        await fetch(`${config.endpoint}/v1/cart`, {
+        await fetchAsUserOrGuest(`${config.endpoint}/v1/cart`, {
           method: "GET",
-          headers: {
-            Authorization: `Bearer ${this.props.token}`,
-          },
         })
       ).json();
     } catch (e) {
@@ -152,6 +205,8 @@ export default class Cart extends React.Component {
    *    How many of the product should be in the cart
    * @param {boolean} fromAddToCartButton
    *    If this function was triggered from the product card's "Add to Cart" button
+   * @param {string} [variantId]
+   *    ID of the variant of the product, for products with variants
    *
    * -    If the user is trying to add from the product card and the product already exists in cart, show an error message
    * -    Set the loading state variable to true
@@ -177,7 +232,7 @@ export default class Cart extends React.Component {
    *      "message": "Product doesn't exist"
    * }
    */
-  postToCart = async (productId, qty) => {
+  postToCart = async (productId, qty, fromAddToCartButton, variantId) => {
     let response = {};
     let errored = false;
     let statusCode;
@@ -188,14 +243,14 @@ export default class Cart extends React.Component {
 
     try {
       response = await (
-        await fetch(`${config.endpoint}/v1/cart`, {
+        await fetchAsUserOrGuest(`${config.endpoint}/v1/cart`, {
           method: "POST",
           headers: {
-            Authorization: `Bearer ${this.props.token}`,
             "Content-Type": "application/json",
           },
           body: JSON.stringify({
             productId: productId,
+            variantId: variantId,
             quantity: qty,
           }),
         })
@@ -213,7 +268,7 @@ export default class Cart extends React.Component {
     }
   };
 
-  putToCart = async (productId, qty) => {
+  putToCart = async (productId, qty, variantId) => {
     let response = {};
     let errored = false;
     let statusCode;
@@ -223,14 +278,14 @@ export default class Cart extends React.Component {
     });
 
     try {
-      let response_object = await fetch(`${config.endpoint}/v1/cart`, {
+      let response_object = await fetchAsUserOrGuest(`${config.endpoint}/v1/cart`, {
         method: "PUT",
         headers: {
-          Authorization: `Bearer ${this.props.token}`,
           "Content-Type": "application/json",
         },
         body: JSON.stringify({
           productId: productId,
+          variantId: variantId,
           quantity: qty,
         }),
       });
@@ -253,11 +308,99 @@ export default class Cart extends React.Component {
       await this.refreshCart();
     }
   };
+  /**
+   * Perform the API call to apply a coupon to the user's cart, or to remove it if no code is given
+   * -    If response passes validation, show the cart priced with the coupon by refreshing the cart
+   *
+   * @param {string} [code]
+   *    Coupon code to apply
+   *
+   * Example for failed response from backend:
+   * HTTP 400
+   * {
+   *      "code": 400,
+   *      "message": "Coupon has expired"
+   * }
+   */
+  updateCoupon = async (code) => {
+    let response = {};
+    let errored = false;
+
+    this.setState({
+      loading: true,
+    });
+
+    try {
+      response = await (
+        await fetchWithAuth(`${config.endpoint}/v1/cart/coupon`, {
+          method: code ? "POST" : "DELETE",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: code ? JSON.stringify({ code }) : undefined,
+        })
+      ).json();
+    } catch (e) {
+      errored = true;
+    }
+
+    this.setState({
+      loading: false,
+    });
+
+    if (this.validateResponse(errored, response)) {
+      if (code) {
+        message.success(`Coupon ${response.couponCode} applied`);
+      }
+      await this.refreshCart();
+    }
+  };
+
+  /**
+   * Perform the API call to move a product from the user's cart to their wishlist, to buy later
+   * -    If response passes validation, refresh the cart and let the parent component know
+   *
+   * @param {string} productId
+   *    ID of the product to save for later
+   */
+  saveForLater = async (productId) => {
+    let response = {};
+    let errored = false;
+
+    this.setState({
+      loading: true,
+    });
+
+    try {
+      response = await (
+        await fetchWithAuth(
+          `${config.endpoint}/v1/cart/${productId}/save-for-later`,
+          { method: "POST" }
+        )
+      ).json();
+    } catch (e) {
+      errored = true;
+    }
+
+    this.setState({
+      loading: false,
+    });
+
+    if (this.validateResponse(errored, response)) {
+      await this.refreshCart();
+      if (this.props.onSaveForLater) {
+        this.props.onSaveForLater(response.wishlist);
+      }
+    }
+  };
+
   /**
    * Function to get/refresh list of items in cart from backend and update state variable
    * -    Call the previously defined getCart() function asynchronously and capture the returned value in a variable
    * -    If the returned value exists,
-   *      -   Update items state variable with the response (optionally add the corresponding product object of that item as a sub-field)
+   *      -   Update items state variable with the response (each item carries the up-to-date product object)
+   *      -   Update changes state variable with the price changes and removed products reported in the response
+   *      -   Update pricing, couponCode and couponError state variables with the totals and the coupon of the cart
    
    * -    If the cart is being displayed from the checkout page, or the cart is empty,
    *      -   Display an error message
@@ -268,32 +411,123 @@ export default class Cart extends React.Component {
     const cart = await this.getCart();
     if (cart && cart.cartItems) {
       this.setState({
-        items: cart.cartItems.map((item) => ({
-          ...item,
-          product: this.props.products.find(
-            (product) => product._id === item.product._id
-          ),
-        })),
+        items: cart.cartItems,
+        changes: cart.changes || [],
+        pricing: cart.pricing || null,
+        couponCode: cart.couponCode,
+        couponError: cart.couponError,
       });
+      if (this.props.onRefresh) {
+        this.props.onRefresh(cart);
+      }
     }
   };
 
   /**
-   * Function to calculate the total cost of items in cart
+   * Describe a change to an item in cart for the user
+   *
+   * @param {CartChange} change
+   * @returns {string}
+   */
+  describeChange = (change) => {
+    return change.type === "PRICE_CHANGED"
+      ? `The price of ${change.name} changed from ₹${change.oldCost} to ₹${change.newCost}`
+      : `${change.name} is no longer available and was removed from your cart`;
+  };
+
+  /**
+   * Get the variant of the product in a cart item
+   *
+   * @param {CartItem} item
+   * @returns {Variant|undefined}
+   */
+  getVariant = (item) =>
+    item.variantId &&
+    (item.product.variants || []).find(
+      (variant) => variant._id === item.variantId
+    );
+
+  /**
+   * Get the price of a unit of a cart item, which is the variant's own price if it has one
+   *
+   * @param {CartItem} item
+   * @returns {number}
+   */
+  getItemCost = (item) => {
+    const variant = this.getVariant(item);
+    return variant && variant.cost !== undefined
+      ? variant.cost
+      : item.product.cost;
+  };
+
+  /**
+   * Function to calculate the cost of items in cart, before any discount
    * -    Iterate over objects and return the total cost by taking an cost of item in cart, multiplying it with its quantity and cumulatively adding to a total
    *
    * @returns {number}
-   *  The final total cost of the user's shopping cart
    */
-  calculateTotal = () => {
+  calculateSubtotal = () => {
     return this.state.items.length
       ? this.state.items.reduce(
-          (total, item) => total + item.product.cost * item.quantity,
+          (total, item) => total + this.getItemCost(item) * item.quantity,
           0
         )
       : 0;
   };
 
+  /**
+   * Function to calculate the total cost of items in cart
+   * -    Use the total worked out by the backend, which takes off the coupon's discount, once the cart is fetched
+   *
+   * @returns {number}
+   *  The final total cost of the user's shopping cart
+   */
+  calculateTotal = () => {
+    return this.state.pricing
+      ? this.state.pricing.total
+      : this.calculateSubtotal();
+  };
+
+  /**
+   * Creates the view to apply a coupon to the cart, or to remove the coupon applied
+   *
+   * @returns {JSX}
+   *    HTML and JSX to be rendered
+   */
+  getCouponElement = () => {
+    // Coupons are limited per user, so guests log in to use them
+    if (!isLoggedIn()) {
+      return null;
+    }
+
+    return this.state.couponCode ? (
+      <div className="cart-coupon">
+        <div className="total-item">
+          <div>
+            Coupon <strong>{this.state.couponCode}</strong>
+          </div>
+          <Button type="link" onClick={() => this.updateCoupon()}>
+            Remove
+          </Button>
+        </div>
+        {this.state.couponError && (
+          <div className="cart-coupon-error">{this.state.couponError}</div>
+        )}
+      </div>
+    ) : (
+      <Input.Search
+        className="cart-coupon"
+        placeholder="Coupon code"
+        enterButton="Apply"
+        onSearch={(code) => {
+          if (code.trim()) {
+            this.updateCoupon(code.trim());
+          }
+        }}
+      />
+    );
+  };
+
   /**
    * Function that runs when component has loaded
    * This is the function that is called when the page loads the cart component
@@ -323,7 +557,7 @@ export default class Cart extends React.Component {
         max={10}
         value={item.quantity}
         onChange={(value) => {
-          this.putToCart(item.product._id, value);
+          this.putToCart(item.product._id, value, item.variantId);
         }}
       />
     );
@@ -343,12 +577,34 @@ export default class Cart extends React.Component {
       <div
         className={["cart", this.props.checkout ? "checkout" : ""].join(" ")}
       >
+        {/* Display what changed since the items were added to cart, so it's reviewed before placing the order */}
+        {this.state.changes.length > 0 && (
+          <Alert
+            className="cart-changes"
+            type="warning"
+            showIcon
+            message="Some products in your cart have changed"
+            description={
+              <ul>
+                {this.state.changes.map((change) => (
+                  <li key={`${change.productId}-${change.variantId || ""}`}>
+                    {this.describeChange(change)}
+                  </li>
+                ))}
+              </ul>
+            }
+          />
+        )}
+
         {/* Display cart items or a text banner if cart is empty */}
         {this.state.items.length ? (
           <>
             {/* Display a card view for each product in the cart */}
             {this.state.items.map((item) => (
-              <Card className="cart-item" key={item.productId}>
+              <Card
+                className="cart-item"
+                key={`${item.product._id}-${item.variantId || ""}`}
+              >
                 {/* Display product image */}
                 <img
                   className="cart-item-image"
@@ -366,15 +622,34 @@ export default class Cart extends React.Component {
                       <div className="cart-item-category">
                         {item.product.category}
                       </div>
+
+                      {/* Display which variant of the product is in the cart, eg: "M / Red" */}
+                      {this.getVariant(item) && (
+                        <div className="cart-item-variant">
+                          {Object.values(this.getVariant(item).attributes).join(
+                            " / "
+                          )}
+                        </div>
+                      )}
                     </div>
 
                     <div className="cart-item-cost">
-                      ₹{item.product.cost * item.quantity}
+                      ₹{this.getItemCost(item) * item.quantity}
                     </div>
                   </div>
 
                   {/* Display field to update quantity or a static quantity text */}
                   <div className="cart-item-qty">
+                    {/* Display a link to move the item to the wishlist, for logged in users */}
+                    {!this.props.checkout && isLoggedIn() && (
+                      <Button
+                        type="link"
+                        size="small"
+                        onClick={() => this.saveForLater(item.product._id)}
+                      >
+                        Save for later
+                      </Button>
+                    )}
                     {this.getQuantityElement(item)}
                   </div>
                 </div>
@@ -398,9 +673,20 @@ export default class Cart extends React.Component {
               {/* Display the total cost of items in the cart */}
               <div className="total-item">
                 <div>Sub Total</div>
-                <div>₹{this.calculateTotal()}</div>
+                <div>₹{this.calculateSubtotal()}</div>
               </div>
 
+              {/* Display the coupon's discount */}
+              {this.state.pricing && this.state.pricing.discount > 0 && (
+                <div className="total-item cart-discount">
+                  <div>Discount</div>
+                  <div>-₹{this.state.pricing.discount}</div>
+                </div>
+              )}
+
+              {/* Display a field to apply a coupon, or the coupon applied */}
+              {this.getCouponElement()}
+
               {/* Display shipping cost */}
               <div className="total-item">
                 <div>Shipping</div>
@@ -432,10 +718,13 @@ export default class Cart extends React.Component {
             type="primary"
             icon={<ShoppingCartOutlined />}
             onClick={() => {
-              if (this.state.items.length) {
-                this.props.history.push("/checkout");
-              } else {
+              if (!this.state.items.length) {
                 message.error("You must add items to cart first");
+              } else if (!isLoggedIn()) {
+                message.info("Log in to checkout, your cart will be kept");
+                this.props.history.push("/login");
+              } else {
+                this.props.history.push("/checkout");
               }
             }}
           >
@@ -0,0 +1,136 @@
+import { message, Spin, Tree } from "antd";
+import React from "react";
+import { config } from "../App";
+import "./Categories.css";
+
+/**
+ * @typedef {Object} Category
+ * @property {string} _id - Unique ID for the category
+ * @property {string} name - The name of the category
+ * @property {string} slug - URL friendly identifier of the category
+ * @property {string|null} parent - ID of the category it's nested in
+ * @property {number} productCount - Number of products in the category and the categories nested in it
+ * @property {Category[]} children - Categories nested in it
+ */
+
+/**
+ * @class Categories component displays the category tree as a sidebar, to filter the products by a category
+ *
+ * Contains the following fields
+ * @property {function} props.onSelect
+ *    Called with the ID of the selected category, or null when the selection is cleared
+ * @property {string|null} props.selectedId
+ *    ID of the selected category
+ * @property {Category[]} state.categories
+ *    The top level categories fetched from backend, with the categories nested in them
+ * @property {boolean} state.loading
+ *    Indicates background action pending completion
+ */
+export default class Categories extends React.Component {
+  constructor() {
+    super();
+    this.state = {
+      categories: [],
+      loading: false,
+    };
+  }
+
+  /**
+   * Perform the API call to fetch the category tree and update state variables
+   *
+   * Example for successful response from backend:
+   * HTTP 200
+   * [
+   *      {
+   *          "_id": "6010008e6c3477697e8eabe1",
+   *          "name": "Sports",
+   *          "slug": "sports",
+   *          "parent": null,
+   *          "order": 0,
+   *          "productCount": 12,
+   *          "children": []
+   *      }
+   * ]
+   */
+  getCategories = async () => {
+    let response = [];
+    let errored = false;
+
+    this.setState({
+      loading: true,
+    });
+
+    try {
+      response = await (await fetch(`${config.endpoint}/v1/categories`)).json();
+    } catch (e) {
+      errored = true;
+    }
+
+    this.setState({
+      loading: false,
+    });
+
+    if (errored || !Array.isArray(response)) {
+      message.error(
+        response.message ||
+          "Could not fetch categories. Check that the backend is running, reachable and returns valid JSON."
+      );
+      return;
+    }
+
+    this.setState({
+      categories: response,
+    });
+  };
+
+  componentDidMount() {
+    this.getCategories();
+  }
+
+  /**
+   * Convert categories to the nodes of the antd Tree, titled with their product counts
+   *
+   * @param {Category[]} categories
+   * @returns {{ key: string, title: string, children: Object[] }[]}
+   */
+  toTreeData = (categories) =>
+    categories.map((category) => ({
+      key: category._id,
+      title: `${category.name} (${category.productCount})`,
+      children: this.toTreeData(category.children),
+    }));
+
+  /**
+   * JSX and HTML goes here
+   * We display the categories as a tree with a link to clear the selection above it
+   */
+  render() {
+    return (
+      <div className="categories">
+        <div className="categories-title">Categories</div>
+
+        <div
+          className={[
+            "categories-all",
+            this.props.selectedId ? "" : "selected",
+          ].join(" ")}
+          onClick={() => this.props.onSelect(null)}
+        >
+          All products
+        </div>
+
+        {this.state.loading ? (
+          <Spin />
+        ) : (
+          <Tree
+            treeData={this.toTreeData(this.state.categories)}
+            selectedKeys={this.props.selectedId ? [this.props.selectedId] : []}
+            onSelect={(keys) => this.props.onSelect(keys[0] || null)}
+            defaultExpandAll={true}
+            blockNode={true}
+          />
+        )}
+      </div>
+    );
+  }
+}
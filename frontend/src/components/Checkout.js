@@ -1,8 +1,10 @@
-import { Button, message, Radio, Row, Col } from "antd";
+import { Button, Input, message, Radio, Row, Col } from "antd";
 import TextArea from "antd/lib/input/TextArea";
 import React from "react";
 import { withRouter } from "react-router-dom";
 import { config } from "../App";
+import { fetchWithAuth } from "../auth";
+import { generateIdempotencyKey } from "../idempotency";
 import Cart from "./Cart";
 import "./Checkout.css";
 import Footer from "./Footer";
@@ -24,14 +26,19 @@ import Header from "./Header";
  * @property {string} address - Full address string
  */
 
+// Ways to pay for the order
+const paymentOptions = {
+  WALLET: "PAYMENT_OPTION_WALLET",
+  COD: "PAYMENT_OPTION_COD",
+  CARD: "PAYMENT_OPTION_CARD",
+};
+
 /**
  * @class Checkout component handles the Checkout page UI and functionality
  *
  * Contains the following fields
  * @property {React.RefObject} cartRef
  *    Reference to Cart component (to trigger certain methods within the cart component)
- * @property {Product[]} state.products
- *    List of products fetched from backend
  * @property {Address[]} state.addresses
  *    List of user's addresses fetched from backend
  * @property {number} state.selectedAddressIndex
@@ -40,6 +47,13 @@ import Header from "./Header";
  *    Data binding for the input field to enter a new address
  * @property {number} state.balance
  *    Balance amount in the current user's wallet
+ * @property {string} state.paymentOption
+ *    How the order will be paid for, one of paymentOptions. Stored on the cart in backend
+ * @property {string} state.cardNumber
+ *    Data binding for the input field to enter the card to pay with, when paying by card
+ * @property {string|null} state.idempotencyKey
+ *    Key of the order being placed. It's reused if placing the order is retried after the request failed,
+ *    so the backend places the order only once
  * @property {boolean} state.loading
  *    Indicates background action pending completion. When true, further UI actions might be blocked
  */
@@ -48,114 +62,17 @@ class Checkout extends React.Component {
     super();
     this.cartRef = React.createRef();
     this.state = {
-      products: [],
       addresses: [],
       selectedAddressIndex: 0,
       newAddress: "",
       balance: 0,
+      paymentOption: paymentOptions.WALLET,
+      cardNumber: "",
+      idempotencyKey: null,
       loading: false,
     };
   }
 
-  /**
-   * Check the response of the getProducts() API call to be valid and handle any failures along the way
-   *
-   * @param {boolean} errored
-   *    Represents whether an error occurred in the process of making the API call itself
-   * @param {Product[]|{ success: boolean, message: string }} response
-   *    The response JSON object which may contain further success or error messages
-   * @returns {boolean}
-   *    Whether validation has passed or not
-   *
-   * If the API call itself encounters an error, errored flag will be true.
-   * If the backend returns an error, then success field will be false and message field will have a string with error details to be displayed.
-   * When there is an error in the API call itself, display a generic error message and return false.
-   * When there is an error returned by backend, display the given message field and return false.
-   * When there is no error and API call is successful, return true.
-   */
-  validateGetProductsResponse = (errored, response) => {
-    if (errored || (!response.length && !response.message)) {
-      message.error(
-        "Could not fetch products. Check that the backend is running, reachable and returns valid JSON."
-      );
-      return false;
-    }
-
-    if (!response.length) {
-      message.error(response.message || "No products found in database");
-      return false;
-    }
-
-    return true;
-  };
-
-  /**
-   * Perform the API call to fetch all products from backend
-   * -    Set the loading state variable to true
-   * -    Perform the API call via a fetch call: https://developer.mozilla.org/en-US/docs/Web/API/Fetch_API
-   * -    The call must be made asynchronously using Promises or async/await
-   * -    The call must handle any errors thrown from the fetch call
-   * -    Parse the result as JSON
-   * -    Set the loading state variable to false once the call has completed
-   * -    Call the validateGetProductsResponse(errored, response) function defined previously
-   * -    If response passes validation, and the response exists,
-   *      -   Update products state variable with the response
-   *
-   * Example for successful response from backend:
-   * HTTP 200
-   * [
-   *      {
-   *          "name": "iPhone XR",
-   *          "category": "Phones",
-   *          "cost": 100,
-   *          "rating": 4,
-   *          "image": "https://i.imgur.com/lulqWzW.jpg",
-   *          "_id": "v4sLtEcMpzabRyfx"
-   *      },
-   *      {
-   *          "name": "Basketball",
-   *          "category": "Sports",
-   *          "cost": 100,
-   *          "rating": 5,
-   *          "image": "https://i.imgur.com/lulqWzW.jpg",
-   *          "_id": "upLK9JbQ4rMhTwt4"
-   *      }
-   * ]
-   *
-   * Example for failed response from backend:
-   * HTTP 500
-   * {
-   *      "success": false,
-   *      "message": "Something went wrong. Check the backend console for more details"
-   * }
-   */
-  getProducts = async () => {
-    let response = {};
-    let errored = false;
-
-    this.setState({
-      loading: true,
-    });
-
-    try {
-      response = await (await fetch(`${config.endpoint}/v1/products`)).json();
-    } catch (e) {
-      errored = true;
-    }
-
-    this.setState({
-      loading: false,
-    });
-
-    if (this.validateGetProductsResponse(errored, response)) {
-      if (response) {
-        this.setState({
-          products: response,
-        });
-      }
-    }
-  };
-
   /**
    * Check the response of other API calls to be valid and handle any failures along the way
    *
@@ -232,13 +149,10 @@ class Checkout extends React.Component {
 
     try {
       response = await (
-        await fetch(
+        await fetchWithAuth(
           `${config.endpoint}/v1/users/${userId}/addresses`,
           {
             method: "GET",
-            headers: {
-              Authorization: `Bearer ${localStorage.getItem("token")}`,
-            },
           }
         )
       ).json();
@@ -303,12 +217,11 @@ class Checkout extends React.Component {
 
     try {
       response = await (
-        await fetch(
+        await fetchWithAuth(
           `${config.endpoint}/v1/users/${userId}/addresses`,
           {
             method: "POST",
             headers: {
-              Authorization: `Bearer ${localStorage.getItem("token")}`,
               "Content-Type": "application/json",
             },
             body: JSON.stringify({
@@ -379,11 +292,8 @@ class Checkout extends React.Component {
 
     try {
       response = await (
-        await fetch(`${config.endpoint}/v1/users/${localStorage.getItem("userId")}/addresses/${addressId}`, {
+        await fetchWithAuth(`${config.endpoint}/v1/users/${localStorage.getItem("userId")}/addresses/${addressId}`, {
           method: "DELETE",
-          headers: {
-            Authorization: `Bearer ${localStorage.getItem("token")}`,
-          },
         })
       ).json();
     } catch (e) {
@@ -402,6 +312,54 @@ class Checkout extends React.Component {
     }
   };
 
+  /**
+   * Perform the API call to set how the cart will be paid for at checkout
+   *
+   * @param {string} paymentOption
+   *    One of paymentOptions
+   *
+   * -    Select the payment option right away, and go back to the previous one if the API call fails
+   *
+   * Example for successful response from backend:
+   * HTTP 200 - the updated cart object
+   *
+   * Example for failed response from backend:
+   * HTTP 404
+   * {
+   *      "code": 404,
+   *      "message": "User does not have a cart"
+   * }
+   */
+  setPaymentOption = async (paymentOption) => {
+    const previousPaymentOption = this.state.paymentOption;
+    let response = {};
+    let errored = false;
+
+    this.setState({
+      paymentOption,
+    });
+
+    try {
+      response = await (
+        await fetchWithAuth(`${config.endpoint}/v1/cart/payment-option`, {
+          method: "PUT",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ paymentOption }),
+        })
+      ).json();
+    } catch (e) {
+      errored = true;
+    }
+
+    if (!this.validateResponse(errored, response, "set the payment method")) {
+      this.setState({
+        paymentOption: previousPaymentOption,
+      });
+    }
+  };
+
   /**
    * Perform the API call to place an order
    *
@@ -409,19 +367,33 @@ class Checkout extends React.Component {
    * -    Perform the API call via a fetch call: https://developer.mozilla.org/en-US/docs/Web/API/Fetch_API
    * -    The call must be made asynchronously using Promises or async/await
    * -    The call must be authenticated with an authorization header containing Oauth token
+   * -    The call must carry an "Idempotency-Key" header, kept till the backend responds so a retry isn't placed as another order
    * -    The call must handle any errors thrown from the fetch call
    * -    Parse the result as JSON
    * -    Set the loading state variable to false once the call has completed
    * -    Call the validateResponse(errored, response, couldNot) function defined previously
    * -    If response passes validation, and response exists,
    *      -   Show an appropriate success message
-   *      -   Update the localStorage field for `balance` to reflect the new balance
-   *      -   Redirect the user to the thanks page
+   *      -   Update the localStorage field for `balance` to the new balance in the response
+   *      -   Redirect the user to the thanks page, passing on the breakdown of the amount charged and how it's paid for
+   * -    If paying by card, send the card number to charge
+   * -    If the products in the cart changed since they were added (HTTP 409), refresh the cart for the user to review the changes
    *
    * Example for successful response from backend:
    * HTTP 200
    * {
-   *      "success": true
+   *      "orderId": "6010008e6c3477697e8eabb1",
+   *      "pricing": {
+   *          "items": [{ "productId": "5f71c1ca04c69a5874e9fd45", "name": "ball", "cost": 20, "quantity": 2, "subtotal": 40 }],
+   *          "subtotal": 40,
+   *          "discount": 0,
+   *          "shipping": 0,
+   *          "tax": 0,
+   *          "total": 40
+   *      },
+   *      "paymentOption": "PAYMENT_OPTION_WALLET",
+   *      "paymentStatus": "succeeded",
+   *      "walletMoney": 460
    * }
    *
    * Example for failed response from backend:
@@ -434,8 +406,11 @@ class Checkout extends React.Component {
   checkout = async () => {
     let response = {};
     let errored = false;
+    const idempotencyKey =
+      this.state.idempotencyKey || generateIdempotencyKey();
 
     this.setState({
+      idempotencyKey,
       loading: true,
     });
 
@@ -448,13 +423,16 @@ class Checkout extends React.Component {
       const requestBody = {
         addressId: selectedAddress._id
       };
+      if (this.state.paymentOption === paymentOptions.CARD) {
+        requestBody.cardNumber = this.state.cardNumber.replace(/\s/g, "");
+      }
       console.log('Checkout request body:', requestBody);
 
-      response = await fetch(`${config.endpoint}/v1/cart/checkout`, {
+      response = await fetchWithAuth(`${config.endpoint}/v1/cart/checkout`, {
         method: "PUT",
         headers: {
-          Authorization: `Bearer ${localStorage.getItem("token")}`,
           "Content-Type": "application/json",
+          "Idempotency-Key": idempotencyKey,
         },
         body: JSON.stringify(requestBody),
       });
@@ -468,31 +446,36 @@ class Checkout extends React.Component {
       loading: false,
     });
 
-    let data;
-    if (response.status !== 204) {
+    let data = {};
+    if (!errored) {
+      // The backend handled the order, placing it again needs a new key
+      this.setState({
+        idempotencyKey: null,
+      });
       data = await response.json();
       console.log('Checkout response data:', data);
     }
-    if (response.status === 204 || this.validateResponse(errored, data)) {
+    if (response.status === 409) {
+      message.warning(data.message);
+      this.cartRef.current.refreshCart();
+      return;
+    }
+    if (this.validateResponse(errored, data, "place the order")) {
       message.success("Order placed");
 
-      const total = this.cartRef.current.calculateTotal();
-      console.log('Order total:', total);
-      console.log('Current balance:', localStorage.getItem("balance"));
-
-      localStorage.setItem(
-        "balance",
-        parseInt(localStorage.getItem("balance")) -
-          this.cartRef.current.calculateTotal()
-      );
+      localStorage.setItem("balance", data.walletMoney);
 
-      this.props.history.push("/thanks");
+      this.props.history.push("/thanks", {
+        pricing: data.pricing,
+        paymentOption: data.paymentOption,
+      });
     }
   };
 
   /**
    * Function that is called when the user clicks on the place order button
-   * -    If the user's wallet balance is less than the total cost of the user's cart, then display an appropriate error message
+   * -    If paying from the wallet and its balance is less than the total cost of the user's cart, then display an appropriate error message
+   * -    Else if paying by card and no card number was entered, then display an appropriate error message
    * -    Else if the user does not have any addresses, or has not selected an available address, then display an appropriate error message
    * -    Else call the checkout() method to proceed with placing and order
    */
@@ -509,13 +492,24 @@ class Checkout extends React.Component {
 
     const total = this.cartRef.current.calculateTotal();
     console.log('Cart total:', total);
-    if (total > this.state.balance) {
+    if (
+      this.state.paymentOption === paymentOptions.WALLET &&
+      total > this.state.balance
+    ) {
       message.error(
         "You do not have enough balance in your wallet for this purchase"
       );
       return;
     }
 
+    if (
+      this.state.paymentOption === paymentOptions.CARD &&
+      !this.state.cardNumber
+    ) {
+      message.error("Please enter the card number to pay with");
+      return;
+    }
+
     if (!this.state.addresses[this.state.selectedAddressIndex]) {
       message.error("Please select a valid address");
       return;
@@ -527,13 +521,12 @@ class Checkout extends React.Component {
   /**
    * Function that runs when component has loaded
    * This is the function that is called when the user lands on the Checkout page
-   * If the user is logged in (i.e. the localStorage fields for `username` and `token` exist), fetch products and addresses from backend (asynchronously) to component state
+   * If the user is logged in (i.e. the localStorage fields for `username` and `token` exist), fetch addresses from backend (asynchronously) to component state
    * Update the balance state variable with the value stored in localStorage
    * Else, show an error message indicating that the user must be logged in first and redirect the user to the home page
    */
   async componentDidMount() {
     if (localStorage.getItem("username") && localStorage.getItem("token")) {
-      await this.getProducts();
       await this.getAddresses();
 
       this.setState({
@@ -548,7 +541,7 @@ class Checkout extends React.Component {
   /**
    * JSX and HTML goes here
    * We display the cart component as the main review for the user on this page (Cart component must know that it should be non-editable)
-   * We display the payment method and wallet balance
+   * We display the payment methods to choose from, with the wallet balance and a field for the card number when paying by card
    * We display the list of addresses for the user to select from
    * If the user has no addresses, appropriate text is displayed instead
    * A text field (and button) is required so the user may add a new address
@@ -656,12 +649,34 @@ class Checkout extends React.Component {
 
                   <h2>Payment Method</h2>
 
-                  <Radio.Group value={1}>
-                    <Radio style={radioStyle} value={1}>
+                  <Radio.Group
+                    value={this.state.paymentOption}
+                    onChange={(e) => this.setPaymentOption(e.target.value)}
+                  >
+                    <Radio style={radioStyle} value={paymentOptions.WALLET}>
                       Wallet
                       <strong> (₹{this.state.balance} available)</strong>
                     </Radio>
+                    <Radio style={radioStyle} value={paymentOptions.COD}>
+                      Cash on delivery
+                    </Radio>
+                    <Radio style={radioStyle} value={paymentOptions.CARD}>
+                      Card
+                    </Radio>
                   </Radio.Group>
+
+                  {this.state.paymentOption === paymentOptions.CARD && (
+                    <Input
+                      className="card-number"
+                      placeholder="Card number"
+                      value={this.state.cardNumber}
+                      onChange={(e) => {
+                        this.setState({
+                          cardNumber: e.target.value,
+                        });
+                      }}
+                    />
+                  )}
                 </div>
 
                 <br></br>
@@ -686,15 +701,22 @@ class Checkout extends React.Component {
               className="checkout-cart"
             >
               <div>
-                {this.state.products.length && (
-                  <Cart
-                    ref={this.cartRef}
-                    products={this.state.products}
-                    history={this.props.history}
-                    token={localStorage.getItem("token")}
-                    checkout={true}
-                  />
-                )}
+                <Cart
+                  ref={this.cartRef}
+                  history={this.props.history}
+                  token={localStorage.getItem("token")}
+                  checkout={true}
+                  onRefresh={(cart) => {
+                    // Carts that were never given a payment option are paid for from the wallet
+                    this.setState({
+                      paymentOption: Object.values(paymentOptions).includes(
+                        cart.paymentOption
+                      )
+                        ? cart.paymentOption
+                        : paymentOptions.WALLET,
+                    });
+                  }}
+                />
               </div>
             </Col>
           </Row>
@@ -7,7 +7,7 @@ export default class Footer extends React.Component {
   render() {
     return (
       <AntdFooter className="footer">
-        <img src="icon-white.png" alt="QKart"></img>
+        <img src="/icon-white.png" alt="QKart"></img>
       </AntdFooter>
     );
   }
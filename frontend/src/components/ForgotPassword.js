@@ -0,0 +1,128 @@
+import { MailOutlined } from "@ant-design/icons";
+import { Button, Input, message } from "antd";
+import React from "react";
+import { withRouter } from "react-router-dom";
+import { config } from "../App";
+import Footer from "./Footer";
+import Header from "./Header";
+
+/**
+ * @class ForgotPassword component handles the Forgot Password page UI and functionality
+ *
+ * Contains the following fields
+ * @property {boolean} state.loading
+ *    Indicates background action pending completion. When true, further UI actions might be blocked
+ * @property {string} state.email
+ *    Email of the account whose password is to be reset (bound to the email input field)
+ */
+class ForgotPassword extends React.Component {
+  constructor() {
+    super();
+    this.state = {
+      loading: false,
+      email: "",
+    };
+  }
+
+  /**
+   * Perform the API call to email a reset password link to the user
+   * -    Set the loading state variable to true
+   * -    Perform the API call via a fetch call: https://developer.mozilla.org/en-US/docs/Web/API/Fetch_API
+   * -    Set the loading state variable to false once the call has completed
+   * -    If the backend returns "204 No Content", show a success message and redirect the user to the login page
+   * -    Else, display the error message
+   *
+   * Example for successful response from backend:
+   * HTTP 204
+   *
+   * Example for failed response from backend:
+   * HTTP 400
+   * {
+   *      "code": 400,
+   *      "message": "\"email\" must be a valid email"
+   * }
+   */
+  forgotPassword = async () => {
+    if (!this.state.email) {
+      message.error("Email is a required field");
+      return;
+    }
+
+    this.setState({
+      loading: true,
+    });
+
+    try {
+      const response = await fetch(`${config.endpoint}/v1/auth/forgot-password`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          email: this.state.email,
+        }),
+      });
+
+      if (response.status === 204) {
+        message.success(
+          "If an account exists for this email, you will receive a link to reset your password shortly"
+        );
+        this.props.history.push("/login");
+      } else {
+        message.error((await response.json()).message);
+      }
+    } catch (e) {
+      message.error(
+        "Something went wrong. Check that the backend is running, reachable and returns valid JSON."
+      );
+    }
+
+    this.setState({
+      loading: false,
+    });
+  };
+
+  /**
+   * JSX and HTML goes here
+   * We have an email field (with data binding to state), and a submit button that calls forgotPassword()
+   */
+  render() {
+    return (
+      <>
+        {/* Display Header */}
+        <Header history={this.props.history} />
+
+        {/* Display Forgot Password fields */}
+        <div className="flex-container">
+          <div className="login-container container">
+            <h1>Forgot your password?</h1>
+
+            <Input
+              className="input-field"
+              prefix={<MailOutlined className="site-form-item-icon" />}
+              placeholder="Email"
+              onChange={(e) => {
+                this.setState({
+                  email: e.target.value,
+                });
+              }}
+            />
+
+            <Button
+              loading={this.state.loading}
+              type="primary"
+              onClick={this.forgotPassword}
+            >
+              Email me a reset link
+            </Button>
+          </div>
+        </div>
+
+        {/* Display the footer */}
+        <Footer></Footer>
+      </>
+    );
+  }
+}
+
+export default withRouter(ForgotPassword);
@@ -1,5 +1,7 @@
 import { Button } from "antd";
 import React from "react";
+import { config } from "../App";
+import { fetchWithAuth } from "../auth";
 import "./Header.css";
 
 export default class Header extends React.Component {
@@ -19,9 +21,33 @@ export default class Header extends React.Component {
     this.props.history.push("/login");
   };
 
-  logout = () => {
+  wallet = () => {
+    this.props.history.push("/wallet");
+  };
+
+  /**
+   * Revoke the session's tokens on the backend before forgetting them, so a copied token can't be used any more
+   * The user is logged out locally even if the API call fails
+   */
+  logout = async () => {
+    try {
+      // Read the refresh token on each try, to revoke the new one if the tokens were refreshed in between
+      await fetchWithAuth(`${config.endpoint}/v1/auth/logout`, () => ({
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          refreshToken: localStorage.getItem("refreshToken") || undefined,
+        }),
+      }));
+    } catch (e) {
+      // Nothing to do, the tokens are still removed below
+    }
+
     localStorage.removeItem("username");
     localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
     this.props.history.push("/");
   };
 
@@ -30,7 +56,7 @@ export default class Header extends React.Component {
       <div className="header">
         {/* Shows Qkart title image */}
         <div className="header-title" onClick={this.root}>
-          <img src="icon.svg" alt="QKart-icon"></img>
+          <img src="/icon.svg" alt="QKart-icon"></img>
         </div>
 
         {this.props.children}
@@ -40,7 +66,7 @@ export default class Header extends React.Component {
           {localStorage.getItem("username") ? (
             <>
               <img
-                src="avatar.png"
+                src="/avatar.png"
                 alt="profile"
                 className="profile-image"
               ></img>
@@ -49,6 +75,10 @@ export default class Header extends React.Component {
                 {localStorage.getItem("username")}
               </div>
 
+              <div className="header-link" onClick={this.wallet}>
+                Wallet
+              </div>
+
               <Button type="primary" onClick={this.logout}>
                 Logout
               </Button>
@@ -1,8 +1,9 @@
 import { LockOutlined, UserOutlined } from "@ant-design/icons";
 import { Button, Input, message } from "antd";
 import React from "react";
-import { withRouter } from "react-router-dom";
+import { Link, withRouter } from "react-router-dom";
 import { config } from "../App";
+import { guestHeaders, persistTokens, refreshTokens } from "../auth";
 import Footer from "./Footer";
 import Header from "./Header";
 
@@ -136,6 +137,8 @@ class Login extends React.Component {
           method: "POST",
           headers: {
             "Content-Type": "application/json",
+            // Merges the cart kept while browsing as a guest into the user's cart
+            ...guestHeaders(),
           },
           body: JSON.stringify({
             email: this.state.email,
@@ -157,8 +160,8 @@ class Login extends React.Component {
   /**
    * Store the login information so that it can be used to identify the user in subsequent API calls
    *
-   * @param {string} token
-   *    API token used for authentication of requests after logging in
+   * @param {{ access: { token: string }, refresh: { token: string } }} tokens
+   *    API tokens used for authentication of requests after logging in
    * @param {string} email
    *    Email of the logged in user
    * @param {string} balance
@@ -166,18 +169,21 @@ class Login extends React.Component {
    *
    * Make use of localStorage: https://developer.mozilla.org/en-US/docs/Web/API/Window/localStorage
    * -    `token` field in localStorage can be used to store the Oauth token
+   * -    `refreshToken` field in localStorage can be used to store the token to get a new Oauth token once it expires
    * -    `email` field in localStorage can be used to store the email that the user is logged in as
    * -    `balance` field in localStorage can be used to store the balance amount in the user's wallet
    * -    `username` field in localStorage can be used to store the User's name
    * -    `userId` field in localStorage can be used to store the user ID
+   * -    `guestToken` field is removed, the guest's cart was merged into the user's cart on login
    */
-  persistLogin = (token, email, balance, name, userId) => {
+  persistLogin = (tokens, email, balance, name, userId) => {
     console.log('Storing user ID:', userId);
-    localStorage.setItem("token", token);
+    persistTokens(tokens);
     localStorage.setItem("email", email);
     localStorage.setItem("balance", balance);
     localStorage.setItem("username", name);
     localStorage.setItem("userId", userId);
+    localStorage.removeItem("guestToken");
   };
 
   /**
@@ -186,7 +192,7 @@ class Login extends React.Component {
    * -    Call the previously defined validateInput() function and check that is returns true, i.e. the input values pass validation
    * -    Call the previously defined performAPICall() function asynchronously and capture the returned value in a variable
    * -    If the returned value exists,
-   *      -   Call the previously defined persistLogin(token, email, balance,username,userId) function
+   *      -   Call the previously defined persistLogin(tokens, email, balance,username,userId) function
    *      -   Clear the input fields
    *      -   Display a success message
    *      -   Redirect the user to the "/products" page
@@ -203,7 +209,7 @@ class Login extends React.Component {
     const response = await this.performAPICall();
     if (response) {
       this.persistLogin(
-        response.tokens.access.token,
+        response.tokens,
         response.user.email,
         response.user.walletMoney,
         response.user.name,
@@ -219,6 +225,17 @@ class Login extends React.Component {
     // }
   };
 
+  /**
+   * Function that runs when component has loaded
+   * If the user has logged in before and their session has only expired (i.e. the localStorage fields for `username` and `refreshToken` exist),
+   * get new tokens in the background and redirect the user to the "/products" page instead of asking them to log in again
+   */
+  async componentDidMount() {
+    if (localStorage.getItem("username") && (await refreshTokens())) {
+      this.props.history.push("/products");
+    }
+  }
+
   /**
    * JSX and HTML goes here
    * We have a text field and a password field (each with data binding to state), and a submit button that calls login()
@@ -263,6 +280,8 @@ class Login extends React.Component {
             >
               Login
             </Button>
+
+            <Link to="/forgot-password">Forgot password?</Link>
           </div>
         </div>
 
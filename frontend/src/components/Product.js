@@ -1,6 +1,11 @@
-import { PlusCircleOutlined } from "@ant-design/icons";
+import {
+  HeartFilled,
+  HeartOutlined,
+  PlusCircleOutlined,
+} from "@ant-design/icons";
 import { Button, Card, Rate } from "antd";
 import React from "react";
+import { Link } from "react-router-dom";
 import "./Product.css";
 
 /**
@@ -8,37 +13,103 @@ import "./Product.css";
  * @property {string} name - The name or title of the product
  * @property {string} category - The category that the product belongs to
  * @property {number} cost - The price to buy the product
- * @property {number} rating - The aggregate rating of the product (integer out of five)
+ * @property {number} rating - The aggregate rating of the product (out of five, the average of its reviews once it has any)
+ * @property {number} [reviewCount] - Number of reviews of the product
  * @property {string} image - Contains URL for the product image
+ * @property {string[]} [images] - URLs of more images of the product, displayed on its page
+ * @property {string} [description] - Description of the product, displayed on its page
+ * @property {{ name: string, value: string }[]} [specs] - Specifications of the product, displayed on its page
+ * @property {number} stock - Number of units of the product available to buy, summed across its variants if it has any
+ * @property {{ _id: string, sku: string, attributes: Object<string, string>, cost?: number, stock: number }[]} [variants]
+ *    The versions of the product it's sold in, eg: sizes, chosen from on its page
+ * @property {Object<string, { start: number, end: number }[]>} [highlights]
+ *    The parts of the name, category and description matching the search, by field, for products found by searching
  * @property {string} _id - Unique ID for the product
  */
 
+/**
+ * Mark the parts of a text matching the search
+ *
+ * @param {string} text
+ *    The text to display
+ * @param {{ start: number, end: number }[]} [ranges]
+ *    The ranges of characters of the text to mark, in order
+ * @returns {JSX}
+ *    The text, with the ranges wrapped in <mark>
+ */
+const highlight = (text, ranges = []) => {
+  const parts = [];
+  let last = 0;
+  ranges.forEach(({ start, end }) => {
+    parts.push(text.slice(last, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    last = end;
+  });
+  parts.push(text.slice(last));
+  return parts;
+};
+
 /**
  * The goal is to display an individual product as a card displaying relevant product properties
  * Product image and product title are primary information
  * Secondary information to be displayed includes cost, rating and category
- * We also need a button to add the product to cart from the product listing
+ * We also need a button to add the product to cart from the product listing, which is disabled when the product is out of stock
+ * Products with variants are added from their page instead, where the variant is chosen
+ * Clicking the product image or title opens the product's page
+ * The parts of the name and category matching the search are highlighted, for products found by searching
  *
  * @param {Product} props.product
  *    The product object to be displayed
  * @param {function} props.addToCart
  *    Function to call when user clicks on a Product card's 'Add to cart' button
+ * @param {boolean} [props.wishlisted]
+ *    Whether the product is in the user's wishlist, which fills in its heart
+ * @param {function} [props.onToggleWishlist]
+ *    Function to call when user clicks on the heart. The heart isn't displayed without it, eg: for guests
  * @returns {JSX}
  *    HTML and JSX to be rendered
  */
 export default function Product(props) {
+  const outOfStock = props.product.stock <= 0;
+  const hasVariants =
+    props.product.variants && props.product.variants.length > 0;
+  const highlights = props.product.highlights || {};
+
   return (
     // Use Antd Card component to create a card-like view for individual products
     <Card className="product" hoverable>
-      {/* Display product image */}
-      <img className="product-image" alt="product" src={props.product.image} />
+      {/* Display product image, linking to the product's page */}
+      <Link to={`/products/${props.product._id}`}>
+        <img
+          className="product-image"
+          alt="product"
+          src={props.product.image}
+        />
+      </Link>
+
+      {/* Display the heart to save the product for later, or remove it from the wishlist */}
+      {props.onToggleWishlist && (
+        <Button
+          className="product-wishlist"
+          shape="circle"
+          aria-label={
+            props.wishlisted ? "Remove from wishlist" : "Save for later"
+          }
+          icon={props.wishlisted ? <HeartFilled /> : <HeartOutlined />}
+          onClick={props.onToggleWishlist}
+        />
+      )}
 
       {/* Display product information */}
       <div className="product-info">
         {/* Display product name and category */}
         <div className="product-info-text">
-          <div className="product-title">{props.product.name}</div>
-          <div className="product-category">{`Category: ${props.product.category}`}</div>
+          <Link className="product-title" to={`/products/${props.product._id}`}>
+            {highlight(props.product.name, highlights.name)}
+          </Link>
+          <div className="product-category">
+            Category: {highlight(props.product.category, highlights.category)}
+          </div>
         </div>
 
         {/* Display utility elements */}
@@ -46,24 +117,40 @@ export default function Product(props) {
           {/* Display product cost */}
           <div className="product-cost">{`₹${props.product.cost}`}</div>
 
-          {/* Display star rating for the product on a scale of 5 */}
+          {/* Display star rating for the product on a scale of 5, rounded to half stars, and how many reviewed it */}
           <div>
             <Rate
               className="product-rating"
               disabled={true}
-              defaultValue={props.product.rating}
+              allowHalf={true}
+              value={Math.round(props.product.rating * 2) / 2}
             />
+            <span className="product-review-count">
+              {`(${props.product.reviewCount || 0})`}
+            </span>
           </div>
 
-          {/* Display the "Add to Cart" button */}
-          <Button
-            shape="round"
-            type="primary"
-            icon={<PlusCircleOutlined />}
-            onClick={props.addToCart}
-          >
-            Add to Cart
-          </Button>
+          {/* Display the "Add to Cart" button, the "Out of stock" state if none are left, or a link to choose a variant */}
+          {outOfStock ? (
+            <Button shape="round" disabled={true}>
+              Out of stock
+            </Button>
+          ) : hasVariants ? (
+            <Link to={`/products/${props.product._id}`}>
+              <Button shape="round" type="primary">
+                Choose options
+              </Button>
+            </Link>
+          ) : (
+            <Button
+              shape="round"
+              type="primary"
+              icon={<PlusCircleOutlined />}
+              onClick={props.addToCart}
+            >
+              Add to Cart
+            </Button>
+          )}
         </div>
       </div>
     </Card>
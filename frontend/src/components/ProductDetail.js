@@ -0,0 +1,460 @@
+import { PlusCircleOutlined } from "@ant-design/icons";
+import {
+  Button,
+  Col,
+  Descriptions,
+  InputNumber,
+  message,
+  Progress,
+  Radio,
+  Rate,
+  Row,
+  Spin,
+} from "antd";
+import React from "react";
+import { Link, withRouter } from "react-router-dom";
+import { config } from "../App";
+import Cart from "./Cart";
+import Footer from "./Footer";
+import Header from "./Header";
+import "./ProductDetail.css";
+
+/**
+ * @typedef {Object} Spec
+ * @property {string} name - What the detail is, eg: "Weight"
+ * @property {string} value - The detail, eg: "1.2 kg"
+ */
+
+/**
+ * @typedef {Object} Variant
+ * @property {string} _id - Unique ID for the variant
+ * @property {string} sku - Stock keeping unit code of the variant
+ * @property {Object<string, string>} attributes - What sets the variant apart, eg: { "size": "M" }
+ * @property {number} [cost] - The price of the variant, if it isn't the product's
+ * @property {number} stock - Number of units of the variant left
+ */
+
+/**
+ * @typedef {Object} RatingSummary
+ * @property {number} rating - The aggregate rating of the product
+ * @property {number} reviewCount - Number of reviews of the product
+ * @property {Object<string, number>} breakdown - Number of reviews giving each rating, from "1" to "5"
+ */
+
+/**
+ * @class ProductDetail component displays the page of a single product, with its images, description, specs and rating,
+ * and adds the chosen quantity of it, of the chosen variant for products with variants, to the cart
+ *
+ * Contains the following fields
+ * @property {{ params: { productId: string } }} props.match
+ *    Route match holding the ID of the product to display
+ * @property {React.RefObject} cartRef
+ *    Reference to Cart component (to add the product to the cart)
+ * @property {Product|null} state.product
+ *    The product fetched from backend, with its description, specs and images
+ * @property {RatingSummary|null} state.ratingSummary
+ *    How many reviews gave each rating, for the rating breakdown
+ * @property {string|null} state.selectedImage
+ *    URL of the image displayed large
+ * @property {string|null} state.variantId
+ *    ID of the chosen variant, for products with variants
+ * @property {number} state.quantity
+ *    How many of the product to add to the cart
+ * @property {boolean} state.loading
+ *    Indicates background action pending completion. When true, further UI actions might be blocked
+ * @property {boolean} state.notFound
+ *    Whether there's no product with the ID
+ */
+class ProductDetail extends React.Component {
+  constructor() {
+    super();
+
+    this.cartRef = React.createRef();
+    this.state = {
+      product: null,
+      ratingSummary: null,
+      selectedImage: null,
+      variantId: null,
+      quantity: 1,
+      loading: false,
+      notFound: false,
+    };
+  }
+
+  /**
+   * Perform the API calls to fetch the product and the breakdown of its ratings, and update state variables
+   *
+   * @param {string} productId
+   *
+   * Example for successful response from backend for the product:
+   * HTTP 200
+   * {
+   *      "_id": "5f71c1ca04c69a5874e9fd45",
+   *      "name": "ball",
+   *      "category": "Sports",
+   *      "cost": 20,
+   *      "rating": 3.5,
+   *      "reviewCount": 2,
+   *      "image": "https://i.imgur.com/lulqWzW.jpg",
+   *      "images": ["https://i.imgur.com/lulqWzX.jpg"],
+   *      "description": "Size 5 match ball",
+   *      "specs": [{ "name": "Material", "value": "Synthetic leather" }],
+   *      "variants": [
+   *          { "_id": "5f71c1ca04c69a5874e9fd46", "sku": "BALL-4", "attributes": { "size": "4" }, "stock": 4 },
+   *          { "_id": "5f71c1ca04c69a5874e9fd47", "sku": "BALL-5", "attributes": { "size": "5" }, "cost": 25, "stock": 6 }
+   *      ],
+   *      "stock": 10
+   * }
+   *
+   * Example for failed response from backend:
+   * HTTP 404
+   * {
+   *      "code": 404,
+   *      "message": "Product not found"
+   * }
+   */
+  getProduct = async (productId) => {
+    let product = {};
+    let ratingSummary = {};
+    let errored = false;
+
+    this.setState({
+      loading: true,
+    });
+
+    try {
+      [product, ratingSummary] = await Promise.all([
+        fetch(`${config.endpoint}/v1/products/${productId}`).then((res) =>
+          res.json()
+        ),
+        fetch(
+          `${config.endpoint}/v1/products/${productId}/reviews/summary`
+        ).then((res) => res.json()),
+      ]);
+    } catch (e) {
+      errored = true;
+    }
+
+    this.setState({
+      loading: false,
+    });
+
+    if (errored) {
+      message.error(
+        "Could not fetch the product. Check that the backend is running, reachable and returns valid JSON."
+      );
+      return;
+    }
+    if (!product._id) {
+      this.setState({
+        notFound: true,
+      });
+      return;
+    }
+
+    // Start from the first variant in stock, if the product has variants
+    const variant = (product.variants || []).find(
+      (variant) => variant.stock > 0
+    );
+
+    this.setState({
+      product,
+      ratingSummary: ratingSummary.breakdown ? ratingSummary : null,
+      selectedImage: product.image,
+      variantId: variant ? variant._id : null,
+      quantity: 1,
+      notFound: false,
+    });
+  };
+
+  componentDidMount() {
+    this.getProduct(this.props.match.params.productId);
+  }
+
+  componentDidUpdate(prevProps) {
+    // Fetch the new product when navigating from one product's page to another's
+    if (
+      prevProps.match.params.productId !== this.props.match.params.productId
+    ) {
+      this.getProduct(this.props.match.params.productId);
+    }
+  }
+
+  /**
+   * Get the chosen variant of the product
+   *
+   * @returns {Variant|undefined}
+   */
+  getVariant = () =>
+    (this.state.product.variants || []).find(
+      (variant) => variant._id === this.state.variantId
+    );
+
+  /**
+   * Add the selected quantity of the product, of the chosen variant, to the cart
+   * - If the product (or variant) is already in the cart, the quantity is added to what's there
+   */
+  addToCart = async () => {
+    const cart = this.cartRef.current;
+    const variantId = this.state.variantId || undefined;
+    const item = cart.state.items.find(
+      (item) =>
+        item.product._id === this.state.product._id &&
+        item.variantId === variantId
+    );
+
+    if (item) {
+      await cart.putToCart(
+        this.state.product._id,
+        item.quantity + this.state.quantity,
+        variantId
+      );
+    } else {
+      await cart.postToCart(
+        this.state.product._id,
+        this.state.quantity,
+        false,
+        variantId
+      );
+    }
+  };
+
+  /**
+   * Creates the view to choose a variant of the product, disabling those out of stock
+   *
+   * @returns {JSX}
+   */
+  getVariantsElement = () => {
+    return (
+      <Radio.Group
+        className="product-detail-variants"
+        value={this.state.variantId}
+        onChange={(e) =>
+          this.setState({ variantId: e.target.value, quantity: 1 })
+        }
+      >
+        {this.state.product.variants.map((variant) => (
+          <Radio.Button
+            key={variant._id}
+            value={variant._id}
+            disabled={variant.stock <= 0}
+          >
+            {Object.values(variant.attributes).join(" / ")}
+          </Radio.Button>
+        ))}
+      </Radio.Group>
+    );
+  };
+
+  /**
+   * Creates the view of the product's images: the selected image displayed large, and thumbnails of all the images to select from
+   *
+   * @returns {JSX}
+   */
+  getImagesElement = () => {
+    const images = [
+      this.state.product.image,
+      ...(this.state.product.images || []),
+    ];
+
+    return (
+      <div className="product-detail-images">
+        <img
+          className="product-detail-image"
+          alt={this.state.product.name}
+          src={this.state.selectedImage}
+        />
+        {images.length > 1 && (
+          <div className="product-detail-thumbnails">
+            {images.map((image) => (
+              <img
+                key={image}
+                className={[
+                  "product-detail-thumbnail",
+                  image === this.state.selectedImage ? "selected" : "",
+                ].join(" ")}
+                alt={this.state.product.name}
+                src={image}
+                onClick={() => this.setState({ selectedImage: image })}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  /**
+   * Creates the view of how many reviews gave each rating, from 5 stars down to 1
+   *
+   * @returns {JSX}
+   */
+  getRatingBreakdownElement = () => {
+    const { breakdown, reviewCount } = this.state.ratingSummary;
+
+    return (
+      <div className="product-detail-breakdown">
+        {[5, 4, 3, 2, 1].map((stars) => (
+          <div className="product-detail-breakdown-row" key={stars}>
+            <span>{`${stars} star`}</span>
+            <Progress
+              percent={
+                reviewCount
+                  ? Math.round((breakdown[stars] / reviewCount) * 100)
+                  : 0
+              }
+              showInfo={false}
+            />
+            <span>{breakdown[stars]}</span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  /**
+   * Creates the view of the product's details and the controls to add it to the cart
+   *
+   * @returns {JSX}
+   */
+  getDetailsElement = () => {
+    const product = this.state.product;
+    const hasVariants = product.variants && product.variants.length > 0;
+    // The price and stock are the chosen variant's, for products with variants
+    const variant = this.getVariant();
+    const cost =
+      variant && variant.cost !== undefined ? variant.cost : product.cost;
+    const stock = hasVariants ? (variant ? variant.stock : 0) : product.stock;
+    const outOfStock = stock <= 0;
+
+    return (
+      <div className="product-detail-info">
+        <div className="product-detail-title">{product.name}</div>
+        <div className="product-detail-category">{`Category: ${product.category}`}</div>
+
+        {/* Display the rating, rounded to half stars, and how many reviewed the product */}
+        <div className="product-detail-rating">
+          <Rate
+            disabled={true}
+            allowHalf={true}
+            value={Math.round(product.rating * 2) / 2}
+          />
+          <span>{`${product.rating} (${
+            product.reviewCount || 0
+          } reviews)`}</span>
+        </div>
+
+        <div className="product-detail-cost">{`₹${cost}`}</div>
+
+        {hasVariants && this.getVariantsElement()}
+
+        {/* Display the quantity selector with the "Add to Cart" button, or the "Out of stock" state if none are left */}
+        {outOfStock ? (
+          <Button shape="round" disabled={true}>
+            Out of stock
+          </Button>
+        ) : (
+          <div className="product-detail-add">
+            <InputNumber
+              min={1}
+              max={stock}
+              value={this.state.quantity}
+              onChange={(quantity) =>
+                this.setState({ quantity: quantity || 1 })
+              }
+            />
+            <Button
+              shape="round"
+              type="primary"
+              icon={<PlusCircleOutlined />}
+              onClick={this.addToCart}
+            >
+              Add to Cart
+            </Button>
+          </div>
+        )}
+
+        {product.description && (
+          <div className="product-detail-description">
+            {product.description}
+          </div>
+        )}
+
+        {product.specs && product.specs.length > 0 && (
+          <Descriptions
+            className="product-detail-specs"
+            title="Specifications"
+            bordered={true}
+            column={1}
+            size="small"
+          >
+            {product.specs.map((spec) => (
+              <Descriptions.Item key={spec.name} label={spec.name}>
+                {spec.value}
+              </Descriptions.Item>
+            ))}
+          </Descriptions>
+        )}
+
+        {this.state.ratingSummary && this.getRatingBreakdownElement()}
+      </div>
+    );
+  };
+
+  /**
+   * JSX and HTML goes here
+   * We display the product's images next to its details, with the cart sidebar alongside like on the products page
+   */
+  render() {
+    return (
+      <>
+        {/* Display Header */}
+        <Header history={this.props.history} />
+
+        <Row>
+          {/* Display the product */}
+          <Col xs={{ span: 24 }} md={{ span: 18 }}>
+            <div className="product-detail-container">
+              <Link className="product-detail-back" to="/products">
+                Back to products
+              </Link>
+
+              {this.state.product ? (
+                <Row gutter={[32, 16]}>
+                  <Col xs={24} lg={12}>
+                    {this.getImagesElement()}
+                  </Col>
+                  <Col xs={24} lg={12}>
+                    {this.getDetailsElement()}
+                  </Col>
+                </Row>
+              ) : this.state.notFound ? (
+                <div className="loading-text">Product not found</div>
+              ) : (
+                <div className="loading-text">
+                  <Spin />
+                </div>
+              )}
+            </div>
+          </Col>
+
+          {/* Display cart */}
+          <Col xs={{ span: 24 }} md={{ span: 6 }} className="search-cart">
+            <div>
+              <Cart
+                ref={this.cartRef}
+                history={this.props.history}
+                token={localStorage.getItem("token")}
+              />
+            </div>
+          </Col>
+        </Row>
+
+        {/* Display the footer */}
+        <Footer></Footer>
+      </>
+    );
+  }
+}
+
+export default withRouter(ProductDetail);
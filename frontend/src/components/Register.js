@@ -3,6 +3,7 @@ import { Button, Input, message } from "antd";
 import React from "react";
 import { withRouter } from "react-router-dom";
 import { config } from "../App";
+import { guestHeaders } from "../auth";
 import Footer from "./Footer";
 import Header from "./Header";
 
@@ -149,6 +150,8 @@ class Register extends React.Component {
           method: "POST",
           headers: {
             "Content-Type": "application/json",
+            // Makes the cart kept while browsing as a guest the new user's cart
+            ...guestHeaders(),
           },
           body: JSON.stringify({
             name: this.state.username,
@@ -194,6 +197,7 @@ class Register extends React.Component {
         password: "",
         confirmPassword: "",
       });
+      localStorage.removeItem("guestToken");
       message.success("Registered successfully");
       this.props.history.push("/login");
     }
@@ -0,0 +1,169 @@
+import { LockOutlined } from "@ant-design/icons";
+import { Button, Input, message } from "antd";
+import React from "react";
+import { withRouter } from "react-router-dom";
+import { config } from "../App";
+import Footer from "./Footer";
+import Header from "./Header";
+
+/**
+ * @class ResetPassword component handles the Reset Password page UI and functionality
+ * The page is opened from the link in the reset password email, with the reset password token in the "token" query param
+ *
+ * Contains the following fields
+ * @property {boolean} state.loading
+ *    Indicates background action pending completion. When true, further UI actions might be blocked
+ * @property {string} state.password
+ *    New password (bound to the password input field)
+ * @property {string} state.confirmPassword
+ *    New password, repeated (bound to the confirm password input field)
+ */
+class ResetPassword extends React.Component {
+  constructor() {
+    super();
+    this.state = {
+      loading: false,
+      password: "",
+      confirmPassword: "",
+    };
+  }
+
+  /**
+   * Validate the input values so that any bad or illegal values are not passed to the backend
+   *
+   * @returns {boolean}
+   *    Whether validation has passed or not
+   */
+  validateInput = () => {
+    if (!this.state.password) {
+      message.error("Password is a required field");
+      return false;
+    }
+    if (this.state.password.length < 8) {
+      message.error("Password must be at least 8 characters");
+      return false;
+    }
+    if (this.state.password !== this.state.confirmPassword) {
+      message.error("Passwords do not match");
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * Perform the API call to set the new password
+   * -    Set the loading state variable to true
+   * -    Perform the API call via a fetch call: https://developer.mozilla.org/en-US/docs/Web/API/Fetch_API
+   * -    Set the loading state variable to false once the call has completed
+   * -    If the backend returns "204 No Content", show a success message and redirect the user to the login page
+   * -    Else, display the error message
+   *
+   * Example for successful response from backend:
+   * HTTP 204
+   *
+   * Example for failed response from backend:
+   * HTTP 401
+   * {
+   *      "code": 401,
+   *      "message": "Password reset failed"
+   * }
+   */
+  resetPassword = async () => {
+    if (!this.validateInput()) {
+      return;
+    }
+
+    const token = new URLSearchParams(this.props.location.search).get("token");
+
+    this.setState({
+      loading: true,
+    });
+
+    try {
+      const response = await fetch(
+        `${config.endpoint}/v1/auth/reset-password?token=${encodeURIComponent(
+          token
+        )}`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            password: this.state.password,
+          }),
+        }
+      );
+
+      if (response.status === 204) {
+        message.success("Password reset. Please log in with your new password");
+        this.props.history.push("/login");
+      } else {
+        message.error((await response.json()).message);
+      }
+    } catch (e) {
+      message.error(
+        "Something went wrong. Check that the backend is running, reachable and returns valid JSON."
+      );
+    }
+
+    this.setState({
+      loading: false,
+    });
+  };
+
+  /**
+   * JSX and HTML goes here
+   * We have two password fields (each with data binding to state), and a submit button that calls resetPassword()
+   */
+  render() {
+    return (
+      <>
+        {/* Display Header */}
+        <Header history={this.props.history} />
+
+        {/* Display Reset Password fields */}
+        <div className="flex-container">
+          <div className="login-container container">
+            <h1>Reset your password</h1>
+
+            <Input.Password
+              className="input-field"
+              prefix={<LockOutlined className="site-form-item-icon" />}
+              placeholder="New Password"
+              onChange={(e) => {
+                this.setState({
+                  password: e.target.value,
+                });
+              }}
+            />
+
+            <Input.Password
+              className="input-field"
+              prefix={<LockOutlined className="site-form-item-icon" />}
+              placeholder="Confirm New Password"
+              onChange={(e) => {
+                this.setState({
+                  confirmPassword: e.target.value,
+                });
+              }}
+            />
+
+            <Button
+              loading={this.state.loading}
+              type="primary"
+              onClick={this.resetPassword}
+            >
+              Reset Password
+            </Button>
+          </div>
+        </div>
+
+        {/* Display the footer */}
+        <Footer></Footer>
+      </>
+    );
+  }
+}
+
+export default withRouter(ResetPassword);
@@ -1,9 +1,12 @@
-import { Input, message } from "antd";
+import { Input, message, Pagination } from "antd";
 import React from "react";
 import { withRouter } from "react-router-dom";
 import { config } from "../App";
 
+import { isLoggedIn } from "../auth";
 import Cart from "./Cart";
+import Categories from "./Categories";
+import Wishlist from "./Wishlist";
 
 import Header from "./Header";
 import Product from "./Product";
@@ -11,6 +14,9 @@ import { Row, Col } from "antd";
 import Footer from "./Footer";
 import "./Search.css";
 
+// Number of products fetched and displayed per page
+const PAGE_SIZE = 12;
+
 /**
  * @typedef {Object} Product
  * @property {string} name - The name or title of the product
@@ -28,30 +34,42 @@ import "./Search.css";
  
  * @property {React.RefObject} cartRef 
  *    Reference to Cart component (to trigger certain methods within the cart component)
+ * @property {React.RefObject} wishlistRef
+ *    Reference to Wishlist component (to save products to the wishlist from their cards)
  
  * @property {number} debounceTimeout 
  *    Holds the return value from setTimeout() for the search bar debouncer
- * @property {Product[]} products 
- *    List of products fetched from backend
  * @property {boolean} state.loading 
  *    Indicates background action pending completion. When true, further UI actions might be blocked
- * @property {boolean} state.loggedIn 
- *    Indicated if user is logged in or not. Decides whether or not cart sidebar is shown
- * @property {Product[]} state.filteredProducts 
- *    List of products filtered by search query to display
+ * @property {Product[]} state.products 
+ *    The page of products matching the search query fetched from backend, to display
+ * @property {string} state.query 
+ *    Search query the displayed products were fetched for
+ * @property {number} state.page 
+ *    Page number of the displayed products
+ * @property {number} state.totalResults 
+ *    Total number of products matching the search query, across all pages
+ * @property {string[]} state.wishlistIds
+ *    IDs of the products in the user's wishlist, to fill in their hearts
+ * @property {string|null} state.categoryId
+ *    ID of the category selected in the sidebar, the products of its nested categories are listed too
  */
 class Search extends React.Component {
   constructor() {
     super();
 
     this.cartRef = React.createRef();
+    this.wishlistRef = React.createRef();
 
     this.debounceTimeout = 0;
-    this.products = [];
     this.state = {
       loading: false,
-      loggedIn: false,
-      filteredProducts: [],
+      products: [],
+      query: "",
+      page: 1,
+      totalResults: 0,
+      wishlistIds: [],
+      categoryId: null,
     };
   }
 
@@ -60,7 +78,7 @@ class Search extends React.Component {
    *
    * @param {boolean} errored
    *    Represents whether an error occurred in the process of making the API call itself
-   * @param {Product[]|{ success: boolean, message: string }} response
+   * @param {{ results: Product[], page: number, totalResults: number }|{ success: boolean, message: string }} response
    *    The response JSON object which may contain further success or error messages
    * @returns {boolean}
    *    Whether validation has passed or not
@@ -72,15 +90,15 @@ class Search extends React.Component {
    * When there is no error and API call is successful, return true.
    */
   validateResponse = (errored, response) => {
-    if (errored || (!response.length && !response.message)) {
+    if (errored || (!response.results && !response.message)) {
       message.error(
         "Could not fetch products. Check that the backend is running, reachable and returns valid JSON."
       );
       return false;
     }
 
-    if (!response.length) {
-      message.error(response.message || "No products found in database");
+    if (!response.results) {
+      message.error(response.message);
       return false;
     }
 
@@ -88,9 +106,14 @@ class Search extends React.Component {
   };
 
   /**
-   * Perform the API call over the network and return the response
+   * Perform the API call over the network to fetch a page of products matching the search text, in the selected category, and return the response
+   * Products matching the search text are ranked by relevance, with the parts matching it to highlight, see the search endpoint
    *
-   * @returns {Product[]|undefined}
+   * @param {string} text
+   *    Search text to match against the name, category and description of the products, all products are fetched if it's empty
+   * @param {number} page
+   *    Page number to fetch
+   * @returns {{ results: Product[], page: number, totalResults: number }|undefined}
    *    The response JSON object
    *
    * -    Set the loading state variable to true
@@ -104,24 +127,30 @@ class Search extends React.Component {
    *
    * Example for successful response from backend:
    * HTTP 200
-   * [
-   *      {
-   *          "name": "iPhone XR",
-   *          "category": "Phones",
-   *          "cost": 100,
-   *          "rating": 4,
-   *          "image": "https://i.imgur.com/lulqWzW.jpg",
-   *          "_id": "v4sLtEcMpzabRyfx"
-   *      },
-   *      {
-   *          "name": "Basketball",
-   *          "category": "Sports",
-   *          "cost": 100,
-   *          "rating": 5,
-   *          "image": "https://i.imgur.com/lulqWzW.jpg",
-   *          "_id": "upLK9JbQ4rMhTwt4"
-   *      }
-   * ]
+   * {
+   *      "results": [
+   *          {
+   *              "name": "iPhone XR",
+   *              "category": "Phones",
+   *              "cost": 100,
+   *              "rating": 4,
+   *              "image": "https://i.imgur.com/lulqWzW.jpg",
+   *              "_id": "v4sLtEcMpzabRyfx"
+   *          },
+   *          {
+   *              "name": "Basketball",
+   *              "category": "Sports",
+   *              "cost": 100,
+   *              "rating": 5,
+   *              "image": "https://i.imgur.com/lulqWzW.jpg",
+   *              "_id": "upLK9JbQ4rMhTwt4"
+   *          }
+   *      ],
+   *      "page": 1,
+   *      "limit": 12,
+   *      "totalPages": 1,
+   *      "totalResults": 2
+   * }
    *
    * Example for failed response from backend:
    * HTTP 500
@@ -130,7 +159,7 @@ class Search extends React.Component {
    *      "message": "Something went wrong. Check the backend console for more details"
    * }
    */
-  performAPICall = async () => {
+  performAPICall = async (text, page) => {
     let response = {};
     let errored = false;
 
@@ -138,8 +167,21 @@ class Search extends React.Component {
       loading: true,
     });
 
+    const params = new URLSearchParams({ page, limit: PAGE_SIZE });
+    if (text.trim()) {
+      params.set("q", text.trim());
+    }
+    if (this.state.categoryId) {
+      params.set("categoryId", this.state.categoryId);
+    }
+
+    // Searches are ranked by relevance, the products are listed in the catalogue's order otherwise
+    const path = text.trim() ? "/v1/products/search" : "/v1/products";
+
     try {
-      response = await (await fetch(`${config.endpoint}/v1/products`)).json();
+      response = await (
+        await fetch(`${config.endpoint}${path}?${params}`)
+      ).json();
     } catch (e) {
       errored = true;
     }
@@ -185,52 +227,60 @@ class Search extends React.Component {
    * @param {string} text
    *    Search bar input query text that we need to filter the displayed products on
    *
-   * -    Update filteredProducts state to show a filtered subset of the products class property based on the search text
-   * -    The search filtering should be done on the name and category fields of the product
-   * -    The search filtering should not take in to account the letter case of the search text or name/category fields
+   * -    Fetch the first page of products matching the search text
+   * -    The search is done by the backend on the name, category and description fields of the product, tolerating typos
    */
   search = (text) => {
-    this.setState({
-      filteredProducts: this.products.filter(
-        (product) =>
-          product.name.toUpperCase().includes(text.toUpperCase()) ||
-          product.category.toUpperCase().includes(text.toUpperCase())
-      ),
-    });
+    this.getProducts(text, 1);
   };
 
   /**
-   * Function to fetch list of products from backend and update state variable
+   * Function to fetch a page of products from backend and update state variables
+   *
+   * @param {string} text
+   *    Search text to match against the name, category and description of the products
+   * @param {number} page
+   *    Page number to fetch
+   *
    * -    Call the previously defined performAPICall() function asynchronously and capture the returned value in a variable
    * -    If the returned value exists,
-   *      -   Update `products` member variable with the response
-   *      -   Update `filteredProducts` state variable with a clone of `products`
+   *      -   Update `products`, `page` and `totalResults` state variables with the response
+   *      -   Update `query` state variable with the search text
    */
-  getProducts = async () => {
-    const response = await this.performAPICall();
+  getProducts = async (text, page) => {
+    const response = await this.performAPICall(text, page);
 
     if (response) {
-      this.products = response;
       this.setState({
-        filteredProducts: this.products.slice(),
+        products: response.results,
+        page: response.page,
+        totalResults: response.totalResults,
+        query: text,
       });
     }
   };
 
+  /**
+   * Definition for category selection handler
+   * This is the function that is called when the user selects a category in the sidebar, or clears the selection
+   *
+   * @param {string|null} categoryId
+   *
+   * -    Fetch the first page of products in the category matching the current search text
+   */
+  selectCategory = (categoryId) => {
+    this.setState({ categoryId }, () => {
+      this.getProducts(this.state.query, 1);
+    });
+  };
+
   /**
    * Function that runs when component has loaded
    * This is the function that is called when the user lands on the Search/Products page
-   * This is a good place to check and set a state flag for whether the user is logged in so we can use it for conditional rendering later on in render()
    */
 
   componentDidMount() {
-    this.getProducts();
-
-    if (localStorage.getItem("email") && localStorage.getItem("token")) {
-      this.setState({
-        loggedIn: true,
-      });
-    }
+    this.getProducts("", 1);
   }
 
   /**
@@ -246,12 +296,15 @@ class Search extends React.Component {
         <Product
           product={product}
           addToCart={() => {
-            if (this.state.loggedIn) {
-              this.cartRef.current.postToCart(product._id, 1, true);
-            } else {
-              this.props.history.push("/login");
-            }
+            // Guests keep a cart too, merged into their own cart once they log in
+            this.cartRef.current.postToCart(product._id, 1, true);
           }}
+          wishlisted={this.state.wishlistIds.includes(product._id)}
+          onToggleWishlist={
+            isLoggedIn()
+              ? () => this.wishlistRef.current.toggleProduct(product._id)
+              : undefined
+          }
         />
       </Col>
     );
@@ -260,9 +313,9 @@ class Search extends React.Component {
   /**
    * JSX and HTML goes here
    * We require a text field as the search (optionally along with a button for submitting the search query)
-   * We also iterate over the filteredProducts list and display each product as a component
+   * We also iterate over the products list and display each product as a component, followed by the controls to change the page
    
-   * Display Cart sidebar component if user is logged in
+   * Display Cart sidebar component, for logged in users and guests alike
    
    */
   render() {
@@ -278,18 +331,26 @@ class Search extends React.Component {
           />
         </Header>
 
-        {/* Use Antd Row/Col components to display products and cart as columns in the same row*/}
+        {/* Use Antd Row/Col components to display categories, products and cart as columns in the same row*/}
         <Row>
+          {/* Display the category sidebar */}
+          <Col xs={{ span: 24 }} md={{ span: 4 }}>
+            <Categories
+              selectedId={this.state.categoryId}
+              onSelect={this.selectCategory}
+            />
+          </Col>
+
           {/* Display products */}
           <Col
             xs={{ span: 24 }}
-            md={{ span: this.state.loggedIn && this.products.length ? 18 : 24 }}
+            md={{ span: 14 }}
           >
             <div className="search-container ">
               {/* Display each product item wrapped in a Col component */}
               <Row>
-                {this.products.length !== 0 ? (
-                  this.state.filteredProducts.map((product) =>
+                {this.state.products.length !== 0 ? (
+                  this.state.products.map((product) =>
                     this.getProductElement(product)
                   )
                 ) : this.state.loading ? (
@@ -298,23 +359,45 @@ class Search extends React.Component {
                   <div className="loading-text">No products to list</div>
                 )}
               </Row>
+
+              {/* Display the controls to change the page */}
+              {this.state.totalResults > PAGE_SIZE && (
+                <Pagination
+                  className="search-pagination"
+                  current={this.state.page}
+                  pageSize={PAGE_SIZE}
+                  total={this.state.totalResults}
+                  showSizeChanger={false}
+                  onChange={(page) => {
+                    this.getProducts(this.state.query, page);
+                  }}
+                />
+              )}
             </div>
           </Col>
 
           {/* Display cart */}
 
-          {this.state.loggedIn && this.products.length && (
-            <Col xs={{ span: 24 }} md={{ span: 6 }} className="search-cart">
-              <div>
-                <Cart
-                  ref={this.cartRef}
-                  products={this.products}
-                  history={this.props.history}
-                  token={localStorage.getItem("token")}
-                />
-              </div>
-            </Col>
-          )}
+          <Col xs={{ span: 24 }} md={{ span: 6 }} className="search-cart">
+            <div>
+              <Cart
+                ref={this.cartRef}
+                history={this.props.history}
+                token={localStorage.getItem("token")}
+                onSaveForLater={() => this.wishlistRef.current.refreshWishlist()}
+              />
+            </div>
+
+            {/* Display the products saved for later, for logged in users */}
+            {isLoggedIn() && (
+              <Wishlist
+                ref={this.wishlistRef}
+                history={this.props.history}
+                onChange={(wishlistIds) => this.setState({ wishlistIds })}
+                onMoveToCart={() => this.cartRef.current.refreshCart()}
+              />
+            )}
+          </Col>
         </Row>
 
         {/* Display the footer */}
@@ -9,11 +9,14 @@ class Thanks extends React.Component {
    * The goal is to display a simple thank you page that the user will see after a successful order goes through
    * Items to display can include:
    * -    Thank you text
+   * -    Breakdown of the amount charged for the order and how it's paid for, passed on by the Checkout page in the location state
    * -    Remaining wallet balance
    * -    Link to go back to Products page to shop more
    * @returns {JSX} HTML and JSX to be rendered
    */
   render() {
+    const { pricing, paymentOption } = this.props.location.state || {};
+
     return (
       <>
         {/* Display Header */}
@@ -29,6 +32,45 @@ class Thanks extends React.Component {
             Your order will arrive in 7 business days.
           </div>
 
+          {/* Display what was charged for the order */}
+          {pricing && (
+            <div className="thanks-line thanks-pricing">
+              {pricing.items.map((item) => (
+                <div className="thanks-pricing-row" key={item.productId}>
+                  <div>{`${item.name} x ${item.quantity}`}</div>
+                  <div>₹{item.subtotal}</div>
+                </div>
+              ))}
+              <hr />
+              <div className="thanks-pricing-row">
+                <div>Sub Total</div>
+                <div>₹{pricing.subtotal}</div>
+              </div>
+              {pricing.discount > 0 && (
+                <div className="thanks-pricing-row">
+                  <div>Discount</div>
+                  <div>-₹{pricing.discount}</div>
+                </div>
+              )}
+              <div className="thanks-pricing-row">
+                <div>Shipping</div>
+                <div>₹{pricing.shipping}</div>
+              </div>
+              <div className="thanks-pricing-row">
+                <div>Tax</div>
+                <div>₹{pricing.tax}</div>
+              </div>
+              <div className="thanks-pricing-row thanks-pricing-total">
+                <div>
+                  {paymentOption === "PAYMENT_OPTION_COD"
+                    ? "Total to pay on delivery"
+                    : "Total charged"}
+                </div>
+                <div>₹{pricing.total}</div>
+              </div>
+            </div>
+          )}
+
           <div className="thanks-line">
             Wallet balance: <br></br>₹{localStorage.getItem("balance")}{" "}
             available
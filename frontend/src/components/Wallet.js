@@ -0,0 +1,346 @@
+import { Button, Input, InputNumber, message, Table } from "antd";
+import React from "react";
+import { Link, withRouter } from "react-router-dom";
+import { config } from "../App";
+import { fetchWithAuth } from "../auth";
+import { generateIdempotencyKey } from "../idempotency";
+import Footer from "./Footer";
+import Header from "./Header";
+import "./Wallet.css";
+
+/**
+ * @typedef {Object} WalletTransaction
+ * @property {string} _id - Unique ID for the transaction
+ * @property {string} type - "credit" or "debit"
+ * @property {number} amount - The amount credited to or debited from the wallet
+ * @property {string} reason - What the transaction was for, eg: "orderPayment"
+ * @property {string} [reference] - ID of what the transaction was for, eg: the order paid for
+ * @property {number} balance - The wallet balance right after the transaction
+ * @property {string} createdAt - When the transaction happened
+ */
+
+// Number of transactions fetched and displayed per page
+const PAGE_SIZE = 10;
+
+// Text to display for the reasons of the transactions
+const reasons = {
+  orderPayment: "Order payment",
+  topUp: "Wallet top-up",
+  refund: "Order refund",
+};
+
+/**
+ * @class Wallet component displays the wallet balance and the history of transactions in the user's wallet
+ *
+ * Contains the following fields
+ * @property {WalletTransaction[]} state.transactions
+ *    The page of transactions fetched from backend, to display
+ * @property {number} state.page
+ *    Page number of the displayed transactions
+ * @property {number} state.totalResults
+ *    Total number of transactions in the wallet, across all pages
+ * @property {boolean} state.loading
+ *    Indicates background action pending completion. When true, further UI actions might be blocked
+ * @property {number} state.topUpAmount
+ *    Amount of money to top up the wallet with
+ * @property {string} state.cardNumber
+ *    Number of the card to pay for the top-up with
+ * @property {string|null} state.idempotencyKey
+ *    Key of the top-up in progress. It's reused when retrying the top-up, so the card isn't charged twice
+ * @property {boolean} state.toppingUp
+ *    Indicates a top-up request is pending completion
+ */
+class Wallet extends React.Component {
+  constructor() {
+    super();
+    this.state = {
+      transactions: [],
+      page: 1,
+      totalResults: 0,
+      loading: false,
+      topUpAmount: 100,
+      cardNumber: "",
+      idempotencyKey: null,
+      toppingUp: false,
+    };
+  }
+
+  /**
+   * Perform the API call to fetch a page of the user's wallet transactions and update state variables
+   *
+   * @param {number} page
+   *    Page number to fetch
+   *
+   * Example for successful response from backend:
+   * HTTP 200
+   * {
+   *      "results": [
+   *          {
+   *              "_id": "6010008e6c3477697e8eabc1",
+   *              "type": "debit",
+   *              "amount": 40,
+   *              "reason": "orderPayment",
+   *              "reference": "6010008e6c3477697e8eabb1",
+   *              "balance": 460,
+   *              "createdAt": "2021-01-26T11:44:14.544Z"
+   *          }
+   *      ],
+   *      "page": 1,
+   *      "limit": 10,
+   *      "totalPages": 1,
+   *      "totalResults": 1
+   * }
+   */
+  getTransactions = async (page) => {
+    let response = {};
+    let errored = false;
+
+    this.setState({
+      loading: true,
+    });
+
+    try {
+      response = await (
+        await fetchWithAuth(
+          `${config.endpoint}/v1/users/${localStorage.getItem(
+            "userId"
+          )}/wallet/transactions?page=${page}&limit=${PAGE_SIZE}`
+        )
+      ).json();
+    } catch (e) {
+      errored = true;
+    }
+
+    this.setState({
+      loading: false,
+    });
+
+    if (errored || !response.results) {
+      message.error(
+        response.message ||
+          "Could not fetch wallet transactions. Check that the backend is running, reachable and returns valid JSON."
+      );
+      return;
+    }
+
+    this.setState({
+      transactions: response.results,
+      page: response.page,
+      totalResults: response.totalResults,
+    });
+  };
+
+  /**
+   * Perform the API call to top up the wallet and update the balance and transactions on success
+   * - The top-up keeps its idempotency key until it has a final outcome, so retries after a network error or of a
+   *   pending payment don't charge the card again. Changing the amount or card number starts a new top-up
+   *
+   * Example for successful response from backend:
+   * HTTP 200 - the wallet was credited
+   * HTTP 202 - the payment is pending
+   * {
+   *      "paymentId": "6010008e6c3477697e8eabd1",
+   *      "status": "succeeded",
+   *      "amount": 200,
+   *      "walletMoney": 700
+   * }
+   *
+   * Example for failed response from backend:
+   * HTTP 402
+   * {
+   *      "code": 402,
+   *      "message": "Payment declined"
+   * }
+   */
+  topUp = async () => {
+    const idempotencyKey =
+      this.state.idempotencyKey || generateIdempotencyKey();
+    let response;
+    let data = {};
+
+    this.setState({
+      idempotencyKey,
+      toppingUp: true,
+    });
+
+    try {
+      response = await fetchWithAuth(
+        `${config.endpoint}/v1/users/${localStorage.getItem(
+          "userId"
+        )}/wallet/topup`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "Idempotency-Key": idempotencyKey,
+          },
+          body: JSON.stringify({
+            amount: this.state.topUpAmount,
+            cardNumber: this.state.cardNumber.replace(/\s/g, ""),
+          }),
+        }
+      );
+      data = await response.json();
+    } catch (e) {
+      // Keep the key, retrying the top-up after a network error mustn't charge the card twice
+      this.setState({
+        toppingUp: false,
+      });
+      message.error(
+        "Could not top up the wallet. Check that the backend is running, reachable and returns valid JSON."
+      );
+      return;
+    }
+
+    this.setState({
+      toppingUp: false,
+    });
+
+    if (response.status === 202) {
+      message.info(
+        "Your payment is pending. Top up again to check if it has gone through."
+      );
+      return;
+    }
+
+    // Any other response is the final outcome of the top-up, the next one needs a new key
+    this.setState({
+      idempotencyKey: null,
+    });
+
+    if (!response.ok) {
+      message.error(data.message || "Could not top up the wallet");
+      return;
+    }
+
+    localStorage.setItem("balance", data.walletMoney);
+    message.success(`Added ₹${data.amount} to your wallet`);
+    this.getTransactions(1);
+  };
+
+  /**
+   * Function that runs when component has loaded
+   * If the user is logged in, fetch the first page of transactions
+   * Else, show an error message indicating that the user must be logged in first and redirect the user to the home page
+   */
+  componentDidMount() {
+    if (localStorage.getItem("username") && localStorage.getItem("token")) {
+      this.getTransactions(1);
+    } else {
+      message.error("You must be logged in to view your wallet");
+      this.props.history.push("/");
+    }
+  }
+
+  /**
+   * JSX and HTML goes here
+   * We display the wallet balance and a paginated table of the transactions, most recent first
+   */
+  render() {
+    const columns = [
+      {
+        title: "Date",
+        dataIndex: "createdAt",
+        render: (createdAt) => new Date(createdAt).toLocaleString(),
+      },
+      {
+        title: "Description",
+        dataIndex: "reason",
+        render: (reason) => reasons[reason] || reason,
+      },
+      {
+        title: "Amount",
+        dataIndex: "amount",
+        render: (amount, transaction) => (
+          <span
+            className={transaction.type === "credit" ? "green-text" : "red-text"}
+          >
+            {transaction.type === "credit" ? "+" : "-"}₹{amount}
+          </span>
+        ),
+      },
+      {
+        title: "Balance",
+        dataIndex: "balance",
+        render: (balance) => `₹${balance}`,
+      },
+    ];
+
+    return (
+      <>
+        {/* Display Header */}
+        <Header history={this.props.history} />
+
+        <div className="wallet-container">
+          <h1>Wallet</h1>
+
+          <div className="wallet-balance">
+            Balance: ₹{localStorage.getItem("balance")}
+          </div>
+
+          {/* Display the top-up form */}
+          <div className="wallet-topup">
+            <InputNumber
+              min={1}
+              max={100000}
+              precision={2}
+              value={this.state.topUpAmount}
+              formatter={(value) => `₹ ${value}`}
+              parser={(value) => value.replace(/₹\s?/g, "")}
+              onChange={(topUpAmount) =>
+                this.setState({ topUpAmount, idempotencyKey: null })
+              }
+            />
+            <Input
+              className="wallet-topup-card"
+              placeholder="Card number"
+              value={this.state.cardNumber}
+              onChange={(e) =>
+                this.setState({
+                  cardNumber: e.target.value,
+                  idempotencyKey: null,
+                })
+              }
+            />
+            <Button
+              type="primary"
+              loading={this.state.toppingUp}
+              disabled={!this.state.topUpAmount || !this.state.cardNumber}
+              onClick={this.topUp}
+            >
+              Top up
+            </Button>
+          </div>
+          <div className="wallet-topup-hint">
+            Test cards: 4242 4242 4242 4242 succeeds, 4000 0000 0000 0002 is
+            declined and 4000 0000 0000 0077 stays pending for a few seconds
+          </div>
+
+          {/* Display the transactions, a page at a time */}
+          <Table
+            rowKey="_id"
+            columns={columns}
+            dataSource={this.state.transactions}
+            loading={this.state.loading}
+            locale={{ emptyText: "No transactions yet" }}
+            pagination={{
+              current: this.state.page,
+              pageSize: PAGE_SIZE,
+              total: this.state.totalResults,
+              onChange: (page) => this.getTransactions(page),
+            }}
+          />
+
+          <Link to="/products">
+            <Button type="primary">Browse products</Button>
+          </Link>
+        </div>
+
+        {/* Display the footer */}
+        <Footer></Footer>
+      </>
+    );
+  }
+}
+
+export default withRouter(Wallet);
@@ -0,0 +1,229 @@
+import { DeleteOutlined, HeartOutlined } from "@ant-design/icons";
+import { Button, Card, message, Spin } from "antd";
+import React from "react";
+import { config } from "../App";
+import { fetchWithAuth } from "../auth";
+import "./Wishlist.css";
+
+/**
+ * @typedef {Object} WishlistItem
+ * @property {Product} product - The product saved, as it currently is
+ * @property {string} addedAt - When the product was saved
+ */
+
+/**
+ * @class Wishlist component displays the products the user saved to buy later, and moves them to the cart
+ *
+ * Contains the following fields
+ * @property {{ push: function }} props.history
+ *    To navigate and redirect the user to different routes or pages
+ * @property {function|undefined} props.onChange
+ *    Called with the ids of the products in the wishlist each time it changes, eg: to fill in the hearts of the product cards
+ * @property {function|undefined} props.onMoveToCart
+ *    Called once a product was moved to the cart, eg: for the Cart component to be refreshed
+ * @property {WishlistItem[]} state.items
+ *    List of items currently in the wishlist
+ * @property {boolean} state.loading
+ *    Indicates background action pending completion. When true, further UI actions might be blocked
+ */
+export default class Wishlist extends React.Component {
+  constructor() {
+    super();
+    this.state = {
+      items: [],
+      loading: false,
+    };
+  }
+
+  /**
+   * Check the response of the API call to be valid and handle any failures along the way
+   * When the session could not be refreshed (HTTP 401), redirect the user to the login page
+   *
+   * @param {boolean} errored
+   *    Represents whether an error occurred in the process of making the API call itself
+   * @param {Object} response
+   *    The response JSON object which may contain further success or error messages
+   * @returns {boolean}
+   *    Whether validation has passed or not
+   */
+  validateResponse = (errored, response) => {
+    if (errored) {
+      message.error(
+        "Could not update wishlist. Check that the backend is running, reachable and returns valid JSON."
+      );
+      return false;
+    } else if (response.code === 401) {
+      message.error("Your session has expired. Please log in again.");
+      this.props.history.push("/login");
+      return false;
+    } else if (response.message) {
+      message.error(response.message);
+      return false;
+    }
+
+    return true;
+  };
+
+  /**
+   * Perform an API call on the wishlist and return the response, once it passes validation
+   *
+   * @param {string} path
+   *    Path of the wishlist endpoint, relative to /v1
+   * @param {Object} options
+   *    Options for fetch()
+   * @returns {Promise<Object|undefined>}
+   */
+  performAPICall = async (path, options = {}) => {
+    let response = {};
+    let errored = false;
+
+    this.setState({
+      loading: true,
+    });
+
+    try {
+      response = await (
+        await fetchWithAuth(`${config.endpoint}/v1${path}`, {
+          ...options,
+          headers: {
+            "Content-Type": "application/json",
+          },
+        })
+      ).json();
+    } catch (e) {
+      errored = true;
+    }
+
+    this.setState({
+      loading: false,
+    });
+
+    if (this.validateResponse(errored, response)) {
+      return response;
+    }
+  };
+
+  /**
+   * Update the items state variable with the wishlist returned by the backend, and tell the parent component
+   *
+   * @param {{ items: WishlistItem[] }} wishlist
+   */
+  setWishlist = (wishlist) => {
+    this.setState({
+      items: wishlist.items,
+    });
+    if (this.props.onChange) {
+      this.props.onChange(wishlist.items.map((item) => item.product._id));
+    }
+  };
+
+  /**
+   * Function to get/refresh the wishlist from backend and update state variable
+   */
+  refreshWishlist = async () => {
+    const wishlist = await this.performAPICall("/wishlist", {
+      method: "GET",
+    });
+    if (wishlist) {
+      this.setWishlist(wishlist);
+    }
+  };
+
+  /**
+   * Save a product to the wishlist, or remove it if it's already there, eg: when its heart is clicked
+   *
+   * @param {string} productId
+   */
+  toggleProduct = async (productId) => {
+    const saved = this.state.items.some(
+      (item) => item.product._id === productId
+    );
+    const wishlist = saved
+      ? await this.performAPICall(`/wishlist/${productId}`, {
+          method: "DELETE",
+        })
+      : await this.performAPICall("/wishlist", {
+          method: "POST",
+          body: JSON.stringify({ productId }),
+        });
+    if (wishlist) {
+      this.setWishlist(wishlist);
+    }
+  };
+
+  /**
+   * Move a product from the wishlist to the cart
+   *
+   * @param {string} productId
+   */
+  moveToCart = async (productId) => {
+    const response = await this.performAPICall(
+      `/wishlist/${productId}/move-to-cart`,
+      { method: "POST" }
+    );
+    if (response) {
+      this.setWishlist(response.wishlist);
+      if (this.props.onMoveToCart) {
+        this.props.onMoveToCart(response.cart);
+      }
+    }
+  };
+
+  componentDidMount() {
+    this.refreshWishlist();
+  }
+
+  render() {
+    return (
+      <div className="wishlist">
+        <h2>
+          <HeartOutlined /> Saved for later
+        </h2>
+
+        {this.state.items.length ? (
+          this.state.items.map((item) => (
+            <Card className="wishlist-item" key={item.product._id}>
+              <img
+                className="wishlist-item-image"
+                alt={item.product.name}
+                src={item.product.image}
+              />
+
+              <div className="wishlist-item-info">
+                <div className="wishlist-item-name">{item.product.name}</div>
+                <div className="wishlist-item-cost">₹{item.product.cost}</div>
+
+                <div className="wishlist-item-actions">
+                  <Button
+                    size="small"
+                    type="primary"
+                    disabled={item.product.stock <= 0}
+                    onClick={() => this.moveToCart(item.product._id)}
+                  >
+                    {item.product.stock <= 0 ? "Out of stock" : "Move to cart"}
+                  </Button>
+                  <Button
+                    size="small"
+                    icon={<DeleteOutlined />}
+                    onClick={() => this.toggleProduct(item.product._id)}
+                  />
+                </div>
+              </div>
+            </Card>
+          ))
+        ) : (
+          <div className="loading-text">
+            Click the heart on a product to save it for later
+          </div>
+        )}
+
+        {/* Display a loading icon if the "loading" state variable is true */}
+        {this.state.loading && (
+          <div className="loading-overlay">
+            <Spin size="large" />
+          </div>
+        )}
+      </div>
+    );
+  }
+}
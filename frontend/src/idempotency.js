@@ -0,0 +1,8 @@
+/**
+ * Generate a key, unique to an action such as placing an order, for the backend to recognise retries of it by
+ * Send it in the "Idempotency-Key" header, and reuse it when retrying the action till the backend responds
+ *
+ * @returns {string}
+ */
+export const generateIdempotencyKey = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
@@ -19,6 +19,55 @@ const envVarsSchema = Joi.object()
     JWT_ACCESS_EXPIRATION_MINUTES: Joi.number()
       .default(30)
       .description("minutes after which access tokens expire"),
+    JWT_REFRESH_EXPIRATION_DAYS: Joi.number()
+      .default(30)
+      .description("days after which refresh tokens expire"),
+    JWT_RESET_PASSWORD_EXPIRATION_MINUTES: Joi.number()
+      .default(10)
+      .description("minutes after which reset password tokens expire"),
+    JWT_GUEST_EXPIRATION_DAYS: Joi.number()
+      .default(30)
+      .description("days after which guest tokens expire, and guest carts left untouched are removed"),
+    EMAIL_TRANSPORT: Joi.string()
+      .valid("memory", "file")
+      .default("file")
+      .description("transport used to send emails"),
+    EMAIL_OUTBOX_DIR: Joi.string()
+      .default("outbox")
+      .description("directory the file transport writes emails to"),
+    EMAIL_FROM: Joi.string()
+      .default("QKart <support@qkart.com>")
+      .description("the from field in the emails sent by the app"),
+    CLIENT_URL: Joi.string()
+      .default("http://localhost:8081")
+      .description("url of the frontend, used for links in emails"),
+    SHIPPING_CHARGE: Joi.number()
+      .min(0)
+      .default(0)
+      .description("flat shipping charge added to each order"),
+    FREE_SHIPPING_THRESHOLD: Joi.number()
+      .min(0)
+      .description("order subtotal from which shipping is free"),
+    TAX_RATE: Joi.number()
+      .min(0)
+      .max(1)
+      .default(0)
+      .description("tax charged on the order, as a fraction of the discounted subtotal"),
+    COD_MAX_ORDER_TOTAL: Joi.number()
+      .min(0)
+      .default(5000)
+      .description("largest order total that can be paid cash on delivery"),
+    PAYMENT_GATEWAY: Joi.string()
+      .when("NODE_ENV", {
+        is: "production",
+        then: Joi.string().invalid("fake").required(),
+        otherwise: Joi.string().default("fake"),
+      })
+      .description("path to the module exporting the payment gateway adapter, or \"fake\" outside production"),
+    IDEMPOTENCY_KEY_TTL_HOURS: Joi.number()
+      .min(0)
+      .default(24)
+      .description("hours for which the response to a request with an Idempotency-Key is replayed"),
   })
   .unknown();
 
@@ -46,5 +95,26 @@ module.exports = {
   jwt: {
     secret: envVars.JWT_SECRET,
     accessExpirationMinutes: envVars.JWT_ACCESS_EXPIRATION_MINUTES,
+    refreshExpirationDays: envVars.JWT_REFRESH_EXPIRATION_DAYS,
+    resetPasswordExpirationMinutes: envVars.JWT_RESET_PASSWORD_EXPIRATION_MINUTES,
+    guestExpirationDays: envVars.JWT_GUEST_EXPIRATION_DAYS,
+  },
+  email: {
+    transport: envVars.NODE_ENV === "test" ? "memory" : envVars.EMAIL_TRANSPORT,
+    outboxDir: envVars.EMAIL_OUTBOX_DIR,
+    from: envVars.EMAIL_FROM,
+  },
+  clientUrl: envVars.CLIENT_URL,
+  pricing: {
+    shippingCharge: envVars.SHIPPING_CHARGE,
+    freeShippingThreshold: envVars.FREE_SHIPPING_THRESHOLD,
+    taxRate: envVars.TAX_RATE,
+  },
+  payments: {
+    codMaxOrderTotal: envVars.COD_MAX_ORDER_TOTAL,
+    gateway: envVars.PAYMENT_GATEWAY,
+  },
+  idempotency: {
+    keyTtlHours: envVars.IDEMPOTENCY_KEY_TTL_HOURS,
   },
 };
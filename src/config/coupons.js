@@ -0,0 +1,10 @@
+const couponTypes = {
+  // Takes a percentage off the products the coupon applies to
+  PERCENTAGE: "percentage",
+  // Takes a fixed amount off, up to the cost of the products the coupon applies to
+  FLAT: "flat",
+};
+
+module.exports = {
+  couponTypes,
+};
@@ -0,0 +1,23 @@
+const orderStatuses = {
+  PLACED: "PLACED",
+  CONFIRMED: "CONFIRMED",
+  SHIPPED: "SHIPPED",
+  DELIVERED: "DELIVERED",
+  CANCELLED: "CANCELLED",
+  RETURNED: "RETURNED",
+};
+
+// The statuses an order can move to from each status. Orders can be cancelled only till they're shipped
+const orderStatusTransitions = {
+  [orderStatuses.PLACED]: [orderStatuses.CONFIRMED, orderStatuses.CANCELLED],
+  [orderStatuses.CONFIRMED]: [orderStatuses.SHIPPED, orderStatuses.CANCELLED],
+  [orderStatuses.SHIPPED]: [orderStatuses.DELIVERED],
+  [orderStatuses.DELIVERED]: [orderStatuses.RETURNED],
+  [orderStatuses.CANCELLED]: [],
+  [orderStatuses.RETURNED]: [],
+};
+
+module.exports = {
+  orderStatuses,
+  orderStatusTransitions,
+};
@@ -2,16 +2,18 @@ const JWTStrategy = require("passport-jwt").Strategy;
 const ExtractJWT = require("passport-jwt").ExtractJwt;
 const config = require("./config");
 const { tokenTypes } = require("./tokens");
-const { User } = require("../models");
+const { User, Token } = require("../models");
 
 /**
  * These config options are required
  * Option 1: jwt secret environment variable set in ".env"
  * Option 2: mechanism to fetch jwt token from request Authentication header with the "bearer" auth scheme
+ * Option 3: pass the request to the verify callback so it can check whether the token itself was revoked
  */
 const jwtOptions = {
   secretOrKey: config.jwt.secret,
-  jwtFromRequest: ExtractJWT.fromAuthHeaderAsBearerToken()
+  jwtFromRequest: ExtractJWT.fromAuthHeaderAsBearerToken(),
+  passReqToCallback: true,
 };
 
 
@@ -22,24 +24,42 @@ const jwtOptions = {
  * - Find user object matching the decoded jwt token
  * - If there's a valid user, return the user in the callback function
  * - If user not found, return `false` in the user field in the callback function
+ * - If the token was revoked, i.e. it was blacklisted on logout or issued before the user logged out of all devices,
+ *   return `false` in the user field in the callback function
+ * - Otherwise, set the `req.token` property to the token so that it can be revoked on logout
  * - If the function errs, return the error in the callback function
  *
+ * @param req - the request being authenticated
  * @param payload - the payload the token was generated with
  * @param done - callback function
  */
-const jwtVerify = async (payload, done) => {
+const jwtVerify = async (req, payload, done) => {
   try{
     if (payload.type !== tokenTypes.ACCESS){
       return done(new Error("Invalid token type"), false);
     }
 
     const user = await User.findById(payload.sub);
-    if (user) return done(null, user);
-    return done(null, false);
+    if (!user) return done(null, false);
+
+    if (user.tokensRevokedAt && payload.iat * 1000 <= user.tokensRevokedAt.getTime()) {
+      return done(null, false);
+    }
+
+    const token = jwtOptions.jwtFromRequest(req);
+    const isBlacklisted = await Token.exists({
+      token,
+      type: tokenTypes.ACCESS,
+      blacklisted: true,
+    });
+    if (isBlacklisted) return done(null, false);
+
+    req.token = token;
+    return done(null, user);
     
   }
   catch(err){
-    return done(error, false);
+    return done(err, false);
   }
 };
 
@@ -0,0 +1,32 @@
+const paymentStatuses = {
+  PENDING: "pending",
+  // The amount is held on the card, to be captured (SUCCEEDED) or released (CANCELLED)
+  AUTHORIZED: "authorized",
+  SUCCEEDED: "succeeded",
+  DECLINED: "declined",
+  // The hold on the card was released without taking the payment
+  CANCELLED: "cancelled",
+  // The payment was given back, eg: to the wallet when the order was cancelled
+  REFUNDED: "refunded",
+};
+
+// Card numbers the fake payment gateway understands, any other card is declined
+const testCards = {
+  SUCCEEDS: "4242424242424242",
+  DECLINED: "4000000000000002",
+  PENDING: "4000000000000077",
+};
+
+// Ways to pay for an order, chosen on the cart before checkout
+// Carts that were never given one (config.default_payment_option) are paid for from the wallet
+const paymentOptions = {
+  WALLET: "PAYMENT_OPTION_WALLET",
+  COD: "PAYMENT_OPTION_COD",
+  CARD: "PAYMENT_OPTION_CARD",
+};
+
+module.exports = {
+  paymentStatuses,
+  paymentOptions,
+  testCards,
+};
@@ -0,0 +1,8 @@
+const roles = {
+  USER: "user",
+  ADMIN: "admin",
+};
+
+module.exports = {
+  roles,
+};
@@ -2,6 +2,7 @@ const tokenTypes = {
   ACCESS: "access",
   REFRESH: "refresh",
   RESET_PASSWORD: "resetPassword",
+  GUEST: "guest",
 };
 
 module.exports = {
@@ -0,0 +1,15 @@
+const walletTransactionTypes = {
+  CREDIT: "credit",
+  DEBIT: "debit",
+};
+
+const walletTransactionReasons = {
+  ORDER_PAYMENT: "orderPayment",
+  TOP_UP: "topUp",
+  REFUND: "refund",
+};
+
+module.exports = {
+  walletTransactionTypes,
+  walletTransactionReasons,
+};
@@ -1,11 +1,17 @@
 const httpStatus = require("http-status");
 const catchAsync = require("../utils/catchAsync");
-const { authService, userService, tokenService } = require("../services");
+const {
+  authService,
+  userService,
+  tokenService,
+  cartService,
+} = require("../services");
 const { generateAuthTokens } = require("../services/token.service");
 
 /**
  * Perform the following steps:
  * -  Call the userService to create a new user
+ * -  Merge the cart of the guest whose guest token was sent, if any, into the user's cart
  * -  Generate auth tokens for the user
  * -  Send back
  * --- "201 Created" status code
@@ -27,6 +33,10 @@ const { generateAuthTokens } = require("../services/token.service");
  *      "access": {
  *          "token": "eyJhbGciOiJIUz....",
  *          "expires": "2020-10-22T09:29:01.745Z"
+ *      },
+ *      "refresh": {
+ *          "token": "eyJhbGciOiJIUz....",
+ *          "expires": "2020-11-21T05:29:01.745Z"
  *      }
  *  }
  *}
@@ -35,6 +45,9 @@ const { generateAuthTokens } = require("../services/token.service");
 const register = catchAsync(async (req, res) => {
   
   const user = await userService.createUser(req.body);
+  if (req.guestId) {
+    await cartService.mergeGuestCart(user, req.guestId);
+  }
   const tokens = await generateAuthTokens(user);
   res.status(201).json({user, tokens});
 });
@@ -42,6 +55,7 @@ const register = catchAsync(async (req, res) => {
 /**
  * Perform the following steps:
  * -  Call the authservice to verify is password and email is valid
+ * -  Merge the cart of the guest whose guest token was sent, if any, into the user's cart
  * -  Generate auth tokens
  * -  Send back
  * --- "200 OK" status code
@@ -63,6 +77,10 @@ const register = catchAsync(async (req, res) => {
  *      "access": {
  *          "token": "eyJhbGciOiJIUz....",
  *          "expires": "2020-10-22T09:29:01.745Z"
+ *      },
+ *      "refresh": {
+ *          "token": "eyJhbGciOiJIUz....",
+ *          "expires": "2020-11-21T05:29:01.745Z"
  *      }
  *  }
  *}
@@ -71,11 +89,106 @@ const register = catchAsync(async (req, res) => {
 const login = catchAsync(async (req, res) => {
   const { email, password } = req.body;
   const user = await authService.loginUserWithEmailAndPassword(email, password);
+  if (req.guestId) {
+    await cartService.mergeGuestCart(user, req.guestId);
+  }
   const tokens = await tokenService.generateAuthTokens(user);
   res.status(200).json({user, tokens});
 });
 
+/**
+ * Issue a guest token, for a visitor who hasn't logged in to keep a cart with
+ * - The token is sent in the "X-Guest-Token" header of the cart requests, and of the login or register request
+ *   to merge the guest's cart into the user's cart
+ * - Send back "201 Created" status code and the token
+ *
+ * Example response:
+ *
+ * {
+ *  "tokens": {
+ *      "guest": {
+ *          "token": "eyJhbGciOiJIUz....",
+ *          "expires": "2020-11-21T05:29:01.745Z"
+ *      }
+ *  }
+ *}
+ *
+ */
+const createGuest = catchAsync(async (req, res) => {
+  const { token, expires } = tokenService.generateGuestToken();
+  res.status(httpStatus.CREATED).json({ tokens: { guest: { token, expires } } });
+});
+
+/**
+ * Exchange a refresh token for a new pair of access and refresh tokens
+ * - The refresh token sent can't be used again
+ * - Send back "200 OK" status code and the new tokens
+ *
+ * Example response:
+ *
+ * {
+ *  "tokens": {
+ *      "access": {
+ *          "token": "eyJhbGciOiJIUz....",
+ *          "expires": "2020-10-22T09:29:01.745Z"
+ *      },
+ *      "refresh": {
+ *          "token": "eyJhbGciOiJIUz....",
+ *          "expires": "2020-11-21T05:29:01.745Z"
+ *      }
+ *  }
+ *}
+ *
+ */
+const refreshTokens = catchAsync(async (req, res) => {
+  const tokens = await authService.refreshAuth(req.body.refreshToken);
+  res.status(httpStatus.OK).json({ tokens });
+});
+
+/**
+ * Logout the current session
+ * - Revoke the access token the request was authenticated with, and the refresh token sent in the body (if any)
+ * - Send back "204 No Content" status code
+ */
+const logout = catchAsync(async (req, res) => {
+  await authService.logout(req.user, req.token, req.body.refreshToken);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+/**
+ * Logout all sessions of the user, on every device
+ * - Send back "204 No Content" status code
+ */
+const logoutAll = catchAsync(async (req, res) => {
+  await authService.logoutAll(req.user);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+/**
+ * Email a link to reset their password to the user with the given email
+ * - Send back "204 No Content" status code, whether or not a user with the email exists
+ */
+const forgotPassword = catchAsync(async (req, res) => {
+  await authService.forgotPassword(req.body.email);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+/**
+ * Set a new password for the user the reset password token in the "token" query param was sent to
+ * - Send back "204 No Content" status code
+ */
+const resetPassword = catchAsync(async (req, res) => {
+  await authService.resetPassword(req.query.token, req.body.password);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
 module.exports= {
   register,
   login,
+  createGuest,
+  refreshTokens,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
 };
@@ -26,14 +26,40 @@ const { cartService } = require("../services");
  *      }
  *  ],
  *  "paymentOption": "PAYMENT_OPTION_DEFAULT",
- *  "__v": 33
+ *  "couponCode": "SPORTS10",
+ *  "__v": 33,
+ *  "pricing": {
+ *      "items": [{ "productId": "5f71c1ca04c69a5874e9fd45", "name": "ball", "cost": 20, "quantity": 2, "subtotal": 40 }],
+ *      "subtotal": 40,
+ *      "discount": 4,
+ *      "shipping": 0,
+ *      "tax": 0,
+ *      "total": 36
+ *  },
+ *  "changes": [
+ *      {
+ *          "type": "PRICE_CHANGED",
+ *          "productId": "5f71c1ca04c69a5874e9fd45",
+ *          "name": "ball",
+ *          "oldCost": 15,
+ *          "newCost": 20
+ *      }
+ *  ]
  * }
- * 
+ *
+ * "changes" lists the products whose price changed or that were removed since they were added to the cart
+ * "pricing" is what checking out the cart would charge, see pricingService.priceCart()
+ * "couponError" says why the coupon applied to the cart isn't taking anything off, if it isn't, eg: "Coupon has expired"
  *
  */
 const getCart = catchAsync(async (req, res) => {
   const cart = await cartService.getCartByUser(req.user);
-  res.send(cart);
+  res.send({
+    ...cart.toJSON(),
+    changes: cart.$locals.changes,
+    pricing: cart.$locals.pricing,
+    couponError: cart.$locals.couponError,
+  });
 });
 
 /**
@@ -45,7 +71,8 @@ const addProductToCart = catchAsync(async (req, res) => {
   const cart = await cartService.addProductToCart(
     req.user,
     req.body.productId,
-    req.body.quantity
+    req.body.quantity,
+    req.body.variantId
   );
 
   res.status(httpStatus.CREATED).send(cart);
@@ -69,32 +96,153 @@ const addProductToCart = catchAsync(async (req, res) => {
 
 const updateProductInCart = catchAsync(async (req, res) => {
   if (req.body.quantity == 0) {
-    await cartService.deleteProductFromCart(req.user, req.body.productId);
+    await cartService.deleteProductFromCart(
+      req.user,
+      req.body.productId,
+      req.body.variantId
+    );
     return res.status(httpStatus.NO_CONTENT).send();
   }
 
   const cart = await cartService.updateProductInCart(
     req.user,
     req.body.productId,
-    req.body.quantity
+    req.body.quantity,
+    req.body.variantId
   );
 
   return res.status(httpStatus.OK).send(cart);
 });
 
 /**
- * Checkout user's cart
+ * Set how the user will pay for the cart at checkout
+ *
+ * Example request body:
+ * {
+ *  "paymentOption": "PAYMENT_OPTION_COD"
+ * }
+ *
+ * Example response:
+ * HTTP 200 - the updated cart object
+ * HTTP 404 - if the user doesn't have a cart
+ */
+const setPaymentOption = catchAsync(async (req, res) => {
+  const cart = await cartService.setPaymentOption(
+    req.user,
+    req.body.paymentOption
+  );
+  res.status(httpStatus.OK).send(cart);
+});
+
+/**
+ * Move a product from the user's cart to their wishlist, to buy later
+ *
+ * Example responses:
+ * HTTP 200 - { "cart": <the cart>, "wishlist": <the wishlist, same as for GET /v1/wishlist> }
+ * HTTP 400 - if the user doesn't have a cart or the product isn't in it
+ */
+const saveForLater = catchAsync(async (req, res) => {
+  const { cart, wishlist } = await cartService.saveForLater(
+    req.user,
+    req.params.productId
+  );
+  res.send({ cart, wishlist });
+});
+
+/**
+ * Apply a coupon to the user's cart
+ *
+ * Example request body:
+ * {
+ *  "code": "SPORTS10"
+ * }
+ *
+ * Example response:
+ * HTTP 200 - the cart object, with its "pricing", same as for GET /v1/cart
+ * HTTP 400 - if the coupon can't be used on the cart, eg: "Coupon has expired"
+ * HTTP 404 - if the user doesn't have a cart
+ */
+const applyCoupon = catchAsync(async (req, res) => {
+  const cart = await cartService.applyCoupon(req.user, req.body.code);
+  res.send({ ...cart.toJSON(), pricing: cart.$locals.pricing });
+});
+
+/**
+ * Remove the coupon applied to the user's cart
+ *
+ * Example response:
+ * HTTP 200 - the cart object, with its "pricing", same as for GET /v1/cart
+ * HTTP 404 - if the user doesn't have a cart
+ */
+const removeCoupon = catchAsync(async (req, res) => {
+  const cart = await cartService.removeCoupon(req.user);
+  res.send({ ...cart.toJSON(), pricing: cart.$locals.pricing });
+});
+
+/**
+ * Checkout user's cart and ship the order to the address selected by the user
+ * The order is paid for by the cart's payment option. Paying by card needs the "cardNumber" to charge
+ *
+ * Example request body:
+ * {
+ *  "addressId": "6010008e6c3477697e8eaba9",
+ *  "cardNumber": "4242424242424242"
+ * }
+ *
+ * Example response:
+ * HTTP 200
+ * {
+ *  "orderId": "6010008e6c3477697e8eabb1",
+ *  "pricing": {
+ *      "items": [
+ *          {
+ *              "productId": "5f71c1ca04c69a5874e9fd45",
+ *              "name": "ball",
+ *              "cost": 20,
+ *              "quantity": 2,
+ *              "subtotal": 40
+ *          }
+ *      ],
+ *      "subtotal": 40,
+ *      "discount": 0,
+ *      "shipping": 0,
+ *      "tax": 0,
+ *      "total": 40
+ *  },
+ *  "paymentOption": "PAYMENT_OPTION_WALLET",
+ *  "paymentStatus": "succeeded",
+ *  "walletMoney": 460
+ * }
+ *
+ * "paymentStatus" is "pending" for cash on delivery orders, and card payments the gateway hasn't confirmed yet.
+ * Card payments confirmed but not taken yet, eg: as the gateway couldn't be reached, are "authorized"
+ *
+ * HTTP 400 - if the payment option's rules aren't met, eg: not enough wallet balance or no card number to pay by card
+ * HTTP 402 - if the card payment was declined
+ * HTTP 409 - if the price of some products in the cart changed or they were removed, fetch the cart to review the changes
  */
 const checkout = catchAsync(async (req, res) => {
-  await cartService.checkout(req.user);
-  return (
-    res.status(204).send()
+  const { order, pricing, user } = await cartService.checkout(
+    req.user,
+    req.body.addressId,
+    req.body.cardNumber
   );
+  res.status(httpStatus.OK).send({
+    orderId: order._id,
+    pricing,
+    paymentOption: order.paymentOption,
+    paymentStatus: order.paymentStatus,
+    walletMoney: user.walletMoney,
+  });
 });
 
 module.exports = {
   getCart,
   addProductToCart,
   updateProductInCart,
+  setPaymentOption,
+  saveForLater,
+  applyCoupon,
+  removeCoupon,
   checkout,
 };
@@ -0,0 +1,63 @@
+const httpStatus = require("http-status");
+const catchAsync = require("../utils/catchAsync");
+const { categoryService } = require("../services");
+
+/**
+ * Get all the categories as a tree, with the number of products in each
+ *
+ * Example response:
+ * HTTP 200
+ * [
+ *  {
+ *      "_id": "6010008e6c3477697e8eabe1",
+ *      "name": "Electronics",
+ *      "slug": "electronics",
+ *      "parent": null,
+ *      "order": 0,
+ *      "productCount": 12,
+ *      "children": [
+ *          {
+ *              "_id": "6010008e6c3477697e8eabe2",
+ *              "name": "Phones",
+ *              "slug": "phones",
+ *              "parent": "6010008e6c3477697e8eabe1",
+ *              "order": 0,
+ *              "productCount": 8,
+ *              "children": []
+ *          }
+ *      ]
+ *  }
+ * ]
+ *
+ * "productCount" includes the products of the nested categories
+ */
+const getCategories = catchAsync(async (req, res) => {
+  const categories = await categoryService.getCategoryTree();
+  res.send(categories);
+});
+
+/**
+ * Create a category (Admin only)
+ *
+ * Example request:
+ * POST /v1/categories
+ * {
+ *      "name": "Phones",
+ *      "parent": "6010008e6c3477697e8eabe1",
+ *      "order": 0
+ * }
+ *
+ * Example responses:
+ * HTTP 201 - with the created category
+ * HTTP 400 - if the parent category doesn't exist, or the slug is taken
+ *
+ */
+const createCategory = catchAsync(async (req, res) => {
+  const category = await categoryService.createCategory(req.body);
+  res.status(httpStatus.CREATED).send(category);
+});
+
+module.exports = {
+  getCategories,
+  createCategory,
+};
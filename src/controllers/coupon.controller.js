@@ -0,0 +1,33 @@
+const httpStatus = require("http-status");
+const catchAsync = require("../utils/catchAsync");
+const { couponService } = require("../services");
+
+/**
+ * Create a coupon (Admin only)
+ *
+ * Example request:
+ * POST /v1/coupons
+ * {
+ *      "code": "SPORTS10",
+ *      "type": "percentage",
+ *      "value": 10,
+ *      "category": "Sports",
+ *      "minCartValue": 100,
+ *      "expiresAt": "2021-12-31T23:59:59.000Z",
+ *      "usageLimit": 500,
+ *      "perUserLimit": 1
+ * }
+ *
+ * Example responses:
+ * HTTP 201 - with the created coupon
+ * HTTP 400 - if the coupon code already exists
+ *
+ */
+const createCoupon = catchAsync(async (req, res) => {
+  const coupon = await couponService.createCoupon(req.body);
+  res.status(httpStatus.CREATED).send(coupon);
+});
+
+module.exports = {
+  createCoupon,
+};
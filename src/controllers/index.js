@@ -2,3 +2,8 @@ module.exports.userController = require("./user.controller");
 module.exports.authController = require("./auth.controller");
 module.exports.productController = require("./product.controller");
 module.exports.cartController = require("./cart.controller");
+module.exports.orderController = require("./order.controller");
+module.exports.couponController = require("./coupon.controller");
+module.exports.wishlistController = require("./wishlist.controller");
+module.exports.reviewController = require("./review.controller");
+module.exports.categoryController = require("./category.controller");
@@ -0,0 +1,132 @@
+const httpStatus = require("http-status");
+const ApiError = require("../utils/ApiError");
+const catchAsync = require("../utils/catchAsync");
+const { orderService } = require("../services");
+const { orderStatuses } = require("../config/orders");
+
+/**
+ * Get the orders placed by the logged in user, most recent first
+ *
+ * Example response:
+ * HTTP 200
+ * [
+ *  {
+ *      "_id": "6010008e6c3477697e8eabb1",
+ *      "userId": "6010008e6c3477697e8eaba3",
+ *      "email": "crio-user@gmail.com",
+ *      "orderItems": [
+ *          {
+ *              "product": "5f71c1ca04c69a5874e9fd45",
+ *              "name": "ball",
+ *              "category": "Sports",
+ *              "image": "google.com",
+ *              "cost": 20,
+ *              "quantity": 2
+ *          }
+ *      ],
+ *      "total": 40,
+ *      "shippingAddress": {
+ *          "addressId": "6010008e6c3477697e8eaba9",
+ *          "address": "No. 341, Banashankari, Bangalore, India"
+ *      },
+ *      "paymentOption": "PAYMENT_OPTION_WALLET",
+ *      "paymentStatus": "succeeded",
+ *      "status": "SHIPPED",
+ *      "statusHistory": [
+ *          { "status": "PLACED", "at": "2021-01-26T11:44:14.544Z" },
+ *          { "status": "CONFIRMED", "at": "2021-01-26T12:02:51.108Z" },
+ *          { "status": "SHIPPED", "at": "2021-01-27T09:30:00.000Z" }
+ *      ],
+ *      "createdAt": "2021-01-26T11:44:14.544Z",
+ *      "updatedAt": "2021-01-26T11:44:14.544Z",
+ *      "__v": 0
+ *  }
+ * ]
+ */
+const getOrders = catchAsync(async (req, res) => {
+  const orders = await orderService.getOrdersByUser(req.user);
+  res.send(orders);
+});
+
+/**
+ * Get an order by orderId
+ *
+ * Example response status codes:
+ * HTTP 200 - If request successfully completes
+ * HTTP 403 - If the order was placed by a different user
+ * HTTP 404 - If order entity not found in DB
+ */
+const getOrder = catchAsync(async (req, res) => {
+  const order = await orderService.getOrderById(req.params.orderId);
+  if (!order) {
+    throw new ApiError(httpStatus.NOT_FOUND, "Order not found");
+  }
+  if (order.userId.toString() !== req.user._id.toString()) {
+    throw new ApiError(
+      httpStatus.FORBIDDEN,
+      "User not authorized to access this resource"
+    );
+  }
+  res.send(order);
+});
+
+/**
+ * Cancel an order placed by the logged in user. Orders can be cancelled till they're shipped
+ * What was paid for the order is refunded to the wallet, and its items are put back in stock
+ *
+ * Example response:
+ * HTTP 200 - the cancelled order
+ *
+ * Example response status codes:
+ * HTTP 400 - If the order can't be cancelled any more, eg: it has been shipped
+ * HTTP 403 - If the order was placed by a different user
+ * HTTP 404 - If order entity not found in DB
+ */
+const cancelOrder = catchAsync(async (req, res) => {
+  const order = await orderService.getOrderById(req.params.orderId);
+  if (!order) {
+    throw new ApiError(httpStatus.NOT_FOUND, "Order not found");
+  }
+  if (order.userId.toString() !== req.user._id.toString()) {
+    throw new ApiError(
+      httpStatus.FORBIDDEN,
+      "User not authorized to access this resource"
+    );
+  }
+
+  const cancelled = await orderService.updateOrderStatus(
+    order._id,
+    orderStatuses.CANCELLED
+  );
+  res.send(cancelled);
+});
+
+/**
+ * Move an order on to a new status (admin only)
+ *
+ * Example request body:
+ * {
+ *  "status": "SHIPPED"
+ * }
+ *
+ * Example response:
+ * HTTP 200 - the updated order
+ *
+ * Example response status codes:
+ * HTTP 400 - If the order can't move from its status to the new one
+ * HTTP 404 - If order entity not found in DB
+ */
+const updateOrderStatus = catchAsync(async (req, res) => {
+  const order = await orderService.updateOrderStatus(
+    req.params.orderId,
+    req.body.status
+  );
+  res.send(order);
+});
+
+module.exports = {
+  getOrders,
+  getOrder,
+  cancelOrder,
+  updateOrderStatus,
+};
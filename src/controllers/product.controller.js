@@ -1,7 +1,8 @@
 const httpStatus = require("http-status");
 const ApiError = require("../utils/ApiError");
 const catchAsync = require("../utils/catchAsync");
-const { productService } = require("../services");
+const pick = require("../utils/pick");
+const { productService, searchService } = require("../services");
 
 /**
  * Get product by productId
@@ -29,39 +30,174 @@ const getProductById = catchAsync(async (req, res) => {
 });
 
 /**
- * Get list of all products (Not authenticated route)
+ * Get a page of products matching the search, filter and sort query params (Not authenticated route)
+ *
+ * Example request:
+ * GET /v1/products?q=ball&category=Sports&minCost=10&maxCost=50&minRating=3&sortBy=cost:asc&page=1&limit=10
  *
  * Example responses:
  * HTTP 200
  *
- * [
- *  {
- *      "_id": "5f71c1ca04c69a5874e9fd45",
+ * {
+ *  "results": [
+ *      {
+ *          "_id": "5f71c1ca04c69a5874e9fd45",
+ *          "name": "ball",
+ *          "category": "Sports",
+ *          "rating": 5,
+ *          "cost": 20,
+ *          "image": "google.com",
+ *          "__v": 0
+ *      },
+ *      {
+ *          "_id": "5f71c1ca04c69a5874e9fd46",
+ *          "name": "bat",
+ *          "category": "Sports",
+ *          "rating": 3,
+ *          "cost": 20,
+ *          "image": "google.com",
+ *          "__v": 0
+ *      }
+ *  ],
+ *  "page": 1,
+ *  "limit": 10,
+ *  "totalPages": 1,
+ *  "totalResults": 2
+ * }
+ *
+ */
+const getProducts = catchAsync(async (req, res) => {
+  const filter = pick(req.query, [
+    "q",
+    "category",
+    "categoryId",
+    "minCost",
+    "maxCost",
+    "minRating",
+  ]);
+  const options = pick(req.query, ["sortBy", "limit", "page"]);
+  const result = await productService.queryProducts(filter, options);
+  res.send(result);
+});
+
+/**
+ * Search the name, category and description of the products, most relevant first (Not authenticated route)
+ * - "fuzzy" is true when no product has the words searched for, and the results are the products with similar words
+ * - "highlights" has the ranges of characters of each field that match the search, to highlight
+ *
+ * Example request:
+ * GET /v1/products/search?q=tooth%20past&page=1&limit=10
+ *
+ * Example responses:
+ * HTTP 200
+ *
+ * {
+ *  "results": [
+ *      {
+ *          "_id": "6005913ffaa2bffe60466954",
+ *          "name": "toothpaste",
+ *          "category": "Health",
+ *          "rating": 4,
+ *          "cost": 100,
+ *          "image": "google.com",
+ *          "score": 0.617,
+ *          "highlights": {
+ *              "name": [{ "start": 0, "end": 9 }]
+ *          }
+ *      }
+ *  ],
+ *  "page": 1,
+ *  "limit": 10,
+ *  "totalPages": 1,
+ *  "totalResults": 1,
+ *  "fuzzy": true
+ * }
+ *
+ */
+const searchProducts = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ["q", "categoryId"]);
+  const options = pick(req.query, ["limit", "page"]);
+  const result = await searchService.searchProducts(filter, options);
+  res.send(result);
+});
+
+/**
+ * Create a product (Admin only)
+ *
+ * Example request:
+ * POST /v1/products
+ * {
  *      "name": "ball",
- *      "category": "Sports",
+ *      "categoryId": "6010008e6c3477697e8eabe1",
  *      "rating": 5,
  *      "cost": 20,
- *      "image": "google.com",
- *      "__v": 0
- *  },
- *  {
- *      "_id": "5f71c1ca04c69a5874e9fd46",
- *      "name": "bat",
+ *      "image": "https://i.imgur.com/lulqWzW.jpg"
+ * }
+ *
+ * Example responses:
+ * HTTP 201
+ * {
+ *      "_id": "5f71c1ca04c69a5874e9fd45",
+ *      "name": "ball",
  *      "category": "Sports",
- *      "rating": 3,
+ *      "categoryId": "6010008e6c3477697e8eabe1",
+ *      "rating": 5,
  *      "cost": 20,
- *      "image": "google.com",
+ *      "image": "https://i.imgur.com/lulqWzW.jpg",
  *      "__v": 0
- *  }
- *]
+ * }
+ *
+ * HTTP 400 - if there's no category with the categoryId
  *
  */
-const getProducts = catchAsync(async (req, res) => {
-  const products = await productService.getProducts();
-  res.send(products);
+const createProduct = catchAsync(async (req, res) => {
+  const product = await productService.createProduct(req.body);
+  res.status(httpStatus.CREATED).send(product);
+});
+
+/**
+ * Update some of the fields of a product (Admin only)
+ *
+ * Example request:
+ * PATCH /v1/products/5f71c1ca04c69a5874e9fd45
+ * {
+ *      "cost": 25
+ * }
+ *
+ * Example responses:
+ * HTTP 200 - with the updated product, same as for GET /v1/products/:productId
+ *
+ * HTTP 400 - if there's no category with the categoryId
+ * HTTP 404 - if there's no product with the productId
+ *
+ */
+const updateProduct = catchAsync(async (req, res) => {
+  const product = await productService.updateProductById(
+    req.params.productId,
+    req.body
+  );
+  res.send(product);
+});
+
+/**
+ * Delete a product (Admin only)
+ *
+ * Example responses:
+ * HTTP 204 - on successful deletion
+ *
+ * HTTP 404 - if there's no product with the productId
+ *
+ */
+const deleteProduct = catchAsync(async (req, res) => {
+  await productService.deleteProductById(req.params.productId);
+  res.status(httpStatus.NO_CONTENT).send();
 });
 
 module.exports = {
   getProductById,
   getProducts,
+  searchProducts,
+  createProduct,
+  updateProduct,
+  deleteProduct,
 };
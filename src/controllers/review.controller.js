@@ -0,0 +1,89 @@
+const httpStatus = require("http-status");
+const catchAsync = require("../utils/catchAsync");
+const pick = require("../utils/pick");
+const { reviewService } = require("../services");
+
+/**
+ * Review a product as the logged in user
+ *
+ * Example request body:
+ * {
+ *  "rating": 4,
+ *  "title": "Bounces well",
+ *  "body": "Held up to a whole season of practice"
+ * }
+ *
+ * Example responses:
+ * HTTP 201
+ * {
+ *  "_id": "6010008e6c3477697e8eabc1",
+ *  "productId": "5f71c1ca04c69a5874e9fd45",
+ *  "userId": "6010008e6c3477697e8eaba3",
+ *  "author": "crio-user",
+ *  "rating": 4,
+ *  "title": "Bounces well",
+ *  "body": "Held up to a whole season of practice",
+ *  "verifiedPurchase": true,
+ *  "createdAt": "2021-01-26T11:44:14.544Z",
+ *  "updatedAt": "2021-01-26T11:44:14.544Z"
+ * }
+ * HTTP 400 - if the user has already reviewed the product
+ * HTTP 404 - if the product doesn't exist
+ */
+const createReview = catchAsync(async (req, res) => {
+  const review = await reviewService.createReview(
+    req.user,
+    req.params.productId,
+    req.body
+  );
+  res.status(httpStatus.CREATED).send(review);
+});
+
+/**
+ * Get the reviews of a product, most recent first
+ *
+ * Example request:
+ * GET /v1/products/5f71c1ca04c69a5874e9fd45/reviews?page=1&limit=10
+ *
+ * Example responses:
+ * HTTP 200
+ * {
+ *  "results": [<review>, ...],
+ *  "page": 1,
+ *  "limit": 10,
+ *  "totalPages": 1,
+ *  "totalResults": 1
+ * }
+ * HTTP 404 - if the product doesn't exist
+ */
+const getReviews = catchAsync(async (req, res) => {
+  const options = pick(req.query, ["limit", "page"]);
+  const result = await reviewService.queryReviews(
+    req.params.productId,
+    options
+  );
+  res.send(result);
+});
+
+/**
+ * Get the rating of a product and how many of its reviews gave each rating, from 1 to 5 stars
+ *
+ * Example responses:
+ * HTTP 200
+ * {
+ *  "rating": 3.5,
+ *  "reviewCount": 2,
+ *  "breakdown": { "1": 0, "2": 1, "3": 0, "4": 0, "5": 1 }
+ * }
+ * HTTP 404 - if the product doesn't exist
+ */
+const getRatingSummary = catchAsync(async (req, res) => {
+  const summary = await reviewService.getRatingSummary(req.params.productId);
+  res.send(summary);
+});
+
+module.exports = {
+  createReview,
+  getReviews,
+  getRatingSummary,
+};
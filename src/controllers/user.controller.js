@@ -1,7 +1,13 @@
 const httpStatus = require("http-status");
 const ApiError = require("../utils/ApiError");
 const catchAsync = require("../utils/catchAsync");
-const { userService } = require("../services/index");
+const pick = require("../utils/pick");
+const {
+  userService,
+  walletService,
+  paymentService,
+} = require("../services/index");
+const { paymentStatuses } = require("../config/payments");
 
 // TODO: CRIO_TASK_MODULE_UNDERSTANDING_BASICS - Implement getUser() function
 /**
@@ -164,10 +170,135 @@ const deleteAddress = catchAsync(async (req, res, next) => {
   res.send({ success: true });
 });
 
+/**
+ * Get a page of the transactions in the user's wallet, most recent first
+ *
+ * Example request:
+ * GET /v1/users/6010008e6c3477697e8eaba3/wallet/transactions?page=1&limit=10
+ *
+ * Example response:
+ * HTTP 200
+ * {
+ *  "results": [
+ *      {
+ *          "_id": "6010008e6c3477697e8eabc1",
+ *          "userId": "6010008e6c3477697e8eaba3",
+ *          "type": "debit",
+ *          "amount": 40,
+ *          "reason": "orderPayment",
+ *          "reference": "6010008e6c3477697e8eabb1",
+ *          "balance": 460,
+ *          "createdAt": "2021-01-26T11:44:14.544Z",
+ *          "updatedAt": "2021-01-26T11:44:14.544Z"
+ *      }
+ *  ],
+ *  "page": 1,
+ *  "limit": 10,
+ *  "totalPages": 1,
+ *  "totalResults": 1
+ * }
+ *
+ * Example response status codes:
+ * HTTP 403 - If the wallet isn't the authenticated user's
+ * HTTP 404 - If user entity not found in DB
+ */
+const getWalletTransactions = catchAsync(async (req, res) => {
+  const user = await userService.getUserById(req.params.userId);
+  if (!user) {
+    throw new ApiError(httpStatus.NOT_FOUND, "User not found");
+  }
+  if (user.email != req.user.email) {
+    throw new ApiError(
+      httpStatus.FORBIDDEN,
+      "User not authorized to access this resource"
+    );
+  }
+  const options = pick(req.query, ["limit", "page"]);
+  const result = await walletService.queryTransactions(user, options);
+  res.send(result);
+});
+
+/**
+ * Top up the user's wallet by charging a card through the payment gateway
+ * - The request must have an "Idempotency-Key" header, unique to the top-up. Retry a failed or pending
+ *   top-up with the same key, so the card isn't charged twice
+ *
+ * Example request:
+ * POST /v1/users/6010008e6c3477697e8eaba3/wallet/topup
+ * Idempotency-Key: 3f1c5b0e-5b7a-4b8e-9a43-0c9d1c2e7a11
+ * {
+ *  "amount": 200,
+ *  "cardNumber": "4242424242424242"
+ * }
+ *
+ * Example response:
+ * HTTP 200 - the wallet was credited
+ * HTTP 202 - the payment is pending, the wallet is credited once it goes through. Retry with the same key to check on it
+ * {
+ *  "paymentId": "6010008e6c3477697e8eabd1",
+ *  "status": "succeeded",
+ *  "amount": 200,
+ *  "walletMoney": 700
+ * }
+ *
+ * Example response status codes:
+ * HTTP 400 - If the "Idempotency-Key" header is missing
+ * HTTP 402 - If the payment was declined
+ * HTTP 403 - If the wallet isn't the authenticated user's
+ * HTTP 404 - If user entity not found in DB
+ * HTTP 422 - If the "Idempotency-Key" was already used for a different top-up
+ */
+const topUpWallet = catchAsync(async (req, res) => {
+  const user = await userService.getUserById(req.params.userId);
+  if (!user) {
+    throw new ApiError(httpStatus.NOT_FOUND, "User not found");
+  }
+  if (user.email != req.user.email) {
+    throw new ApiError(
+      httpStatus.FORBIDDEN,
+      "User not authorized to access this resource"
+    );
+  }
+
+  const idempotencyKey = req.get("Idempotency-Key");
+  if (!idempotencyKey) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      "Idempotency-Key header is required"
+    );
+  }
+
+  const payment = await paymentService.topUpWallet(
+    user,
+    req.body.amount,
+    req.body.cardNumber,
+    idempotencyKey
+  );
+  if (payment.status === paymentStatuses.DECLINED) {
+    throw new ApiError(httpStatus.PAYMENT_REQUIRED, "Payment declined");
+  }
+
+  const { walletMoney } = await userService.getUserById(user._id);
+  res
+    .status(
+      payment.status === paymentStatuses.PENDING
+        ? httpStatus.ACCEPTED
+        : httpStatus.OK
+    )
+    .send({
+      paymentId: payment._id,
+      status: payment.status,
+      amount: payment.amount,
+      walletMoney,
+    });
+});
+
 module.exports = {
   getUser,
   setAddress,
   getAddresses,
   addAddress,
   deleteAddress,
+  getWalletTransactions,
+  topUpWallet,
 };
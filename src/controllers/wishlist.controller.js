@@ -0,0 +1,91 @@
+const httpStatus = require("http-status");
+const catchAsync = require("../utils/catchAsync");
+const { wishlistService, cartService } = require("../services");
+
+/**
+ * Get the logged in user's wishlist
+ *
+ * Example response:
+ * HTTP 200
+ * {
+ *  "_id": "6010008e6c3477697e8eabb3",
+ *  "userId": "6010008e6c3477697e8eaba3",
+ *  "items": [
+ *      {
+ *          "product": {
+ *              "_id": "5f71c1ca04c69a5874e9fd45",
+ *              "name": "ball",
+ *              "category": "Sports",
+ *              "rating": 5,
+ *              "cost": 20,
+ *              "image": "google.com",
+ *              "stock": 10
+ *          },
+ *          "addedAt": "2021-01-26T11:44:14.544Z"
+ *      }
+ *  ]
+ * }
+ *
+ */
+const getWishlist = catchAsync(async (req, res) => {
+  const wishlist = await wishlistService.getWishlistByUser(req.user);
+  res.send(wishlist);
+});
+
+/**
+ * Save a product to the user's wishlist
+ *
+ * Example request body:
+ * {
+ *  "productId": "5f71c1ca04c69a5874e9fd45"
+ * }
+ *
+ * Example responses:
+ * HTTP 201 - the wishlist, same as for GET /v1/wishlist
+ * HTTP 400 - if the product doesn't exist
+ */
+const addProductToWishlist = catchAsync(async (req, res) => {
+  const wishlist = await wishlistService.addProductToWishlist(
+    req.user,
+    req.body.productId
+  );
+  res.status(httpStatus.CREATED).send(wishlist);
+});
+
+/**
+ * Remove a product from the user's wishlist
+ *
+ * Example responses:
+ * HTTP 200 - the wishlist, same as for GET /v1/wishlist
+ * HTTP 404 - if the product isn't in the wishlist
+ */
+const removeProductFromWishlist = catchAsync(async (req, res) => {
+  const wishlist = await wishlistService.removeProductFromWishlist(
+    req.user,
+    req.params.productId
+  );
+  res.send(wishlist);
+});
+
+/**
+ * Move a product from the user's wishlist to their cart
+ *
+ * Example responses:
+ * HTTP 200 - { "cart": <the cart>, "wishlist": <the wishlist> }
+ * HTTP 400 - if the product is out of stock or no longer exists
+ * HTTP 404 - if the product isn't in the wishlist
+ */
+const moveToCart = catchAsync(async (req, res) => {
+  const { cart, wishlist } = await cartService.moveToCart(
+    req.user,
+    req.params.productId
+  );
+  res.send({ cart, wishlist });
+});
+
+module.exports = {
+  getWishlist,
+  addProductToWishlist,
+  removeProductFromWishlist,
+  moveToCart,
+};
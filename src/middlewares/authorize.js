@@ -0,0 +1,22 @@
+const httpStatus = require("http-status");
+const ApiError = require("../utils/ApiError");
+
+/**
+ * Role-checking middleware, to be used after the `auth` middleware has set `req.user`
+ * - If the authenticated user's role is not one of the allowed roles, send back an ApiError object with
+ * --- Response status code - "403 Forbidden"
+ * --- Message - "Forbidden"
+ *
+ * Example:
+ * router.post("/", auth, authorize(roles.ADMIN), productController.createProduct);
+ *
+ * @param {...string} allowedRoles
+ */
+const authorize = (...allowedRoles) => (req, res, next) => {
+  if (!req.user || !allowedRoles.includes(req.user.role)) {
+    return next(new ApiError(httpStatus.FORBIDDEN, "Forbidden"));
+  }
+  return next();
+};
+
+module.exports = authorize;
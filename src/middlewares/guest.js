@@ -0,0 +1,60 @@
+const httpStatus = require("http-status");
+const auth = require("./auth");
+const ApiError = require("../utils/ApiError");
+const { verifyGuestToken } = require("../services/token.service");
+
+// Header the guest token is sent in, see tokenService.generateGuestToken()
+const GUEST_TOKEN_HEADER = "X-Guest-Token";
+
+/**
+ * Guest id of the guest token sent with the request, if a valid one was sent
+ *
+ * @param {Request} req
+ * @returns {string|undefined}
+ */
+const getGuestId = (req) => {
+  const token = req.get(GUEST_TOKEN_HEADER);
+  if (!token) {
+    return undefined;
+  }
+  try {
+    return verifyGuestToken(token);
+  } catch (err) {
+    return undefined;
+  }
+};
+
+/**
+ * Set `req.guestId` to the guest id of the guest token sent with the request, eg: to merge the guest's cart on login
+ * - A missing or invalid guest token is ignored, the request goes ahead without `req.guestId`
+ */
+const identifyGuest = (req, res, next) => {
+  req.guestId = getGuestId(req);
+  next();
+};
+
+/**
+ * Authenticate the request with the access token if one was sent, like the `auth` middleware, or else as a guest
+ * - Guests are identified by their guest token, and `req.user` is set to `{ _id, guestId }` with their guest id
+ * - If neither was sent, or the guest token is invalid, send back an ApiError object with
+ * --- Response status code - "401 Unauthorized"
+ * --- Message - "Please authenticate"
+ */
+const authOrGuest = (req, res, next) => {
+  if (req.get("Authorization")) {
+    return auth(req, res, next);
+  }
+
+  const guestId = getGuestId(req);
+  if (!guestId) {
+    return next(new ApiError(httpStatus.UNAUTHORIZED, "Please authenticate"));
+  }
+  req.user = { _id: guestId, guestId };
+  return next();
+};
+
+module.exports = {
+  GUEST_TOKEN_HEADER,
+  identifyGuest,
+  authOrGuest,
+};
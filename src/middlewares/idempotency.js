@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+const httpStatus = require("http-status");
+const ApiError = require("../utils/ApiError");
+const { idempotencyService } = require("../services");
+
+// Longest Idempotency-Key accepted
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Idempotency middleware, to be used after the `auth` middleware has set `req.user`
+ * Requests with an "Idempotency-Key" header are handled once. Retries with the same key get the stored response
+ * to the first request replayed, with an "Idempotent-Replayed: true" header, instead of being handled again
+ * - Keys are per user and are replayed for config.idempotency.keyTtlHours
+ * - If the key was used for a different request (method, url or body), send back an ApiError object with
+ * --- Response status code - "422 Unprocessable Entity"
+ * - If the first request with the key is still being handled, send back an ApiError object with
+ * --- Response status code - "409 Conflict"
+ * - Server errors aren't stored, so a retry after one is handled afresh. Responses without a valid status code, eg: for
+ *   errors other than ApiError, count as server errors
+ *
+ * Requests without the header are handled as usual
+ *
+ * Example:
+ * router.put("/checkout", auth, validate(cartValidation.checkout), idempotent, cartController.checkout);
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key) {
+    return next();
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    return next(
+      new ApiError(
+        httpStatus.BAD_REQUEST,
+        `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+      )
+    );
+  }
+
+  const userId = req.user._id;
+  const fingerprint = crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify({
+        method: req.method,
+        url: req.originalUrl,
+        body: req.body,
+      })
+    )
+    .digest("hex");
+
+  let stored;
+  try {
+    stored = await idempotencyService.claimKey(userId, key, fingerprint);
+  } catch (err) {
+    return next(err);
+  }
+  if (stored) {
+    res.set("Idempotent-Replayed", "true");
+    return res.status(stored.responseStatus).send(stored.responseBody);
+  }
+
+  // Store the response before sending it, so a retry never misses it
+  const send = res.send.bind(res);
+  res.send = (body) => {
+    res.send = send;
+
+    const serverError =
+      !Number.isInteger(res.statusCode) || res.statusCode >= 500;
+    const saved = serverError
+      ? idempotencyService.releaseKey(userId, key)
+      : idempotencyService.saveResponse(
+          userId,
+          key,
+          res.statusCode,
+          body === undefined ? null : JSON.parse(JSON.stringify(body))
+        );
+    saved
+      // If the response couldn't be stored, let a retry be handled afresh rather than be refused till the key expires
+      .catch(() => idempotencyService.releaseKey(userId, key))
+      .catch(() => {})
+      .then(() => send(body))
+      // Sending fails on an invalid status code, pass the error on so the request still gets a response
+      .catch(next);
+
+    return res;
+  };
+
+  return next();
+};
+
+module.exports = idempotent;
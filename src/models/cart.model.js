@@ -5,22 +5,49 @@ const config = require("../config/config")
 // TODO: CRIO_TASK_MODULE_CART - Complete cartSchema, a Mongoose schema for "carts" collection
 const cartSchema = mongoose.Schema(
   {
+    // Carts belong to a user, by their email, or to a guest who hasn't logged in yet, by their guest id
     email: {
       type: String,
-      required: true,
+      required: function () {
+        return !this.guestId;
+      },
       unique: true,
-    }, 
+      sparse: true,
+    },
+    guestId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
     cartItems:[{
-      product: productSchema,
+      // Copy of the product, without the product's indexes as they aren't queried in carts
+      product: { type: productSchema, excludeIndexes: true },
+      // The variant of the product in the cart, for products with variants
+      variantId: mongoose.Schema.Types.ObjectId,
       quantity: Number
     }],
     paymentOption: {
       type: String,
       default: "PAYMENT_OPTION_DEFAULT"
-    }
+    },
+    // Code of the coupon applied to the cart, see couponService.checkCoupon()
+    couponCode: {
+      type: String,
+    },
   },
   {
-    timestamps: false,
+    // Only `updatedAt`, to expire guest carts by
+    timestamps: { createdAt: false, updatedAt: true },
+  }
+);
+
+// Guest carts are removed once they're left untouched for as long as guest tokens last - by then the token of the
+// guest is expired too, so no one can get to the cart any more
+cartSchema.index(
+  { updatedAt: 1 },
+  {
+    expireAfterSeconds: config.jwt.guestExpirationDays * 24 * 60 * 60,
+    partialFilterExpression: { guestId: { $exists: true } },
   }
 );
 
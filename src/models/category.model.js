@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+const categorySchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // URL friendly identifier of the category, eg: "mobile-phones"
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    // Category the category is nested in, null for top level categories
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+      index: true,
+    },
+    // Position of the category among its siblings, lowest first
+    order: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * @typedef Category
+ */
+const Category = mongoose.model("Category", categorySchema);
+
+module.exports.Category = Category;
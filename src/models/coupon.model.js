@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const { couponTypes } = require("../config/coupons");
+
+// Discount codes customers can apply to their carts
+const couponSchema = mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(couponTypes),
+      required: true,
+    },
+    // The percentage, or the amount, taken off
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Subtotal the cart must reach for the coupon to apply
+    minCartValue: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // If set, the coupon only takes money off the products of this category, and of the categories nested in it
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+    // Name of the coupon's category, kept to tell customers which products the coupon is for. Coupons from before
+    // categories only have this, see categoryService.migrateProductCategories()
+    category: {
+      type: String,
+    },
+    // If set, the coupon can't be used after this
+    expiresAt: {
+      type: Date,
+    },
+    // If set, how many orders in all can use the coupon
+    usageLimit: {
+      type: Number,
+      min: 0,
+    },
+    // If set, how many orders of each user can use the coupon
+    perUserLimit: {
+      type: Number,
+      min: 0,
+    },
+    usedCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * @typedef Coupon
+ */
+const Coupon = mongoose.model("Coupon", couponSchema);
+
+module.exports.Coupon = Coupon;
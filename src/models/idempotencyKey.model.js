@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const config = require("../config/config");
+
+// Idempotency keys sent with requests, and the response to replay when a request is retried with the same key
+const idempotencyKeySchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    // Hash of the method, url and body of the request, to tell retries from different requests reusing the key
+    fingerprint: {
+      type: String,
+      required: true,
+    },
+    // Not set till the first request with the key has been handled
+    responseStatus: {
+      type: Number,
+    },
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+// Documents are removed by MongoDB once the key has expired
+idempotencyKeySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.idempotency.keyTtlHours * 60 * 60 }
+);
+
+/**
+ * @typedef IdempotencyKey
+ */
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotencyKeySchema);
+
+module.exports.IdempotencyKey = IdempotencyKey;
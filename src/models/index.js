@@ -1,3 +1,12 @@
 module.exports.User = require('./user.model').User
 module.exports.Product = require("./product.model").Product;
 module.exports.Cart =  require('./cart.model').Cart
+module.exports.Order = require("./order.model").Order;
+module.exports.Token = require("./token.model").Token;
+module.exports.WalletTransaction = require("./walletTransaction.model").WalletTransaction;
+module.exports.Payment = require("./payment.model").Payment;
+module.exports.IdempotencyKey = require("./idempotencyKey.model").IdempotencyKey;
+module.exports.Coupon = require("./coupon.model").Coupon;
+module.exports.Wishlist = require("./wishlist.model").Wishlist;
+module.exports.Review = require("./review.model").Review;
+module.exports.Category = require("./category.model").Category;
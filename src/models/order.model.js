@@ -0,0 +1,143 @@
+const mongoose = require("mongoose");
+const { paymentStatuses } = require("../config/payments");
+const { orderStatuses } = require("../config/orders");
+
+const orderItemSchema = mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // The variant of the product bought, for products with variants
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    sku: {
+      type: String,
+    },
+    attributes: {
+      type: Map,
+      of: String,
+      default: undefined,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    category: {
+      type: String,
+    },
+    image: {
+      type: String,
+    },
+    cost: {
+      type: Number,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const statusChangeSchema = mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: Object.values(orderStatuses),
+      required: true,
+    },
+    at: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const orderSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    email: {
+      type: String,
+      required: true,
+    },
+    orderItems: {
+      type: [orderItemSchema],
+      required: true,
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Code of the coupon the order was discounted by
+    couponCode: {
+      type: String,
+    },
+    // How the total was arrived at, see pricingService.priceCart()
+    pricing: {
+      subtotal: Number,
+      discount: Number,
+      shipping: Number,
+      tax: Number,
+    },
+    shippingAddress: {
+      addressId: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      address: {
+        type: String,
+        required: true,
+      },
+    },
+    paymentOption: {
+      type: String,
+      required: true,
+    },
+    // Whether the order has been paid for - cash on delivery orders are pending till they're delivered
+    paymentStatus: {
+      type: String,
+      enum: Object.values(paymentStatuses),
+      default: paymentStatuses.PENDING,
+    },
+    // ID of the card payment at the payment gateway
+    chargeId: {
+      type: String,
+    },
+    // Where the order is in its lifecycle, see orderStatusTransitions for how it moves on
+    status: {
+      type: String,
+      enum: Object.values(orderStatuses),
+      default: orderStatuses.PLACED,
+    },
+    // Every status the order has been in, oldest first
+    statusHistory: {
+      type: [statusChangeSchema],
+      default: () => [{ status: orderStatuses.PLACED, at: new Date() }],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * @typedef Order
+ */
+const Order = mongoose.model("Order", orderSchema);
+
+module.exports.Order = Order;
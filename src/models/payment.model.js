@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+const { paymentStatuses } = require("../config/payments");
+
+// Payments taken through the payment gateway, eg: to top up a wallet
+const paymentSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Client-supplied key, so a retried request doesn't take the payment twice
+    idempotencyKey: {
+      type: String,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: Object.values(paymentStatuses),
+      default: paymentStatuses.PENDING,
+    },
+    // Id of the charge at the payment gateway
+    chargeId: {
+      type: String,
+    },
+    cardLast4: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+paymentSchema.index({ userId: 1, idempotencyKey: 1 }, { unique: true });
+
+/**
+ * @typedef Payment
+ */
+const Payment = mongoose.model("Payment", paymentSchema);
+
+module.exports.Payment = Payment;
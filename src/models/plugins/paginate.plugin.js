@@ -0,0 +1,61 @@
+/**
+ * Mongoose schema plugin that adds a static `paginate()` method to the model
+ *
+ * @param {Schema} schema
+ */
+const paginate = (schema) => {
+  /**
+   * @typedef {Object} QueryResult
+   * @property {Document[]} results - Results found
+   * @property {number} page - Current page
+   * @property {number} limit - Maximum number of results per page
+   * @property {number} totalPages - Total number of pages
+   * @property {number} totalResults - Total number of documents
+   */
+  /**
+   * Query for documents with pagination
+   * @param {Object} [filter] - Mongo filter
+   * @param {Object} [options] - Query options
+   * @param {string} [options.sortBy] - Sorting criteria using the format: sortField:(desc|asc). Multiple sorting criteria should be separated by commas (,)
+   * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+   * @param {number} [options.page] - Current page (default = 1)
+   * @returns {Promise<QueryResult>}
+   */
+  schema.statics.paginate = async function (filter = {}, options = {}) {
+    let sort = { _id: 1 };
+    if (options.sortBy) {
+      sort = {};
+      options.sortBy.split(",").forEach((sortOption) => {
+        const [key, order] = sortOption.split(":");
+        sort[key] = order === "desc" ? -1 : 1;
+      });
+      // Break ties so that results don't repeat or go missing across pages
+      sort._id = sort._id || 1;
+    }
+
+    const limit =
+      options.limit && parseInt(options.limit, 10) > 0
+        ? parseInt(options.limit, 10)
+        : 10;
+    const page =
+      options.page && parseInt(options.page, 10) > 0
+        ? parseInt(options.page, 10)
+        : 1;
+    const skip = (page - 1) * limit;
+
+    const [totalResults, results] = await Promise.all([
+      this.countDocuments(filter).exec(),
+      this.find(filter).sort(sort).skip(skip).limit(limit).exec(),
+    ]);
+
+    return {
+      results,
+      page,
+      limit,
+      totalPages: Math.ceil(totalResults / limit),
+      totalResults,
+    };
+  };
+};
+
+module.exports = paginate;
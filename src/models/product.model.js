@@ -1,4 +1,50 @@
 const mongoose = require("mongoose");
+const paginate = require("./plugins/paginate.plugin");
+const { textTrigrams } = require("../utils/trigram");
+
+// A named detail of a product, eg: { name: "Weight", value: "1.2 kg" }
+const specSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    value: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+// A version of a product that's bought on its own, eg: a size and colour of a t-shirt
+const variantSchema = mongoose.Schema({
+  // What sets the variant apart, eg: { size: "M", colour: "Red" }
+  attributes: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Price of the variant, the product's cost if not set
+  cost: {
+    type: Number,
+    min: 0,
+  },
+  stock: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+});
 
 const productSchema = mongoose.Schema(
   {
@@ -8,32 +54,115 @@ const productSchema = mongoose.Schema(
       trim: true,
       lowercase: true,
     },
+    // Name of the product's category, kept with the product to display and search by
     category: {
       type: String,
       required: true,
       trim: true,
     },
+    // Category the product is in, see categoryService.migrateProductCategories() for products from before categories
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      index: true,
+    },
     cost: {
       type: Number,
       required: true,
+      min: 0,
       trim: true,
     },
+    // Average rating of the product's reviews, once it has any, see reviewService.updateProductRating()
     rating: {
       type: Number,
       required: true,
+      min: 0,
+      max: 5,
       trim: true,
     },
+    // Number of reviews of the product, not set till it's reviewed
+    reviewCount: {
+      type: Number,
+      min: 0,
+    },
     image: {
       type: String,
       required: true,
       trim: true,
     },
+    // More images of the product, displayed after "image" on its page
+    images: {
+      type: [String],
+      default: undefined,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    specs: {
+      type: [specSchema],
+      default: undefined,
+    },
+    // Number of units available to sell, decremented as orders are placed. The total of the variants' stock for
+    // products with variants
+    stock: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Products with variants are added to the cart and ordered by variant, see productService.findVariant()
+    variants: {
+      type: [variantSchema],
+      default: undefined,
+    },
+    // Trigrams of the words of the name, category and description, to look up the products similar to a search by,
+    // see searchService.searchProducts(). Kept up to date on save, not returned from queries or in responses
+    searchTrigrams: {
+      type: [String],
+      default: undefined,
+      select: false,
+    },
   },
   {
     timestamps: false,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.searchTrigrams;
+        return ret;
+      },
+    },
   }
 );
 
+// add plugin that supports paginated queries
+productSchema.plugin(paginate);
+
+// Full-text search of the name, category and description, a match in the name counting the most,
+// see searchService.searchProducts()
+productSchema.index(
+  { name: "text", category: "text", description: "text" },
+  { weights: { name: 10, category: 4, description: 1 } }
+);
+productSchema.index({ searchTrigrams: 1 });
+
+productSchema.pre("validate", function (next) {
+  if (this.variants && this.variants.length > 0) {
+    this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  }
+  // Copies of the product in carts aren't searched
+  const searchedFieldChanged = ["name", "category", "description"].some(
+    (field) => this.isModified(field)
+  );
+  if (!this.ownerDocument && searchedFieldChanged) {
+    this.searchTrigrams = textTrigrams([
+      this.name,
+      this.category,
+      this.description,
+    ]);
+  }
+  next();
+});
+
 /**
  * @typedef Product
  */
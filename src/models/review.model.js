@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+const paginate = require("./plugins/paginate.plugin");
+
+const reviewSchema = mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Name of the user when they wrote the review, displayed with it
+    author: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    body: {
+      type: String,
+      trim: true,
+    },
+    // Whether the user has ordered the product, see reviewService.createReview()
+    verifiedPurchase: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One review per user per product
+reviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, createdAt: -1 });
+
+// add plugin that supports paginated queries
+reviewSchema.plugin(paginate);
+
+/**
+ * @typedef Review
+ */
+const Review = mongoose.model("Review", reviewSchema);
+
+module.exports.Review = Review;
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+const { tokenTypes } = require("../config/tokens");
+
+// Tokens that must be revocable before they expire are persisted here,
+// as are access tokens blacklisted on logout until they expire
+const tokenSchema = mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [tokenTypes.ACCESS, tokenTypes.REFRESH, tokenTypes.RESET_PASSWORD],
+      required: true,
+    },
+    expires: {
+      type: Date,
+      required: true,
+      // Documents are removed by MongoDB once the token has expired
+      index: { expireAfterSeconds: 0 },
+    },
+    blacklisted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * @typedef Token
+ */
+const Token = mongoose.model("Token", tokenSchema);
+
+module.exports.Token = Token;
@@ -5,6 +5,7 @@ const bcrypt = require("bcryptjs");
 const validator = require("validator");
 const { User } = require(".");
 const config = require("../config/config");
+const { roles } = require("../config/roles");
 
 // TODO: CRIO_TASK_MODULE_UNDERSTANDING_BASICS - Complete userSchema, a Mongoose schema for "users" collection
 const userSchema = mongoose.Schema(
@@ -53,6 +54,15 @@ const userSchema = mongoose.Schema(
         trim: true,
       }
     }],
+    role: {
+      type: String,
+      enum: Object.values(roles),
+      default: roles.USER,
+    },
+    // Access tokens issued up to this time are rejected, set on logging out of all devices
+    tokensRevokedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+const paginate = require("./plugins/paginate.plugin");
+const {
+  walletTransactionTypes,
+  walletTransactionReasons,
+} = require("../config/wallet");
+
+// Every credit to and debit from a user's wallet, the audit trail of `walletMoney`
+const walletTransactionSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(walletTransactionTypes),
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    reason: {
+      type: String,
+      enum: Object.values(walletTransactionReasons),
+      required: true,
+    },
+    // Id of what the transaction was for, eg: the order paid for
+    reference: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Wallet balance right after the transaction
+    balance: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// add plugin that supports paginated queries
+walletTransactionSchema.plugin(paginate);
+
+/**
+ * @typedef WalletTransaction
+ */
+const WalletTransaction = mongoose.model(
+  "WalletTransaction",
+  walletTransactionSchema
+);
+
+module.exports.WalletTransaction = WalletTransaction;
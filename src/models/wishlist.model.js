@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+const wishlistItemSchema = mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Products a user saved to buy later. Unlike cart items, they reference the live product, so they're always up to date
+const wishlistSchema = mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    items: [wishlistItemSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Check if a product is in the wishlist
+ * @param {ObjectId|string} productId
+ * @returns {boolean}
+ */
+wishlistSchema.methods.hasProduct = function (productId) {
+  return this.items.some(
+    (item) => String(item.product._id || item.product) === String(productId)
+  );
+};
+
+/**
+ * @typedef Wishlist
+ */
+const Wishlist = mongoose.model("Wishlist", wishlistSchema);
+
+module.exports.Wishlist = Wishlist;
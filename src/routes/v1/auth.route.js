@@ -2,15 +2,34 @@ const express = require("express");
 const validate = require("../../middlewares/validate");
 const authValidation = require("../../validations/auth.validation");
 const authController = require("../../controllers/auth.controller");
+const auth = require("../../middlewares/auth");
+const { identifyGuest } = require("../../middlewares/guest");
 
 const router = express.Router();
 
 const validateRegister = validate(authValidation.register); 
 const validateLogin = validate(authValidation.login); 
+const validateRefreshTokens = validate(authValidation.refreshTokens);
+const validateLogout = validate(authValidation.logout);
+const validateForgotPassword = validate(authValidation.forgotPassword);
+const validateResetPassword = validate(authValidation.resetPassword);
 
 // TODO: CRIO_TASK_MODULE_AUTH - Implement "/v1/auth/register" and "/v1/auth/login" routes with request validation
-router.post("/register", validateRegister, authController.register);
-router.post("/login", validateLogin, authController.login)
+// The cart of the guest whose guest token is sent, if any, is merged into the user's cart
+router.post("/register", validateRegister, identifyGuest, authController.register);
+router.post("/login", validateLogin, identifyGuest, authController.login)
+
+router.post("/guest", authController.createGuest);
+
+router.post("/refresh-tokens", validateRefreshTokens, authController.refreshTokens);
+
+router.post("/logout", auth, validateLogout, authController.logout);
+
+router.post("/logout-all", auth, authController.logoutAll);
+
+router.post("/forgot-password", validateForgotPassword, authController.forgotPassword);
+
+router.post("/reset-password", validateResetPassword, authController.resetPassword);
 
 
 module.exports = router;
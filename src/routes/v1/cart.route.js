@@ -1,31 +1,60 @@
 const express = require("express");
 const validate = require("../../middlewares/validate");
 const auth = require("../../middlewares/auth");
+const { authOrGuest } = require("../../middlewares/guest");
+const idempotent = require("../../middlewares/idempotency");
 const cartValidation = require("../../validations/cart.validation");
 const { cartController } = require("../../controllers/");
 
 
 const router = express.Router();
 
-router.get("/", auth, cartController.getCart);
+// Guests can keep a cart too, it's merged into their own cart once they log in
+router.get("/", authOrGuest, cartController.getCart);
 
 router.post(
   "/",
-  auth,
+  authOrGuest,
   validate(cartValidation.addProductToCart),
+  idempotent,
   cartController.addProductToCart
 );
 
 router.put(
   "/",
-  auth,
-  validate(cartValidation.addProductToCart),
+  authOrGuest,
+  validate(cartValidation.updateProductInCart),
   cartController.updateProductInCart
 );
 
+router.post(
+  "/:productId/save-for-later",
+  auth,
+  validate(cartValidation.cartProduct),
+  cartController.saveForLater
+);
+
+router.put(
+  "/payment-option",
+  auth,
+  validate(cartValidation.setPaymentOption),
+  cartController.setPaymentOption
+);
+
+router.post(
+  "/coupon",
+  auth,
+  validate(cartValidation.applyCoupon),
+  cartController.applyCoupon
+);
+
+router.delete("/coupon", auth, cartController.removeCoupon);
+
 router.put(
   "/checkout",
   auth,
+  validate(cartValidation.checkout),
+  idempotent,
   cartController.checkout
 );
 
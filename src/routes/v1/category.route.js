@@ -0,0 +1,20 @@
+const express = require("express");
+const validate = require("../../middlewares/validate");
+const auth = require("../../middlewares/auth");
+const authorize = require("../../middlewares/authorize");
+const { roles } = require("../../config/roles");
+const categoryValidation = require("../../validations/category.validation");
+const { categoryController } = require("../../controllers/");
+
+const router = express.Router();
+
+router.get("/", categoryController.getCategories);
+router.post(
+  "/",
+  auth,
+  authorize(roles.ADMIN),
+  validate(categoryValidation.createCategory),
+  categoryController.createCategory
+);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express");
+const validate = require("../../middlewares/validate");
+const auth = require("../../middlewares/auth");
+const authorize = require("../../middlewares/authorize");
+const { roles } = require("../../config/roles");
+const couponValidation = require("../../validations/coupon.validation");
+const { couponController } = require("../../controllers/");
+
+const router = express.Router();
+
+router.post(
+  "/",
+  auth,
+  authorize(roles.ADMIN),
+  validate(couponValidation.createCoupon),
+  couponController.createCoupon
+);
+
+module.exports = router;
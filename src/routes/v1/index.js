@@ -3,6 +3,10 @@ const userRoute = require("./user.route");
 const authRoute = require("./auth.route");
 const productRoute = require("./product.route");
 const cartRoute = require("./cart.route");
+const orderRoute = require("./order.route");
+const couponRoute = require("./coupon.route");
+const wishlistRoute = require("./wishlist.route");
+const categoryRoute = require("./category.route");
 
 const router = express.Router();
 
@@ -17,4 +21,12 @@ router.use("/products", productRoute);
 
 router.use("/cart", cartRoute);
 
+router.use("/orders", orderRoute);
+
+router.use("/coupons", couponRoute);
+
+router.use("/wishlist", wishlistRoute);
+
+router.use("/categories", categoryRoute);
+
 module.exports = router;
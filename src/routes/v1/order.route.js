@@ -0,0 +1,35 @@
+const express = require("express");
+const validate = require("../../middlewares/validate");
+const auth = require("../../middlewares/auth");
+const authorize = require("../../middlewares/authorize");
+const { roles } = require("../../config/roles");
+const orderValidation = require("../../validations/order.validation");
+const { orderController } = require("../../controllers/");
+
+const router = express.Router();
+
+router.get("/", auth, orderController.getOrders);
+
+router.get(
+  "/:orderId",
+  auth,
+  validate(orderValidation.getOrder),
+  orderController.getOrder
+);
+
+router.post(
+  "/:orderId/cancel",
+  auth,
+  validate(orderValidation.cancelOrder),
+  orderController.cancelOrder
+);
+
+router.patch(
+  "/:orderId/status",
+  auth,
+  authorize(roles.ADMIN),
+  validate(orderValidation.updateOrderStatus),
+  orderController.updateOrderStatus
+);
+
+module.exports = router;
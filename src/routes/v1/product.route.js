@@ -1,15 +1,66 @@
 const express = require("express");
 const validate = require("../../middlewares/validate");
+const auth = require("../../middlewares/auth");
+const authorize = require("../../middlewares/authorize");
+const { roles } = require("../../config/roles");
 const productValidation = require("../../validations/product.validation");
+const reviewValidation = require("../../validations/review.validation");
 const productController = require("../../controllers/product.controller");
+const reviewController = require("../../controllers/review.controller");
 
 const router = express.Router();
 
-router.get("/", productController.getProducts);
+router.get(
+  "/",
+  validate(productValidation.getProducts),
+  productController.getProducts
+);
+router.post(
+  "/",
+  auth,
+  authorize(roles.ADMIN),
+  validate(productValidation.createProduct),
+  productController.createProduct
+);
+router.get(
+  "/search",
+  validate(productValidation.searchProducts),
+  productController.searchProducts
+);
 router.get(
   "/:productId",
   validate(productValidation.getProduct),
   productController.getProductById
 );
+router.patch(
+  "/:productId",
+  auth,
+  authorize(roles.ADMIN),
+  validate(productValidation.updateProduct),
+  productController.updateProduct
+);
+router.delete(
+  "/:productId",
+  auth,
+  authorize(roles.ADMIN),
+  validate(productValidation.deleteProduct),
+  productController.deleteProduct
+);
+router.get(
+  "/:productId/reviews/summary",
+  validate(reviewValidation.getRatingSummary),
+  reviewController.getRatingSummary
+);
+router.get(
+  "/:productId/reviews",
+  validate(reviewValidation.getReviews),
+  reviewController.getReviews
+);
+router.post(
+  "/:productId/reviews",
+  auth,
+  validate(reviewValidation.createReview),
+  reviewController.createReview
+);
 
 module.exports = router;
@@ -20,6 +20,22 @@ router.get("/:userId/addresses", authMiddleware, userController.getAddresses);
 // Add new address
 router.post("/:userId/addresses", authMiddleware, userController.addAddress);
 
+// Get wallet transaction history
+router.get(
+  "/:userId/wallet/transactions",
+  authMiddleware,
+  validate(userValidation.getWalletTransactions),
+  userController.getWalletTransactions
+);
+
+// Top up wallet through the payment gateway
+router.post(
+  "/:userId/wallet/topup",
+  authMiddleware,
+  validate(userValidation.topUpWallet),
+  userController.topUpWallet
+);
+
 // Delete address
 router.delete("/:userId/addresses/:addressId", authMiddleware, userController.deleteAddress);
 
@@ -0,0 +1,32 @@
+const express = require("express");
+const validate = require("../../middlewares/validate");
+const auth = require("../../middlewares/auth");
+const wishlistValidation = require("../../validations/wishlist.validation");
+const { wishlistController } = require("../../controllers/");
+
+const router = express.Router();
+
+router.get("/", auth, wishlistController.getWishlist);
+
+router.post(
+  "/",
+  auth,
+  validate(wishlistValidation.addProductToWishlist),
+  wishlistController.addProductToWishlist
+);
+
+router.delete(
+  "/:productId",
+  auth,
+  validate(wishlistValidation.wishlistProduct),
+  wishlistController.removeProductFromWishlist
+);
+
+router.post(
+  "/:productId/move-to-cart",
+  auth,
+  validate(wishlistValidation.wishlistProduct),
+  wishlistController.moveToCart
+);
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const { catalogueFormats, importCatalogue, exportCatalogue } = require('../services/catalogue.service');
+
+const usage = `Usage:
+  node src/scripts/catalogue.js import <file> [--format csv|ndjson] [--dry-run] [--default-stock <n>]
+  node src/scripts/catalogue.js export <file> [--format csv|ndjson]
+
+The format is taken from the file's extension (.csv, or .ndjson, .jsonl and .json for NDJSON) unless --format is given.`;
+
+const [command, file, ...flags] = process.argv.slice(2);
+const flag = (name) => flags.includes(`--${name}`);
+const flagValue = (name) => {
+  const index = flags.indexOf(`--${name}`);
+  return index === -1 ? undefined : flags[index + 1];
+};
+
+const extensionFormats = {
+  '.csv': catalogueFormats.CSV,
+  '.ndjson': catalogueFormats.NDJSON,
+  '.jsonl': catalogueFormats.NDJSON,
+  '.json': catalogueFormats.NDJSON,
+};
+const format = flagValue('format') || (file && extensionFormats[path.extname(file).toLowerCase()]);
+const defaultStock = flagValue('default-stock');
+
+async function run() {
+  if (
+    !['import', 'export'].includes(command) ||
+    !file ||
+    !Object.values(catalogueFormats).includes(format) ||
+    (defaultStock !== undefined && !/^\d+$/.test(defaultStock))
+  ) {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(config.mongoose.url, config.mongoose.options);
+
+    if (command === 'export') {
+      fs.writeFileSync(file, await exportCatalogue(format));
+      console.log(`Exported the catalogue to ${file}`);
+    } else {
+      const dryRun = flag('dry-run');
+      const report = await importCatalogue(fs.readFileSync(file, 'utf8'), format, {
+        dryRun,
+        defaultStock: defaultStock === undefined ? undefined : Number(defaultStock),
+      });
+
+      report.errors.forEach(({ row, messages }) => {
+        console.error(`Row ${row}: ${messages.join('; ')}`);
+      });
+      console.log(
+        `${dryRun ? 'Dry run, nothing was saved. ' : ''}Created ${report.created}, updated ${report.updated}, ` +
+          `unchanged ${report.unchanged}, failed ${report.failed} products` +
+          (report.categoriesCreated ? `, and created ${report.categoriesCreated} categories` : '')
+      );
+      if (report.failed) {
+        process.exitCode = 1;
+      }
+    }
+
+    await mongoose.connection.close();
+  } catch (error) {
+    console.error(`Error running catalogue ${command}:`, error);
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const { migrateCartIndexes } = require('../services/cart.service');
+
+// Usage: node src/scripts/migrateCartIndexes.js
+// Makes the unique index on cart emails sparse, so more than one guest cart can be stored, and sets up the expiry of
+// guest carts
+async function migrateIndexes() {
+  try {
+    await mongoose.connect(config.mongoose.url, config.mongoose.options);
+
+    const { indexesRebuilt } = await migrateCartIndexes();
+    console.log(`Rebuilt ${indexesRebuilt.length} cart indexes ${indexesRebuilt.join(', ')}`);
+
+    await mongoose.connection.close();
+  } catch (error) {
+    console.error('Error migrating cart indexes:', error);
+    process.exit(1);
+  }
+}
+
+migrateIndexes();
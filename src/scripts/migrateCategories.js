@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const { migrateProductCategories } = require('../services/category.service');
+
+// Usage: node src/scripts/migrateCategories.js
+// Links products and coupons that only have a category name to a category, creating the categories that don't exist yet
+async function migrateCategories() {
+  try {
+    await mongoose.connect(config.mongoose.url, config.mongoose.options);
+
+    const { categoriesCreated, productsUpdated, couponsUpdated } = await migrateProductCategories();
+    console.log(`Created ${categoriesCreated} categories and linked ${productsUpdated} products and ${couponsUpdated} coupons`);
+
+    await mongoose.connection.close();
+  } catch (error) {
+    console.error('Error migrating categories:', error);
+    process.exit(1);
+  }
+}
+
+migrateCategories();
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const { indexProductTrigrams } = require('../services/search.service');
+
+// Usage: node src/scripts/migrateSearchTrigrams.js
+// Stores the trigrams products are searched by similarity with, for products saved before they were stored
+async function migrateSearchTrigrams() {
+  try {
+    await mongoose.connect(config.mongoose.url, config.mongoose.options);
+
+    const { productsUpdated } = await indexProductTrigrams();
+    console.log(`Stored the search trigrams of ${productsUpdated} products`);
+
+    await mongoose.connection.close();
+  } catch (error) {
+    console.error('Error storing search trigrams:', error);
+    process.exit(1);
+  }
+}
+
+migrateSearchTrigrams();
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const { roles } = require('../config/roles');
+const { User } = require('../models/user.model');
+
+// Usage: node src/scripts/setRole.js <email> [role]
+const [email, role = roles.ADMIN] = process.argv.slice(2);
+
+async function setRole() {
+  if (!email || !Object.values(roles).includes(role)) {
+    console.error(`Usage: node src/scripts/setRole.js <email> [${Object.values(roles).join('|')}]`);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(config.mongoose.url, config.mongoose.options);
+
+    const user = await User.findOneAndUpdate({ email: email.toLowerCase() }, { role }, { new: true });
+    if (!user) {
+      console.error(`No user found with email ${email}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`Set role of ${user.email} to ${user.role}`);
+    }
+
+    await mongoose.connection.close();
+  } catch (error) {
+    console.error('Error setting role:', error);
+    process.exit(1);
+  }
+}
+
+setRole();
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const { settleOrderPayments } = require('../services/order.service');
+
+// Usage: node src/scripts/settlePayments.js
+// Takes (or releases) the card payments of orders that checkout couldn't settle straight away. Run it regularly, eg: from cron
+async function settlePayments() {
+  try {
+    await mongoose.connect(config.mongoose.url, config.mongoose.options);
+
+    const { settled, pending, failed, errors } = await settleOrderPayments();
+    errors.forEach(({ orderId, message }) => {
+      console.error(`Order ${orderId}: ${message}`);
+    });
+    console.log(`Settled the payments of ${settled} orders, ${pending} are still pending and ${failed} failed`);
+
+    await mongoose.connection.close();
+    if (failed) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Error settling payments:', error);
+    process.exit(1);
+  }
+}
+
+settlePayments();
@@ -1,6 +1,9 @@
 const httpStatus = require("http-status");
 const userService = require("./user.service");
-const {User} = require("../models");
+const tokenService = require("./token.service");
+const emailService = require("./email.service");
+const { tokenTypes } = require("../config/tokens");
+const {User, Token} = require("../models");
 const ApiError = require("../utils/ApiError");
 
 /**
@@ -26,6 +29,124 @@ const loginUserWithEmailAndPassword = async (email, password) => {
   return user;
 };
 
+/**
+ * Rotate a user's refresh token for a new pair of auth tokens
+ * - The refresh token used is deleted, so it can't be used again
+ * - If the refresh token is invalid, expired, revoked or its user no longer exists,
+ * throw an ApiError with "401 Unauthorized" status code and message, "Please authenticate"
+ *
+ * @param {string} refreshToken
+ * @returns {Promise<Object>}
+ */
+const refreshAuth = async (refreshToken) => {
+  let refreshTokenDoc;
+  try {
+    refreshTokenDoc = await tokenService.verifyToken(
+      refreshToken,
+      tokenTypes.REFRESH
+    );
+  } catch (err) {
+    throw new ApiError(httpStatus.UNAUTHORIZED, "Please authenticate");
+  }
+
+  const user = await userService.getUserById(refreshTokenDoc.user);
+  if (!user) {
+    throw new ApiError(httpStatus.UNAUTHORIZED, "Please authenticate");
+  }
+
+  await refreshTokenDoc.remove();
+  return tokenService.generateAuthTokens(user);
+};
+
+/**
+ * Logout the session an access token belongs to
+ * - Blacklist the access token, so it can't be used again before it expires
+ * - Delete the refresh token of the session, if sent, so no new access tokens can be issued with it
+ *
+ * @param {User} user
+ * @param {string} accessToken
+ * @param {string} [refreshToken]
+ * @returns {Promise}
+ */
+const logout = async (user, accessToken, refreshToken) => {
+  await tokenService.blacklistToken(accessToken);
+  if (refreshToken) {
+    await Token.deleteOne({
+      token: refreshToken,
+      user: user._id,
+      type: tokenTypes.REFRESH,
+    });
+  }
+};
+
+/**
+ * Logout all sessions of a user
+ * - Delete all refresh tokens of the user
+ * - Reject any access token issued to the user until now
+ *
+ * @param {User} user
+ * @returns {Promise}
+ */
+const logoutAll = async (user) => {
+  await tokenService.revokeRefreshTokens(user._id);
+  user.tokensRevokedAt = new Date();
+  await user.save();
+};
+
+/**
+ * Email a reset password link to the user with the given email
+ * - Nothing is sent if there's no user with the email, but no error is thrown either
+ *   so the endpoint can't be used to find out which emails are registered
+ *
+ * @param {string} email
+ * @returns {Promise}
+ */
+const forgotPassword = async (email) => {
+  const user = await userService.getUserByEmail(email);
+  if (!user) {
+    return;
+  }
+  const resetPasswordToken = await tokenService.generateResetPasswordToken(user);
+  await emailService.sendResetPasswordEmail(user.email, resetPasswordToken);
+};
+
+/**
+ * Reset a user's password with a reset password token
+ * - The token (and any other reset password token of the user) can't be used again
+ * - The user is logged out of all devices
+ * - If the token is invalid, expired or already used, or its user no longer exists,
+ * throw an ApiError with "401 Unauthorized" status code and message, "Password reset failed"
+ *
+ * @param {string} resetPasswordToken
+ * @param {string} newPassword
+ * @returns {Promise}
+ */
+const resetPassword = async (resetPasswordToken, newPassword) => {
+  let resetPasswordTokenDoc;
+  try {
+    resetPasswordTokenDoc = await tokenService.verifyToken(
+      resetPasswordToken,
+      tokenTypes.RESET_PASSWORD
+    );
+  } catch (err) {
+    throw new ApiError(httpStatus.UNAUTHORIZED, "Password reset failed");
+  }
+
+  const user = await userService.getUserById(resetPasswordTokenDoc.user);
+  if (!user) {
+    throw new ApiError(httpStatus.UNAUTHORIZED, "Password reset failed");
+  }
+
+  await userService.updatePassword(user, newPassword);
+  await Token.deleteMany({ user: user._id, type: tokenTypes.RESET_PASSWORD });
+  await logoutAll(user);
+};
+
 module.exports = {
   loginUserWithEmailAndPassword,
+  refreshAuth,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
 };
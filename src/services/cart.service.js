@@ -1,29 +1,256 @@
 const httpStatus = require("http-status");
+const mongoose = require("mongoose");
 const {Cart, Product, User } = require("../models");
 const ApiError = require("../utils/ApiError");
+const runInTransaction = require("../utils/transaction");
 const config = require("../config/config");
+const logger = require("../config/logger");
 const { createUser } = require("./user.service");
+const orderService = require("./order.service");
+const productService = require("./product.service");
+const pricingService = require("./pricing.service");
+const walletService = require("./wallet.service");
+const paymentService = require("./payment.service");
+const couponService = require("./coupon.service");
+const wishlistService = require("./wishlist.service");
+const { walletTransactionReasons } = require("../config/wallet");
+const { paymentOptions, paymentStatuses } = require("../config/payments");
 const { userOne } = require("../../tests/fixtures/user.fixture");
 
 // TODO: CRIO_TASK_MODULE_CART - Implement the Cart service methods
 
+/**
+ * Filter for the cart of a user, or of a guest (see the `authOrGuest` middleware)
+ *
+ * @param {User|{ guestId: string }} user
+ * @returns {Object}
+ */
+const cartOwner = (user) =>
+  user.guestId ? { guestId: user.guestId } : { email: user.email };
+
+/**
+ * Whether a cart item is of a product, and of the variant of it, if any
+ *
+ * @param {Object} item - cart item
+ * @param {string} productId
+ * @param {string} [variantId]
+ * @returns {boolean}
+ */
+const isCartItem = (item, productId, variantId) =>
+  String(item.product._id) === String(productId) &&
+  String(item.variantId || "") === String(variantId || "");
+
+/**
+ * Get the variant of a product to put in the cart
+ * - If the product has variants and none was chosen, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "Choose a variant of the product"
+ * - If the product doesn't have a variant with the id, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "Variant doesn't exist"
+ *
+ * @param {Product} product
+ * @param {string} [variantId]
+ * @returns {Object|undefined} the variant, or undefined for products without variants
+ * @throws {ApiError}
+ */
+const getVariantForCart = (product, variantId) => {
+  if (!variantId) {
+    if (product.variants && product.variants.length > 0) {
+      throw new ApiError(
+        httpStatus.BAD_REQUEST,
+        "Choose a variant of the product"
+      );
+    }
+    return undefined;
+  }
+
+  const variant = productService.findVariant(product, variantId);
+  if (!variant) {
+    throw new ApiError(httpStatus.BAD_REQUEST, "Variant doesn't exist");
+  }
+  return variant;
+};
+
+/**
+ * Check there's enough stock of a product, or of the variant of it, for the quantity wanted
+ * - If the product is out of stock or has fewer units left than the quantity, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "Product is out of stock" or "Only <stock> left in stock"
+ *
+ * @param {Product} product
+ * @param {number} quantity
+ * @param {Object} [variant]
+ * @throws {ApiError}
+ */
+const checkStock = (product, quantity, variant) => {
+  const stock = variant ? variant.stock : product.stock;
+  if (stock <= 0) {
+    throw new ApiError(httpStatus.BAD_REQUEST, "Product is out of stock");
+  }
+  if (quantity > stock) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `Only ${stock} left in stock`);
+  }
+};
+
+// Product fields copied into a cart item, compared (as strings, for the ids) against the live product to find stale copies
+const snapshotFields = [
+  "name",
+  "category",
+  "categoryId",
+  "cost",
+  "rating",
+  "image",
+  "stock",
+];
+// Fields of the variant of a cart item, compared the same way
+const variantSnapshotFields = ["sku", "cost", "stock"];
+
+/**
+ * Reconcile the copies of products in a cart against the live "products" collection
+ * - Remove the cart items whose product or variant was deleted, and those of products that have had variants added
+ * - Replace stale copies of products with the live product, so the cart is priced at the current cost
+ * - Save the cart if any of its items changed
+ *
+ * Example changes:
+ * [
+ *      { "type": "PRICE_CHANGED", "productId": "5f71c1ca04c69a5874e9fd45", "variantId": "5f71c1ca04c69a5874e9fd47", "name": "ball", "oldCost": 20, "newCost": 25 },
+ *      { "type": "PRODUCT_REMOVED", "productId": "5f71c1ca04c69a5874e9fd46", "name": "bat" }
+ * ]
+ *
+ * @param {Cart} cart
+ * @param {ClientSession} [session] - session of the transaction to run the queries in
+ * @returns {Promise<Object[]>} the price changes and removed products the customer should be told about
+ */
+const reconcileCart = async (cart, session) => {
+  if (cart.cartItems.length === 0) {
+    return [];
+  }
+
+  const products = await Product.find({
+    _id: { $in: cart.cartItems.map((item) => item.product._id) },
+  }).session(session || null);
+
+  const changes = [];
+  let stale = false;
+  const cartItems = [];
+
+  for (const item of cart.cartItems) {
+    const product = products.find(
+      (product) => product._id.toString() === item.product._id.toString()
+    );
+
+    const variant =
+      product && productService.findVariant(product, item.variantId);
+    const needsVariant =
+      product && product.variants && product.variants.length > 0;
+    if (!product || (item.variantId ? !variant : needsVariant)) {
+      changes.push({
+        type: "PRODUCT_REMOVED",
+        productId: item.product._id.toString(),
+        variantId: item.variantId ? item.variantId.toString() : undefined,
+        name: item.product.name,
+      });
+      stale = true;
+      continue;
+    }
+
+    const oldCost = pricingService.itemCost(item);
+    const newCost = pricingService.itemCost({
+      product,
+      variantId: item.variantId,
+    });
+    if (newCost !== oldCost) {
+      changes.push({
+        type: "PRICE_CHANGED",
+        productId: product._id.toString(),
+        variantId: item.variantId ? item.variantId.toString() : undefined,
+        name: product.name,
+        oldCost,
+        newCost,
+      });
+    }
+    const oldVariant = productService.findVariant(item.product, item.variantId);
+    const variantStale =
+      variant &&
+      (!oldVariant ||
+        variantSnapshotFields.some(
+          (field) => variant[field] !== oldVariant[field]
+        ));
+    if (
+      variantStale ||
+      snapshotFields.some(
+        (field) => String(product[field]) !== String(item.product[field])
+      )
+    ) {
+      item.product = product.toObject();
+      stale = true;
+    }
+    cartItems.push(item);
+  }
+
+  if (stale) {
+    cart.cartItems = cartItems;
+    await cart.save({ session });
+  }
+
+  return changes;
+};
+
+/**
+ * Price a cart, taking off the discount of the coupon applied to it
+ * - The cart keeps a coupon that can no longer be used (eg: it expired, or items were removed), but isn't discounted by it
+ *
+ * @param {User} user
+ * @param {Cart} cart
+ * @returns {Promise<{ pricing: Pricing, couponError?: string }>} the pricing, and why the coupon wasn't applied if it wasn't
+ */
+const priceCartWithCoupon = async (user, cart) => {
+  if (!cart.couponCode) {
+    return { pricing: pricingService.priceCart(cart.cartItems) };
+  }
+
+  try {
+    const { discount } = await couponService.checkCoupon(
+      cart.couponCode,
+      user,
+      cart.cartItems
+    );
+    return { pricing: pricingService.priceCart(cart.cartItems, { discount }) };
+  } catch (err) {
+    if (!(err instanceof ApiError)) {
+      throw err;
+    }
+    return {
+      pricing: pricingService.priceCart(cart.cartItems),
+      couponError: err.message,
+    };
+  }
+};
+
 /**
  * Fetches cart for a user
  * - Fetch user's cart from Mongo
  * - If cart doesn't exist, throw ApiError
  * --- status code  - 404 NOT FOUND
  * --- message - "User does not have a cart"
+ * - Reconcile the cart against the live products, see reconcileCart()
+ * - Price the cart, with the discount of its coupon, see priceCartWithCoupon()
  *
  * @param {User} user
- * @returns {Promise<Cart>}
+ * @returns {Promise<Cart>} the cart, with the changes found while reconciling it in `cart.$locals.changes`,
+ *    the pricing in `cart.$locals.pricing` and why its coupon wasn't applied, if it wasn't, in `cart.$locals.couponError`
  * @throws {ApiError}
  */
 const getCartByUser = async (user) => {
-  let cart = await Cart.findOne({ email: user.email });
+  let cart = await Cart.findOne(cartOwner(user));
   if (cart === null) {
     throw new ApiError(httpStatus.NOT_FOUND, "User does not have a cart");
   }
 
+  cart.$locals.changes = await reconcileCart(cart);
+  Object.assign(cart.$locals, await priceCartWithCoupon(user, cart));
+
   return cart;
 }
 
@@ -33,7 +260,7 @@ const getCartByUser = async (user) => {
  * --- If it doesn't exist, create one
  * --- If cart creation fails, throw ApiError with "500 Internal Server Error" status code
  *
- * - If product to add already in user's cart, throw ApiError with
+ * - If product to add (or the variant of it) already in user's cart, throw ApiError with
  * --- status code  - 400 BAD REQUEST
  * --- message - "Product already in cart. Use the cart sidebar to update or remove product from cart"
  *
@@ -41,6 +268,11 @@ const getCartByUser = async (user) => {
  * --- status code  - 400 BAD REQUEST
  * --- message - "Product doesn't exist in database"
  *
+ * - If the product has variants and none of them was chosen, or the variant doesn't exist, throw ApiError with
+ *   "400 BAD REQUEST" status code, see getVariantForCart()
+ *
+ * - If there isn't enough stock of the product (or variant) for the quantity, throw ApiError with "400 BAD REQUEST" status code
+ *
  * - Otherwise, add product to user's cart
  *
  *
@@ -48,17 +280,18 @@ const getCartByUser = async (user) => {
  * @param {User} user
  * @param {string} productId
  * @param {number} quantity
+ * @param {string} [variantId] - the variant to add, for products with variants
  * @returns {Promise<Cart>}
  * @throws {ApiError}
  */
-const addProductToCart = async (user, productId, quantity) => {
+const addProductToCart = async (user, productId, quantity, variantId) => {
   
-  let cart = await Cart.findOne({ email: user.email });
+  let cart = await Cart.findOne(cartOwner(user));
 
   if (!cart) {
     try {
       cart = await Cart.create({
-        email: user.email,
+        ...cartOwner(user),
         cartItems: [],
         paymentOption: config.default_payment_option,
       });
@@ -77,10 +310,10 @@ const addProductToCart = async (user, productId, quantity) => {
     );
   }
 
-  // Find the index of the cart item matching the input productId, if any.
+  // Find the index of the cart item matching the input productId and variantId, if any.
   let productIndex = -1;
   for (let i = 0; i < cart.cartItems.length; i++) {
-    if (productId == cart.cartItems[i].product._id) {
+    if (isCartItem(cart.cartItems[i], productId, variantId)) {
       productIndex = i;
     }
   }
@@ -95,8 +328,14 @@ const addProductToCart = async (user, productId, quantity) => {
         "Product doesn't exist in database"
       );
     }
+    const variant = getVariantForCart(product, variantId);
+    checkStock(product, quantity, variant);
 
-    cart.cartItems.push({ product: product, quantity: quantity });
+    cart.cartItems.push({
+      product: product,
+      variantId: variant && variant._id,
+      quantity: quantity,
+    });
   } else {
     throw new ApiError(
       httpStatus.BAD_REQUEST,
@@ -123,17 +362,23 @@ const addProductToCart = async (user, productId, quantity) => {
  * --- status code  - 400 BAD REQUEST
  * --- message - "Product not in cart"
  *
+ * - If the variant of the product no longer exists, throw ApiError with "400 BAD REQUEST" status code,
+ *   see getVariantForCart()
+ *
+ * - If there isn't enough stock of the product (or variant) for the new quantity, throw ApiError with "400 BAD REQUEST" status code
+ *
  * - Otherwise, update the product's quantity in user's cart to the new quantity provided and return the cart object
  *
  *
  * @param {User} user
  * @param {string} productId
  * @param {number} quantity
+ * @param {string} [variantId] - the variant in the cart, for products with variants
  * @returns {Promise<Cart>}
  * @throws {ApiError}
  */
-const updateProductInCart = async (user, productId, quantity) => {
-  let cart = await Cart.findOne({ email: user.email });
+const updateProductInCart = async (user, productId, quantity, variantId) => {
+  let cart = await Cart.findOne(cartOwner(user));
   if (cart == null) {
     throw new ApiError(
       httpStatus.BAD_REQUEST,
@@ -149,10 +394,10 @@ const updateProductInCart = async (user, productId, quantity) => {
     );
   }
 
-  // Find the index of the cart item matching the input productId
+  // Find the index of the cart item matching the input productId and variantId
   let productIndex = -1;
   for (let i = 0; i < cart.cartItems.length; i++) {
-    if (productId == cart.cartItems[i].product._id) {
+    if (isCartItem(cart.cartItems[i], productId, variantId)) {
       productIndex = i;
     }
   }
@@ -161,6 +406,7 @@ const updateProductInCart = async (user, productId, quantity) => {
   if (productIndex == -1) {
     throw new ApiError(httpStatus.BAD_REQUEST, "Product not in cart");
   } else {
+    checkStock(product, quantity, getVariantForCart(product, variantId));
     cart.cartItems[productIndex].quantity = quantity;
   }
 
@@ -181,18 +427,19 @@ const updateProductInCart = async (user, productId, quantity) => {
  *
  * @param {User} user
  * @param {string} productId
+ * @param {string} [variantId] - the variant in the cart, for products with variants
  * @throws {ApiError}
  */
-const deleteProductFromCart = async (user, productId) => {
-  let cart = await Cart.findOne({ email: user.email });
+const deleteProductFromCart = async (user, productId, variantId) => {
+  let cart = await Cart.findOne(cartOwner(user));
   if (cart == null) {
     throw new ApiError(httpStatus.BAD_REQUEST, "User does not have a cart");
   }
 
-  // Find the index of the cart item matching the input productId
+  // Find the index of the cart item matching the input productId and variantId
   let productIndex = -1;
   for (let i = 0; i < cart.cartItems.length; i++) {
-    if (productId == cart.cartItems[i].product._id) {
+    if (isCartItem(cart.cartItems[i], productId, variantId)) {
       productIndex = i;
     }
   }
@@ -207,18 +454,330 @@ const deleteProductFromCart = async (user, productId) => {
   await cart.save();
 };
 
+/**
+ * Move a product from the user's wishlist to their cart, as a single transaction
+ * - If the product isn't in the wishlist, throw ApiError with "404 NOT FOUND" status code,
+ *   see wishlistService.removeProductFromWishlist()
+ * - If the product no longer exists, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "Product doesn't exist in database"
+ * - If the product is already in the cart, it's only removed from the wishlist
+ * - Otherwise, a unit of the product is added to the cart, creating the cart if the user doesn't have one.
+ *   If the product is out of stock, throw ApiError with "400 BAD REQUEST" status code, see checkStock()
+ * - Products with variants can't be moved as the variant isn't known, throw ApiError with
+ *   "400 BAD REQUEST" status code, see getVariantForCart()
+ *
+ * @param {User} user
+ * @param {string} productId
+ * @returns {Promise<{ cart: Cart, wishlist: Wishlist }>}
+ * @throws {ApiError}
+ */
+const moveToCart = async (user, productId) =>
+  runInTransaction(async (session) => {
+    const wishlist = await wishlistService.removeProductFromWishlist(
+      user,
+      productId,
+      session
+    );
+
+    const product = await Product.findById(productId).session(session);
+    if (product == null) {
+      throw new ApiError(
+        httpStatus.BAD_REQUEST,
+        "Product doesn't exist in database"
+      );
+    }
+
+    let cart = await Cart.findOne(cartOwner(user)).session(session);
+    if (cart == null) {
+      cart = new Cart({
+        ...cartOwner(user),
+        cartItems: [],
+        paymentOption: config.default_payment_option,
+      });
+    }
+    const inCart = cart.cartItems.some(
+      (item) => String(item.product._id) === String(productId)
+    );
+    if (!inCart) {
+      checkStock(product, 1, getVariantForCart(product));
+      cart.cartItems.push({ product, quantity: 1 });
+      await cart.save({ session });
+    }
+
+    return { cart, wishlist };
+  });
+
+/**
+ * Move a product from the user's cart to their wishlist, to buy later, as a single transaction
+ * - The wishlist holds products rather than variants, so every variant of the product is taken out of the cart
+ * - If cart doesn't exist, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "User does not have a cart"
+ * - If product isn't in the cart, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "Product not in cart"
+ *
+ * @param {User} user
+ * @param {string} productId
+ * @returns {Promise<{ cart: Cart, wishlist: Wishlist }>}
+ * @throws {ApiError}
+ */
+const saveForLater = async (user, productId) =>
+  runInTransaction(async (session) => {
+    const cart = await Cart.findOne(cartOwner(user)).session(session);
+    if (cart == null) {
+      throw new ApiError(httpStatus.BAD_REQUEST, "User does not have a cart");
+    }
+
+    const cartItems = cart.cartItems.filter(
+      (item) => String(item.product._id) !== String(productId)
+    );
+    if (cartItems.length === cart.cartItems.length) {
+      throw new ApiError(httpStatus.BAD_REQUEST, "Product not in cart");
+    }
+    cart.cartItems = cartItems;
+    await cart.save({ session });
+
+    const wishlist = await wishlistService.addProductToWishlist(
+      user,
+      productId,
+      session
+    );
+
+    return { cart, wishlist };
+  });
+
+/**
+ * Set how the user will pay for the cart at checkout
+ * - If cart doesn't exist, throw ApiError with
+ * --- status code  - 404 NOT FOUND
+ * --- message - "User does not have a cart"
+ *
+ * @param {User} user
+ * @param {string} paymentOption - one of paymentOptions
+ * @returns {Promise<Cart>}
+ * @throws {ApiError}
+ */
+const setPaymentOption = async (user, paymentOption) => {
+  const cart = await Cart.findOne(cartOwner(user));
+  if (cart == null) {
+    throw new ApiError(httpStatus.NOT_FOUND, "User does not have a cart");
+  }
+
+  cart.paymentOption = paymentOption;
+  await cart.save();
+
+  return cart;
+};
+
+/**
+ * Fold the cart a guest kept before logging in into the user's cart
+ * - If the guest doesn't have a cart, there's nothing to do
+ * - If the user doesn't have a cart, the guest's cart becomes the user's
+ * - Otherwise, the guest's items are added to the user's cart, summing the quantities of products (and variants) in both,
+ *   and the guest's cart is deleted
+ *
+ * @param {User} user
+ * @param {string} guestId
+ * @returns {Promise<Cart|null>} the user's cart, or null if the guest didn't have a cart
+ */
+const mergeGuestCart = async (user, guestId) =>
+  runInTransaction(async (session) => {
+    const guestCart = await Cart.findOne({ guestId }).session(session);
+    if (guestCart == null) {
+      return null;
+    }
+
+    const cart = await Cart.findOne({ email: user.email }).session(session);
+    if (cart == null) {
+      guestCart.guestId = undefined;
+      guestCart.email = user.email;
+      await guestCart.save({ session });
+      return guestCart;
+    }
+
+    for (const guestItem of guestCart.cartItems) {
+      const item = cart.cartItems.find((cartItem) =>
+        isCartItem(cartItem, guestItem.product._id, guestItem.variantId)
+      );
+      if (item) {
+        item.quantity += guestItem.quantity;
+      } else {
+        cart.cartItems.push({
+          product: guestItem.product,
+          variantId: guestItem.variantId,
+          quantity: guestItem.quantity,
+        });
+      }
+    }
+    await cart.save({ session });
+    await Cart.deleteOne({ _id: guestCart._id }).session(session);
+
+    return cart;
+  });
+
+/**
+ * Apply a coupon to the user's cart, replacing any coupon applied before
+ * - If cart doesn't exist, throw ApiError with
+ * --- status code  - 404 NOT FOUND
+ * --- message - "User does not have a cart"
+ * - If the coupon can't be used on the cart, throw ApiError with "400 BAD REQUEST" status code,
+ *   see couponService.checkCoupon()
+ *
+ * @param {User} user
+ * @param {string} code
+ * @returns {Promise<Cart>} the cart, with the pricing in `cart.$locals.pricing`
+ * @throws {ApiError}
+ */
+const applyCoupon = async (user, code) => {
+  const cart = await Cart.findOne(cartOwner(user));
+  if (cart == null) {
+    throw new ApiError(httpStatus.NOT_FOUND, "User does not have a cart");
+  }
+
+  const { coupon, discount } = await couponService.checkCoupon(
+    code,
+    user,
+    cart.cartItems
+  );
+  cart.couponCode = coupon.code;
+  await cart.save();
+
+  cart.$locals.pricing = pricingService.priceCart(cart.cartItems, {
+    discount,
+  });
+  return cart;
+};
+
+/**
+ * Remove the coupon applied to the user's cart
+ * - If cart doesn't exist, throw ApiError with
+ * --- status code  - 404 NOT FOUND
+ * --- message - "User does not have a cart"
+ *
+ * @param {User} user
+ * @returns {Promise<Cart>} the cart, with the pricing in `cart.$locals.pricing`
+ * @throws {ApiError}
+ */
+const removeCoupon = async (user) => {
+  const cart = await Cart.findOne(cartOwner(user));
+  if (cart == null) {
+    throw new ApiError(httpStatus.NOT_FOUND, "User does not have a cart");
+  }
+
+  cart.couponCode = undefined;
+  await cart.save();
+
+  cart.$locals.pricing = pricingService.priceCart(cart.cartItems);
+  return cart;
+};
+
+/**
+ * Take payment for an order by the payment option chosen on the cart
+ * - Wallet - nothing to do yet, the wallet is debited once the order is created so the debit can reference it
+ * - Cash on delivery - if the total is above config.payments.codMaxOrderTotal, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "Cash on delivery is not available for orders above ₹<limit>"
+ * - Card - hold the total on the card through the payment gateway, to take once the order is placed
+ * --- If no card number was given, throw ApiError with "400 BAD REQUEST" status code
+ * --- If the card is declined, throw ApiError with "402 PAYMENT REQUIRED" status code
+ *
+ * @param {User} user
+ * @param {string} paymentOption - one of paymentOptions
+ * @param {number} total - the amount to pay
+ * @param {{ cardNumber?: string, paymentKey: string }} details
+ * @returns {Promise<{ paymentOption: string, status: string, chargeId?: string }>} the payment, for the order
+ * @throws {ApiError}
+ */
+const takePayment = async (user, paymentOption, total, { cardNumber, paymentKey }) => {
+  if (paymentOption === paymentOptions.COD) {
+    if (total > config.payments.codMaxOrderTotal) {
+      throw new ApiError(
+        httpStatus.BAD_REQUEST,
+        `Cash on delivery is not available for orders above ₹${config.payments.codMaxOrderTotal}`
+      );
+    }
+    return { paymentOption, status: paymentStatuses.PENDING };
+  }
+
+  if (paymentOption === paymentOptions.CARD) {
+    if (!cardNumber) {
+      throw new ApiError(
+        httpStatus.BAD_REQUEST,
+        "Card number is required to pay by card"
+      );
+    }
+    const charge = await paymentService.authorizeOrderPayment(
+      user,
+      total,
+      cardNumber,
+      paymentKey
+    );
+    if (charge.status === paymentStatuses.DECLINED) {
+      throw new ApiError(httpStatus.PAYMENT_REQUIRED, "Payment declined");
+    }
+    return { paymentOption, status: charge.status, chargeId: charge.id };
+  }
+
+  return { paymentOption: paymentOptions.WALLET, status: paymentStatuses.SUCCEEDED };
+};
 
 // TODO: CRIO_TASK_MODULE_TEST - Implement checkout function
 /**
  * Checkout a users cart.
- * On success, users cart must have no products.
+ * On success, an order is created for the cart items and users cart must have no products.
+ * The total of every line in the cart, plus shipping and tax (see pricingService.priceCart()) is paid for by the cart's
+ * payment option - from the wallet (the default), cash on delivery or by card, see takePayment().
+ *
+ * The stock decrements, order creation, wallet debit (and its ledger entry) and emptying of the cart happen in a single transaction.
+ * The wallet is debited with a conditional decrement so a balance read earlier can't be spent twice
+ * and concurrent checkouts of the same cart conflict, leaving only one of them to go through.
+ *
+ * - If the address to ship to isn't one of the user's addresses, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "Address not found for the user"
+ *
+ * - If reconciling the cart against the live products changed the price of or removed any of its items, throw ApiError with
+ * --- status code  - 409 CONFLICT
+ * --- message - "Some products in the cart have changed. Review the cart before placing the order"
+ *   The cart is reconciled, and its changes saved, before the transaction, so they're kept for the customer to review
+ *
+ * - If the coupon applied to the cart can no longer be used, throw ApiError with "400 BAD REQUEST" status code,
+ *   see couponService.checkCoupon(). Its use is counted along with the order, see couponService.redeemCoupon()
+ *
+ * - If any of the products (or variants of products) in the cart doesn't have enough stock left, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "Not enough stock of <product name> left"
+ *
+ * - If paying from the wallet and the balance doesn't cover the total, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "Insufficient Wallet Balance"
+ *
+ * Card payments are held on the card in the transaction, with a key made once per call so retries of the transaction
+ * don't hold the amount twice, and taken only once the order is placed. If the order isn't placed, the hold is released.
+ * Payments that can't be taken straight away are taken later by orderService.settleOrderPayments().
  *
  * @param {User} user
- * @returns {Promise}
+ * @param {string} addressId - id of the user's address to ship the order to
+ * @param {string} [cardNumber] - the card to charge, when paying by card
+ * @returns {Promise<{ order: Order, pricing: Pricing, user: User }>} the order placed, the breakdown of the amount charged
+ *    and the user with the updated wallet balance
  * @throws {ApiError} when cart is invalid
  */
-const checkout = async (user) => {
-  let cart = await Cart.findOne({ email: user.email }); 
+const checkout = async (user, addressId, cardNumber) => {
+  // Never charge the price a product had when it was added to the cart
+  const checkCartUnchanged = async (cart, session) => {
+    const changes = await reconcileCart(cart, session);
+    if (changes.length > 0) {
+      throw new ApiError(
+        httpStatus.CONFLICT,
+        "Some products in the cart have changed. Review the cart before placing the order"
+      );
+    }
+  };
+
+  let cart = await Cart.findOne(cartOwner(user));
 
   if (cart == null) {
     throw new ApiError(httpStatus.NOT_FOUND, "User does not have a cart");
@@ -232,29 +791,166 @@ const checkout = async (user) => {
     throw new ApiError(httpStatus.BAD_REQUEST, "User does not have an address other than the default address");
   }
 
-  let cartTotal = 0;
-  let cartItems = cart.cartItems;
+  const shippingAddress = user.addresses.find(
+    (address) => address._id.toString() === String(addressId)
+  );
+  if (!shippingAddress) {
+    throw new ApiError(httpStatus.BAD_REQUEST, "Address not found for the user");
+  }
+
+  // The corrected cart is saved outside the transaction, as the transaction is rolled back when the order is refused
+  await checkCartUnchanged(cart);
+
+  const paymentKey = mongoose.Types.ObjectId().toHexString();
+  let chargeId;
 
-  for (let i=0; i<cartItems.length; i++){
-    let quantity = cartItems[i].quantity;
-    let cost = cartItems[i].product.cost;
+  const placed = await runInTransaction(async (session) => {
+    // Read the cart again in the transaction, it may have been checked out or changed since
+    cart = await Cart.findOne(cartOwner(user)).session(session);
+    if (cart == null || cart.cartItems.length === 0) {
+      throw new ApiError(httpStatus.BAD_REQUEST, "Cart does not have any products");
+    }
+    await checkCartUnchanged(cart, session);
+
+    let cartItems = cart.cartItems;
+    let coupon = null;
+    let discount = 0;
+    if (cart.couponCode) {
+      ({ coupon, discount } = await couponService.checkCoupon(
+        cart.couponCode,
+        user,
+        cartItems,
+        session
+      ));
+    }
+    const pricing = pricingService.priceCart(cartItems, { discount });
+    const cartTotal = pricing.total;
+    if (coupon) {
+      await couponService.redeemCoupon(coupon, session);
+    }
 
-    cartTotal += (quantity*cost);
-    if (user.walletMoney < cartTotal)
-      throw new ApiError(httpStatus.BAD_REQUEST, "Insufficient Wallet Balance");
-    
-    // updating the wallet money after checkout
-    let walletBalance = (user.walletMoney-cartTotal);
-    user.walletMoney = walletBalance;
-    await user.save();
+    // Take the items out of stock, failing the whole order if any of them has run out
+    for (const item of cartItems) {
+      const product = await productService.decrementStock(
+        item.product._id,
+        item.quantity,
+        session,
+        item.variantId
+      );
+      if (product == null) {
+        throw new ApiError(
+          httpStatus.BAD_REQUEST,
+          `Not enough stock of ${item.product.name} left`
+        );
+      }
+    }
+
+    const payment = await takePayment(user, cart.paymentOption, cartTotal, {
+      cardNumber,
+      paymentKey,
+    });
+    chargeId = payment.chargeId;
+
+    // Record what was bought before the cart is emptied
+    const order = await orderService.createOrder(
+      user,
+      cart,
+      shippingAddress,
+      pricing,
+      payment,
+      session
+    );
+
+    let updatedUser = user;
+    if (payment.paymentOption === paymentOptions.WALLET) {
+      // updating the wallet money only if the balance still covers the cart total, recording the debit in the ledger
+      updatedUser = await walletService.debitWallet(
+        user,
+        cartTotal,
+        { reason: walletTransactionReasons.ORDER_PAYMENT, reference: order._id },
+        session
+      );
+      if (updatedUser == null)
+        throw new ApiError(httpStatus.BAD_REQUEST, "Insufficient Wallet Balance");
+    }
 
-    //Removing all the cart items.
+    //Removing all the cart items, and the coupon used up with them.
     cart.cartItems = [];
-    await cart.save();
+    cart.couponCode = undefined;
+    await cart.save({ session });
+
+    return { order, pricing, user: updatedUser };
+  }).catch(async (err) => {
+    // The order wasn't placed, release the amount held on the card for it. There's no order to settle it with later,
+    // so a hold that can't be released is logged for it to be released by hand - or it lapses at the gateway
+    if (chargeId) {
+      try {
+        await paymentService.cancelOrderPayment(chargeId);
+      } catch (cancelErr) {
+        logger.error(
+          "Failed to release the payment %s held for an order not placed: %s",
+          chargeId,
+          cancelErr.stack
+        );
+      }
+    }
+    throw err;
+  });
 
-    return user;
+  // Take the amount held on the card now the order is placed. If the gateway can't be reached, or the hold is still
+  // pending, the order is left with the payment held, for orderService.settleOrderPayments() to take
+  try {
+    placed.order = await orderService.settleOrderPayment(placed.order);
+  } catch (err) {
+    logger.error(
+      "Failed to take the payment of order %s, it's left for settleOrderPayments(): %s",
+      placed.order._id,
+      err.stack
+    );
   }
- 
+  return placed;
+};
+
+/**
+ * Rebuild the cart indexes that changed since carts were first stored, for databases from before guest carts
+ * - The unique index on `email` is made sparse, so that guest carts - which have no email - don't clash with each other
+ * - The index expiring guest carts is created again if `JWT_GUEST_EXPIRATION_DAYS` changed since it was created.
+ *   Guest carts stored before they had an `updatedAt` are dated now, so they expire too
+ *
+ * @returns {Promise<{ indexesRebuilt: string[] }>} names of the indexes dropped and created again
+ */
+const migrateCartIndexes = async () => {
+  let indexes;
+  try {
+    indexes = await Cart.listIndexes();
+  } catch (err) {
+    // The carts collection isn't there yet, so neither are its indexes
+    if (err.codeName !== "NamespaceNotFound") {
+      throw err;
+    }
+    indexes = [];
+  }
+
+  const [, expiry] = Cart.schema
+    .indexes()
+    .find(([fields]) => fields.updatedAt != null);
+  const outdated = indexes.filter(
+    (index) =>
+      (index.name === "email_1" && !index.sparse) ||
+      (index.name === "updatedAt_1" &&
+        index.expireAfterSeconds !== expiry.expireAfterSeconds)
+  );
+  for (const index of outdated) {
+    await Cart.collection.dropIndex(index.name);
+  }
+  await Cart.createIndexes();
+
+  await Cart.updateMany(
+    { guestId: { $exists: true }, updatedAt: { $exists: false } },
+    { $set: { updatedAt: new Date() } }
+  );
+
+  return { indexesRebuilt: outdated.map((index) => index.name) };
 };
 
 module.exports = {
@@ -262,5 +958,12 @@ module.exports = {
   addProductToCart,
   updateProductInCart,
   deleteProductFromCart,
+  setPaymentOption,
+  mergeGuestCart,
+  moveToCart,
+  saveForLater,
+  applyCoupon,
+  removeCoupon,
   checkout,
+  migrateCartIndexes,
 };
@@ -0,0 +1,369 @@
+const httpStatus = require("http-status");
+const mongoose = require("mongoose");
+const { Category, Product } = require("../models");
+const ApiError = require("../utils/ApiError");
+const pick = require("../utils/pick");
+const { parseCsv, formatCsv } = require("../utils/csv");
+const categoryService = require("./category.service");
+
+const catalogueFormats = {
+  CSV: "csv",
+  NDJSON: "ndjson",
+};
+
+// Fields of a product that are imported and exported, in the order of the CSV columns
+const catalogueFields = [
+  "_id",
+  "name",
+  "category",
+  "categoryId",
+  "cost",
+  "rating",
+  "image",
+  "stock",
+  "description",
+  "images",
+  "specs",
+  "variants",
+];
+// Fields holding lists, written as JSON in CSV values
+const jsonFields = ["images", "specs", "variants"];
+
+/**
+ * @typedef {Object} CatalogueRow
+ * @property {number} row - position of the row in the file, from 1, not counting the CSV header and blank lines
+ * @property {Object} [data] - the product fields in the row
+ * @property {string[]} [errors] - why the row couldn't be read
+ */
+
+/**
+ * Read the rows of a CSV catalogue, the first line naming the field in each column
+ * - Empty values are left out, so updates keep the product's value
+ * - If a column isn't one of catalogueFields, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "Unknown column <column>"
+ *
+ * @param {string} text
+ * @returns {CatalogueRow[]}
+ * @throws {ApiError}
+ */
+const parseCsvRows = (text) => {
+  const [header = [], ...records] = parseCsv(text);
+  const columns = header.map((column) => column.trim());
+  columns.forEach((column) => {
+    if (!catalogueFields.includes(column)) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `Unknown column ${column}`);
+    }
+  });
+
+  return records.map((record, index) => {
+    const data = {};
+    const errors = [];
+    if (record.length > columns.length) {
+      errors.push("Row has more values than there are columns");
+    }
+    columns.forEach((column, i) => {
+      const value = (record[i] || "").trim();
+      if (value === "") {
+        return;
+      }
+      if (!jsonFields.includes(column)) {
+        data[column] = value;
+        return;
+      }
+      try {
+        data[column] = JSON.parse(value);
+      } catch (err) {
+        errors.push(`${column}: Not valid JSON`);
+      }
+    });
+    return errors.length
+      ? { row: index + 1, errors }
+      : { row: index + 1, data };
+  });
+};
+
+/**
+ * Read the rows of an NDJSON catalogue, a JSON object per line
+ * - Ids in MongoDB's extended JSON, eg: { "$oid": "6005913ffaa2bffe60466952" }, are read as plain ids, so exports from
+ *   mongoexport can be imported
+ * - Null values are left out, so updates keep the product's value
+ *
+ * @param {string} text
+ * @returns {CatalogueRow[]}
+ */
+const parseNdjsonRows = (text) =>
+  text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line, index) => {
+      const row = index + 1;
+      let json;
+      try {
+        json = JSON.parse(line);
+      } catch (err) {
+        return { row, errors: ["Not valid JSON"] };
+      }
+      if (!json || typeof json !== "object" || Array.isArray(json)) {
+        return { row, errors: ["Not a JSON object"] };
+      }
+
+      const unknownFields = Object.keys(json).filter(
+        (field) => !catalogueFields.includes(field)
+      );
+      if (unknownFields.length) {
+        return {
+          row,
+          errors: unknownFields.map((field) => `Unknown field ${field}`),
+        };
+      }
+
+      const data = {};
+      Object.entries(json).forEach(([field, value]) => {
+        if (value !== null) {
+          data[field] = value && value.$oid ? value.$oid : value;
+        }
+      });
+      return { row, data };
+    });
+
+/**
+ * Find the category of a product row, taking the category's name for the product
+ * - A row with a "categoryId" must name an existing category
+ * - A row with only a "category" name is linked to the category with its slug, if there's one. Otherwise it's left for
+ *   categoryService.migrateProductCategories() to create
+ *
+ * @param {Object} data - the row, updated with the category
+ * @param {Category[]} categories - all the categories
+ * @returns {string|undefined} the error, if the category doesn't exist
+ */
+const setRowCategory = (data, categories) => {
+  if (data.categoryId) {
+    const category = categories.find(
+      (category) => String(category._id) === String(data.categoryId)
+    );
+    if (!category) {
+      return "categoryId: Category not found";
+    }
+    data.category = category.name;
+  } else if (data.category) {
+    const slug = categoryService.slugify(data.category);
+    const category = categories.find((category) => category.slug === slug);
+    if (category) {
+      data.categoryId = category._id;
+      data.category = category.name;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Find the product a row is for, by its "_id" if the row has one and otherwise by its name
+ * - If the row's "_id" isn't a valid id, or several products have the row's name, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ *
+ * @param {Object} data
+ * @returns {Promise<Product|null>} null if the row is for a new product
+ * @throws {ApiError}
+ */
+const findRowProduct = async (data) => {
+  if (data._id) {
+    if (!mongoose.Types.ObjectId.isValid(data._id)) {
+      throw new ApiError(httpStatus.BAD_REQUEST, "_id: Not a valid id");
+    }
+    return Product.findById(data._id);
+  }
+  if (!data.name) {
+    return null;
+  }
+
+  const products = await Product.find({
+    name: String(data.name).trim().toLowerCase(),
+  }).limit(2);
+  if (products.length > 1) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `Several products are named ${data.name}, give the _id of the one to update`
+    );
+  }
+  return products[0] || null;
+};
+
+/**
+ * @typedef {Object} ImportReport
+ * @property {number} created - products created, or that would be on a dry run
+ * @property {number} updated - products changed by the import
+ * @property {number} unchanged - products the import matched but that already had the same values
+ * @property {number} failed - rows that weren't imported
+ * @property {{ row: number, messages: string[] }[]} errors - why each of the failed rows wasn't imported
+ * @property {number} categoriesCreated - categories created for the category names of imported products
+ */
+
+/**
+ * Import a catalogue, creating the products that don't exist and updating those that do
+ * - Rows are matched to products by "_id", or by name for rows without one, see findRowProduct().
+ *   Fields a row doesn't have keep their value, and the variants of a product keep their ids when matched by SKU
+ * - The rating is only imported for new products. Products that exist keep theirs, as it's computed from their
+ *   reviews, see reviewService
+ * - Each row is checked against the product schema, and the rows that fail are reported rather than imported
+ * - Rows for the same product as an earlier row in the file fail, so the file decides a product's values only once
+ * - Once imported, products with only a category name are linked to a category, creating it if needed,
+ *   see categoryService.migrateProductCategories()
+ * - On a dry run, the rows are checked and matched but nothing is saved
+ *
+ * @param {string} text - the catalogue file's contents
+ * @param {string} format - one of catalogueFormats
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - only report what the import would do
+ * @param {number} [options.defaultStock] - stock of new products that rows don't give the stock of
+ * @returns {Promise<ImportReport>}
+ * @throws {ApiError} if the file can't be read as the format, see parseCsvRows()
+ */
+const importCatalogue = async (
+  text,
+  format,
+  { dryRun = false, defaultStock } = {}
+) => {
+  const rows =
+    format === catalogueFormats.CSV
+      ? parseCsvRows(text)
+      : parseNdjsonRows(text);
+  const categories = await Category.find();
+  const report = {
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    failed: 0,
+    errors: [],
+    categoriesCreated: 0,
+  };
+  const fail = (row, messages) => {
+    report.failed += 1;
+    report.errors.push({ row, messages });
+  };
+  const rowsByKey = new Map();
+
+  for (const { row, data, errors } of rows) {
+    if (errors) {
+      fail(row, errors);
+      continue;
+    }
+
+    const key = data._id
+      ? `_id:${data._id}`
+      : data.name && `name:${String(data.name).trim().toLowerCase()}`;
+    if (key) {
+      if (rowsByKey.has(key)) {
+        fail(row, [`Same product as row ${rowsByKey.get(key)}`]);
+        continue;
+      }
+      rowsByKey.set(key, row);
+    }
+
+    const categoryError = setRowCategory(data, categories);
+    if (categoryError) {
+      fail(row, [categoryError]);
+      continue;
+    }
+
+    try {
+      const { _id, ...fields } = data;
+      const existing = await findRowProduct(data);
+      let product = existing;
+      if (existing) {
+        delete fields.rating;
+        if (fields.variants && product.variants) {
+          fields.variants = fields.variants.map((variant) => {
+            const match = product.variants.find(
+              ({ sku }) => variant && sku === variant.sku
+            );
+            return match && !variant._id
+              ? { ...variant, _id: match._id }
+              : variant;
+          });
+        }
+        // Lists set to the same values would still count as modified, so they're only set when they differ
+        jsonFields.forEach((field) => {
+          const list = new Product({ [field]: fields[field] }).get(field);
+          if (JSON.stringify(list) === JSON.stringify(product.get(field))) {
+            delete fields[field];
+          }
+        });
+        product.set(fields);
+      } else {
+        product = new Product({
+          ...(defaultStock !== undefined && { stock: defaultStock }),
+          ...data,
+        });
+      }
+
+      const error = product.validateSync();
+      if (error) {
+        fail(
+          row,
+          Object.values(error.errors).map(({ message }) => message)
+        );
+        continue;
+      }
+      const skus = (product.variants || []).map(({ sku }) => sku);
+      if (new Set(skus).size !== skus.length) {
+        fail(row, ["variants: SKUs must be unique within the product"]);
+        continue;
+      }
+
+      if (!existing) {
+        report.created += 1;
+      } else if (product.isModified()) {
+        report.updated += 1;
+      } else {
+        report.unchanged += 1;
+      }
+      if (!dryRun) {
+        await product.save();
+      }
+    } catch (err) {
+      fail(row, [err.message]);
+    }
+  }
+
+  if (!dryRun && report.created + report.updated > 0) {
+    const { categoriesCreated } =
+      await categoryService.migrateProductCategories();
+    report.categoriesCreated = categoriesCreated;
+  }
+
+  return report;
+};
+
+/**
+ * Export the catalogue, every product with the fields that importCatalogue() reads
+ * - In CSV, the first line names the field in each column, and lists are written as JSON
+ *
+ * @param {string} format - one of catalogueFormats
+ * @returns {Promise<string>}
+ */
+const exportCatalogue = async (format) => {
+  const products = (await Product.find().sort({ _id: 1 })).map((product) =>
+    pick(product.toJSON(), catalogueFields)
+  );
+
+  if (format === catalogueFormats.CSV) {
+    return formatCsv([
+      catalogueFields,
+      ...products.map((product) =>
+        catalogueFields.map((field) =>
+          jsonFields.includes(field) && product[field] !== undefined
+            ? JSON.stringify(product[field])
+            : product[field]
+        )
+      ),
+    ]);
+  }
+  return products.map((product) => `${JSON.stringify(product)}\n`).join("");
+};
+
+module.exports = {
+  catalogueFormats,
+  importCatalogue,
+  exportCatalogue,
+};
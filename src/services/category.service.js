@@ -0,0 +1,188 @@
+const httpStatus = require("http-status");
+const { Category, Coupon, Product } = require("../models");
+const ApiError = require("../utils/ApiError");
+
+/**
+ * Turn a category name into its slug, eg: "Mobile Phones" into "mobile-phones"
+ * @param {string} text
+ * @returns {string}
+ */
+const slugify = (text) =>
+  text
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Get category by id
+ * @param {ObjectId} id
+ * @returns {Promise<Category>}
+ */
+const getCategoryById = async (id) => {
+  return Category.findById(id);
+};
+
+/**
+ * Create a category
+ * - The slug is made from the name, if it isn't given
+ * - If the parent category doesn't exist, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "Parent category not found"
+ * - If there's a category with the same slug, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "Category slug already exists"
+ *
+ * @param {Object} categoryBody
+ * @param {string} categoryBody.name
+ * @param {string} [categoryBody.slug]
+ * @param {ObjectId} [categoryBody.parent]
+ * @param {number} [categoryBody.order]
+ * @returns {Promise<Category>}
+ * @throws {ApiError}
+ */
+const createCategory = async (categoryBody) => {
+  if (categoryBody.parent && !(await getCategoryById(categoryBody.parent))) {
+    throw new ApiError(httpStatus.BAD_REQUEST, "Parent category not found");
+  }
+
+  try {
+    return await Category.create({
+      ...categoryBody,
+      slug: categoryBody.slug || slugify(categoryBody.name),
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new ApiError(
+        httpStatus.BAD_REQUEST,
+        "Category slug already exists"
+      );
+    }
+    throw err;
+  }
+};
+
+/**
+ * Get all the categories as a tree, each category with its "children" ordered by "order" then name
+ * - "productCount" of a category counts the products in it and in all the categories nested in it
+ *
+ * @returns {Promise<Object[]>} the top level categories
+ */
+const getCategoryTree = async () => {
+  const categories = await Category.find().sort({ order: 1, name: 1 });
+  const counts = await Product.aggregate([
+    { $match: { categoryId: { $ne: null } } },
+    { $group: { _id: "$categoryId", count: { $sum: 1 } } },
+  ]);
+  const countById = new Map(
+    counts.map(({ _id, count }) => [String(_id), count])
+  );
+
+  const nodes = new Map(
+    categories.map((category) => [
+      String(category._id),
+      {
+        ...category.toJSON(),
+        productCount: countById.get(String(category._id)) || 0,
+        children: [],
+      },
+    ])
+  );
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(String(node.parent));
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const addDescendantCounts = (node) => {
+    node.children.forEach((child) => {
+      node.productCount += addDescendantCounts(child);
+    });
+    return node.productCount;
+  };
+  roots.forEach(addDescendantCounts);
+
+  return roots;
+};
+
+/**
+ * Get the ids of a category and of all the categories nested in it, at any depth
+ *
+ * @param {ObjectId} categoryId
+ * @returns {Promise<ObjectId[]>} empty if there's no category with the id
+ */
+const getCategoryIdsWithDescendants = async (categoryId) => {
+  const categories = await Category.find().select("parent");
+  const childrenById = new Map();
+  categories.forEach((category) => {
+    const parentId = String(category.parent);
+    childrenById.set(parentId, [
+      ...(childrenById.get(parentId) || []),
+      category._id,
+    ]);
+  });
+
+  const root = categories.find(
+    (category) => String(category._id) === String(categoryId)
+  );
+  if (!root) {
+    return [];
+  }
+  const ids = [];
+  const pending = [root._id];
+  while (pending.length) {
+    const id = pending.shift();
+    ids.push(id);
+    pending.push(...(childrenById.get(String(id)) || []));
+  }
+  return ids;
+};
+
+/**
+ * Link the products and coupons that only have a category name to a category, for data from before categories were a
+ * collection
+ * - Each distinct name gets a top level category, unless there's a category with its slug already. Names that only
+ *   differ in letter case end up in the same category, and the products and coupons take its name
+ *
+ * @returns {Promise<{ categoriesCreated: number, productsUpdated: number, couponsUpdated: number }>}
+ */
+const migrateProductCategories = async () => {
+  let categoriesCreated = 0;
+
+  const linkToCategories = async (Model) => {
+    const names = await Model.distinct("category", { categoryId: null });
+    let updated = 0;
+    for (const name of names) {
+      const slug = slugify(name);
+      let category = await Category.findOne({ slug });
+      if (!category) {
+        category = await Category.create({ name, slug });
+        categoriesCreated += 1;
+      }
+      const result = await Model.updateMany(
+        { category: name, categoryId: null },
+        { categoryId: category._id, category: category.name }
+      );
+      updated += result.nModified;
+    }
+    return updated;
+  };
+
+  const productsUpdated = await linkToCategories(Product);
+  const couponsUpdated = await linkToCategories(Coupon);
+
+  return { categoriesCreated, productsUpdated, couponsUpdated };
+};
+
+module.exports = {
+  slugify,
+  getCategoryById,
+  createCategory,
+  getCategoryTree,
+  getCategoryIdsWithDescendants,
+  migrateProductCategories,
+};
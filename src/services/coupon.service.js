@@ -0,0 +1,200 @@
+const httpStatus = require("http-status");
+const { Coupon, Order } = require("../models");
+const ApiError = require("../utils/ApiError");
+const { itemCost } = require("./pricing.service");
+const categoryService = require("./category.service");
+const { couponTypes } = require("../config/coupons");
+const { orderStatuses } = require("../config/orders");
+
+/**
+ * Create a coupon, for the products of the category with id "categoryId" if given
+ * - If the category doesn't exist, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "Category not found"
+ * - If there's a coupon with the same code, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "Coupon code already exists"
+ *
+ * @param {Object} couponBody
+ * @returns {Promise<Coupon>}
+ * @throws {ApiError}
+ */
+const createCoupon = async (couponBody) => {
+  if (couponBody.categoryId) {
+    const category = await categoryService.getCategoryById(
+      couponBody.categoryId
+    );
+    if (!category) {
+      throw new ApiError(httpStatus.BAD_REQUEST, "Category not found");
+    }
+    couponBody = { ...couponBody, category: category.name };
+  }
+
+  try {
+    return await Coupon.create(couponBody);
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new ApiError(httpStatus.BAD_REQUEST, "Coupon code already exists");
+    }
+    throw err;
+  }
+};
+
+/**
+ * Get a check for whether a cart item's product is in a coupon's category, or in a category nested in it
+ * - Coupons without a category are for all products
+ *
+ * @param {Coupon} coupon
+ * @returns {Promise<function(Object): boolean>}
+ */
+const eligibleItemCheck = async (coupon) => {
+  if (!coupon.categoryId) {
+    return () => true;
+  }
+  const categoryIds = (
+    await categoryService.getCategoryIdsWithDescendants(coupon.categoryId)
+  ).map(String);
+  return (item) => categoryIds.includes(String(item.product.categoryId));
+};
+
+/**
+ * Work out how much a coupon takes off a cart
+ * - Only the products of the coupon's category count, if it has one
+ * - Flat discounts never take off more than those products cost
+ *
+ * @param {Coupon} coupon
+ * @param {Object[]} cartItems - cart items, each with the `product` and its `quantity`
+ * @param {function(Object): boolean} isEligible - whether a cart item counts, see eligibleItemCheck()
+ * @returns {number}
+ */
+const calculateDiscount = (coupon, cartItems, isEligible) => {
+  const eligibleSubtotal = cartItems
+    .filter(isEligible)
+    .reduce((sum, item) => sum + itemCost(item) * item.quantity, 0);
+
+  if (coupon.type === couponTypes.PERCENTAGE) {
+    return (eligibleSubtotal * Math.min(coupon.value, 100)) / 100;
+  }
+  return Math.min(coupon.value, eligibleSubtotal);
+};
+
+/**
+ * Check a coupon can be used by a user on the items in their cart, and work out the discount
+ * If the coupon can't be used, throw ApiError with "400 BAD REQUEST" status code and a message saying why, eg:
+ * --- "Invalid coupon code"
+ * --- "Coupon has expired"
+ * --- "Coupon is only valid on <category> products"
+ * --- "Coupon needs a cart value of at least ₹<minCartValue>"
+ * --- "Coupon usage limit reached"
+ * --- "You have already used this coupon"
+ *
+ * @param {string} code
+ * @param {User} user
+ * @param {Object[]} cartItems - cart items, each with the `product` and its `quantity`
+ * @param {ClientSession} [session] - the transaction to read the coupon in
+ * @returns {Promise<{ coupon: Coupon, discount: number }>}
+ * @throws {ApiError}
+ */
+const checkCoupon = async (code, user, cartItems, session) => {
+  const coupon = await Coupon.findOne({
+    code: code.trim().toUpperCase(),
+  }).session(session);
+  if (coupon == null) {
+    throw new ApiError(httpStatus.BAD_REQUEST, "Invalid coupon code");
+  }
+
+  if (coupon.expiresAt && coupon.expiresAt.getTime() <= Date.now()) {
+    throw new ApiError(httpStatus.BAD_REQUEST, "Coupon has expired");
+  }
+  const isEligible = await eligibleItemCheck(coupon);
+  if (coupon.categoryId && !cartItems.some(isEligible)) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `Coupon is only valid on ${coupon.category} products`
+    );
+  }
+  const subtotal = cartItems.reduce(
+    (sum, item) => sum + itemCost(item) * item.quantity,
+    0
+  );
+  if (subtotal < coupon.minCartValue) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      `Coupon needs a cart value of at least ₹${coupon.minCartValue}`
+    );
+  }
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    throw new ApiError(httpStatus.BAD_REQUEST, "Coupon usage limit reached");
+  }
+  if (coupon.perUserLimit != null) {
+    // Cancelled orders give their use of the coupon back, see releaseCoupon()
+    const used = await Order.countDocuments({
+      userId: user._id,
+      couponCode: coupon.code,
+      status: { $ne: orderStatuses.CANCELLED },
+    }).session(session);
+    if (used >= coupon.perUserLimit) {
+      throw new ApiError(
+        httpStatus.BAD_REQUEST,
+        "You have already used this coupon"
+      );
+    }
+  }
+
+  return {
+    coupon,
+    discount: calculateDiscount(coupon, cartItems, isEligible),
+  };
+};
+
+/**
+ * Count a use of a coupon, only if it hasn't reached its usage limit
+ * The check and the increment are a single atomic update, so concurrent orders can't use the coupon past its limit
+ * - If the coupon has reached its limit, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "Coupon usage limit reached"
+ *
+ * @param {Coupon} coupon
+ * @param {ClientSession} [session] - session of the transaction to run the update in
+ * @returns {Promise<Coupon>}
+ * @throws {ApiError}
+ */
+const redeemCoupon = async (coupon, session) => {
+  const filter = { _id: coupon._id };
+  if (coupon.usageLimit != null) {
+    filter.usedCount = { $lt: coupon.usageLimit };
+  }
+
+  const redeemed = await Coupon.findOneAndUpdate(
+    filter,
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+  if (redeemed == null) {
+    throw new ApiError(httpStatus.BAD_REQUEST, "Coupon usage limit reached");
+  }
+  return redeemed;
+};
+
+/**
+ * Give back a use of the coupon with the given code, counted by redeemCoupon() for an order that got cancelled
+ * Coupons since deleted, or without any use counted, are left as they are
+ *
+ * @param {string} code
+ * @param {ClientSession} [session] - session of the transaction to run the update in
+ * @returns {Promise}
+ */
+const releaseCoupon = async (code, session) => {
+  await Coupon.updateOne(
+    { code, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+};
+
+module.exports = {
+  createCoupon,
+  checkCoupon,
+  redeemCoupon,
+  releaseCoupon,
+};
@@ -0,0 +1,61 @@
+const path = require("path");
+const config = require("../config/config");
+const { createMemoryOutbox, createFileOutbox } = require("../utils/outbox");
+
+/**
+ * The transport emails are sent with, picked by the EMAIL_TRANSPORT environment variable
+ * - "memory" keeps emails in memory (always used in tests)
+ * - "file" writes emails to EMAIL_OUTBOX_DIR
+ */
+let transport =
+  config.email.transport === "memory"
+    ? createMemoryOutbox()
+    : createFileOutbox(path.resolve(config.email.outboxDir));
+
+/**
+ * Replace the transport emails are sent with, eg: with one that delivers emails over SMTP
+ * @param {{ send: Function }} newTransport - object with an async `send({ from, to, subject, text })` method
+ */
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+/**
+ * Get the transport emails are sent with
+ * @returns {{ send: Function }}
+ */
+const getTransport = () => transport;
+
+/**
+ * Send an email
+ * @param {string} to
+ * @param {string} subject
+ * @param {string} text
+ * @returns {Promise}
+ */
+const sendEmail = async (to, subject, text) => {
+  await transport.send({ from: config.email.from, to, subject, text });
+};
+
+/**
+ * Send the reset password email with a link to the frontend's reset password page
+ * @param {string} to
+ * @param {string} token - reset password token
+ * @returns {Promise}
+ */
+const sendResetPasswordEmail = async (to, token) => {
+  const subject = "Reset your QKart password";
+  const resetPasswordUrl = `${config.clientUrl}/reset-password?token=${token}`;
+  const text = `Dear user,
+To reset your password, click on this link: ${resetPasswordUrl}
+The link expires in ${config.jwt.resetPasswordExpirationMinutes} minutes.
+If you did not request a password reset, you can ignore this email.`;
+  await sendEmail(to, subject, text);
+};
+
+module.exports = {
+  setTransport,
+  getTransport,
+  sendEmail,
+  sendResetPasswordEmail,
+};
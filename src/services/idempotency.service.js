@@ -0,0 +1,102 @@
+const httpStatus = require("http-status");
+const { IdempotencyKey } = require("../models");
+const ApiError = require("../utils/ApiError");
+const config = require("../config/config");
+
+/**
+ * Check if an idempotency key has outlived the window its response is replayed in
+ * MongoDB only removes expired keys periodically, so they can still be found for a while after they expire
+ *
+ * @param {IdempotencyKey} idempotencyKey
+ * @returns {boolean}
+ */
+const isExpired = (idempotencyKey) =>
+  Date.now() - idempotencyKey.createdAt.getTime() >=
+  config.idempotency.keyTtlHours * 60 * 60 * 1000;
+
+/**
+ * Claim an idempotency key for a request, or find the response to replay if the request is a retry
+ * - If the key is new (or has expired), store it and return null - the request is to be handled
+ * - If the key was used for a request with a different fingerprint, throw ApiError with
+ * --- status code  - 422 UNPROCESSABLE ENTITY
+ * --- message - "Idempotency-Key was already used for a different request"
+ * - If the first request with the key is still being handled, throw ApiError with
+ * --- status code  - 409 CONFLICT
+ * --- message - "A request with this Idempotency-Key is still being processed"
+ * - Otherwise, return the key with the stored response to replay
+ *
+ * @param {ObjectId} userId
+ * @param {string} key
+ * @param {string} fingerprint - identifies the request, eg: a hash of its method, url and body
+ * @returns {Promise<IdempotencyKey|null>}
+ * @throws {ApiError}
+ */
+const claimKey = async (userId, key, fingerprint) => {
+  try {
+    await IdempotencyKey.create({ userId, key, fingerprint });
+    return null;
+  } catch (err) {
+    if (err.code !== 11000) {
+      throw err;
+    }
+  }
+
+  const idempotencyKey = await IdempotencyKey.findOne({ userId, key });
+  if (idempotencyKey == null) {
+    // The key was removed since it was found taken, claim it afresh
+    return claimKey(userId, key, fingerprint);
+  }
+  if (isExpired(idempotencyKey)) {
+    await IdempotencyKey.deleteOne({ _id: idempotencyKey._id });
+    return claimKey(userId, key, fingerprint);
+  }
+
+  if (idempotencyKey.fingerprint !== fingerprint) {
+    throw new ApiError(
+      httpStatus.UNPROCESSABLE_ENTITY,
+      "Idempotency-Key was already used for a different request"
+    );
+  }
+  if (idempotencyKey.responseStatus == null) {
+    throw new ApiError(
+      httpStatus.CONFLICT,
+      "A request with this Idempotency-Key is still being processed"
+    );
+  }
+
+  return idempotencyKey;
+};
+
+/**
+ * Store the response to a request with an idempotency key, to replay on retries
+ *
+ * @param {ObjectId} userId
+ * @param {string} key
+ * @param {number} responseStatus
+ * @param {*} responseBody
+ * @returns {Promise}
+ */
+const saveResponse = async (userId, key, responseStatus, responseBody) => {
+  return IdempotencyKey.updateOne(
+    { userId, key },
+    { responseStatus, responseBody }
+  );
+};
+
+/**
+ * Release an idempotency key without storing a response, so a retry with it is handled afresh
+ * eg: when the request failed with a server error
+ *
+ * @param {ObjectId} userId
+ * @param {string} key
+ * @returns {Promise}
+ */
+const releaseKey = async (userId, key) => {
+  return IdempotencyKey.deleteOne({ userId, key });
+};
+
+module.exports = {
+  claimKey,
+  saveResponse,
+  releaseKey,
+};
@@ -3,3 +3,15 @@ module.exports.authService = require("./auth.service");
 module.exports.tokenService = require("./token.service");
 module.exports.productService = require("./product.service");
 module.exports.cartService = require("./cart.service");
+module.exports.orderService = require("./order.service");
+module.exports.emailService = require("./email.service");
+module.exports.pricingService = require("./pricing.service");
+module.exports.walletService = require("./wallet.service");
+module.exports.paymentService = require("./payment.service");
+module.exports.idempotencyService = require("./idempotency.service");
+module.exports.couponService = require("./coupon.service");
+module.exports.wishlistService = require("./wishlist.service");
+module.exports.reviewService = require("./review.service");
+module.exports.categoryService = require("./category.service");
+module.exports.catalogueService = require("./catalogue.service");
+module.exports.searchService = require("./search.service");
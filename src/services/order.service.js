@@ -0,0 +1,307 @@
+const httpStatus = require("http-status");
+const { Order } = require("../models");
+const ApiError = require("../utils/ApiError");
+const runInTransaction = require("../utils/transaction");
+const logger = require("../config/logger");
+const productService = require("./product.service");
+const { itemCost } = require("./pricing.service");
+const walletService = require("./wallet.service");
+const paymentService = require("./payment.service");
+const couponService = require("./coupon.service");
+const { orderStatuses, orderStatusTransitions } = require("../config/orders");
+const { paymentOptions, paymentStatuses } = require("../config/payments");
+const { walletTransactionReasons } = require("../config/wallet");
+
+/**
+ * Create an order from the items in a user's cart
+ * - Each order item is a snapshot of the product's name, category, image and cost at the time of purchase
+ *   so later catalogue changes don't alter the purchase history
+ * - Order items of a variant also keep the variant's SKU and attributes
+ *
+ * @param {User} user
+ * @param {Cart} cart
+ * @param {{ _id: ObjectId, address: string }} address - the shipping address
+ * @param {Pricing} pricing - the breakdown of the amount charged for the order, see pricingService.priceCart()
+ * @param {{ paymentOption: string, status: string, chargeId?: string }} payment - how the order is paid for
+ * @param {ClientSession} [session] - the transaction to create the order in
+ * @returns {Promise<Order>}
+ */
+const createOrder = async (user, cart, address, pricing, payment, session) => {
+  const orderItems = cart.cartItems.map((cartItem) => {
+    const variant = productService.findVariant(
+      cartItem.product,
+      cartItem.variantId
+    );
+    return {
+      product: cartItem.product._id,
+      variantId: variant && variant._id,
+      sku: variant && variant.sku,
+      attributes: variant && variant.attributes,
+      name: cartItem.product.name,
+      category: cartItem.product.category,
+      image: cartItem.product.image,
+      cost: itemCost(cartItem),
+      quantity: cartItem.quantity,
+    };
+  });
+
+  const [order] = await Order.create(
+    [
+      {
+        userId: user._id,
+        email: user.email,
+        orderItems,
+        total: pricing.total,
+        couponCode: cart.couponCode,
+        pricing: {
+          subtotal: pricing.subtotal,
+          discount: pricing.discount,
+          shipping: pricing.shipping,
+          tax: pricing.tax,
+        },
+        shippingAddress: {
+          addressId: address._id,
+          address: address.address,
+        },
+        paymentOption: payment.paymentOption,
+        paymentStatus: payment.status,
+        chargeId: payment.chargeId,
+      },
+    ],
+    { session }
+  );
+
+  return order;
+};
+
+/**
+ * Fetch all orders placed by a user, most recent first
+ * @param {User} user
+ * @returns {Promise<List<Order>>}
+ */
+const getOrdersByUser = async (user) => {
+  return Order.find({ userId: user._id }).sort({ createdAt: -1 });
+};
+
+/**
+ * Get Order by id
+ * @param {ObjectId} id
+ * @returns {Promise<Order>}
+ */
+const getOrderById = async (id) => {
+  return Order.findById(id);
+};
+
+/**
+ * Move an order on to a new status, recording the change in its status history
+ * - If the order doesn't exist, throw ApiError with
+ * --- status code  - 404 NOT FOUND
+ * --- message - "Order not found"
+ * - If the order can't move from its status to the new one (see orderStatusTransitions), throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "Order can't be moved from <status> to <new status>"
+ *
+ * Along with the status
+ * - Cancelled and returned orders put their items back in stock, and refund what was paid for them to the wallet.
+ *   Orders not paid for yet aren't refunded - cash on delivery orders, and card payments still held on the card,
+ *   which are released once the order is cancelled, see settleOrderPayment()
+ * - Cancelled orders give back their use of the coupon they were discounted by, see couponService.releaseCoupon()
+ * - Delivered cash on delivery orders are marked paid for
+ *
+ * The status change and everything done along with it happen in a single transaction, so concurrent changes to the
+ * same order conflict and only one of them goes through - an order can't be refunded twice
+ *
+ * @param {ObjectId} orderId
+ * @param {string} status - one of orderStatuses
+ * @returns {Promise<Order>} the updated order
+ * @throws {ApiError}
+ */
+const updateOrderStatus = async (orderId, status) => {
+  const order = await runInTransaction(async (session) => {
+    const order = await Order.findById(orderId).session(session);
+    if (order == null) {
+      throw new ApiError(httpStatus.NOT_FOUND, "Order not found");
+    }
+    if (!orderStatusTransitions[order.status].includes(status)) {
+      throw new ApiError(
+        httpStatus.BAD_REQUEST,
+        `Order can't be moved from ${order.status} to ${status}`
+      );
+    }
+
+    if (
+      status === orderStatuses.CANCELLED ||
+      status === orderStatuses.RETURNED
+    ) {
+      for (const item of order.orderItems) {
+        await productService.incrementStock(
+          item.product,
+          item.quantity,
+          session,
+          item.variantId
+        );
+      }
+
+      // Wallet payments are taken at checkout - including those of orders placed before payment statuses were recorded
+      const paid =
+        order.paymentStatus === paymentStatuses.SUCCEEDED ||
+        ![paymentOptions.COD, paymentOptions.CARD].includes(
+          order.paymentOption
+        );
+      if (paid) {
+        await walletService.creditWallet(
+          { _id: order.userId },
+          order.total,
+          { reason: walletTransactionReasons.REFUND, reference: order._id },
+          session
+        );
+        order.paymentStatus = paymentStatuses.REFUNDED;
+      }
+    }
+
+    if (status === orderStatuses.CANCELLED && order.couponCode) {
+      await couponService.releaseCoupon(order.couponCode, session);
+    }
+
+    if (
+      status === orderStatuses.DELIVERED &&
+      order.paymentOption === paymentOptions.COD
+    ) {
+      order.paymentStatus = paymentStatuses.SUCCEEDED;
+    }
+
+    order.status = status;
+    order.statusHistory.push({ status, at: new Date() });
+    await order.save({ session });
+
+    return order;
+  });
+
+  if (status !== orderStatuses.CANCELLED) {
+    return order;
+  }
+  // Release the payment held on the card for the order. If the gateway can't be reached, settleOrderPayments() does
+  try {
+    return await settleOrderPayment(order);
+  } catch (err) {
+    logger.error(
+      "Failed to release the payment of order %s, it's left for settleOrderPayments(): %s",
+      order._id,
+      err.stack
+    );
+    return order;
+  }
+};
+
+/**
+ * Whether the payment for an order is held on its card, or still pending at the gateway, and so yet to be settled
+ * @param {Order} order
+ * @returns {boolean}
+ */
+const isPaymentUnsettled = (order) =>
+  Boolean(order.chargeId) &&
+  [paymentStatuses.AUTHORIZED, paymentStatuses.PENDING].includes(
+    order.paymentStatus
+  );
+
+/**
+ * Settle the payment held on the card for an order, once the gateway has gone through with the hold
+ * - Orders placed have the amount held taken, see paymentService.captureOrderPayment()
+ * - Cancelled orders have the hold released instead, see paymentService.cancelOrderPayment(). Those cancelled while
+ *   their payment was being taken are refunded to the wallet, like other cancelled orders paid for
+ * - Orders whose hold was declined, or released, are cancelled - putting their items back in stock
+ * - Orders with no payment to settle, or whose hold is still pending, are returned as they are
+ *
+ * @param {Order} order
+ * @returns {Promise<Order>} the updated order
+ */
+const settleOrderPayment = async (order) => {
+  if (!isPaymentUnsettled(order)) {
+    return order;
+  }
+
+  const cancelled = [orderStatuses.CANCELLED, orderStatuses.RETURNED];
+  const charge = cancelled.includes(order.status)
+    ? await paymentService.cancelOrderPayment(order.chargeId)
+    : await paymentService.captureOrderPayment(order.chargeId);
+
+  const settled = await runInTransaction(async (session) => {
+    const current = await Order.findById(order._id).session(session);
+    // Leave the order be if its payment was settled by a concurrent call, or there's nothing new
+    if (
+      current.paymentStatus !== order.paymentStatus ||
+      current.paymentStatus === charge.status
+    ) {
+      return current;
+    }
+
+    current.paymentStatus = charge.status;
+    if (
+      charge.status === paymentStatuses.SUCCEEDED &&
+      cancelled.includes(current.status)
+    ) {
+      await walletService.creditWallet(
+        { _id: current.userId },
+        current.total,
+        { reason: walletTransactionReasons.REFUND, reference: current._id },
+        session
+      );
+      current.paymentStatus = paymentStatuses.REFUNDED;
+    }
+    await current.save({ session });
+
+    return current;
+  });
+
+  if (
+    [paymentStatuses.DECLINED, paymentStatuses.CANCELLED].includes(
+      settled.paymentStatus
+    ) &&
+    orderStatusTransitions[settled.status].includes(orderStatuses.CANCELLED)
+  ) {
+    return updateOrderStatus(settled._id, orderStatuses.CANCELLED);
+  }
+  return settled;
+};
+
+/**
+ * Settle the payments of all orders whose card payment is yet to be taken or released, see settleOrderPayment()
+ * Checkout takes card payments right after placing the order, this picks up the ones it couldn't - still pending at
+ * the gateway, or left held as the gateway couldn't be reached. Run it regularly, see src/scripts/settlePayments.js
+ *
+ * @returns {Promise<{ settled: number, pending: number, failed: number, errors: { orderId: ObjectId, message: string }[] }>}
+ *    how many orders had their payment settled, are still pending at the gateway, and failed to be settled and why
+ */
+const settleOrderPayments = async () => {
+  const orders = await Order.find({
+    paymentOption: paymentOptions.CARD,
+    paymentStatus: {
+      $in: [paymentStatuses.AUTHORIZED, paymentStatuses.PENDING],
+    },
+  });
+
+  const report = { settled: 0, pending: 0, failed: 0, errors: [] };
+  for (const order of orders) {
+    try {
+      const settled = await settleOrderPayment(order);
+      if (isPaymentUnsettled(settled)) {
+        report.pending += 1;
+      } else {
+        report.settled += 1;
+      }
+    } catch (err) {
+      report.failed += 1;
+      report.errors.push({ orderId: order._id, message: err.message });
+    }
+  }
+  return report;
+};
+
+module.exports = {
+  createOrder,
+  getOrdersByUser,
+  getOrderById,
+  updateOrderStatus,
+  settleOrderPayment,
+  settleOrderPayments,
+};
@@ -0,0 +1,221 @@
+const path = require("path");
+const httpStatus = require("http-status");
+const config = require("../config/config");
+const { Payment } = require("../models");
+const ApiError = require("../utils/ApiError");
+const runInTransaction = require("../utils/transaction");
+const { createFakeGateway } = require("../utils/paymentGateway");
+const { paymentStatuses } = require("../config/payments");
+const { walletTransactionReasons } = require("../config/wallet");
+const walletService = require("./wallet.service");
+
+/**
+ * Create the gateway set by the PAYMENT_GATEWAY config
+ * - "fake" - the fake gateway, which only development and tests may use as anyone could pay with its test cards
+ * - Otherwise, the path (from the project root) to a module exporting the adapter for a real payment provider
+ *
+ * @returns {Object} the gateway, see src/utils/paymentGateway.js
+ * @throws {Error} if the fake gateway is set in production
+ */
+const createGateway = () => {
+  if (config.payments.gateway !== "fake") {
+    return require(path.resolve(__dirname, "../..", config.payments.gateway));
+  }
+  if (!["development", "test"].includes(config.env)) {
+    throw new Error("The fake payment gateway can't be used in production");
+  }
+  return createFakeGateway();
+};
+
+/**
+ * The gateway payments are taken through, see src/utils/paymentGateway.js
+ */
+let gateway = createGateway();
+
+/**
+ * Replace the gateway payments are taken through, eg: with a fake gateway set up for a test
+ * @param {Object} newGateway - see src/utils/paymentGateway.js
+ */
+const setGateway = (newGateway) => {
+  gateway = newGateway;
+};
+
+/**
+ * Get the gateway payments are taken through
+ * @returns {Object}
+ */
+const getGateway = () => gateway;
+
+/**
+ * Mark a pending top-up as succeeded and credit the wallet with it, in a single transaction
+ * Only the request that moves the payment out of pending credits the wallet, so concurrent requests credit it once
+ *
+ * @param {Payment} payment
+ * @returns {Promise<Payment>}
+ */
+const creditTopUp = async (payment) => {
+  return runInTransaction(async (session) => {
+    const succeeded = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: paymentStatuses.PENDING },
+      { status: paymentStatuses.SUCCEEDED },
+      { new: true, session }
+    );
+    if (succeeded == null) {
+      return Payment.findById(payment._id).session(session);
+    }
+
+    await walletService.creditWallet(
+      { _id: payment.userId },
+      payment.amount,
+      { reason: walletTransactionReasons.TOP_UP, reference: payment._id },
+      session
+    );
+    return succeeded;
+  });
+};
+
+/**
+ * Update a pending payment with the outcome of its charge at the gateway
+ *
+ * @param {Payment} payment
+ * @param {{ id: string, status: string }} charge
+ * @returns {Promise<Payment>}
+ */
+const settlePayment = async (payment, charge) => {
+  if (charge.status === paymentStatuses.SUCCEEDED) {
+    return creditTopUp(payment);
+  }
+  if (charge.status === paymentStatuses.DECLINED) {
+    const declined = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: paymentStatuses.PENDING },
+      { status: paymentStatuses.DECLINED },
+      { new: true }
+    );
+    return declined || Payment.findById(payment._id);
+  }
+  return payment;
+};
+
+/**
+ * Top up a user's wallet by charging a card through the payment gateway
+ * - The wallet is credited only once the charge has succeeded
+ * - Requests are idempotent on the client-supplied key. Retrying with the same key returns the payment made by the
+ *   first request, after checking with the gateway if it's still pending, instead of charging the card again
+ * - If the key was used for a top-up of a different amount or card, throw ApiError with
+ * --- status code  - 422 UNPROCESSABLE ENTITY
+ * --- message - "Idempotency-Key was already used for a different top-up"
+ *
+ * @param {User} user
+ * @param {number} amount
+ * @param {string} cardNumber
+ * @param {string} idempotencyKey
+ * @returns {Promise<Payment>} the payment, with the status of the charge
+ * @throws {ApiError}
+ */
+const topUpWallet = async (user, amount, cardNumber, idempotencyKey) => {
+  const cardLast4 = cardNumber.slice(-4);
+  let payment = await Payment.findOne({ userId: user._id, idempotencyKey });
+
+  if (payment) {
+    if (payment.amount !== amount || payment.cardLast4 !== cardLast4) {
+      throw new ApiError(
+        httpStatus.UNPROCESSABLE_ENTITY,
+        "Idempotency-Key was already used for a different top-up"
+      );
+    }
+    if (payment.status !== paymentStatuses.PENDING) {
+      return payment;
+    }
+  } else {
+    try {
+      payment = await Payment.create({
+        userId: user._id,
+        idempotencyKey,
+        amount,
+        cardLast4,
+      });
+    } catch (err) {
+      // A concurrent request with the same key got there first, handle this one as its retry
+      if (err.code === 11000) {
+        return topUpWallet(user, amount, cardNumber, idempotencyKey);
+      }
+      throw err;
+    }
+  }
+
+  let charge;
+  if (payment.chargeId) {
+    charge = await gateway.retrieveCharge(payment.chargeId);
+  } else {
+    // The gateway is idempotent on the key too, so a charge left unrecorded by a failed request isn't taken twice
+    charge = await gateway.charge({
+      amount,
+      cardNumber,
+      idempotencyKey: `${user._id}:${idempotencyKey}`,
+    });
+    payment.chargeId = charge.id;
+    await payment.save();
+  }
+
+  return settlePayment(payment, charge);
+};
+
+/**
+ * Hold the amount of an order on a card through the payment gateway, to capture once the order is placed
+ * - The key identifies the checkout attempt, authorizing again with it returns the original charge
+ *
+ * @param {User} user
+ * @param {number} amount
+ * @param {string} cardNumber
+ * @param {string} idempotencyKey
+ * @returns {Promise<{ id: string, status: string }>} the charge
+ */
+const authorizeOrderPayment = async (user, amount, cardNumber, idempotencyKey) => {
+  return gateway.authorize({
+    amount,
+    cardNumber,
+    idempotencyKey: `${user._id}:order:${idempotencyKey}`,
+  });
+};
+
+/**
+ * Take the amount held on a card for an order, if the hold has gone through
+ *
+ * @param {string} chargeId
+ * @returns {Promise<{ id: string, status: string }>} the charge, still pending if the hold hasn't gone through yet
+ */
+const captureOrderPayment = async (chargeId) => {
+  const charge = await gateway.retrieveCharge(chargeId);
+  if (charge.status !== paymentStatuses.AUTHORIZED) {
+    return charge;
+  }
+  return gateway.capture(chargeId);
+};
+
+/**
+ * Release the amount held on a card for an order, eg: when the order wasn't placed after all
+ *
+ * @param {string} chargeId
+ * @returns {Promise<{ id: string, status: string }>} the charge, as it was if it had already been captured or declined
+ */
+const cancelOrderPayment = async (chargeId) => {
+  const charge = await gateway.retrieveCharge(chargeId);
+  if (
+    ![paymentStatuses.AUTHORIZED, paymentStatuses.PENDING].includes(
+      charge.status
+    )
+  ) {
+    return charge;
+  }
+  return gateway.cancel(chargeId);
+};
+
+module.exports = {
+  createGateway,
+  setGateway,
+  getGateway,
+  topUpWallet,
+  authorizeOrderPayment,
+  captureOrderPayment,
+  cancelOrderPayment,
+};
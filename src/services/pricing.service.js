@@ -0,0 +1,93 @@
+const config = require("../config/config");
+const { findVariant } = require("./product.service");
+
+/**
+ * Round an amount of money to two decimal places
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the price of a unit of a cart item - the price of its variant, if it's of a variant that has its own price
+ *
+ * @param {Object} item - cart item, with the `product` and the `variantId` if it's of a variant
+ * @returns {number}
+ */
+const itemCost = (item) => {
+  const variant = findVariant(item.product, item.variantId);
+  return variant && variant.cost != null ? variant.cost : item.product.cost;
+};
+
+/**
+ * @typedef {Object} Pricing
+ * @property {Object[]} items - the cost, quantity and subtotal of each line
+ * @property {number} subtotal - sum of the line subtotals
+ * @property {number} discount - amount taken off the subtotal
+ * @property {number} shipping - shipping charge
+ * @property {number} tax - tax on the discounted subtotal
+ * @property {number} total - the amount to charge
+ */
+
+/**
+ * Price the items in a cart
+ * - The subtotal of each line is the product cost, or the cost of its variant, times the quantity
+ * - The discount is taken off the subtotal, but never takes it below zero
+ * - Shipping is a flat charge, waived when the subtotal reaches the free shipping threshold
+ * - Tax is charged on the discounted subtotal
+ *
+ * Example:
+ * {
+ *      "items": [
+ *          { "productId": "5f71c1ca04c69a5874e9fd45", "name": "ball", "cost": 20, "quantity": 2, "subtotal": 40 }
+ *      ],
+ *      "subtotal": 40,
+ *      "discount": 0,
+ *      "shipping": 50,
+ *      "tax": 7.2,
+ *      "total": 97.2
+ * }
+ *
+ * @param {Object[]} cartItems - cart items, each with the `product` and its `quantity`
+ * @param {Object} [adjustments]
+ * @param {number} [adjustments.discount] - amount to take off the subtotal
+ * @returns {Pricing}
+ */
+const priceCart = (cartItems, { discount = 0 } = {}) => {
+  const { shippingCharge, freeShippingThreshold, taxRate } = config.pricing;
+
+  const items = cartItems.map((item) => ({
+    productId: item.product._id,
+    variantId: item.variantId,
+    name: item.product.name,
+    cost: itemCost(item),
+    quantity: item.quantity,
+    subtotal: roundMoney(itemCost(item) * item.quantity),
+  }));
+
+  const subtotal = roundMoney(
+    items.reduce((sum, item) => sum + item.subtotal, 0)
+  );
+  const appliedDiscount = roundMoney(Math.min(discount, subtotal));
+  const shipping =
+    items.length === 0 ||
+    (freeShippingThreshold !== undefined && subtotal >= freeShippingThreshold)
+      ? 0
+      : shippingCharge;
+  const tax = roundMoney((subtotal - appliedDiscount) * taxRate);
+  const total = roundMoney(subtotal - appliedDiscount + shipping + tax);
+
+  return {
+    items,
+    subtotal,
+    discount: appliedDiscount,
+    shipping,
+    tax,
+    total,
+  };
+};
+
+module.exports = {
+  itemCost,
+  priceCart,
+};
@@ -1,4 +1,7 @@
-const { Product } = require("../models");
+const httpStatus = require("http-status");
+const { Product, Cart, Wishlist, Review } = require("../models");
+const ApiError = require("../utils/ApiError");
+const categoryService = require("./category.service");
 
 /**
  * Get Product by id
@@ -10,14 +13,220 @@ const getProductById = async (id) => {
 };
 
 /**
- * Fetch all products
- * @returns {Promise<List<Products>>}
+ * Escape the characters with a special meaning in regular expressions, so user input is matched literally
+ * @param {string} text
+ * @returns {string}
  */
-const getProducts = async () => {
-  return Product.find({});
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Query for products, one page at a time
+ * - "q" matches products whose name or category contains the text, ignoring letter case
+ * - "category" matches products in the category, ignoring letter case
+ * - "categoryId" matches products in the category or in any of the categories nested in it
+ * - "minCost"/"maxCost" limit the cost of the products, both inclusive
+ * - "minRating" limits the products to those rated at least as high
+ *
+ * @param {Object} filter
+ * @param {string} [filter.q]
+ * @param {string} [filter.category]
+ * @param {ObjectId} [filter.categoryId]
+ * @param {number} [filter.minCost]
+ * @param {number} [filter.maxCost]
+ * @param {number} [filter.minRating]
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryProducts = async (filter, options) => {
+  const mongoFilter = {};
+
+  if (filter.q) {
+    const pattern = new RegExp(escapeRegExp(filter.q), "i");
+    mongoFilter.$or = [{ name: pattern }, { category: pattern }];
+  }
+  if (filter.category) {
+    mongoFilter.category = new RegExp(`^${escapeRegExp(filter.category)}$`, "i");
+  }
+  if (filter.categoryId) {
+    mongoFilter.categoryId = {
+      $in: await categoryService.getCategoryIdsWithDescendants(
+        filter.categoryId
+      ),
+    };
+  }
+  if (filter.minCost !== undefined || filter.maxCost !== undefined) {
+    mongoFilter.cost = {};
+    if (filter.minCost !== undefined) mongoFilter.cost.$gte = filter.minCost;
+    if (filter.maxCost !== undefined) mongoFilter.cost.$lte = filter.maxCost;
+  }
+  if (filter.minRating !== undefined) {
+    mongoFilter.rating = { $gte: filter.minRating };
+  }
+
+  return Product.paginate(mongoFilter, options);
+};
+
+/**
+ * Fill in the category name of a product from its "categoryId", if it has one
+ * - If there's no category with the id, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "Category not found"
+ *
+ * @param {Object} productBody
+ * @returns {Promise<Object>}
+ * @throws {ApiError}
+ */
+const withCategoryName = async (productBody) => {
+  if (!productBody.categoryId) {
+    return productBody;
+  }
+  const category = await categoryService.getCategoryById(
+    productBody.categoryId
+  );
+  if (!category) {
+    throw new ApiError(httpStatus.BAD_REQUEST, "Category not found");
+  }
+  return { ...productBody, category: category.name };
+};
+
+/**
+ * Create a product in the category with id "categoryId"
+ * @param {Object} productBody
+ * @returns {Promise<Product>}
+ * @throws {ApiError}
+ */
+const createProduct = async (productBody) => {
+  return Product.create(await withCategoryName(productBody));
+};
+
+/**
+ * Update product by id
+ * - Throw ApiError with "404 Not Found" if there's no product with the id
+ * - Moving the product to another category ("categoryId") updates its category name too
+ *
+ * @param {ObjectId} productId
+ * @param {Object} updateBody
+ * @returns {Promise<Product>}
+ * @throws {ApiError}
+ */
+const updateProductById = async (productId, updateBody) => {
+  const product = await getProductById(productId);
+  if (!product) {
+    throw new ApiError(httpStatus.NOT_FOUND, "Product not found");
+  }
+  Object.assign(product, await withCategoryName(updateBody));
+  await product.save();
+  return product;
+};
+
+/**
+ * Delete product by id
+ * - Throw ApiError with "404 Not Found" if there's no product with the id
+ * - Remove the product from the carts it was added to, so it can't be ordered anymore, and from wishlists
+ * - Delete the product's reviews
+ *
+ * @param {ObjectId} productId
+ * @returns {Promise<Product>}
+ * @throws {ApiError}
+ */
+const deleteProductById = async (productId) => {
+  const product = await getProductById(productId);
+  if (!product) {
+    throw new ApiError(httpStatus.NOT_FOUND, "Product not found");
+  }
+  await product.remove();
+  await Cart.updateMany(
+    { "cartItems.product._id": product._id },
+    { $pull: { cartItems: { "product._id": product._id } } }
+  );
+  await Wishlist.updateMany(
+    { "items.product": product._id },
+    { $pull: { items: { product: product._id } } }
+  );
+  await Review.deleteMany({ productId: product._id });
+  return product;
+};
+
+/**
+ * Find a variant of a product by its id
+ *
+ * @param {Product} product
+ * @param {ObjectId} [variantId]
+ * @returns {Object|undefined} the variant, or undefined if the product doesn't have one with the id
+ */
+const findVariant = (product, variantId) => {
+  if (!variantId || !product.variants) {
+    return undefined;
+  }
+  return product.variants.find(
+    (variant) => String(variant._id) === String(variantId)
+  );
+};
+
+/**
+ * Take units of a product, or of one of its variants, out of stock, only if there are enough of them left
+ * The check and the decrement are a single atomic update, so concurrent orders can't oversell the product
+ * Taking units of a variant out of stock takes them out of the product's total stock too
+ *
+ * @param {ObjectId} productId
+ * @param {number} quantity
+ * @param {ClientSession} [session] - session of the transaction to run the update in
+ * @param {ObjectId} [variantId]
+ * @returns {Promise<Product|null>} the updated product, or null if there isn't enough stock
+ */
+const decrementStock = async (productId, quantity, session, variantId) => {
+  if (variantId) {
+    return Product.findOneAndUpdate(
+      {
+        _id: productId,
+        variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } },
+      },
+      { $inc: { "variants.$.stock": -quantity, stock: -quantity } },
+      { new: true, session }
+    );
+  }
+  return Product.findOneAndUpdate(
+    { _id: productId, stock: { $gte: quantity } },
+    { $inc: { stock: -quantity } },
+    { new: true, session }
+  );
+};
+
+/**
+ * Put units of a product, or of one of its variants, back in stock, eg: when the order they were taken for is cancelled
+ * Products and variants deleted since are left deleted
+ *
+ * @param {ObjectId} productId
+ * @param {number} quantity
+ * @param {ClientSession} [session] - session of the transaction to run the update in
+ * @param {ObjectId} [variantId]
+ * @returns {Promise<Product|null>} the updated product, or null if it no longer exists
+ */
+const incrementStock = async (productId, quantity, session, variantId) => {
+  if (variantId) {
+    return Product.findOneAndUpdate(
+      { _id: productId, "variants._id": variantId },
+      { $inc: { "variants.$.stock": quantity, stock: quantity } },
+      { new: true, session }
+    );
+  }
+  return Product.findOneAndUpdate(
+    { _id: productId },
+    { $inc: { stock: quantity } },
+    { new: true, session }
+  );
 };
 
 module.exports = {
   getProductById,
-  getProducts,
+  queryProducts,
+  createProduct,
+  updateProductById,
+  deleteProductById,
+  findVariant,
+  decrementStock,
+  incrementStock,
 };
@@ -0,0 +1,177 @@
+const httpStatus = require("http-status");
+const { Review, Product, Order } = require("../models");
+const ApiError = require("../utils/ApiError");
+const runInTransaction = require("../utils/transaction");
+const { orderStatuses } = require("../config/orders");
+
+/**
+ * Get a product by id
+ * - If there's no product with the id, throw ApiError with
+ * --- status code  - 404 NOT FOUND
+ * --- message - "Product not found"
+ *
+ * @param {ObjectId} productId
+ * @param {ClientSession} [session] - session of the transaction to run the query in
+ * @returns {Promise<Product>}
+ * @throws {ApiError}
+ */
+const getProductOrThrow = async (productId, session) => {
+  const product = await Product.findById(productId).session(session);
+  if (product == null) {
+    throw new ApiError(httpStatus.NOT_FOUND, "Product not found");
+  }
+  return product;
+};
+
+/**
+ * Recompute the rating of a product as the average rating of its reviews, rounded to one decimal, and its review count
+ * - A product without reviews keeps the rating it was created with
+ *
+ * @param {ObjectId} productId
+ * @param {ClientSession} [session] - session of the transaction to run the queries in
+ * @returns {Promise<Product|null>}
+ */
+const updateProductRating = async (productId, session) => {
+  const [stats] = await Review.aggregate([
+    { $match: { productId } },
+    {
+      $group: {
+        _id: null,
+        rating: { $avg: "$rating" },
+        reviewCount: { $sum: 1 },
+      },
+    },
+  ]).session(session);
+  if (!stats) {
+    return Product.findByIdAndUpdate(
+      productId,
+      { reviewCount: 0 },
+      { new: true, session }
+    );
+  }
+
+  return Product.findByIdAndUpdate(
+    productId,
+    {
+      rating: Math.round(stats.rating * 10) / 10,
+      reviewCount: stats.reviewCount,
+    },
+    { new: true, session }
+  );
+};
+
+/**
+ * Review a product, and update the product's rating and review count with it
+ * - If the product doesn't exist, throw ApiError with "404 NOT FOUND" status code
+ * - If the user has already reviewed the product, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "You have already reviewed this product"
+ * - The review is marked as a verified purchase if the user has an order of the product that wasn't cancelled
+ *
+ * @param {User} user
+ * @param {ObjectId} productId
+ * @param {Object} reviewBody
+ * @param {number} reviewBody.rating - 1 to 5
+ * @param {string} reviewBody.title
+ * @param {string} [reviewBody.body]
+ * @returns {Promise<Review>}
+ * @throws {ApiError}
+ */
+const createReview = async (user, productId, reviewBody) =>
+  runInTransaction(async (session) => {
+    const product = await getProductOrThrow(productId, session);
+
+    const order = await Order.findOne({
+      userId: user._id,
+      "orderItems.product": product._id,
+      status: { $ne: orderStatuses.CANCELLED },
+    })
+      .select("_id")
+      .session(session);
+
+    let review;
+    try {
+      [review] = await Review.create(
+        [
+          {
+            ...reviewBody,
+            productId: product._id,
+            userId: user._id,
+            author: user.name,
+            verifiedPurchase: order != null,
+          },
+        ],
+        { session }
+      );
+    } catch (err) {
+      if (err.code === 11000) {
+        throw new ApiError(
+          httpStatus.BAD_REQUEST,
+          "You have already reviewed this product"
+        );
+      }
+      throw err;
+    }
+
+    await updateProductRating(product._id, session);
+    return review;
+  });
+
+/**
+ * Query for the reviews of a product, one page at a time, most recent first
+ * - If the product doesn't exist, throw ApiError with "404 NOT FOUND" status code
+ *
+ * @param {ObjectId} productId
+ * @param {Object} options - Query options
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ * @throws {ApiError}
+ */
+const queryReviews = async (productId, options) => {
+  const product = await getProductOrThrow(productId);
+  return Review.paginate(
+    { productId: product._id },
+    { ...options, sortBy: "createdAt:desc,_id:desc" }
+  );
+};
+
+/**
+ * Get the rating of a product with how many of its reviews gave each rating
+ * - If the product doesn't exist, throw ApiError with "404 NOT FOUND" status code
+ *
+ * Example return value:
+ * {
+ *  "rating": 3.5,
+ *  "reviewCount": 2,
+ *  "breakdown": { "1": 0, "2": 1, "3": 0, "4": 0, "5": 1 }
+ * }
+ *
+ * @param {ObjectId} productId
+ * @returns {Promise<Object>}
+ * @throws {ApiError}
+ */
+const getRatingSummary = async (productId) => {
+  const product = await getProductOrThrow(productId);
+  const counts = await Review.aggregate([
+    { $match: { productId: product._id } },
+    { $group: { _id: "$rating", count: { $sum: 1 } } },
+  ]);
+
+  const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  counts.forEach(({ _id: rating, count }) => {
+    breakdown[rating] = count;
+  });
+  return {
+    rating: product.rating,
+    reviewCount: product.reviewCount || 0,
+    breakdown,
+  };
+};
+
+module.exports = {
+  updateProductRating,
+  createReview,
+  queryReviews,
+  getRatingSummary,
+};
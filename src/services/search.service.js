@@ -0,0 +1,253 @@
+const { Product } = require("../models");
+const { wordSimilarity, textTrigrams } = require("../utils/trigram");
+const categoryService = require("./category.service");
+
+// Fields searched, with how much a match in each counts towards a product's score when matching by similarity.
+// The text index weighs them the same way, see the product model
+const searchFieldWeights = {
+  name: 1,
+  category: 0.4,
+  description: 0.1,
+};
+// Least similarity of a word to a search word for it to match, see wordSimilarity()
+const minSimilarity = 0.3;
+// Most products scored when matching by similarity - those sharing the most trigrams with the search
+const maxSimilarCandidates = 200;
+
+/**
+ * Split a text into its words, with where each one is in the text
+ *
+ * @param {string} [text]
+ * @returns {{ word: string, start: number, end: number }[]} the words in lower case
+ */
+const splitWords = (text) =>
+  Array.from(String(text || "").matchAll(/[\p{L}\p{N}]+/gu), (match) => ({
+    word: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+
+/**
+ * Get the words to search for, leaving out single letters unless there's nothing else to search for
+ *
+ * @param {string} q
+ * @returns {string[]}
+ */
+const getSearchWords = (q) => {
+  const words = splitWords(q).map(({ word }) => word);
+  const longWords = words.filter((word) => word.length > 1);
+  return longWords.length ? longWords : words;
+};
+
+/**
+ * Find the parts of a text that match the search, to highlight
+ * - The search words in a word match, eg: "tooth" and "past" in "Toothpaste"
+ * - When searching by similarity, a word similar to a search word, without any search word in it, matches as a whole,
+ *   eg: "iPhone" for "iphnoe"
+ * - Matches that overlap or touch are joined
+ *
+ * @param {string} [text]
+ * @param {string[]} searchWords
+ * @param {boolean} fuzzy - whether the products were found by similarity
+ * @returns {{ start: number, end: number }[]} the ranges of characters of the text that match, in order
+ */
+const findMatches = (text, searchWords, fuzzy) => {
+  const matches = [];
+  splitWords(text).forEach(({ word, start, end }) => {
+    const wordMatches = searchWords
+      .filter((searchWord) => word.includes(searchWord))
+      .map((searchWord) => {
+        const index = start + word.indexOf(searchWord);
+        return { start: index, end: index + searchWord.length };
+      })
+      .sort((a, b) => a.start - b.start);
+    if (
+      fuzzy &&
+      !wordMatches.length &&
+      searchWords.some(
+        (searchWord) => wordSimilarity(searchWord, word) >= minSimilarity
+      )
+    ) {
+      wordMatches.push({ start, end });
+    }
+
+    wordMatches.forEach((match) => {
+      const last = matches[matches.length - 1];
+      if (last && match.start <= last.end) {
+        last.end = Math.max(last.end, match.end);
+      } else {
+        matches.push(match);
+      }
+    });
+  });
+  return matches;
+};
+
+/**
+ * Score how similar a product is to the search, for products the text index doesn't match
+ * - Each search word scores its best similarity to a word of the product, times the weight of the field the word is in
+ * - The product's score is the average of its search words' scores, 0 if none of them are similar to any of its words
+ *
+ * @param {Object} product
+ * @param {string[]} searchWords
+ * @returns {number}
+ */
+const scoreSimilarity = (product, searchWords) => {
+  const total = searchWords.reduce((sum, searchWord) => {
+    let best = 0;
+    Object.entries(searchFieldWeights).forEach(([field, weight]) => {
+      splitWords(product[field]).forEach(({ word }) => {
+        const similarity = wordSimilarity(searchWord, word);
+        if (similarity >= minSimilarity) {
+          best = Math.max(best, similarity * weight);
+        }
+      });
+    });
+    return sum + best;
+  }, 0);
+  return total / searchWords.length;
+};
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {number} score - how relevant the product is to the search, higher first. Scores of full-text matches
+ *   and of similar products aren't on the same scale, see searchProducts()
+ * @property {Object<string, { start: number, end: number }[]>} highlights - the parts of the name, category and
+ *   description that match the search, by field, for the fields that have any
+ */
+
+/**
+ * Search for products by their name, category and description, most relevant first
+ * - Products are matched by the full-text index first, which matches whole words in any form, eg: "balls" for "ball",
+ *   and ranks them by the text score
+ * - If it matches none, products are matched by similarity instead, which matches parts of words and words with typos,
+ *   eg: "tooth past" or "iphnoe", and ranks them by scoreSimilarity(). "fuzzy" is true in the result then. Only the
+ *   products sharing the most trigrams with the search are scored, looked up by their indexed "searchTrigrams"
+ * - "categoryId" narrows the search to the category and the categories nested in it
+ *
+ * @param {Object} filter
+ * @param {string} filter.q - the search text
+ * @param {ObjectId} [filter.categoryId]
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<{ results: (Product & SearchResult)[], page: number, limit: number, totalPages: number,
+ *   totalResults: number, fuzzy: boolean }>}
+ */
+const searchProducts = async (
+  { q, categoryId },
+  { limit = 10, page = 1 } = {}
+) => {
+  const mongoFilter = {};
+  if (categoryId) {
+    mongoFilter.categoryId = {
+      $in: await categoryService.getCategoryIdsWithDescendants(categoryId),
+    };
+  }
+  const skip = (page - 1) * limit;
+  const searchWords = getSearchWords(q);
+
+  const textFilter = { ...mongoFilter, $text: { $search: q } };
+  let [totalResults, products] = await Promise.all([
+    Product.countDocuments(textFilter),
+    Product.find(textFilter, { score: { $meta: "textScore" } })
+      .sort({ score: { $meta: "textScore" }, _id: 1 })
+      .skip(skip)
+      .limit(limit),
+  ]);
+  let scores = products.map((product) => product.get("score"));
+
+  const fuzzy = totalResults === 0;
+  if (fuzzy) {
+    const searchTrigrams = textTrigrams(searchWords);
+    const candidates = await Product.aggregate([
+      { $match: { ...mongoFilter, searchTrigrams: { $in: searchTrigrams } } },
+      {
+        $project: {
+          name: 1,
+          category: 1,
+          description: 1,
+          sharedTrigrams: {
+            $size: { $setIntersection: ["$searchTrigrams", searchTrigrams] },
+          },
+        },
+      },
+      { $sort: { sharedTrigrams: -1, _id: 1 } },
+      { $limit: maxSimilarCandidates },
+    ]);
+    const ranked = candidates
+      .map((product) => ({
+        _id: product._id,
+        score: scoreSimilarity(product, searchWords),
+      }))
+      .filter(({ score }) => score > 0)
+      .sort(
+        (a, b) =>
+          b.score - a.score || String(a._id).localeCompare(String(b._id))
+      );
+    const pageRanked = ranked.slice(skip, skip + limit);
+    const productsById = new Map(
+      (
+        await Product.find({ _id: { $in: pageRanked.map(({ _id }) => _id) } })
+      ).map((product) => [String(product._id), product])
+    );
+
+    totalResults = ranked.length;
+    products = pageRanked
+      .map(({ _id }) => productsById.get(String(_id)))
+      .filter(Boolean);
+    scores = pageRanked
+      .filter(({ _id }) => productsById.has(String(_id)))
+      .map(({ score }) => Math.round(score * 1000) / 1000);
+  }
+
+  const results = products.map((product, index) => {
+    const highlights = {};
+    Object.keys(searchFieldWeights).forEach((field) => {
+      const matches = findMatches(product[field], searchWords, fuzzy);
+      if (matches.length) {
+        highlights[field] = matches;
+      }
+    });
+    return { ...product.toJSON(), score: scores[index], highlights };
+  });
+
+  return {
+    results,
+    page,
+    limit,
+    totalPages: Math.ceil(totalResults / limit),
+    totalResults,
+    fuzzy,
+  };
+};
+
+/**
+ * Store the trigrams of the products that don't have them yet, for products from before they were searched by
+ * similarity, see searchProducts()
+ *
+ * @returns {Promise<{ productsUpdated: number }>}
+ */
+const indexProductTrigrams = async () => {
+  const products = await Product.find({ searchTrigrams: null })
+    .select("name category description")
+    .lean();
+  for (const product of products) {
+    await Product.updateOne(
+      { _id: product._id },
+      {
+        searchTrigrams: textTrigrams([
+          product.name,
+          product.category,
+          product.description,
+        ]),
+      }
+    );
+  }
+  return { productsUpdated: products.length };
+};
+
+module.exports = {
+  searchProducts,
+  indexProductTrigrams,
+};
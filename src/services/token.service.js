@@ -1,6 +1,8 @@
 const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
 const config = require("../config/config");
 const { tokenTypes } = require("../config/tokens");
+const { Token } = require("../models");
 
 /**
  * Generate jwt token
@@ -32,38 +34,172 @@ const { tokenTypes } = require("../config/tokens");
 };
 
 /**
- * Generate auth token
- * - Generate jwt token
- * - Token type should be "ACCESS"
- * - Return token and expiry date in required format
+ * Save a token to the "tokens" collection so it can be looked up and revoked before it expires
+ *
+ * @param {string} token
+ * @param {ObjectId} userId
+ * @param {Number} expires - Token expiration time in seconds since unix epoch
+ * @param {string} type - Token type eg: Refresh, ResetPassword
+ * @param {boolean} [blacklisted]
+ * @returns {Promise<Token>}
+ */
+const saveToken = async (token, userId, expires, type, blacklisted = false) => {
+  return Token.create({
+    token,
+    user: userId,
+    expires: new Date(expires * 1000),
+    type,
+    blacklisted,
+  });
+};
+
+/**
+ * Verify a persisted token and return its token document
+ * - Throws an Error if the jwt is invalid or expired, or if it's not found in the "tokens" collection
+ *   (i.e, it was revoked or already used)
+ *
+ * @param {string} token
+ * @param {string} type - Token type eg: Refresh, ResetPassword
+ * @returns {Promise<Token>}
+ */
+const verifyToken = async (token, type) => {
+  const payload = jwt.verify(token, config.jwt.secret);
+  if (payload.type !== type) {
+    throw new Error("Invalid token type");
+  }
+  const tokenDoc = await Token.findOne({
+    token,
+    type,
+    user: payload.sub,
+    blacklisted: false,
+  });
+  if (!tokenDoc) {
+    throw new Error("Token not found");
+  }
+  return tokenDoc;
+};
+
+/**
+ * Blacklist an access token until it expires, so it can't be used to authenticate any more
+ *
+ * @param {string} token - a valid access token
+ * @returns {Promise<Token>}
+ */
+const blacklistToken = async (token) => {
+  const payload = jwt.verify(token, config.jwt.secret);
+  return saveToken(token, payload.sub, payload.exp, payload.type, true);
+};
+
+/**
+ * Revoke all refresh tokens of a user
+ *
+ * @param {ObjectId} userId
+ * @returns {Promise}
+ */
+const revokeRefreshTokens = async (userId) => {
+  return Token.deleteMany({ user: userId, type: tokenTypes.REFRESH });
+};
+
+/**
+ * Generate a reset password token for a user and persist it, so it can be used only once
+ *
+ * @param {User} user
+ * @returns {Promise<string>}
+ */
+const generateResetPasswordToken = async (user) => {
+  const expires =
+    Math.floor(Date.now() / 1000) + config.jwt.resetPasswordExpirationMinutes * 60;
+  const resetPasswordToken = generateToken(
+    user._id,
+    expires,
+    tokenTypes.RESET_PASSWORD
+  );
+  await saveToken(resetPasswordToken, user._id, expires, tokenTypes.RESET_PASSWORD);
+  return resetPasswordToken;
+};
+
+/**
+ * Generate a token for a guest, i.e, a visitor who hasn't logged in, to keep a cart with
+ * - The guest id is a new ObjectId, signed into the token so it can't be swapped for another guest's
+ * - Guest tokens aren't persisted, there's nothing to revoke
+ *
+ * @returns {{ guestId: string, token: string, expires: Date }}
+ */
+const generateGuestToken = () => {
+  const guestId = mongoose.Types.ObjectId().toHexString();
+  const expires =
+    Math.floor(Date.now() / 1000) + config.jwt.guestExpirationDays * 24 * 60 * 60;
+  const token = generateToken(guestId, expires, tokenTypes.GUEST);
+  return { guestId, token, expires: new Date(expires * 1000) };
+};
+
+/**
+ * Verify a guest token and return the guest id it was issued for
+ * - Throws an Error if the jwt is invalid or expired, or if it isn't a guest token
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+const verifyGuestToken = (token) => {
+  const payload = jwt.verify(token, config.jwt.secret);
+  if (payload.type !== tokenTypes.GUEST) {
+    throw new Error("Invalid token type");
+  }
+  return payload.sub;
+};
+
+/**
+ * Generate auth tokens
+ * - Generate an "ACCESS" jwt token
+ * - Generate a long lived "REFRESH" jwt token and persist it so it can be revoked
+ * - Return tokens and expiry dates in required format
  *
  * @param {User} user
  * @returns {Promise<Object>}
  *
  * Example response:
- * "access": {
+ * {
+ *  "access": {
  *          "token": "eyJhbGciOiJIUzI1NiIs...",
  *          "expires": "2021-01-30T13:51:19.036Z"
+ *  },
+ *  "refresh": {
+ *          "token": "eyJhbGciOiJIUzI1NiIs...",
+ *          "expires": "2021-02-28T09:51:19.036Z"
+ *  }
  * }
  */
- const generateAuthTokens = async (user) => {
+const generateAuthTokens = async (user) => {
   const { _id } = user;
-  const accessTokenExpiry = Math.floor(Date.now()/1000) + config.jwt.accessExpirationMinutes * 60; //minutes to seconds
-  const type = tokenTypes.ACCESS;
-  try {
-    const token = await generateToken(_id, accessTokenExpiry, type);
-    const response = {
-      [type]: {
-        token: token,
-        expires: new Date(accessTokenExpiry * 1000), // miliseconds
-      },
-    };
-    return response;
-  } catch (err) {
-    throw err;
-  }
+  const now = Math.floor(Date.now() / 1000);
+
+  const accessTokenExpiry = now + config.jwt.accessExpirationMinutes * 60; //minutes to seconds
+  const accessToken = generateToken(_id, accessTokenExpiry, tokenTypes.ACCESS);
+
+  const refreshTokenExpiry = now + config.jwt.refreshExpirationDays * 24 * 60 * 60; //days to seconds
+  const refreshToken = generateToken(_id, refreshTokenExpiry, tokenTypes.REFRESH);
+  await saveToken(refreshToken, _id, refreshTokenExpiry, tokenTypes.REFRESH);
+
+  return {
+    [tokenTypes.ACCESS]: {
+      token: accessToken,
+      expires: new Date(accessTokenExpiry * 1000), // miliseconds
+    },
+    [tokenTypes.REFRESH]: {
+      token: refreshToken,
+      expires: new Date(refreshTokenExpiry * 1000),
+    },
+  };
 };
+
 module.exports = {
   generateToken,
+  saveToken,
+  verifyToken,
+  blacklistToken,
+  revokeRefreshTokens,
+  generateResetPasswordToken,
+  generateGuestToken,
+  verifyGuestToken,
   generateAuthTokens,
 };
@@ -93,12 +93,28 @@ const setAddress = async (user, newAddress) => {
 };
 
 
+/**
+ * Set user's password
+ * - The password is hashed before it's saved
+ * @param {User} user
+ * @param {string} newPassword
+ * @returns {Promise<User>}
+ */
+const updatePassword = async (user, newPassword) => {
+  user.password = await hashPassword(newPassword);
+  await user.save();
+
+  return user;
+};
+
+
 module.exports = {
     getUserById,
     getUserByEmail,
     createUser,
     getUserAddressById,
-    setAddress
+    setAddress,
+    updatePassword
 };
 
 
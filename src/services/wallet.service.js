@@ -0,0 +1,111 @@
+const { User, WalletTransaction } = require("../models");
+const { walletTransactionTypes } = require("../config/wallet");
+
+/**
+ * Record a transaction in the wallet ledger
+ * @param {ObjectId} userId
+ * @param {string} type - one of walletTransactionTypes
+ * @param {number} amount
+ * @param {{ reason: string, reference?: ObjectId }} details - what the transaction was for
+ * @param {number} balance - the wallet balance after the transaction
+ * @param {ClientSession} [session] - the transaction to record it in
+ * @returns {Promise<WalletTransaction>}
+ */
+const recordTransaction = async (
+  userId,
+  type,
+  amount,
+  { reason, reference },
+  balance,
+  session
+) => {
+  const [walletTransaction] = await WalletTransaction.create(
+    [{ userId, type, amount, reason, reference, balance }],
+    { session }
+  );
+  return walletTransaction;
+};
+
+/**
+ * Debit a user's wallet and record the debit in the ledger
+ * The balance is decremented only if it covers the amount, with a single atomic update,
+ * so a balance read earlier can't be spent twice
+ *
+ * @param {User} user
+ * @param {number} amount
+ * @param {{ reason: string, reference?: ObjectId }} details - what the debit is for
+ * @param {ClientSession} [session] - the transaction to run the debit in
+ * @returns {Promise<User|null>} the user with the updated balance, or null if the balance is insufficient
+ */
+const debitWallet = async (user, amount, details, session) => {
+  const updatedUser = await User.findOneAndUpdate(
+    { _id: user._id, walletMoney: { $gte: amount } },
+    { $inc: { walletMoney: -amount } },
+    { new: true, session }
+  );
+  if (updatedUser == null) {
+    return null;
+  }
+
+  await recordTransaction(
+    user._id,
+    walletTransactionTypes.DEBIT,
+    amount,
+    details,
+    updatedUser.walletMoney,
+    session
+  );
+  return updatedUser;
+};
+
+/**
+ * Credit a user's wallet and record the credit in the ledger
+ *
+ * @param {User} user
+ * @param {number} amount
+ * @param {{ reason: string, reference?: ObjectId }} details - what the credit is for
+ * @param {ClientSession} [session] - the transaction to run the credit in
+ * @returns {Promise<User|null>} the user with the updated balance, or null if the user doesn't exist
+ */
+const creditWallet = async (user, amount, details, session) => {
+  const updatedUser = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { walletMoney: amount } },
+    { new: true, session }
+  );
+  if (updatedUser == null) {
+    return null;
+  }
+
+  await recordTransaction(
+    user._id,
+    walletTransactionTypes.CREDIT,
+    amount,
+    details,
+    updatedUser.walletMoney,
+    session
+  );
+  return updatedUser;
+};
+
+/**
+ * Query for a user's wallet transactions, one page at a time, most recent first
+ *
+ * @param {User} user
+ * @param {Object} options - Query options
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryTransactions = async (user, options) => {
+  return WalletTransaction.paginate(
+    { userId: user._id },
+    { ...options, sortBy: "createdAt:desc,_id:desc" }
+  );
+};
+
+module.exports = {
+  debitWallet,
+  creditWallet,
+  queryTransactions,
+};
@@ -0,0 +1,94 @@
+const httpStatus = require("http-status");
+const { Wishlist, Product } = require("../models");
+const ApiError = require("../utils/ApiError");
+
+/**
+ * Fill in the products of the items in a wishlist
+ *
+ * @param {Wishlist} wishlist
+ * @returns {Promise<Wishlist>}
+ */
+const populateProducts = async (wishlist) =>
+  wishlist.populate("items.product").execPopulate();
+
+/**
+ * Get the wishlist of a user, with the products filled in
+ * - If the user hasn't saved anything yet, return an empty wishlist
+ *
+ * @param {User} user
+ * @returns {Promise<Wishlist>}
+ */
+const getWishlistByUser = async (user) => {
+  const wishlist = await Wishlist.findOne({ userId: user._id }).populate(
+    "items.product"
+  );
+  return wishlist || new Wishlist({ userId: user._id, items: [] });
+};
+
+/**
+ * Save a product to the user's wishlist, creating the wishlist if the user doesn't have one
+ * - If the product is already in the wishlist, leave it as it is
+ * - If the product isn't in the "products" collection, throw ApiError with
+ * --- status code  - 400 BAD REQUEST
+ * --- message - "Product doesn't exist in database"
+ *
+ * @param {User} user
+ * @param {string} productId
+ * @param {ClientSession} [session] - session of the transaction to run the queries in
+ * @returns {Promise<Wishlist>} the wishlist, with the products filled in
+ * @throws {ApiError}
+ */
+const addProductToWishlist = async (user, productId, session) => {
+  const product = await Product.findById(productId).session(session);
+  if (product == null) {
+    throw new ApiError(
+      httpStatus.BAD_REQUEST,
+      "Product doesn't exist in database"
+    );
+  }
+
+  let wishlist = await Wishlist.findOne({ userId: user._id }).session(session);
+  if (wishlist == null) {
+    wishlist = new Wishlist({ userId: user._id, items: [] });
+  }
+  if (!wishlist.hasProduct(productId)) {
+    wishlist.items.push({ product: product._id });
+    await wishlist.save({ session });
+  }
+
+  return populateProducts(wishlist);
+};
+
+/**
+ * Remove a product from the user's wishlist
+ * - If the product isn't in the wishlist, throw ApiError with
+ * --- status code  - 404 NOT FOUND
+ * --- message - "Product not in wishlist"
+ *
+ * @param {User} user
+ * @param {string} productId
+ * @param {ClientSession} [session] - session of the transaction to run the queries in
+ * @returns {Promise<Wishlist>} the wishlist, with the products filled in
+ * @throws {ApiError}
+ */
+const removeProductFromWishlist = async (user, productId, session) => {
+  const wishlist = await Wishlist.findOne({ userId: user._id }).session(
+    session
+  );
+  if (wishlist == null || !wishlist.hasProduct(productId)) {
+    throw new ApiError(httpStatus.NOT_FOUND, "Product not in wishlist");
+  }
+
+  wishlist.items = wishlist.items.filter(
+    (item) => String(item.product) !== String(productId)
+  );
+  await wishlist.save({ session });
+
+  return populateProducts(wishlist);
+};
+
+module.exports = {
+  getWishlistByUser,
+  addProductToWishlist,
+  removeProductFromWishlist,
+};
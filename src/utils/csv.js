@@ -0,0 +1,78 @@
+/**
+ * Parse CSV text into its records, each an array of the values in it
+ * - Values in double quotes can hold commas, line breaks and double quotes (written twice, as "")
+ * - Lines may end with "\n" or "\r\n", and blank lines are skipped
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let value = "";
+  let quoted = false;
+
+  const endValue = () => {
+    record.push(value);
+    value = "";
+  };
+  const endRecord = () => {
+    endValue();
+    if (record.length > 1 || record[0] !== "") {
+      records.push(record);
+    }
+    record = [];
+  };
+
+  // Skip the byte order mark that spreadsheet programs put at the start of the file
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      endValue();
+    } else if (char === "\n") {
+      endRecord();
+    } else if (char !== "\r") {
+      value += char;
+    }
+  }
+  endRecord();
+
+  return records;
+};
+
+/**
+ * Quote a value for CSV, if it has a comma, double quote or line break in it
+ *
+ * @param {*} value - null and undefined are written as empty values
+ * @returns {string}
+ */
+const formatCsvValue = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write records as CSV text, one line per record
+ *
+ * @param {Array[]} records
+ * @returns {string}
+ */
+const formatCsv = (records) =>
+  records.map((record) => record.map(formatCsvValue).join(",") + "\n").join("");
+
+module.exports = {
+  parseCsv,
+  formatCsv,
+};
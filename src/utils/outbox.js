@@ -0,0 +1,52 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Email transports that keep sent emails in a local outbox instead of delivering them,
+ * for development and tests. A transport is any object with an async `send(message)` method,
+ * where message is `{ from, to, subject, text }`
+ */
+
+/**
+ * Create a transport that keeps sent emails in memory
+ * - Sent emails can be read from the `messages` array and removed with `clear()`
+ *
+ * @returns {{ messages: Object[], send: Function, clear: Function }}
+ */
+const createMemoryOutbox = () => {
+  const messages = [];
+  return {
+    messages,
+    send: async (message) => {
+      messages.push({ ...message, sentAt: new Date() });
+    },
+    clear: () => {
+      messages.length = 0;
+    },
+  };
+};
+
+/**
+ * Create a transport that writes each sent email to a JSON file in a directory
+ *
+ * @param {string} dir - directory to write emails to, created if it doesn't exist
+ * @returns {{ send: Function }}
+ */
+const createFileOutbox = (dir) => {
+  return {
+    send: async (message) => {
+      const sentAt = new Date();
+      await fs.promises.mkdir(dir, { recursive: true });
+      const fileName = `${sentAt.getTime()}-${message.to.replace(/[^\w.@-]/g, "_")}.json`;
+      await fs.promises.writeFile(
+        path.join(dir, fileName),
+        JSON.stringify({ ...message, sentAt }, null, 2)
+      );
+    },
+  };
+};
+
+module.exports = {
+  createMemoryOutbox,
+  createFileOutbox,
+};
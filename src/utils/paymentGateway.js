@@ -0,0 +1,109 @@
+const crypto = require("crypto");
+const { paymentStatuses, testCards } = require("../config/payments");
+
+/**
+ * Payment gateways charge cards on behalf of the app. A gateway is any object with the async methods
+ * - `charge({ amount, cardNumber, idempotencyKey })` - charge a card, returns the charge `{ id, status }`
+ *   Charging again with the same idempotency key returns the original charge instead of charging twice
+ * - `authorize({ amount, cardNumber, idempotencyKey })` - hold the amount on a card without taking it yet, returns the
+ *   charge `{ id, status }` with status "authorized" once held. Idempotent on the key like `charge()`
+ * - `capture(id)` - take the amount held by an authorized charge, returns the charge
+ * - `cancel(id)` - release the amount held by an authorized (or still pending) charge, returns the charge
+ * - `retrieveCharge(id)` - get the current `{ id, status }` of a charge, eg: to find out if a pending charge went through
+ *
+ * where status is one of paymentStatuses
+ */
+
+/**
+ * Create a gateway that fakes charges locally, for development and tests. The outcome depends on the card number
+ * - testCards.SUCCEEDS - the charge succeeds, or is authorized
+ * - testCards.DECLINED, or any other card - the charge is declined
+ * - testCards.PENDING - the charge is pending, and succeeds (or is authorized) once `settleAfterMs` have passed
+ *
+ * @param {Object} [options]
+ * @param {number} [options.settleAfterMs] - how long pending charges take to succeed (default = 5000)
+ * @returns {{ charge: Function, authorize: Function, capture: Function, cancel: Function, retrieveCharge: Function }}
+ */
+const createFakeGateway = ({ settleAfterMs = 5000 } = {}) => {
+  const charges = new Map();
+  const chargeIdsByKey = new Map();
+
+  const retrieveCharge = async (id) => {
+    const charge = charges.get(id);
+    if (!charge) {
+      throw new Error(`No such charge: ${id}`);
+    }
+    if (
+      charge.status === paymentStatuses.PENDING &&
+      Date.now() - charge.createdAt >= settleAfterMs
+    ) {
+      charge.status = charge.settlesTo;
+    }
+    return { id: charge.id, status: charge.status };
+  };
+
+  // Create a charge that ends up `settlesTo` for cards that go through
+  const createCharge = async (
+    { amount, cardNumber, idempotencyKey },
+    settlesTo
+  ) => {
+    if (chargeIdsByKey.has(idempotencyKey)) {
+      return retrieveCharge(chargeIdsByKey.get(idempotencyKey));
+    }
+
+    const outcomes = {
+      [testCards.SUCCEEDS]: settlesTo,
+      [testCards.PENDING]: paymentStatuses.PENDING,
+    };
+    const id = `ch_${crypto.randomBytes(12).toString("hex")}`;
+    charges.set(id, {
+      id,
+      amount,
+      status: outcomes[cardNumber] || paymentStatuses.DECLINED,
+      settlesTo,
+      createdAt: Date.now(),
+    });
+    chargeIdsByKey.set(idempotencyKey, id);
+
+    return retrieveCharge(id);
+  };
+
+  const charge = (options) => createCharge(options, paymentStatuses.SUCCEEDED);
+
+  const authorize = (options) =>
+    createCharge(options, paymentStatuses.AUTHORIZED);
+
+  // Move a charge from one of the statuses `from` to `to`, leaving it as it is if it's already `to`
+  const updateCharge = async (id, from, to) => {
+    const { status } = await retrieveCharge(id);
+    if (status !== to) {
+      if (!from.includes(status)) {
+        throw new Error(`Charge ${id} is ${status}, it can't be made ${to}`);
+      }
+      charges.get(id).status = to;
+    }
+    return retrieveCharge(id);
+  };
+
+  const capture = (id) =>
+    updateCharge(id, [paymentStatuses.AUTHORIZED], paymentStatuses.SUCCEEDED);
+
+  const cancel = (id) =>
+    updateCharge(
+      id,
+      [paymentStatuses.AUTHORIZED, paymentStatuses.PENDING],
+      paymentStatuses.CANCELLED
+    );
+
+  return {
+    charge,
+    authorize,
+    capture,
+    cancel,
+    retrieveCharge,
+  };
+};
+
+module.exports = {
+  createFakeGateway,
+};
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+/**
+ * Run a function inside a MongoDB transaction and return its result
+ * - The function receives the session and must pass it to every query that is part of the transaction
+ * - The transaction is committed if the function resolves and aborted if it throws
+ * - Transient errors (eg: write conflicts with a concurrent transaction) are retried by the driver,
+ *   so the function may run more than once and must not have side effects outside the database
+ *
+ * NOTE - Transactions require MongoDB to run as a replica set
+ *
+ * @param {Function} fn - async function, called with the `ClientSession`
+ * @returns {Promise<*>}
+ */
+const runInTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = runInTransaction;
@@ -0,0 +1,59 @@
+/**
+ * Split a word into its trigrams, the runs of 3 characters in it, padded so the start and end of the word count too
+ * eg: "cat" into "  c", " ca", "cat" and "at "
+ *
+ * @param {string} word
+ * @returns {Set<string>}
+ */
+const trigrams = (word) => {
+  const padded = `  ${word.toLowerCase()} `;
+  const result = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    result.add(padded.slice(i, i + 3));
+  }
+  return result;
+};
+
+/**
+ * How much of a search word is in a word, from 0 to 1, as the share of the search word's trigrams the word has
+ * - Words with typos and parts of words score high, eg: "iphnoe" or "iphon" against "iphone", and "past" against "toothpaste"
+ *
+ * @param {string} searchWord
+ * @param {string} word
+ * @returns {number}
+ */
+const wordSimilarity = (searchWord, word) => {
+  const searchTrigrams = trigrams(searchWord);
+  const wordTrigrams = trigrams(word);
+  let shared = 0;
+  searchTrigrams.forEach((trigram) => {
+    if (wordTrigrams.has(trigram)) {
+      shared += 1;
+    }
+  });
+  return shared / searchTrigrams.size;
+};
+
+/**
+ * Get the trigrams of all the words in some texts, eg: to index a product by, so products similar to a search can be
+ * looked up by the trigrams they share with it
+ *
+ * @param {string[]} texts - texts, or words, some of which may be missing
+ * @returns {string[]} each trigram once
+ */
+const textTrigrams = (texts) => {
+  const result = new Set();
+  texts.forEach((text) => {
+    const words = String(text || "").match(/[\p{L}\p{N}]+/gu) || [];
+    words.forEach((word) => {
+      trigrams(word).forEach((trigram) => result.add(trigram));
+    });
+  });
+  return Array.from(result);
+};
+
+module.exports = {
+  trigrams,
+  wordSimilarity,
+  textTrigrams,
+};
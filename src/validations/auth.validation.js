@@ -27,7 +27,56 @@ const login = {
   })
 };
 
+/**
+ * Check request *body* for fields (all are *required*)
+ * - "refreshToken": string
+ */
+const refreshTokens = {
+  body : Joi.object().keys({
+    refreshToken : Joi.string().required(),
+  })
+};
+
+/**
+ * Check request *body* for fields
+ * - "refreshToken": string (*optional*), the refresh token of the session to revoke
+ */
+const logout = {
+  body : Joi.object().keys({
+    refreshToken : Joi.string(),
+  })
+};
+
+/**
+ * Check request *body* for fields (all are *required*)
+ * - "email" : string and satisyfing email structure
+ */
+const forgotPassword = {
+  body : Joi.object().keys({
+    email : Joi.string().required().email(),
+  })
+};
+
+/**
+ * Check request *query* for fields (all are *required*)
+ * - "token": string, the reset password token emailed to the user
+ * Check request *body* for fields (all are *required*)
+ * - "password": string and satisifes the custom password structure defined in "src/validations/custom.validation.js"
+ */
+const resetPassword = {
+  query : Joi.object().keys({
+    token : Joi.string().required(),
+  }),
+  body : Joi.object().keys({
+    password : Joi.string().required().custom(password),
+  })
+};
+
 module.exports = {
   register,
   login,
+  refreshTokens,
+  logout,
+  forgotPassword,
+  resetPassword,
 };
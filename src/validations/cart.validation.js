@@ -1,13 +1,84 @@
 const Joi = require("joi");
 const { objectId } = require("./custom.validation");
+const { paymentOptions } = require("../config/payments");
 
+/**
+ * Check request *body* for fields
+ * - "productId" (*required*): valid Mongo id of the product
+ * - "quantity" (*required*): whole number of units of the product, at least 1
+ * - "variantId": valid Mongo id of the variant of the product, for products with variants
+ */
 const addProductToCart = {
   body: Joi.object().keys({
     productId: Joi.string().required().custom(objectId),
-    quantity: Joi.number().required(),
+    quantity: Joi.number().integer().min(1).required(),
+    variantId: Joi.string().custom(objectId),
+  }),
+};
+
+/**
+ * Check request *body* for fields
+ * - "productId" (*required*): valid Mongo id of the product
+ * - "quantity" (*required*): whole number of units of the product, 0 to remove it from the cart
+ * - "variantId": valid Mongo id of the variant of the product, for products with variants
+ */
+const updateProductInCart = {
+  body: Joi.object().keys({
+    productId: Joi.string().required().custom(objectId),
+    quantity: Joi.number().integer().min(0).required(),
+    variantId: Joi.string().custom(objectId),
+  }),
+};
+
+/**
+ * Check request *params* for fields (all are *required*)
+ * - "productId": id of a product in the cart
+ */
+const cartProduct = {
+  params: Joi.object().keys({
+    productId: Joi.string().required().custom(objectId),
+  }),
+};
+
+/**
+ * Check request *body* for fields (all are *required*)
+ * - "paymentOption": one of the payment options, see paymentOptions
+ */
+const setPaymentOption = {
+  body: Joi.object().keys({
+    paymentOption: Joi.string()
+      .valid(...Object.values(paymentOptions))
+      .required(),
+  }),
+};
+
+/**
+ * Check request *body* for fields (all are *required*)
+ * - "code": the coupon code
+ */
+const applyCoupon = {
+  body: Joi.object().keys({
+    code: Joi.string().trim().max(50).required(),
+  }),
+};
+
+/**
+ * Check request *body* for fields
+ * - "addressId" (*required*): string and a valid Mongo id of one of the user's addresses to ship the order to
+ * - "cardNumber": valid card number, to charge when paying by card
+ */
+const checkout = {
+  body: Joi.object().keys({
+    addressId: Joi.string().required().custom(objectId),
+    cardNumber: Joi.string().creditCard(),
   }),
 };
 
 module.exports = {
   addProductToCart,
+  updateProductInCart,
+  setPaymentOption,
+  cartProduct,
+  applyCoupon,
+  checkout,
 };
@@ -0,0 +1,26 @@
+const Joi = require("joi");
+const { objectId } = require("./custom.validation");
+
+/**
+ * Check request *body* for fields
+ * - "name" (*required*): string
+ * - "slug": lower case letters and digits, separated by "-", made from the name if not given
+ * - "parent": ID of the category to nest the category in
+ * - "order": integer, position among the categories with the same parent
+ */
+const createCategory = {
+  body: Joi.object().keys({
+    name: Joi.string().trim().max(100).required(),
+    slug: Joi.string()
+      .trim()
+      .lowercase()
+      .pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+      .max(100),
+    parent: Joi.string().custom(objectId).allow(null),
+    order: Joi.number().integer(),
+  }),
+};
+
+module.exports = {
+  createCategory,
+};
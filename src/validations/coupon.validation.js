@@ -0,0 +1,42 @@
+const Joi = require("joi");
+const { objectId } = require("./custom.validation");
+const { couponTypes } = require("../config/coupons");
+
+/**
+ * Check request *body* for fields
+ * - "code" (*required*): letters, digits, "-" and "_", stored in upper case
+ * - "type" (*required*): one of couponTypes
+ * - "value" (*required*): positive number, the percentage (up to 100) or the amount taken off
+ * - "minCartValue": non-negative number
+ * - "categoryId": ID of the category whose products the coupon is for, see GET /v1/categories
+ * - "expiresAt": date in the future
+ * - "usageLimit"/"perUserLimit": positive integers
+ */
+const createCoupon = {
+  body: Joi.object().keys({
+    code: Joi.string()
+      .trim()
+      .pattern(/^[A-Za-z0-9_-]+$/)
+      .max(50)
+      .required(),
+    type: Joi.string()
+      .valid(...Object.values(couponTypes))
+      .required(),
+    value: Joi.number()
+      .positive()
+      .when("type", {
+        is: couponTypes.PERCENTAGE,
+        then: Joi.number().max(100),
+      })
+      .required(),
+    minCartValue: Joi.number().min(0),
+    categoryId: Joi.string().custom(objectId),
+    expiresAt: Joi.date().greater("now"),
+    usageLimit: Joi.number().integer().min(1),
+    perUserLimit: Joi.number().integer().min(1),
+  }),
+};
+
+module.exports = {
+  createCoupon,
+};
@@ -2,3 +2,6 @@ module.exports.userValidation = require("./user.validation");
 module.exports.authValidation = require("./auth.validation");
 module.exports.productValidation = require("./product.validation");
 module.exports.cartValidation = require("./cart.validation");
+module.exports.orderValidation = require("./order.validation");
+module.exports.couponValidation = require("./coupon.validation");
+module.exports.wishlistValidation = require("./wishlist.validation");
@@ -0,0 +1,36 @@
+const Joi = require("joi");
+const { objectId } = require("./custom.validation");
+const { orderStatuses } = require("../config/orders");
+
+const getOrder = {
+  params: Joi.object().keys({
+    orderId: Joi.string().custom(objectId),
+  }),
+};
+
+const cancelOrder = {
+  params: Joi.object().keys({
+    orderId: Joi.string().custom(objectId),
+  }),
+};
+
+/**
+ * Check request *body* for fields (all are *required*)
+ * - "status": the status to move the order on to, one of orderStatuses
+ */
+const updateOrderStatus = {
+  params: Joi.object().keys({
+    orderId: Joi.string().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    status: Joi.string()
+      .valid(...Object.values(orderStatuses))
+      .required(),
+  }),
+};
+
+module.exports = {
+  getOrder,
+  cancelOrder,
+  updateOrderStatus,
+};
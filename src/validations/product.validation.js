@@ -1,12 +1,140 @@
 const Joi = require("joi");
 const { objectId } = require("./custom.validation");
 
+// Fields describing a product on its page, accepted when creating and updating products
+const detailFields = {
+  description: Joi.string().trim().max(5000).allow(""),
+  specs: Joi.array()
+    .items(
+      Joi.object().keys({
+        name: Joi.string().trim().required(),
+        value: Joi.string().trim().required(),
+      })
+    )
+    .max(50),
+  images: Joi.array().items(Joi.string().trim().uri()).max(10),
+  variants: Joi.array()
+    .items(
+      Joi.object().keys({
+        _id: Joi.string().custom(objectId),
+        sku: Joi.string().trim().required(),
+        attributes: Joi.object().pattern(Joi.string(), Joi.string().trim()),
+        cost: Joi.number().min(0),
+        stock: Joi.number().integer().min(0),
+      })
+    )
+    .unique("sku")
+    .max(100),
+};
+
+/**
+ * Check request *query* for fields
+ * - "q" (*required*): string to search for in the product name, category and description
+ * - "categoryId": ID of the category to search in, including the categories nested in it
+ * - "page": positive integer
+ * - "limit": integer between 1 and 100
+ */
+const searchProducts = {
+  query: Joi.object().keys({
+    q: Joi.string().trim().max(200).required(),
+    categoryId: Joi.string().custom(objectId),
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+  }),
+};
+
 const getProduct = {
   params: Joi.object().keys({
     productId: Joi.string().custom(objectId),
   }),
 };
 
+/**
+ * Check request *query* for fields (all are *optional*)
+ * - "q": string to search for in the product name and category
+ * - "category": string, the name of the category
+ * - "categoryId": ID of the category, matching the products of the categories nested in it too
+ * - "minCost"/"maxCost": non-negative numbers, "maxCost" at least "minCost"
+ * - "minRating": number between 0 and 5
+ * - "sortBy": one of name, cost or rating followed by the sort order, eg: "cost:asc", "rating:desc"
+ * - "page": positive integer
+ * - "limit": integer between 1 and 100
+ */
+const getProducts = {
+  query: Joi.object().keys({
+    q: Joi.string().trim(),
+    category: Joi.string().trim(),
+    categoryId: Joi.string().custom(objectId),
+    minCost: Joi.number().min(0),
+    maxCost: Joi.number().min(0).when("minCost", {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref("minCost")),
+    }),
+    minRating: Joi.number().min(0).max(5),
+    sortBy: Joi.string().pattern(/^(name|cost|rating):(asc|desc)$/),
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+  }),
+};
+
+/**
+ * Check request *body* for fields (all are *required*)
+ * - "name": string
+ * - "categoryId": ID of the category, see GET /v1/categories
+ * - "cost": non-negative number
+ * - "rating": number between 0 and 5
+ * - "image": URL of the product image
+ * - "stock": non-negative integer, *optional* (default = 0)
+ * - "description": string, *optional*
+ * - "specs": array of { "name", "value" } strings, *optional*
+ * - "images": array of URLs of more images of the product, *optional*
+ * - "variants": array of { "sku", "attributes", "cost", "stock" }, *optional*. SKUs must be unique within the product.
+ *   "attributes" maps attribute names to values, eg: { "size": "M", "colour": "Red" }, and "cost" overrides the
+ *   product's cost for the variant. The product's "stock" is the sum of the variants' stock
+ */
+const createProduct = {
+  body: Joi.object().keys({
+    name: Joi.string().trim().required(),
+    categoryId: Joi.string().custom(objectId).required(),
+    cost: Joi.number().min(0).required(),
+    rating: Joi.number().min(0).max(5).required(),
+    image: Joi.string().trim().uri().required(),
+    stock: Joi.number().integer().min(0),
+    ...detailFields,
+  }),
+};
+
+/**
+ * Check request *params* for "productId" and request *body* for at least one of the fields accepted by `createProduct`,
+ * except "rating" - which the product's reviews keep, see reviewService.updateProductRating()
+ */
+const updateProduct = {
+  params: Joi.object().keys({
+    productId: Joi.required().custom(objectId),
+  }),
+  body: Joi.object()
+    .keys({
+      name: Joi.string().trim(),
+      categoryId: Joi.string().custom(objectId),
+      cost: Joi.number().min(0),
+      image: Joi.string().trim().uri(),
+      stock: Joi.number().integer().min(0),
+      ...detailFields,
+    })
+    .min(1),
+};
+
+const deleteProduct = {
+  params: Joi.object().keys({
+    productId: Joi.required().custom(objectId),
+  }),
+};
+
 module.exports = {
   getProduct,
+  getProducts,
+  searchProducts,
+  createProduct,
+  updateProduct,
+  deleteProduct,
 };
@@ -0,0 +1,46 @@
+const Joi = require("joi");
+const { objectId } = require("./custom.validation");
+
+/**
+ * Check request *params* for "productId" and request *body* for fields
+ * - "rating": integer between 1 and 5
+ * - "title": non-empty string of at most 100 characters
+ * - "body": string of at most 2000 characters, *optional*
+ */
+const createReview = {
+  params: Joi.object().keys({
+    productId: Joi.string().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    rating: Joi.number().integer().min(1).max(5).required(),
+    title: Joi.string().trim().max(100).required(),
+    body: Joi.string().trim().max(2000).allow(""),
+  }),
+};
+
+/**
+ * Check request *params* for "productId" and request *query* for fields (all are *optional*)
+ * - "page": positive integer
+ * - "limit": integer between 1 and 100
+ */
+const getReviews = {
+  params: Joi.object().keys({
+    productId: Joi.string().custom(objectId),
+  }),
+  query: Joi.object().keys({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+  }),
+};
+
+const getRatingSummary = {
+  params: Joi.object().keys({
+    productId: Joi.string().custom(objectId),
+  }),
+};
+
+module.exports = {
+  createReview,
+  getReviews,
+  getRatingSummary,
+};
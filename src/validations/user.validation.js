@@ -22,7 +22,34 @@ const setAddress = {
   }),
 };
 
+const getWalletTransactions = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+  }),
+  query: Joi.object().keys({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+  }),
+};
+
+/**
+ * Check request *body* for fields (all are *required*)
+ * - "amount": positive amount of money, up to 100000
+ * - "cardNumber": valid card number
+ */
+const topUpWallet = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    amount: Joi.number().positive().precision(2).max(100000).required(),
+    cardNumber: Joi.string().creditCard().required(),
+  }),
+};
+
 module.exports = {
   getUser,
   setAddress,
+  getWalletTransactions,
+  topUpWallet,
 };
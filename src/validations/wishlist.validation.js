@@ -0,0 +1,27 @@
+const Joi = require("joi");
+const { objectId } = require("./custom.validation");
+
+/**
+ * Check request *body* for fields (all are *required*)
+ * - "productId": id of the product to save
+ */
+const addProductToWishlist = {
+  body: Joi.object().keys({
+    productId: Joi.string().required().custom(objectId),
+  }),
+};
+
+/**
+ * Check request *params* for fields (all are *required*)
+ * - "productId": id of a product in the wishlist
+ */
+const wishlistProduct = {
+  params: Joi.object().keys({
+    productId: Joi.string().required().custom(objectId),
+  }),
+};
+
+module.exports = {
+  addProductToWishlist,
+  wishlistProduct,
+};
@@ -2,6 +2,20 @@ const mongoose = require("mongoose");
 const { userOne, userTwo } = require("./user.fixture");
 const { Cart } = require("../../src/models");
 const config = require("../../src/config/config");
+const { categorySports } = require("./category.fixture");
+
+// Product in the carts below, insert it to the products collection for it to be in stock
+const productInCart = {
+  _id: "5f71c1ca04c69a5874e9fd45",
+  name: "ball",
+  category: "Sports",
+  categoryId: categorySports._id,
+  rating: 5,
+  cost: 20,
+  image: "google.com",
+  stock: 10,
+  __v: 0,
+};
 
 const emptyCart = {
   _id: mongoose.Types.ObjectId(),
@@ -17,15 +31,7 @@ const cartWithProductsUserOne = {
   cartItems: [
     {
       _id: "5f8feede75b0cc037b1bce9d",
-      product: {
-        _id: "5f71c1ca04c69a5874e9fd45",
-        name: "ball",
-        category: "Sports",
-        rating: 5,
-        cost: 20,
-        image: "google.com",
-        __v: 0,
-      },
+      product: productInCart,
       quantity: 2,
     },
   ],
@@ -39,15 +45,7 @@ const cartWithProductsUserTwo = {
   cartItems: [
     {
       _id: "5f8feede75b0cc037b1bce9d",
-      product: {
-        _id: "5f71c1ca04c69a5874e9fd45",
-        name: "ball",
-        category: "Sports",
-        rating: 5,
-        cost: 20,
-        image: "google.com",
-        __v: 0,
-      },
+      product: productInCart,
       quantity: 2,
     },
   ],
@@ -55,13 +53,35 @@ const cartWithProductsUserTwo = {
   __v: 33,
 };
 
+// Cart of a guest who hasn't logged in, with the product in userOne's cart and another one
+const guestCart = {
+  _id: mongoose.Types.ObjectId(),
+  guestId: mongoose.Types.ObjectId().toHexString(),
+  cartItems: [
+    {
+      _id: "5f8feede75b0cc037b1bce9f",
+      product: productInCart,
+      quantity: 1,
+    },
+    {
+      _id: "5f8feede75b0cc037b1bcea0",
+      product: { ...productInCart, _id: "5f71c1ca04c69a5874e9fd46", name: "bat" },
+      quantity: 3,
+    },
+  ],
+  paymentOption: config.default_payment_option,
+  __v: 0,
+};
+
 const insertCart = async (carts) => {
   await Cart.insertMany(carts);
 };
 
 module.exports = {
+  productInCart,
   emptyCart,
   cartWithProductsUserOne,
   cartWithProductsUserTwo,
+  guestCart,
   insertCart,
 };
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+const { Category } = require("../../src/models");
+
+const categorySports = {
+  _id: mongoose.Types.ObjectId(),
+  name: "Sports",
+  slug: "sports",
+  parent: null,
+  order: 1,
+};
+
+// Nested in categorySports
+const categoryCricket = {
+  _id: mongoose.Types.ObjectId(),
+  name: "Cricket",
+  slug: "cricket",
+  parent: categorySports._id,
+  order: 0,
+};
+
+const categoryPhones = {
+  _id: mongoose.Types.ObjectId(),
+  name: "Phones",
+  slug: "phones",
+  parent: null,
+  order: 0,
+};
+
+const insertCategories = async (categories) => {
+  await Category.insertMany(categories);
+};
+
+module.exports = {
+  categorySports,
+  categoryCricket,
+  categoryPhones,
+  insertCategories,
+};
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+const { Coupon } = require("../../src/models");
+const { categorySports } = require("./category.fixture");
+
+// 10% off Sports products, the products in the cart fixtures
+const couponPercentage = {
+  _id: mongoose.Types.ObjectId(),
+  code: "SPORTS10",
+  type: "percentage",
+  value: 10,
+  minCartValue: 0,
+  categoryId: categorySports._id,
+  category: "Sports",
+  usedCount: 0,
+};
+
+// ₹15 off carts of ₹30 or more, once per user
+const couponFlat = {
+  _id: mongoose.Types.ObjectId(),
+  code: "FLAT15",
+  type: "flat",
+  value: 15,
+  minCartValue: 30,
+  perUserLimit: 1,
+  usedCount: 0,
+};
+
+const couponExpired = {
+  _id: mongoose.Types.ObjectId(),
+  code: "EXPIRED",
+  type: "flat",
+  value: 5,
+  minCartValue: 0,
+  expiresAt: new Date("2020-01-01T00:00:00.000Z"),
+  usedCount: 0,
+};
+
+const couponUsedUp = {
+  _id: mongoose.Types.ObjectId(),
+  code: "USEDUP",
+  type: "flat",
+  value: 5,
+  minCartValue: 0,
+  usageLimit: 2,
+  usedCount: 2,
+};
+
+const insertCoupons = async (coupons) => {
+  await Coupon.insertMany(coupons);
+};
+
+module.exports = {
+  couponPercentage,
+  couponFlat,
+  couponExpired,
+  couponUsedUp,
+  insertCoupons,
+};
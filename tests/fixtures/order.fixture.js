@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+const { userOne, userTwo } = require("./user.fixture");
+const { Order } = require("../../src/models");
+
+const orderUserOne = {
+  _id: mongoose.Types.ObjectId(),
+  userId: userOne._id,
+  email: userOne.email,
+  orderItems: [
+    {
+      product: mongoose.Types.ObjectId("5f71c1ca04c69a5874e9fd45"),
+      name: "ball",
+      category: "Sports",
+      image: "google.com",
+      cost: 20,
+      quantity: 2,
+    },
+  ],
+  total: 40,
+  shippingAddress: {
+    addressId: userOne.addresses[0]._id,
+    address: userOne.addresses[0].address,
+  },
+  paymentOption: "PAYMENT_OPTION_WALLET",
+};
+
+const orderUserTwo = {
+  _id: mongoose.Types.ObjectId(),
+  userId: userTwo._id,
+  email: userTwo.email,
+  orderItems: [
+    {
+      product: mongoose.Types.ObjectId("5f71c1ca04c69a5874e9fd45"),
+      name: "ball",
+      category: "Sports",
+      image: "google.com",
+      cost: 20,
+      quantity: 1,
+    },
+  ],
+  total: 20,
+  shippingAddress: {
+    address: "This is my long random address hopefully satisfying the minimum length criteria",
+  },
+  paymentOption: "PAYMENT_OPTION_WALLET",
+};
+
+const insertOrders = async (orders) => {
+  await Order.insertMany(orders);
+};
+
+module.exports = {
+  orderUserOne,
+  orderUserTwo,
+  insertOrders,
+};
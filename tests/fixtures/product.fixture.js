@@ -8,6 +8,7 @@ const productOne = {
   rating: 3,
   cost: 20,
   image: "google.com",
+  stock: 10,
 };
 
 const productTwo = {
@@ -17,6 +18,43 @@ const productTwo = {
   rating: 3,
   cost: 5,
   image: "google.com",
+  stock: 10,
+};
+
+const productThree = {
+  _id: mongoose.Types.ObjectId(),
+  name: "iphone xr",
+  category: "Phones",
+  rating: 5,
+  cost: 100,
+  image: "google.com",
+  stock: 10,
+};
+
+// A product sold in sizes, the large size costing more
+const productWithVariants = {
+  _id: mongoose.Types.ObjectId(),
+  name: "t-shirt",
+  category: "Clothing",
+  rating: 4,
+  cost: 15,
+  image: "google.com",
+  stock: 8,
+  variants: [
+    {
+      _id: mongoose.Types.ObjectId(),
+      sku: "TSHIRT-S",
+      attributes: { size: "S" },
+      stock: 5,
+    },
+    {
+      _id: mongoose.Types.ObjectId(),
+      sku: "TSHIRT-L",
+      attributes: { size: "L" },
+      cost: 18,
+      stock: 3,
+    },
+  ],
 };
 
 const insertProducts = async (products) => {
@@ -26,5 +64,7 @@ const insertProducts = async (products) => {
 module.exports = {
   productOne,
   productTwo,
+  productThree,
+  productWithVariants,
   insertProducts,
 };
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+const { userTwo } = require("./user.fixture");
+const { productOne } = require("./product.fixture");
+const { Review } = require("../../src/models");
+
+const reviewUserTwo = {
+  _id: mongoose.Types.ObjectId(),
+  productId: productOne._id,
+  userId: userTwo._id,
+  author: userTwo.name,
+  rating: 2,
+  title: "Lost its air in a week",
+  body: "Had to pump it up before every game",
+  verifiedPurchase: false,
+};
+
+const insertReviews = async (reviews) => {
+  await Review.insertMany(reviews);
+};
+
+module.exports = {
+  reviewUserTwo,
+  insertReviews,
+};
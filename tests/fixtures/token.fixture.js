@@ -1,7 +1,8 @@
 const config = require("../../src/config/config");
 const { tokenTypes } = require("../../src/config/tokens");
 const tokenService = require("../../src/services/token.service");
-const { userOne, userTwo } = require("./user.fixture");
+const { userOne, userTwo, admin } = require("./user.fixture");
+const { guestCart } = require("./cart.fixture");
 
 const accessTokenExpires =
   Math.floor(Date.now() / 1000) + config.jwt.accessExpirationMinutes * 60;
@@ -18,7 +19,21 @@ const userTwoAccessToken = tokenService.generateToken(
   tokenTypes.ACCESS
 );
 
+const adminAccessToken = tokenService.generateToken(
+  admin._id,
+  accessTokenExpires,
+  tokenTypes.ACCESS
+);
+
+const guestToken = tokenService.generateToken(
+  guestCart.guestId,
+  Math.floor(Date.now() / 1000) + config.jwt.guestExpirationDays * 24 * 60 * 60,
+  tokenTypes.GUEST
+);
+
 module.exports = {
   userOneAccessToken,
   userTwoAccessToken,
+  adminAccessToken,
+  guestToken,
 };
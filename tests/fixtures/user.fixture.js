@@ -15,6 +15,13 @@ const userOne = {
   password,
   address:
     "This is my long random address hopefully satisfying the minimum length criteria",
+  addresses: [
+    {
+      _id: mongoose.Types.ObjectId(),
+      address:
+        "This is my long random address hopefully satisfying the minimum length criteria",
+    },
+  ],
 };
 
 const userTwo = {
@@ -26,6 +33,16 @@ const userTwo = {
   address: "ADDRESS_NOT_SET",
 };
 
+const admin = {
+  _id: mongoose.Types.ObjectId(),
+  walletMoney: 200,
+  name: faker.name.findName(),
+  email: faker.internet.email().toLowerCase(),
+  password,
+  address: "ADDRESS_NOT_SET",
+  role: "admin",
+};
+
 const insertUsers = async (users) => {
   await User.insertMany(
     users.map((user) => ({ ...user, password: hashedPassword }))
@@ -35,5 +52,6 @@ const insertUsers = async (users) => {
 module.exports = {
   userOne,
   userTwo,
+  admin,
   insertUsers,
 };
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const { userOne, userTwo } = require("./user.fixture");
+const { orderUserOne } = require("./order.fixture");
+const { WalletTransaction } = require("../../src/models");
+
+const walletTransactionOne = {
+  _id: mongoose.Types.ObjectId(),
+  userId: userOne._id,
+  type: "debit",
+  amount: 40,
+  reason: "orderPayment",
+  reference: orderUserOne._id,
+  balance: 160,
+  createdAt: new Date("2021-01-26T11:44:14.544Z"),
+};
+
+const walletTransactionTwo = {
+  _id: mongoose.Types.ObjectId(),
+  userId: userOne._id,
+  type: "debit",
+  amount: 20,
+  reason: "orderPayment",
+  reference: mongoose.Types.ObjectId(),
+  balance: 140,
+  createdAt: new Date("2021-01-27T11:44:14.544Z"),
+};
+
+const walletTransactionUserTwo = {
+  _id: mongoose.Types.ObjectId(),
+  userId: userTwo._id,
+  type: "debit",
+  amount: 20,
+  reason: "orderPayment",
+  reference: mongoose.Types.ObjectId(),
+  balance: 180,
+  createdAt: new Date("2021-01-26T11:44:14.544Z"),
+};
+
+const insertWalletTransactions = async (walletTransactions) => {
+  await WalletTransaction.insertMany(walletTransactions);
+};
+
+module.exports = {
+  walletTransactionOne,
+  walletTransactionTwo,
+  walletTransactionUserTwo,
+  insertWalletTransactions,
+};
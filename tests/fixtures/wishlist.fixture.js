@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+const { userOne } = require("./user.fixture");
+const { productOne } = require("./product.fixture");
+const { Wishlist } = require("../../src/models");
+
+const wishlistUserOne = {
+  _id: mongoose.Types.ObjectId(),
+  userId: userOne._id,
+  items: [
+    {
+      product: productOne._id,
+      addedAt: new Date("2021-01-26T11:44:14.544Z"),
+    },
+  ],
+};
+
+const insertWishlists = async (wishlists) => {
+  await Wishlist.insertMany(wishlists);
+};
+
+module.exports = {
+  wishlistUserOne,
+  insertWishlists,
+};
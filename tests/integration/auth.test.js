@@ -5,13 +5,21 @@ const httpMocks = require("node-mocks-http");
 const app = require("../../src/app");
 const config = require("../../src/config/config");
 const auth = require("../../src/middlewares/auth");
-const { tokenService } = require("../../src/services");
+const { tokenService, emailService } = require("../../src/services");
 const ApiError = require("../../src/utils/ApiError");
 const setupTestDB = require("../utils/setupTestDB");
-const { User } = require("../../src/models");
+const { User, Token, Cart } = require("../../src/models");
 const { tokenTypes } = require("../../src/config/tokens");
 const { userOne, insertUsers } = require("../fixtures/user.fixture");
-const { userOneAccessToken } = require("../fixtures/token.fixture");
+const {
+  userOneAccessToken,
+  guestToken,
+} = require("../fixtures/token.fixture");
+const {
+  cartWithProductsUserOne,
+  guestCart,
+  insertCart,
+} = require("../fixtures/cart.fixture");
 
 setupTestDB();
 
@@ -50,6 +58,7 @@ describe("Auth routes", () => {
 
       expect(res.body.tokens).toEqual({
         access: { token: expect.anything(), expires: expect.anything() },
+        refresh: { token: expect.anything(), expires: expect.anything() },
       });
     });
 
@@ -136,6 +145,35 @@ describe("Auth routes", () => {
 
       expect(res.status).toEqual(httpStatus.BAD_REQUEST);
     });
+
+    test("should make the cart of the guest whose guest token is sent the new user's cart", async () => {
+      await insertCart([guestCart]);
+
+      const res = await request(app)
+        .post("/v1/auth/register")
+        .set("X-Guest-Token", guestToken)
+        .send(newUser);
+
+      expect(res.status).toEqual(httpStatus.CREATED);
+      const dbCart = await Cart.findOne({ email: newUser.email });
+      expect(dbCart._id).toEqual(guestCart._id);
+      expect(dbCart.guestId).toBeUndefined();
+      expect(dbCart.cartItems.length).toEqual(guestCart.cartItems.length);
+    });
+  });
+
+  describe("POST /v1/auth/guest", () => {
+    test("should return 201 and a guest token", async () => {
+      const res = await request(app).post("/v1/auth/guest").send();
+
+      expect(res.status).toEqual(httpStatus.CREATED);
+      expect(res.body.tokens).toEqual({
+        guest: { token: expect.anything(), expires: expect.anything() },
+      });
+      expect(tokenService.verifyGuestToken(res.body.tokens.guest.token)).toEqual(
+        expect.any(String)
+      );
+    });
   });
 
   describe("POST /v1/auth/login", () => {
@@ -163,9 +201,41 @@ describe("Auth routes", () => {
 
       expect(res.body.tokens).toEqual({
         access: { token: expect.anything(), expires: expect.anything() },
+        refresh: { token: expect.anything(), expires: expect.anything() },
       });
     });
 
+    test("should merge the cart of the guest whose guest token is sent into the user's cart", async () => {
+      await insertUsers([userOne]);
+      await insertCart([cartWithProductsUserOne, guestCart]);
+
+      const res = await request(app)
+        .post("/v1/auth/login")
+        .set("X-Guest-Token", guestToken)
+        .send({ email: userOne.email, password: userOne.password });
+
+      expect(res.status).toEqual(httpStatus.OK);
+      const dbCart = await Cart.findOne({ email: userOne.email });
+      expect(
+        dbCart.cartItems.map((item) => [item.product.name, item.quantity])
+      ).toEqual([
+        ["ball", 3],
+        ["bat", 3],
+      ]);
+      expect(await Cart.findOne({ guestId: guestCart.guestId })).toBeNull();
+    });
+
+    test("should login even if the guest token sent is invalid", async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post("/v1/auth/login")
+        .set("X-Guest-Token", "notAValidToken")
+        .send({ email: userOne.email, password: userOne.password });
+
+      expect(res.status).toEqual(httpStatus.OK);
+    });
+
     test("should return 401 error if there are no users with that email", async () => {
       const loginCredentials = {
         email: userOne.email,
@@ -230,6 +300,300 @@ describe("Auth routes", () => {
     });
   });
 
+  describe("POST /v1/auth/refresh-tokens", () => {
+    test("should return 200 and rotate the refresh token if it is valid", async () => {
+      await insertUsers([userOne]);
+      const { refresh } = await tokenService.generateAuthTokens(userOne);
+
+      const res = await request(app)
+        .post("/v1/auth/refresh-tokens")
+        .send({ refreshToken: refresh.token });
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.tokens).toEqual({
+        access: { token: expect.anything(), expires: expect.anything() },
+        refresh: { token: expect.anything(), expires: expect.anything() },
+      });
+
+      // The refresh token used is replaced by the new one
+      expect(await Token.findOne({ token: refresh.token })).toBeNull();
+      const dbToken = await Token.findOne({ token: res.body.tokens.refresh.token });
+      expect(dbToken).toMatchObject({
+        type: tokenTypes.REFRESH,
+        blacklisted: false,
+      });
+      expect(dbToken.user.toString()).toEqual(userOne._id.toString());
+    });
+
+    test("should return 401 error if the refresh token was already used", async () => {
+      await insertUsers([userOne]);
+      const { refresh } = await tokenService.generateAuthTokens(userOne);
+
+      await request(app)
+        .post("/v1/auth/refresh-tokens")
+        .send({ refreshToken: refresh.token });
+      const res = await request(app)
+        .post("/v1/auth/refresh-tokens")
+        .send({ refreshToken: refresh.token });
+
+      expect(res.status).toEqual(httpStatus.UNAUTHORIZED);
+    });
+
+    test("should return 401 error if an access token is sent instead", async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post("/v1/auth/refresh-tokens")
+        .send({ refreshToken: userOneAccessToken });
+
+      expect(res.status).toEqual(httpStatus.UNAUTHORIZED);
+    });
+
+    test("should return 401 error if the refresh token is expired", async () => {
+      await insertUsers([userOne]);
+      const expires = Math.floor(Date.now() / 1000) - 1 * 60;
+      const refreshToken = tokenService.generateToken(
+        userOne._id,
+        expires,
+        tokenTypes.REFRESH
+      );
+      await tokenService.saveToken(
+        refreshToken,
+        userOne._id,
+        expires,
+        tokenTypes.REFRESH
+      );
+
+      const res = await request(app)
+        .post("/v1/auth/refresh-tokens")
+        .send({ refreshToken });
+
+      expect(res.status).toEqual(httpStatus.UNAUTHORIZED);
+    });
+
+    test("should return 400 error if refreshToken field isn't present", async () => {
+      const res = await request(app).post("/v1/auth/refresh-tokens").send({});
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe("POST /v1/auth/logout", () => {
+    test("should return 204 and revoke the access and refresh tokens", async () => {
+      await insertUsers([userOne]);
+      const { access, refresh } = await tokenService.generateAuthTokens(userOne);
+
+      const res = await request(app)
+        .post("/v1/auth/logout")
+        .set("Authorization", `Bearer ${access.token}`)
+        .send({ refreshToken: refresh.token });
+
+      expect(res.status).toEqual(httpStatus.NO_CONTENT);
+      expect(await Token.findOne({ token: refresh.token })).toBeNull();
+
+      const cartRes = await request(app)
+        .get("/v1/cart")
+        .set("Authorization", `Bearer ${access.token}`)
+        .send();
+      expect(cartRes.status).toEqual(httpStatus.UNAUTHORIZED);
+
+      const refreshRes = await request(app)
+        .post("/v1/auth/refresh-tokens")
+        .send({ refreshToken: refresh.token });
+      expect(refreshRes.status).toEqual(httpStatus.UNAUTHORIZED);
+    });
+
+    test("should not revoke the user's other sessions", async () => {
+      await insertUsers([userOne]);
+      const { access } = await tokenService.generateAuthTokens(userOne);
+
+      await request(app)
+        .post("/v1/auth/logout")
+        .set("Authorization", `Bearer ${access.token}`)
+        .send();
+
+      const res = await request(app)
+        .get(`/v1/users/${userOne._id}`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+      expect(res.status).toEqual(httpStatus.OK);
+    });
+
+    test("should return 401 error if access token is missing", async () => {
+      const res = await request(app).post("/v1/auth/logout").send();
+
+      expect(res.status).toEqual(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe("POST /v1/auth/logout-all", () => {
+    test("should return 204 and revoke the tokens of every session", async () => {
+      await insertUsers([userOne]);
+      const { refresh } = await tokenService.generateAuthTokens(userOne);
+
+      const res = await request(app)
+        .post("/v1/auth/logout-all")
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.NO_CONTENT);
+      expect(
+        await Token.countDocuments({
+          user: userOne._id,
+          type: tokenTypes.REFRESH,
+        })
+      ).toEqual(0);
+
+      const userRes = await request(app)
+        .get(`/v1/users/${userOne._id}`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+      expect(userRes.status).toEqual(httpStatus.UNAUTHORIZED);
+
+      const refreshRes = await request(app)
+        .post("/v1/auth/refresh-tokens")
+        .send({ refreshToken: refresh.token });
+      expect(refreshRes.status).toEqual(httpStatus.UNAUTHORIZED);
+    });
+
+    test("should accept tokens issued after logging out of all devices", async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post("/v1/auth/logout-all")
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      const loginRes = await request(app)
+        .post("/v1/auth/login")
+        .send({ email: userOne.email, password: userOne.password });
+
+      const res = await request(app)
+        .get(`/v1/users/${userOne._id}`)
+        .set("Authorization", `Bearer ${loginRes.body.tokens.access.token}`)
+        .send();
+      expect(res.status).toEqual(httpStatus.OK);
+    });
+  });
+
+  describe("POST /v1/auth/forgot-password", () => {
+    beforeEach(() => {
+      emailService.getTransport().clear();
+    });
+
+    test("should return 204 and email a reset password link to the user", async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post("/v1/auth/forgot-password")
+        .send({ email: userOne.email });
+
+      expect(res.status).toEqual(httpStatus.NO_CONTENT);
+
+      const dbToken = await Token.findOne({
+        user: userOne._id,
+        type: tokenTypes.RESET_PASSWORD,
+      });
+      expect(dbToken).not.toBeNull();
+
+      const { messages } = emailService.getTransport();
+      expect(messages.length).toEqual(1);
+      expect(messages[0].to).toEqual(userOne.email);
+      expect(messages[0].text).toContain(
+        `${config.clientUrl}/reset-password?token=${dbToken.token}`
+      );
+    });
+
+    test("should return 204 without sending an email if there's no user with the email", async () => {
+      const res = await request(app)
+        .post("/v1/auth/forgot-password")
+        .send({ email: userOne.email });
+
+      expect(res.status).toEqual(httpStatus.NO_CONTENT);
+      expect(emailService.getTransport().messages.length).toEqual(0);
+    });
+
+    test("should return 400 error if email is invalid", async () => {
+      const res = await request(app)
+        .post("/v1/auth/forgot-password")
+        .send({ email: "invalidEmail" });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe("POST /v1/auth/reset-password", () => {
+    test("should return 204 and reset the password", async () => {
+      await insertUsers([userOne]);
+      const resetPasswordToken = await tokenService.generateResetPasswordToken(
+        userOne
+      );
+
+      const res = await request(app)
+        .post("/v1/auth/reset-password")
+        .query({ token: resetPasswordToken })
+        .send({ password: "newPassword1" });
+
+      expect(res.status).toEqual(httpStatus.NO_CONTENT);
+
+      const loginRes = await request(app)
+        .post("/v1/auth/login")
+        .send({ email: userOne.email, password: "newPassword1" });
+      expect(loginRes.status).toEqual(httpStatus.OK);
+
+      // The token can't be used again
+      expect(
+        await Token.countDocuments({
+          user: userOne._id,
+          type: tokenTypes.RESET_PASSWORD,
+        })
+      ).toEqual(0);
+    });
+
+    test("should return 401 error if the reset password token was already used", async () => {
+      await insertUsers([userOne]);
+      const resetPasswordToken = await tokenService.generateResetPasswordToken(
+        userOne
+      );
+
+      await request(app)
+        .post("/v1/auth/reset-password")
+        .query({ token: resetPasswordToken })
+        .send({ password: "newPassword1" });
+      const res = await request(app)
+        .post("/v1/auth/reset-password")
+        .query({ token: resetPasswordToken })
+        .send({ password: "newPassword2" });
+
+      expect(res.status).toEqual(httpStatus.UNAUTHORIZED);
+    });
+
+    test("should return 401 error if an access token is sent instead", async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post("/v1/auth/reset-password")
+        .query({ token: userOneAccessToken })
+        .send({ password: "newPassword1" });
+
+      expect(res.status).toEqual(httpStatus.UNAUTHORIZED);
+    });
+
+    test("should return 400 error if the new password is invalid", async () => {
+      await insertUsers([userOne]);
+      const resetPasswordToken = await tokenService.generateResetPasswordToken(
+        userOne
+      );
+
+      const res = await request(app)
+        .post("/v1/auth/reset-password")
+        .query({ token: resetPasswordToken })
+        .send({ password: "password" });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+  });
+
   describe("Auth middleware", () => {
     test("should call next with no errors if access token is valid", async () => {
       await insertUsers([userOne]);
@@ -4,22 +4,36 @@ const httpStatus = require("http-status");
 const app = require("../../src/app");
 const setupTestDB = require("../utils/setupTestDB");
 const { Cart, User } = require("../../src/models");
+const { tokenService } = require("../../src/services");
 const { userOne, userTwo, insertUsers } = require("../fixtures/user.fixture");
 const {
   productOne,
   productTwo,
+  productWithVariants,
   insertProducts,
 } = require("../fixtures/product.fixture");
 const {
+  productInCart,
   cartWithProductsUserOne,
   cartWithProductsUserTwo,
   emptyCart,
+  guestCart,
   insertCart,
 } = require("../fixtures/cart.fixture");
 const {
   userOneAccessToken,
   userTwoAccessToken,
+  guestToken,
 } = require("../fixtures/token.fixture");
+const {
+  couponPercentage,
+  couponExpired,
+  insertCoupons,
+} = require("../fixtures/coupon.fixture");
+const {
+  categorySports,
+  insertCategories,
+} = require("../fixtures/category.fixture");
 
 setupTestDB();
 
@@ -51,6 +65,7 @@ describe("Cart routes", () => {
 
     it("should return 200 and the object for non-empty cart if data is ok", async () => {
       await insertUsers([userOne]);
+      await insertProducts([productInCart]);
       await insertCart([cartWithProductsUserOne]);
 
       const res = await request(app)
@@ -69,6 +84,48 @@ describe("Cart routes", () => {
       );
     });
 
+    it("should re-price stale items, drop deleted products and report the changes", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([{ ...productInCart, cost: 25 }]);
+      await insertCart([
+        {
+          ...cartWithProductsUserOne,
+          cartItems: [
+            ...cartWithProductsUserOne.cartItems,
+            { product: productOne, quantity: 1 },
+          ],
+        },
+      ]);
+
+      const res = await request(app)
+        .get(`/v1/cart`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.cartItems.length).toEqual(1);
+      expect(res.body.cartItems[0].product.cost).toEqual(25);
+      expect(res.body.changes).toEqual([
+        {
+          type: "PRICE_CHANGED",
+          productId: productInCart._id,
+          name: productInCart.name,
+          oldCost: productInCart.cost,
+          newCost: 25,
+        },
+        {
+          type: "PRODUCT_REMOVED",
+          productId: productOne._id.toString(),
+          name: productOne.name,
+        },
+      ]);
+
+      // The reconciled cart is saved, so the changes are reported only once
+      const dbCart = await Cart.findOne({ email: userOne.email });
+      expect(dbCart.cartItems.length).toEqual(1);
+      expect(dbCart.cartItems[0].product.cost).toEqual(25);
+    });
+
     it("should return 401 error if access token is missing", async () => {
       const res = await request(app).get(`/v1/cart/`).send();
 
@@ -125,6 +182,88 @@ describe("Cart routes", () => {
       expect(addedProduct[0].product.category).toEqual(productOne.category);
     });
 
+    it("should return 400 error if there isn't enough stock of the product", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productOne, { ...productTwo, stock: 0 }]);
+      await insertCart([emptyCart]);
+
+      let res = await request(app)
+        .post(`/v1/cart`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({
+          productId: productOne._id,
+          quantity: productOne.stock + 1,
+        });
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+      expect(res.body.message).toEqual(`Only ${productOne.stock} left in stock`);
+
+      res = await request(app)
+        .post(`/v1/cart`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({
+          productId: productTwo._id,
+          quantity: 1,
+        });
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+      expect(res.body.message).toEqual("Product is out of stock");
+
+      const dbCart = await Cart.findOne({ email: userOne.email });
+      expect(dbCart.cartItems.length).toEqual(0);
+    });
+
+    it("should return 201 and keep the variants of a product as separate items", async () => {
+      const [small, large] = productWithVariants.variants;
+      await insertUsers([userOne]);
+      await insertProducts([productWithVariants]);
+      await insertCart([emptyCart]);
+
+      for (const variant of [small, large]) {
+        const res = await request(app)
+          .post(`/v1/cart`)
+          .set("Authorization", `Bearer ${userOneAccessToken}`)
+          .send({
+            productId: productWithVariants._id,
+            variantId: variant._id,
+            quantity: 1,
+          });
+        expect(res.status).toEqual(httpStatus.CREATED);
+      }
+
+      const dbCart = await Cart.findOne({ email: userOne.email });
+      expect(
+        Array.from(dbCart.cartItems, (item) => item.variantId.toString())
+      ).toEqual([small._id.toString(), large._id.toString()]);
+
+      // Variants in the cart are updated by product and variant
+      const res = await request(app)
+        .put(`/v1/cart`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({
+          productId: productWithVariants._id,
+          variantId: large._id,
+          quantity: large.stock + 1,
+        });
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+      expect(res.body.message).toEqual(`Only ${large.stock} left in stock`);
+    });
+
+    it("should return 400 error if no variant of a product with variants is chosen", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productWithVariants]);
+      await insertCart([emptyCart]);
+
+      const res = await request(app)
+        .post(`/v1/cart`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({
+          productId: productWithVariants._id,
+          quantity: 1,
+        });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+      expect(res.body.message).toEqual("Choose a variant of the product");
+    });
+
     it("should return 201 and create new cart for user if not already existing", async () => {
       await insertUsers([userOne]);
       await insertProducts([productOne, productTwo]);
@@ -173,6 +312,24 @@ describe("Cart routes", () => {
       expect(res.status).toEqual(httpStatus.BAD_REQUEST);
     });
 
+    it("should return 400 error if quantity isn't a whole number of at least 1", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productOne]);
+
+      for (const quantity of [0, -5, 1.5]) {
+        const res = await request(app)
+          .post(`/v1/cart`)
+          .set("Authorization", `Bearer ${userOneAccessToken}`)
+          .send({
+            productId: productOne._id,
+            quantity,
+          });
+
+        expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+      }
+      expect(await Cart.findOne({ email: userOne.email })).toBeNull();
+    });
+
     it("should return 400 error if product already in cart", async () => {
       await insertUsers([userOne]);
       await insertProducts([productOne]);
@@ -222,6 +379,70 @@ describe("Cart routes", () => {
 
       expect(res.status).toEqual(httpStatus.UNAUTHORIZED);
     });
+    it("should replay the response instead of adding the product again if retried with the same Idempotency-Key", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productOne]);
+
+      const first = await request(app)
+        .post(`/v1/cart`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "add-1")
+        .send({ productId: productOne._id, quantity: 1 });
+      const retry = await request(app)
+        .post(`/v1/cart`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "add-1")
+        .send({ productId: productOne._id, quantity: 1 });
+
+      expect(first.status).toEqual(httpStatus.CREATED);
+      // Without the key, adding a product already in the cart fails
+      expect(retry.status).toEqual(httpStatus.CREATED);
+      expect(retry.headers["idempotent-replayed"]).toEqual("true");
+      expect(retry.body).toEqual(first.body);
+
+      const dbCart = await Cart.findOne({ email: userOne.email });
+      expect(dbCart.cartItems.length).toEqual(1);
+    });
+
+    it("should return 422 error if the Idempotency-Key was used for a different request", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productOne, productTwo]);
+
+      await request(app)
+        .post(`/v1/cart`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "add-1")
+        .send({ productId: productOne._id, quantity: 1 });
+      const res = await request(app)
+        .post(`/v1/cart`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "add-1")
+        .send({ productId: productTwo._id, quantity: 1 });
+
+      expect(res.status).toEqual(httpStatus.UNPROCESSABLE_ENTITY);
+
+      const dbCart = await Cart.findOne({ email: userOne.email });
+      expect(dbCart.cartItems.length).toEqual(1);
+    });
+
+    it("should not share Idempotency-Keys between users", async () => {
+      await insertUsers([userOne, userTwo]);
+      await insertProducts([productOne]);
+
+      await request(app)
+        .post(`/v1/cart`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "add-1")
+        .send({ productId: productOne._id, quantity: 1 });
+      const res = await request(app)
+        .post(`/v1/cart`)
+        .set("Authorization", `Bearer ${userTwoAccessToken}`)
+        .set("Idempotency-Key", "add-1")
+        .send({ productId: productOne._id, quantity: 1 });
+
+      expect(res.status).toEqual(httpStatus.CREATED);
+      expect(res.body.email).toEqual(userTwo.email);
+    });
   });
 
   describe("Update cart items", () => {
@@ -272,6 +493,34 @@ describe("Cart routes", () => {
       expect(productOneInCartDB[0].quantity).toEqual(5);
     });
 
+    it("should return 400 error if the new quantity is more than the stock left", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productOne]);
+      await insertCart([emptyCart]);
+
+      await request(app)
+        .post(`/v1/cart`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({
+          productId: productOne._id,
+          quantity: 2,
+        })
+        .expect(httpStatus.CREATED);
+
+      const res = await request(app)
+        .put(`/v1/cart`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({
+          productId: productOne._id,
+          quantity: productOne.stock + 1,
+        });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+
+      const dbCart = await Cart.findOne({ email: userOne.email });
+      expect(dbCart.cartItems[0].quantity).toEqual(2);
+    });
+
     it("should delete product entry when quantity is set to 0", async () => {
       await insertUsers([userOne]);
       await insertProducts([productOne, productTwo]);
@@ -331,6 +580,26 @@ describe("Cart routes", () => {
       expect(res.status).toEqual(httpStatus.BAD_REQUEST);
     });
 
+    it("should return 400 error if quantity is negative or not a whole number", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertCart([cartWithProductsUserOne]);
+
+      for (const quantity of [-5, 1.5]) {
+        const res = await request(app)
+          .put(`/v1/cart`)
+          .set("Authorization", `Bearer ${userOneAccessToken}`)
+          .send({
+            productId: productInCart._id,
+            quantity,
+          });
+
+        expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+      }
+      const dbCart = await Cart.findOne({ email: userOne.email });
+      expect(dbCart.cartItems[0].quantity).toEqual(2);
+    });
+
     it("should return 400 error if product not in cart", async () => {
       await insertUsers([userOne]);
       await insertProducts([productOne]);
@@ -357,4 +626,234 @@ describe("Cart routes", () => {
       expect(res.status).toEqual(httpStatus.UNAUTHORIZED);
     });
   });
+
+  describe("Set payment option", () => {
+    it("should return 200 and the cart with the payment option set", async () => {
+      await insertUsers([userOne]);
+      await insertCart([cartWithProductsUserOne]);
+
+      const res = await request(app)
+        .put(`/v1/cart/payment-option`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ paymentOption: "PAYMENT_OPTION_COD" });
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.paymentOption).toEqual("PAYMENT_OPTION_COD");
+
+      const dbCart = await Cart.findOne({ email: userOne.email });
+      expect(dbCart.paymentOption).toEqual("PAYMENT_OPTION_COD");
+    });
+
+    it("should return 400 error if the payment option is unknown", async () => {
+      await insertUsers([userOne]);
+      await insertCart([cartWithProductsUserOne]);
+
+      const res = await request(app)
+        .put(`/v1/cart/payment-option`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ paymentOption: "PAYMENT_OPTION_DEFAULT" });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+
+    it("should return 404 error if cart doesn't exist for user", async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .put(`/v1/cart/payment-option`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ paymentOption: "PAYMENT_OPTION_WALLET" });
+
+      expect(res.status).toEqual(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe("Coupons", () => {
+    it("should apply the coupon and return the cart priced with the discount", async () => {
+      await insertUsers([userOne]);
+      await insertCategories([categorySports]);
+      await insertCoupons([couponPercentage]);
+      await insertCart([cartWithProductsUserOne]);
+
+      const res = await request(app)
+        .post(`/v1/cart/coupon`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ code: "sports10" });
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.couponCode).toEqual("SPORTS10");
+      expect(res.body.pricing).toMatchObject({
+        subtotal: 40,
+        discount: 4,
+        total: 36,
+      });
+
+      const dbCart = await Cart.findOne({ email: userOne.email });
+      expect(dbCart.couponCode).toEqual("SPORTS10");
+    });
+
+    it("should return the discount with the cart", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertCategories([categorySports]);
+      await insertCoupons([couponPercentage]);
+      await insertCart([
+        { ...cartWithProductsUserOne, couponCode: couponPercentage.code },
+      ]);
+
+      const res = await request(app)
+        .get(`/v1/cart`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.pricing).toMatchObject({ discount: 4, total: 36 });
+      expect(res.body.couponError).toBeUndefined();
+    });
+
+    it("should keep a coupon that can no longer be used, but not take it off the cart", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertCoupons([couponExpired]);
+      await insertCart([
+        { ...cartWithProductsUserOne, couponCode: couponExpired.code },
+      ]);
+
+      const res = await request(app)
+        .get(`/v1/cart`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.couponCode).toEqual(couponExpired.code);
+      expect(res.body.pricing).toMatchObject({ discount: 0, total: 40 });
+      expect(res.body.couponError).toEqual("Coupon has expired");
+    });
+
+    it("should return 400 and not apply a coupon that can't be used", async () => {
+      await insertUsers([userOne]);
+      await insertCoupons([couponExpired]);
+      await insertCart([cartWithProductsUserOne]);
+
+      const res = await request(app)
+        .post(`/v1/cart/coupon`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ code: couponExpired.code });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+      expect(res.body.message).toEqual("Coupon has expired");
+
+      const dbCart = await Cart.findOne({ email: userOne.email });
+      expect(dbCart.couponCode).toBeUndefined();
+    });
+
+    it("should return 400 if the coupon code doesn't exist", async () => {
+      await insertUsers([userOne]);
+      await insertCart([cartWithProductsUserOne]);
+
+      const res = await request(app)
+        .post(`/v1/cart/coupon`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ code: "NOSUCHCODE" });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+
+    it("should remove the coupon from the cart", async () => {
+      await insertUsers([userOne]);
+      await insertCart([
+        { ...cartWithProductsUserOne, couponCode: couponPercentage.code },
+      ]);
+
+      const res = await request(app)
+        .delete(`/v1/cart/coupon`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.couponCode).toBeUndefined();
+      expect(res.body.pricing).toMatchObject({ discount: 0, total: 40 });
+    });
+
+    it("should return 404 error if cart doesn't exist for user", async () => {
+      await insertUsers([userOne]);
+      await insertCoupons([couponPercentage]);
+
+      const res = await request(app)
+        .post(`/v1/cart/coupon`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ code: couponPercentage.code });
+
+      expect(res.status).toEqual(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe("Guest carts", () => {
+    it("should create a cart for the guest and return it", async () => {
+      await insertProducts([productOne]);
+
+      const res = await request(app)
+        .post(`/v1/cart`)
+        .set("X-Guest-Token", guestToken)
+        .send({ productId: productOne._id, quantity: 2 });
+
+      expect(res.status).toEqual(httpStatus.CREATED);
+      expect(res.body.email).toBeUndefined();
+      expect(res.body.guestId).toEqual(guestCart.guestId);
+
+      const getRes = await request(app)
+        .get(`/v1/cart`)
+        .set("X-Guest-Token", guestToken)
+        .send();
+
+      expect(getRes.status).toEqual(httpStatus.OK);
+      expect(getRes.body.cartItems.length).toEqual(1);
+      expect(getRes.body.cartItems[0].quantity).toEqual(2);
+    });
+
+    it("should update the quantity of a product in the guest's cart", async () => {
+      await insertProducts([productInCart]);
+      await insertCart([guestCart]);
+
+      const res = await request(app)
+        .put(`/v1/cart`)
+        .set("X-Guest-Token", guestToken)
+        .send({ productId: productInCart._id, quantity: 5 });
+
+      expect(res.status).toEqual(httpStatus.OK);
+      const dbCart = await Cart.findOne({ guestId: guestCart.guestId });
+      expect(dbCart.cartItems[0].quantity).toEqual(5);
+    });
+
+    it("should keep the carts of guests apart from each other", async () => {
+      await insertCart([guestCart]);
+
+      const res = await request(app)
+        .get(`/v1/cart`)
+        .set("X-Guest-Token", tokenService.generateGuestToken().token)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.NOT_FOUND);
+    });
+
+    it("should return 401 error if the guest token is invalid", async () => {
+      const res = await request(app)
+        .get(`/v1/cart`)
+        .set("X-Guest-Token", userOneAccessToken)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.UNAUTHORIZED);
+    });
+
+    it("should return 401 error if a guest tries to checkout", async () => {
+      await insertCart([guestCart]);
+
+      const res = await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("X-Guest-Token", guestToken)
+        .send({ addressId: userOne.addresses[0]._id });
+
+      expect(res.status).toEqual(httpStatus.UNAUTHORIZED);
+    });
+  });
 });
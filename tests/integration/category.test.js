@@ -0,0 +1,110 @@
+const request = require("supertest");
+const httpStatus = require("http-status");
+const app = require("../../src/app");
+const setupTestDB = require("../utils/setupTestDB");
+const { Category } = require("../../src/models");
+const { userOne, admin, insertUsers } = require("../fixtures/user.fixture");
+const {
+  userOneAccessToken,
+  adminAccessToken,
+} = require("../fixtures/token.fixture");
+const {
+  productOne,
+  productTwo,
+  productThree,
+  insertProducts,
+} = require("../fixtures/product.fixture");
+const {
+  categorySports,
+  categoryCricket,
+  categoryPhones,
+  insertCategories,
+} = require("../fixtures/category.fixture");
+
+setupTestDB();
+
+describe("Category routes", () => {
+  describe("GET /v1/categories", () => {
+    test("should return 200 and the category tree with product counts", async () => {
+      await insertCategories([categorySports, categoryCricket, categoryPhones]);
+      await insertProducts([
+        { ...productOne, category: "Cricket", categoryId: categoryCricket._id },
+        { ...productTwo, categoryId: categorySports._id },
+        { ...productThree, categoryId: categoryPhones._id },
+      ]);
+
+      const res = await request(app).get("/v1/categories").send();
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.map((node) => node.slug)).toEqual(["phones", "sports"]);
+      expect(res.body[1]).toMatchObject({
+        _id: categorySports._id.toHexString(),
+        name: categorySports.name,
+        productCount: 2,
+        children: [
+          {
+            _id: categoryCricket._id.toHexString(),
+            parent: categorySports._id.toHexString(),
+            productCount: 1,
+            children: [],
+          },
+        ],
+      });
+    });
+  });
+
+  describe("POST /v1/categories", () => {
+    test("should return 201 and create the category, nested in its parent", async () => {
+      await insertUsers([admin]);
+      await insertCategories([categorySports]);
+
+      const res = await request(app)
+        .post("/v1/categories")
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ name: "Table Tennis", parent: categorySports._id });
+
+      expect(res.status).toEqual(httpStatus.CREATED);
+      expect(res.body).toMatchObject({
+        name: "Table Tennis",
+        slug: "table-tennis",
+        parent: categorySports._id.toHexString(),
+        order: 0,
+      });
+      expect(await Category.countDocuments()).toEqual(2);
+    });
+
+    test("should return 400 error if the slug already exists", async () => {
+      await insertUsers([admin]);
+      await insertCategories([categorySports]);
+
+      const res = await request(app)
+        .post("/v1/categories")
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ name: "Sports" });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+
+    test("should return 400 error if the parent category doesn't exist", async () => {
+      await insertUsers([admin]);
+
+      const res = await request(app)
+        .post("/v1/categories")
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ name: "Cricket", parent: categorySports._id });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+
+    test("should return 403 error if the user is not an admin", async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post("/v1/categories")
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ name: "Cricket" });
+
+      expect(res.status).toEqual(httpStatus.FORBIDDEN);
+    });
+  });
+});
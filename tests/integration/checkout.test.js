@@ -1,10 +1,23 @@
 const request = require("supertest");
+const mongoose = require("mongoose");
 const httpStatus = require("http-status");
 const app = require("../../src/app");
 const setupTestDB = require("../utils/setupTestDB");
-const { Cart } = require("../../src/models");
+const {
+  Cart,
+  Coupon,
+  Order,
+  Product,
+  User,
+  WalletTransaction,
+} = require("../../src/models");
 const { userOne, userTwo, insertUsers } = require("../fixtures/user.fixture");
 const {
+  productWithVariants,
+  insertProducts,
+} = require("../fixtures/product.fixture");
+const {
+  productInCart,
   cartWithProductsUserOne,
   cartWithProductsUserTwo,
   emptyCart,
@@ -15,6 +28,17 @@ const {
   userTwoAccessToken,
 } = require("../fixtures/token.fixture");
 const config = require("../config/config");
+const { testCards } = require("../../src/config/payments");
+const {
+  couponPercentage,
+  couponFlat,
+  couponUsedUp,
+  insertCoupons,
+} = require("../fixtures/coupon.fixture");
+const {
+  categorySports,
+  insertCategories,
+} = require("../fixtures/category.fixture");
 
 // Setup test Mongo database, qkart-test
 setupTestDB();
@@ -48,7 +72,7 @@ describe("Cart routes", () => {
       const res = await request(app)
         .put(`/v1/cart/checkout`)
         .set("Authorization", `Bearer ${userOneAccessToken}`)
-        .send();
+        .send({ addressId: userOne.addresses[0]._id });
 
       let response = JSON.parse(res.text);
 
@@ -67,7 +91,7 @@ describe("Cart routes", () => {
       const res = await request(app)
         .put(`/v1/cart/checkout`)
         .set("Authorization", `Bearer ${userTwoAccessToken}`)
-        .send();
+        .send({ addressId: userOne.addresses[0]._id });
       
       let response = JSON.parse(res.text);
 
@@ -75,15 +99,45 @@ describe("Cart routes", () => {
       expect(response.code).toEqual(400);
     });
 
+    it("should return 400 if addressId is missing", async () => {
+      await insertUsers([userOne]);
+      await insertCart([cartWithProductsUserOne]);
+
+      const res = await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+
+    it("should return 400 if the address doesn't belong to the user", async () => {
+      await insertUsers([userOne]);
+      await insertCart([cartWithProductsUserOne]);
+
+      const res = await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ addressId: mongoose.Types.ObjectId() });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+
+      const cart = await Cart.findOne({ email: userOne.email });
+      expect(cart.cartItems.length).toEqual(
+        cartWithProductsUserOne.cartItems.length
+      );
+    });
+
     it("should return 400 if not enough wallet balance", async () => {
       const userOneWithZeroBalance = { ...userOne, walletMoney: 0 };
       await insertUsers([userOneWithZeroBalance]);
+      await insertProducts([productInCart]);
       await insertCart([cartWithProductsUserOne]);
 
       const res = await request(app)
         .put(`/v1/cart/checkout`)
         .set("Authorization", `Bearer ${userOneAccessToken}`)
-        .send();
+        .send({ addressId: userOne.addresses[0]._id });
 
       let response = JSON.parse(res.text);
 
@@ -91,17 +145,40 @@ describe("Cart routes", () => {
       expect(response.code).toEqual(400);
     });
 
-    it("should return 204 if cart is valid", async () => {
+    it("should return 200 and the priced order if cart is valid", async () => {
       await insertUsers([userOne]);
+      await insertProducts([productInCart]);
       await insertCart([cartWithProductsUserOne]);
 
       const res = await request(app)
         .put(`/v1/cart/checkout`)
         .set("Authorization", `Bearer ${userOneAccessToken}`)
-        .send();
+        .send({ addressId: userOne.addresses[0]._id });
       
-      // TODO: CRIO_TASK_MODULE_TEST - Assert if status code is 204
-      expect(res.status).toEqual(204);
+      // TODO: CRIO_TASK_MODULE_TEST - Assert if status code is 200
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body).toEqual({
+        orderId: expect.any(String),
+        pricing: {
+          items: [
+            {
+              productId: productInCart._id,
+              name: "ball",
+              cost: 20,
+              quantity: 2,
+              subtotal: 40,
+            },
+          ],
+          subtotal: 40,
+          discount: 0,
+          shipping: 0,
+          tax: 0,
+          total: 40,
+        },
+        paymentOption: "PAYMENT_OPTION_WALLET",
+        paymentStatus: "succeeded",
+        walletMoney: userOne.walletMoney - 40,
+      });
 
       // TODO: CRIO_TASK_MODULE_TEST - Get the cart for "userOne" and assert if
       // - Cart exists
@@ -109,6 +186,461 @@ describe("Cart routes", () => {
       let cart = await Cart.findOne({email: userOne.email});
       expect(cart).not.toBeNull();
       expect(cart.cartItems.length).toEqual(0);
+
+      const orders = await Order.find({ userId: userOne._id });
+      expect(orders.length).toEqual(1);
+      expect(orders[0]).toMatchObject({
+        email: userOne.email,
+        total: 40,
+        paymentOption: cartWithProductsUserOne.paymentOption,
+      });
+      expect(orders[0].shippingAddress.addressId).toEqual(
+        userOne.addresses[0]._id
+      );
+      expect(orders[0].shippingAddress.address).toEqual(
+        userOne.addresses[0].address
+      );
+      expect(orders[0].orderItems[0]).toMatchObject({
+        name: "ball",
+        cost: 20,
+        quantity: 2,
+      });
+
+      const product = await Product.findById(productInCart._id);
+      expect(product.stock).toEqual(productInCart.stock - 2);
+
+      const walletTransactions = await WalletTransaction.find({
+        userId: userOne._id,
+      });
+      expect(walletTransactions.length).toEqual(1);
+      expect(walletTransactions[0]).toMatchObject({
+        type: "debit",
+        amount: 40,
+        reason: "orderPayment",
+        balance: userOne.walletMoney - 40,
+      });
+      expect(walletTransactions[0].reference).toEqual(orders[0]._id);
+    });
+
+    it("should charge for and take the stock of the variant bought", async () => {
+      const large = productWithVariants.variants[1];
+      await insertUsers([userOne]);
+      await insertProducts([productWithVariants]);
+      await insertCart([
+        {
+          ...cartWithProductsUserOne,
+          cartItems: [
+            { product: productWithVariants, variantId: large._id, quantity: 2 },
+          ],
+        },
+      ]);
+
+      const res = await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ addressId: userOne.addresses[0]._id });
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.pricing.items[0]).toMatchObject({
+        variantId: large._id.toString(),
+        cost: 18,
+        subtotal: 36,
+      });
+
+      const product = await Product.findById(productWithVariants._id);
+      expect(product.variants[1].stock).toEqual(large.stock - 2);
+      expect(product.variants[0].stock).toEqual(
+        productWithVariants.variants[0].stock
+      );
+      expect(product.stock).toEqual(productWithVariants.stock - 2);
+
+      const order = await Order.findOne({ userId: userOne._id });
+      expect(order.orderItems[0]).toMatchObject({
+        sku: "TSHIRT-L",
+        cost: 18,
+        quantity: 2,
+      });
+      expect(order.orderItems[0].attributes.get("size")).toEqual("L");
+    });
+
+    it("should return 409 and charge nothing if the price of a product in the cart changed", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([{ ...productInCart, cost: 25 }]);
+      await insertCart([cartWithProductsUserOne]);
+
+      const res = await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ addressId: userOne.addresses[0]._id });
+
+      expect(res.status).toEqual(httpStatus.CONFLICT);
+
+      const user = await User.findById(userOne._id);
+      expect(user.walletMoney).toEqual(userOne.walletMoney);
+      expect(await Order.countDocuments({ userId: userOne._id })).toEqual(0);
+    });
+
+    it("should keep the corrected cart after a 409, so the order can be placed once reviewed", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([{ ...productInCart, cost: 25 }]);
+      await insertCart([cartWithProductsUserOne]);
+
+      const checkout = () =>
+        request(app)
+          .put(`/v1/cart/checkout`)
+          .set("Authorization", `Bearer ${userOneAccessToken}`)
+          .send({ addressId: userOne.addresses[0]._id });
+
+      expect((await checkout()).status).toEqual(httpStatus.CONFLICT);
+
+      const cart = await Cart.findOne({ email: userOne.email });
+      expect(cart.cartItems[0].product.cost).toEqual(25);
+
+      expect((await checkout()).status).toEqual(httpStatus.OK);
+    });
+
+    it("should return 400 and place no order if a product is out of stock", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([{ ...productInCart, stock: 1 }]);
+      await insertCart([cartWithProductsUserOne]);
+
+      const res = await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ addressId: userOne.addresses[0]._id });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+
+      const product = await Product.findById(productInCart._id);
+      expect(product.stock).toEqual(1);
+
+      const user = await User.findById(userOne._id);
+      expect(user.walletMoney).toEqual(userOne.walletMoney);
+      expect(await Order.countDocuments({ userId: userOne._id })).toEqual(0);
+    });
+
+    it("should debit the wallet only once for concurrent checkouts of the same cart", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertCart([cartWithProductsUserOne]);
+
+      // Fire several checkouts at once - the wallet has enough balance for more than one of them
+      const responses = await Promise.all(
+        [...Array(5)].map(() =>
+          request(app)
+            .put(`/v1/cart/checkout`)
+            .set("Authorization", `Bearer ${userOneAccessToken}`)
+            .send({ addressId: userOne.addresses[0]._id })
+        )
+      );
+
+      const succeeded = responses.filter((res) => res.status === httpStatus.OK);
+      const failed = responses.filter((res) => res.status !== httpStatus.OK);
+      expect(succeeded.length).toEqual(1);
+      failed.forEach((res) => {
+        expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+      });
+
+      const user = await User.findById(userOne._id);
+      expect(user.walletMoney).toEqual(userOne.walletMoney - 40);
+
+      const product = await Product.findById(productInCart._id);
+      expect(product.stock).toEqual(productInCart.stock - 2);
+
+      const orders = await Order.find({ userId: userOne._id });
+      expect(orders.length).toEqual(1);
+
+      const cart = await Cart.findOne({ email: userOne.email });
+      expect(cart.cartItems.length).toEqual(0);
+    });
+
+    it("should not debit the wallet if the order can't be placed", async () => {
+      const userOneWithZeroBalance = { ...userOne, walletMoney: 0 };
+      await insertUsers([userOneWithZeroBalance]);
+      await insertProducts([productInCart]);
+      await insertCart([cartWithProductsUserOne]);
+
+      const res = await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ addressId: userOne.addresses[0]._id });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+
+      const user = await User.findById(userOne._id);
+      expect(user.walletMoney).toEqual(0);
+
+      const product = await Product.findById(productInCart._id);
+      expect(product.stock).toEqual(productInCart.stock);
+
+      expect(
+        await WalletTransaction.countDocuments({ userId: userOne._id })
+      ).toEqual(0);
+
+      const cart = await Cart.findOne({ email: userOne.email });
+      expect(cart.cartItems.length).toEqual(
+        cartWithProductsUserOne.cartItems.length
+      );
+      expect(await Order.countDocuments({ userId: userOne._id })).toEqual(0);
+    });
+
+    it("should place a cash on delivery order without debiting the wallet", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertCart([
+        { ...cartWithProductsUserOne, paymentOption: "PAYMENT_OPTION_COD" },
+      ]);
+
+      const res = await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ addressId: userOne.addresses[0]._id });
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body).toEqual(
+        expect.objectContaining({
+          paymentOption: "PAYMENT_OPTION_COD",
+          paymentStatus: "pending",
+          walletMoney: userOne.walletMoney,
+        })
+      );
+
+      const user = await User.findById(userOne._id);
+      expect(user.walletMoney).toEqual(userOne.walletMoney);
+      expect(
+        await WalletTransaction.countDocuments({ userId: userOne._id })
+      ).toEqual(0);
+      expect(await Order.countDocuments({ userId: userOne._id })).toEqual(1);
+    });
+
+    it("should return 400 if the order is too large to pay cash on delivery", async () => {
+      const product = { ...productInCart, stock: 1000 };
+      await insertUsers([userOne]);
+      await insertProducts([product]);
+      await insertCart([
+        {
+          ...cartWithProductsUserOne,
+          paymentOption: "PAYMENT_OPTION_COD",
+          cartItems: [{ product, quantity: 300 }],
+        },
+      ]);
+
+      const res = await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ addressId: userOne.addresses[0]._id });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+      expect(await Order.countDocuments({ userId: userOne._id })).toEqual(0);
+    });
+
+    it("should charge the card and not debit the wallet when paying by card", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertCart([
+        { ...cartWithProductsUserOne, paymentOption: "PAYMENT_OPTION_CARD" },
+      ]);
+
+      const res = await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({
+          addressId: userOne.addresses[0]._id,
+          cardNumber: testCards.SUCCEEDS,
+        });
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body).toEqual(
+        expect.objectContaining({
+          paymentOption: "PAYMENT_OPTION_CARD",
+          paymentStatus: "succeeded",
+          walletMoney: userOne.walletMoney,
+        })
+      );
+
+      const order = await Order.findById(res.body.orderId);
+      expect(order.chargeId).toEqual(expect.any(String));
+
+      const user = await User.findById(userOne._id);
+      expect(user.walletMoney).toEqual(userOne.walletMoney);
+    });
+
+    it("should return 400 if paying by card without a card number", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertCart([
+        { ...cartWithProductsUserOne, paymentOption: "PAYMENT_OPTION_CARD" },
+      ]);
+
+      const res = await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ addressId: userOne.addresses[0]._id });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+
+    it("should return 402 and place no order if the card is declined", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertCart([
+        { ...cartWithProductsUserOne, paymentOption: "PAYMENT_OPTION_CARD" },
+      ]);
+
+      const res = await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({
+          addressId: userOne.addresses[0]._id,
+          cardNumber: testCards.DECLINED,
+        });
+
+      expect(res.status).toEqual(httpStatus.PAYMENT_REQUIRED);
+
+      const product = await Product.findById(productInCart._id);
+      expect(product.stock).toEqual(productInCart.stock);
+      expect(await Order.countDocuments({ userId: userOne._id })).toEqual(0);
+    });
+
+    it("should replay the order placed instead of placing it again if retried with the same Idempotency-Key", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertCart([cartWithProductsUserOne]);
+
+      const first = await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "checkout-1")
+        .send({ addressId: userOne.addresses[0]._id });
+      const retry = await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "checkout-1")
+        .send({ addressId: userOne.addresses[0]._id });
+
+      expect(first.status).toEqual(httpStatus.OK);
+      expect(retry.status).toEqual(httpStatus.OK);
+      expect(retry.headers["idempotent-replayed"]).toEqual("true");
+      expect(retry.body).toEqual(first.body);
+
+      const user = await User.findById(userOne._id);
+      expect(user.walletMoney).toEqual(userOne.walletMoney - 40);
+      expect(await Order.countDocuments({ userId: userOne._id })).toEqual(1);
+    });
+
+    it("should return 422 if the Idempotency-Key was used for a different checkout", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertCart([cartWithProductsUserOne]);
+
+      await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "checkout-1")
+        .send({ addressId: userOne.addresses[0]._id });
+      const res = await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "checkout-1")
+        .send({ addressId: mongoose.Types.ObjectId() });
+
+      expect(res.status).toEqual(httpStatus.UNPROCESSABLE_ENTITY);
+    });
+
+    it("should handle a checkout with a new Idempotency-Key afresh", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertCart([cartWithProductsUserOne]);
+
+      await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "checkout-1")
+        .send({ addressId: userOne.addresses[0]._id });
+      const res = await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "checkout-2")
+        .send({ addressId: userOne.addresses[0]._id });
+
+      // The cart was emptied by the first checkout
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+      expect(res.headers["idempotent-replayed"]).toBeUndefined();
+    });
+
+    it("should take the coupon off the order and count its use", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertCategories([categorySports]);
+      await insertCoupons([couponPercentage]);
+      await insertCart([
+        { ...cartWithProductsUserOne, couponCode: couponPercentage.code },
+      ]);
+
+      const res = await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ addressId: userOne.addresses[0]._id });
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.pricing).toMatchObject({ discount: 4, total: 36 });
+      expect(res.body.walletMoney).toEqual(userOne.walletMoney - 36);
+
+      const order = await Order.findById(res.body.orderId);
+      expect(order.couponCode).toEqual(couponPercentage.code);
+      expect(order.total).toEqual(36);
+
+      const coupon = await Coupon.findById(couponPercentage._id);
+      expect(coupon.usedCount).toEqual(1);
+
+      const cart = await Cart.findOne({ email: userOne.email });
+      expect(cart.couponCode).toBeUndefined();
+    });
+
+    it("should return 400 and place no order if the coupon reached its usage limit", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertCoupons([couponUsedUp]);
+      await insertCart([
+        { ...cartWithProductsUserOne, couponCode: couponUsedUp.code },
+      ]);
+
+      const res = await request(app)
+        .put(`/v1/cart/checkout`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ addressId: userOne.addresses[0]._id });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+      expect(await Order.countDocuments({ userId: userOne._id })).toEqual(0);
+    });
+
+    it("should return 400 if the user already used the coupon as often as allowed", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertCoupons([couponFlat]);
+      await insertCart([
+        { ...cartWithProductsUserOne, couponCode: couponFlat.code },
+      ]);
+
+      const checkout = () =>
+        request(app)
+          .put(`/v1/cart/checkout`)
+          .set("Authorization", `Bearer ${userOneAccessToken}`)
+          .send({ addressId: userOne.addresses[0]._id });
+      await checkout();
+      await Cart.updateOne(
+        { email: userOne.email },
+        {
+          cartItems: cartWithProductsUserOne.cartItems,
+          couponCode: couponFlat.code,
+        }
+      );
+      const res = await checkout();
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+      expect(res.body.message).toEqual("You have already used this coupon");
+      const coupon = await Coupon.findById(couponFlat._id);
+      expect(coupon.usedCount).toEqual(1);
     });
   });
 });
@@ -0,0 +1,112 @@
+const request = require("supertest");
+const httpStatus = require("http-status");
+const app = require("../../src/app");
+const setupTestDB = require("../utils/setupTestDB");
+const { Coupon } = require("../../src/models");
+const { userOne, admin, insertUsers } = require("../fixtures/user.fixture");
+const { couponFlat, insertCoupons } = require("../fixtures/coupon.fixture");
+const {
+  categorySports,
+  categoryPhones,
+  insertCategories,
+} = require("../fixtures/category.fixture");
+const {
+  userOneAccessToken,
+  adminAccessToken,
+} = require("../fixtures/token.fixture");
+
+setupTestDB();
+
+describe("Coupon routes", () => {
+  describe("POST /v1/coupons", () => {
+    const newCoupon = {
+      code: "summer20",
+      type: "percentage",
+      value: 20,
+      minCartValue: 100,
+      usageLimit: 50,
+    };
+
+    it("should return 201 and create the coupon with its code in upper case", async () => {
+      await insertUsers([admin]);
+
+      const res = await request(app)
+        .post("/v1/coupons")
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send(newCoupon);
+
+      expect(res.status).toEqual(httpStatus.CREATED);
+      expect(res.body).toMatchObject({
+        ...newCoupon,
+        code: "SUMMER20",
+        usedCount: 0,
+      });
+
+      const dbCoupon = await Coupon.findOne({ code: "SUMMER20" });
+      expect(dbCoupon).not.toBeNull();
+    });
+
+    it("should return 201 and create the coupon for the products of a category", async () => {
+      await insertUsers([admin]);
+      await insertCategories([categorySports]);
+
+      const res = await request(app)
+        .post("/v1/coupons")
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ ...newCoupon, categoryId: categorySports._id.toHexString() });
+
+      expect(res.status).toEqual(httpStatus.CREATED);
+      expect(res.body).toMatchObject({
+        categoryId: categorySports._id.toHexString(),
+        category: categorySports.name,
+      });
+    });
+
+    it("should return 400 if the category doesn't exist", async () => {
+      await insertUsers([admin]);
+      await insertCategories([categorySports]);
+
+      const res = await request(app)
+        .post("/v1/coupons")
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ ...newCoupon, categoryId: categoryPhones._id.toHexString() });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+      expect(await Coupon.findOne({ code: "SUMMER20" })).toBeNull();
+    });
+
+    it("should return 400 if a percentage coupon takes off more than 100%", async () => {
+      await insertUsers([admin]);
+
+      const res = await request(app)
+        .post("/v1/coupons")
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ ...newCoupon, value: 120 });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+
+    it("should return 400 if the coupon code already exists", async () => {
+      await insertUsers([admin]);
+      await insertCoupons([couponFlat]);
+
+      const res = await request(app)
+        .post("/v1/coupons")
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ ...newCoupon, code: couponFlat.code.toLowerCase() });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+
+    it("should return 403 if the user isn't an admin", async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post("/v1/coupons")
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send(newCoupon);
+
+      expect(res.status).toEqual(httpStatus.FORBIDDEN);
+    });
+  });
+});
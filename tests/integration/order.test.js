@@ -0,0 +1,319 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const httpStatus = require("http-status");
+const app = require("../../src/app");
+const setupTestDB = require("../utils/setupTestDB");
+const { Order, Product, User, WalletTransaction } = require("../../src/models");
+const {
+  userOne,
+  userTwo,
+  admin,
+  insertUsers,
+} = require("../fixtures/user.fixture");
+const { insertProducts } = require("../fixtures/product.fixture");
+const { productInCart } = require("../fixtures/cart.fixture");
+const {
+  orderUserOne,
+  orderUserTwo,
+  insertOrders,
+} = require("../fixtures/order.fixture");
+const {
+  userOneAccessToken,
+  adminAccessToken,
+} = require("../fixtures/token.fixture");
+
+setupTestDB();
+
+describe("Order routes", () => {
+  describe("GET /v1/orders", () => {
+    it("should return 200 and only the orders of the logged in user", async () => {
+      await insertUsers([userOne, userTwo]);
+      await insertOrders([orderUserOne, orderUserTwo]);
+
+      const res = await request(app)
+        .get("/v1/orders")
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body).toHaveLength(1);
+      expect(res.body[0]).toEqual(
+        expect.objectContaining({
+          _id: orderUserOne._id.toHexString(),
+          email: userOne.email,
+          total: orderUserOne.total,
+          paymentOption: orderUserOne.paymentOption,
+        })
+      );
+    });
+
+    it("should return 401 error if access token is missing", async () => {
+      const res = await request(app).get("/v1/orders").send();
+
+      expect(res.status).toEqual(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe("GET /v1/orders/:orderId", () => {
+    it("should return 200 and the order if data is ok", async () => {
+      await insertUsers([userOne]);
+      await insertOrders([orderUserOne]);
+
+      const res = await request(app)
+        .get(`/v1/orders/${orderUserOne._id}`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.orderItems).toEqual([
+        expect.objectContaining({
+          name: "ball",
+          cost: 20,
+          quantity: 2,
+        }),
+      ]);
+      expect(res.body.shippingAddress.address).toEqual(
+        orderUserOne.shippingAddress.address
+      );
+    });
+
+    it("should return 400 if orderId isn't a valid MongoID", async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .get("/v1/orders/invalidMongoID")
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+
+    it("should return 403 if the order belongs to another user", async () => {
+      await insertUsers([userOne, userTwo]);
+      await insertOrders([orderUserTwo]);
+
+      const res = await request(app)
+        .get(`/v1/orders/${orderUserTwo._id}`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.FORBIDDEN);
+    });
+
+    it("should return 404 if the order is not found", async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .get(`/v1/orders/${mongoose.Types.ObjectId()}`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe("POST /v1/orders/:orderId/cancel", () => {
+    it("should return 200, refund the wallet and restock the items", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertOrders([orderUserOne]);
+
+      const res = await request(app)
+        .post(`/v1/orders/${orderUserOne._id}/cancel`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.status).toEqual("CANCELLED");
+      expect(res.body.paymentStatus).toEqual("refunded");
+      expect(res.body.statusHistory.map((change) => change.status)).toEqual([
+        "PLACED",
+        "CANCELLED",
+      ]);
+
+      const user = await User.findById(userOne._id);
+      expect(user.walletMoney).toEqual(userOne.walletMoney + orderUserOne.total);
+
+      const product = await Product.findById(productInCart._id);
+      expect(product.stock).toEqual(
+        productInCart.stock + orderUserOne.orderItems[0].quantity
+      );
+
+      const transactions = await WalletTransaction.find({
+        userId: userOne._id,
+      });
+      expect(transactions).toHaveLength(1);
+      expect(transactions[0]).toMatchObject({
+        type: "credit",
+        amount: orderUserOne.total,
+        reason: "refund",
+      });
+      expect(transactions[0].reference).toEqual(orderUserOne._id);
+    });
+
+    it("should not refund a cash on delivery order", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertOrders([
+        {
+          ...orderUserOne,
+          paymentOption: "PAYMENT_OPTION_COD",
+          paymentStatus: "pending",
+        },
+      ]);
+
+      const res = await request(app)
+        .post(`/v1/orders/${orderUserOne._id}/cancel`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.paymentStatus).toEqual("pending");
+
+      const user = await User.findById(userOne._id);
+      expect(user.walletMoney).toEqual(userOne.walletMoney);
+    });
+
+    it("should return 400 and refund nothing if the order has shipped", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertOrders([{ ...orderUserOne, status: "SHIPPED" }]);
+
+      const res = await request(app)
+        .post(`/v1/orders/${orderUserOne._id}/cancel`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+
+      const user = await User.findById(userOne._id);
+      expect(user.walletMoney).toEqual(userOne.walletMoney);
+      const product = await Product.findById(productInCart._id);
+      expect(product.stock).toEqual(productInCart.stock);
+    });
+
+    it("should refund the order only once if cancelled twice", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertOrders([orderUserOne]);
+
+      await request(app)
+        .post(`/v1/orders/${orderUserOne._id}/cancel`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+      const res = await request(app)
+        .post(`/v1/orders/${orderUserOne._id}/cancel`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+
+      const user = await User.findById(userOne._id);
+      expect(user.walletMoney).toEqual(userOne.walletMoney + orderUserOne.total);
+    });
+
+    it("should return 403 if the order belongs to another user", async () => {
+      await insertUsers([userOne, userTwo]);
+      await insertOrders([orderUserTwo]);
+
+      const res = await request(app)
+        .post(`/v1/orders/${orderUserTwo._id}/cancel`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.FORBIDDEN);
+
+      const order = await Order.findById(orderUserTwo._id);
+      expect(order.status).toEqual("PLACED");
+    });
+  });
+
+  describe("PATCH /v1/orders/:orderId/status", () => {
+    it("should return 200 and record the status change if the transition is allowed", async () => {
+      await insertUsers([userOne, admin]);
+      await insertOrders([orderUserOne]);
+
+      const res = await request(app)
+        .patch(`/v1/orders/${orderUserOne._id}/status`)
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ status: "CONFIRMED" });
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.status).toEqual("CONFIRMED");
+      expect(res.body.statusHistory).toEqual([
+        { status: "PLACED", at: expect.any(String) },
+        { status: "CONFIRMED", at: expect.any(String) },
+      ]);
+
+      const order = await Order.findById(orderUserOne._id);
+      expect(order.status).toEqual("CONFIRMED");
+    });
+
+    it("should mark a cash on delivery order paid for once delivered", async () => {
+      await insertUsers([userOne, admin]);
+      await insertOrders([
+        {
+          ...orderUserOne,
+          paymentOption: "PAYMENT_OPTION_COD",
+          paymentStatus: "pending",
+          status: "SHIPPED",
+        },
+      ]);
+
+      const res = await request(app)
+        .patch(`/v1/orders/${orderUserOne._id}/status`)
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ status: "DELIVERED" });
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.paymentStatus).toEqual("succeeded");
+    });
+
+    it("should return 400 if the order can't move to the status", async () => {
+      await insertUsers([userOne, admin]);
+      await insertOrders([orderUserOne]);
+
+      const res = await request(app)
+        .patch(`/v1/orders/${orderUserOne._id}/status`)
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ status: "SHIPPED" });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+
+    it("should return 400 if the status is unknown", async () => {
+      await insertUsers([userOne, admin]);
+      await insertOrders([orderUserOne]);
+
+      const res = await request(app)
+        .patch(`/v1/orders/${orderUserOne._id}/status`)
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ status: "LOST" });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+
+    it("should return 403 if the user isn't an admin", async () => {
+      await insertUsers([userOne]);
+      await insertOrders([orderUserOne]);
+
+      const res = await request(app)
+        .patch(`/v1/orders/${orderUserOne._id}/status`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ status: "CONFIRMED" });
+
+      expect(res.status).toEqual(httpStatus.FORBIDDEN);
+    });
+
+    it("should return 404 if the order is not found", async () => {
+      await insertUsers([admin]);
+
+      const res = await request(app)
+        .patch(`/v1/orders/${mongoose.Types.ObjectId()}/status`)
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ status: "CONFIRMED" });
+
+      expect(res.status).toEqual(httpStatus.NOT_FOUND);
+    });
+  });
+});
@@ -5,8 +5,25 @@ const setupTestDB = require("../utils/setupTestDB");
 const {
   productOne,
   productTwo,
+  productThree,
   insertProducts,
 } = require("../fixtures/product.fixture");
+const { userOne, admin, insertUsers } = require("../fixtures/user.fixture");
+const {
+  userOneAccessToken,
+  adminAccessToken,
+} = require("../fixtures/token.fixture");
+const {
+  productInCart,
+  cartWithProductsUserOne,
+  insertCart,
+} = require("../fixtures/cart.fixture");
+const {
+  categorySports,
+  categoryCricket,
+  insertCategories,
+} = require("../fixtures/category.fixture");
+const { Product, Cart } = require("../../src/models");
 
 setupTestDB();
 
@@ -19,8 +36,15 @@ describe("Product routes", () => {
 
       expect(res.status).toEqual(httpStatus.OK);
 
-      expect(res.body).toHaveLength(2);
-      expect(res.body[0]).toEqual(
+      expect(res.body).toEqual({
+        results: expect.any(Array),
+        page: 1,
+        limit: 10,
+        totalPages: 1,
+        totalResults: 2,
+      });
+      expect(res.body.results).toHaveLength(2);
+      expect(res.body.results[0]).toEqual(
         expect.objectContaining({
           _id: productOne._id.toHexString(),
           name: productOne.name,
@@ -31,6 +55,147 @@ describe("Product routes", () => {
         })
       );
     });
+
+    test("should return products whose name or category contains the search text", async () => {
+      await insertProducts([productOne, productTwo, productThree]);
+
+      let res = await request(app).get("/v1/products").query({ q: "IPHONE" });
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.results.map((product) => product.name)).toEqual([
+        productThree.name,
+      ]);
+
+      res = await request(app).get("/v1/products").query({ q: "sport" });
+      expect(res.body.totalResults).toEqual(2);
+    });
+
+    test("should filter products by category, cost and rating", async () => {
+      await insertProducts([productOne, productTwo, productThree]);
+
+      let res = await request(app)
+        .get("/v1/products")
+        .query({ category: "sports", minCost: 10 });
+      expect(res.body.results.map((product) => product.name)).toEqual([
+        productOne.name,
+      ]);
+
+      res = await request(app)
+        .get("/v1/products")
+        .query({ maxCost: 50, minRating: 4 });
+      expect(res.body.totalResults).toEqual(0);
+    });
+
+    test("should filter products by category id, including the categories nested in it", async () => {
+      await insertCategories([categorySports, categoryCricket]);
+      await insertProducts([
+        { ...productOne, category: "Cricket", categoryId: categoryCricket._id },
+        { ...productTwo, categoryId: categorySports._id },
+        productThree,
+      ]);
+
+      let res = await request(app)
+        .get("/v1/products")
+        .query({ categoryId: categorySports._id.toHexString() });
+      expect(res.body.results.map((product) => product.name).sort()).toEqual(
+        [productOne.name, productTwo.name].sort()
+      );
+
+      res = await request(app)
+        .get("/v1/products")
+        .query({ categoryId: categoryCricket._id.toHexString() });
+      expect(res.body.results.map((product) => product.name)).toEqual([
+        productOne.name,
+      ]);
+    });
+
+    test("should sort and paginate products", async () => {
+      await insertProducts([productOne, productTwo, productThree]);
+
+      const res = await request(app)
+        .get("/v1/products")
+        .query({ sortBy: "cost:desc", limit: 2, page: 2 });
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body).toEqual(
+        expect.objectContaining({
+          page: 2,
+          limit: 2,
+          totalPages: 2,
+          totalResults: 3,
+        })
+      );
+      expect(res.body.results.map((product) => product.name)).toEqual([
+        productTwo.name,
+      ]);
+    });
+
+    test("should return 400 error if query params are invalid", async () => {
+      let res = await request(app)
+        .get("/v1/products")
+        .query({ sortBy: "image:asc" });
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+
+      res = await request(app).get("/v1/products").query({ limit: 0 });
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+
+      res = await request(app)
+        .get("/v1/products")
+        .query({ minCost: 50, maxCost: 10 });
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe("GET /v1/products/search", () => {
+    beforeEach(async () => {
+      // The text index is built in the background when the model is compiled
+      await Product.init();
+      await insertProducts([
+        productOne,
+        productTwo,
+        { ...productThree, description: "Dual camera phone" },
+      ]);
+    });
+
+    test("should return 200 and the products with the words, most relevant first", async () => {
+      const res = await request(app)
+        .get("/v1/products/search")
+        .query({ q: "iphone camera" });
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body).toMatchObject({
+        totalResults: 1,
+        fuzzy: false,
+      });
+      expect(res.body.results[0]).toMatchObject({
+        _id: productThree._id.toString(),
+        score: expect.any(Number),
+        highlights: {
+          name: [{ start: 0, end: 6 }],
+          description: [{ start: 5, end: 11 }],
+        },
+      });
+    });
+
+    test("should return 200 and similar products if no product has the words", async () => {
+      const res = await request(app)
+        .get("/v1/products/search")
+        .query({ q: "iphnoe" });
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.fuzzy).toBe(true);
+      expect(res.body.results.map(({ name }) => name)).toEqual([
+        productThree.name,
+      ]);
+      expect(res.body.results[0].highlights).toEqual({
+        name: [{ start: 0, end: 6 }],
+      });
+    });
+
+    test("should return 400 error if the search text is missing", async () => {
+      const res = await request(app).get("/v1/products/search");
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
   });
 
   describe("GET /v1/products/:productId", () => {
@@ -73,4 +238,297 @@ describe("Product routes", () => {
       expect(res.status).toEqual(httpStatus.NOT_FOUND);
     });
   });
+
+  describe("POST /v1/products", () => {
+    let newProduct;
+
+    beforeEach(() => {
+      newProduct = {
+        name: "football",
+        categoryId: categorySports._id.toHexString(),
+        cost: 30,
+        rating: 4,
+        image: "https://i.imgur.com/lulqWzW.jpg",
+        stock: 50,
+      };
+    });
+
+    test("should return 201 and create the product if requested by an admin", async () => {
+      await insertUsers([admin]);
+      await insertCategories([categorySports]);
+
+      const res = await request(app)
+        .post("/v1/products")
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send(newProduct);
+
+      expect(res.status).toEqual(httpStatus.CREATED);
+      expect(res.body).toEqual(
+        expect.objectContaining({
+          _id: expect.any(String),
+          ...newProduct,
+          category: categorySports.name,
+        })
+      );
+
+      const dbProduct = await Product.findById(res.body._id);
+      expect(dbProduct).toBeDefined();
+      expect(dbProduct.cost).toEqual(newProduct.cost);
+    });
+
+    test("should return 400 error if the category doesn't exist", async () => {
+      await insertUsers([admin]);
+
+      const res = await request(app)
+        .post("/v1/products")
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send(newProduct);
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+      expect(await Product.countDocuments()).toEqual(0);
+    });
+
+    test("should return 201 and save the description, specs and images of the product", async () => {
+      await insertUsers([admin]);
+      await insertCategories([categorySports]);
+      const details = {
+        description: "Size 5 match ball",
+        specs: [{ name: "Material", value: "Synthetic leather" }],
+        images: ["https://i.imgur.com/lulqWzX.jpg"],
+      };
+
+      const res = await request(app)
+        .post("/v1/products")
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ ...newProduct, ...details });
+
+      expect(res.status).toEqual(httpStatus.CREATED);
+      expect(res.body).toMatchObject(details);
+    });
+
+    test("should return 201 and keep the product's stock the sum of its variants' stock", async () => {
+      await insertUsers([admin]);
+      await insertCategories([categorySports]);
+      const variants = [
+        { sku: "FB-4", attributes: { size: "4" }, stock: 5 },
+        { sku: "FB-5", attributes: { size: "5" }, cost: 35, stock: 7 },
+      ];
+
+      const res = await request(app)
+        .post("/v1/products")
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ ...newProduct, variants });
+
+      expect(res.status).toEqual(httpStatus.CREATED);
+      expect(res.body.stock).toEqual(12);
+      expect(res.body.variants).toEqual([
+        { _id: expect.any(String), ...variants[0] },
+        { _id: expect.any(String), ...variants[1] },
+      ]);
+    });
+
+    test("should return 400 error if two variants have the same SKU", async () => {
+      await insertUsers([admin]);
+
+      const res = await request(app)
+        .post("/v1/products")
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({
+          ...newProduct,
+          variants: [
+            { sku: "FB-5", attributes: { colour: "White" } },
+            { sku: "FB-5", attributes: { colour: "Orange" } },
+          ],
+        });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+
+    test("should return 400 error if a spec has no value", async () => {
+      await insertUsers([admin]);
+
+      const res = await request(app)
+        .post("/v1/products")
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ ...newProduct, specs: [{ name: "Material" }] });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+
+    test("should return 401 error if access token is missing", async () => {
+      const res = await request(app).post("/v1/products").send(newProduct);
+
+      expect(res.status).toEqual(httpStatus.UNAUTHORIZED);
+    });
+
+    test("should return 403 error if the user is not an admin", async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post("/v1/products")
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send(newProduct);
+
+      expect(res.status).toEqual(httpStatus.FORBIDDEN);
+      expect(await Product.countDocuments()).toEqual(0);
+    });
+
+    test("should return 400 error if a field is missing or invalid", async () => {
+      await insertUsers([admin]);
+
+      let res = await request(app)
+        .post("/v1/products")
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ ...newProduct, name: undefined });
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+
+      res = await request(app)
+        .post("/v1/products")
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ ...newProduct, rating: 6 });
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+
+      res = await request(app)
+        .post("/v1/products")
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ ...newProduct, stock: -1 });
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe("PATCH /v1/products/:productId", () => {
+    test("should return 200 and update the product if requested by an admin", async () => {
+      await insertUsers([admin]);
+      await insertProducts([productOne]);
+
+      const res = await request(app)
+        .patch(`/v1/products/${productOne._id}`)
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ cost: 25 });
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body).toEqual(
+        expect.objectContaining({
+          _id: productOne._id.toHexString(),
+          name: productOne.name,
+          cost: 25,
+        })
+      );
+
+      const dbProduct = await Product.findById(productOne._id);
+      expect(dbProduct.cost).toEqual(25);
+    });
+
+    test("should return 200 and move the product to another category", async () => {
+      await insertUsers([admin]);
+      await insertCategories([categorySports, categoryCricket]);
+      await insertProducts([{ ...productOne, categoryId: categorySports._id }]);
+
+      const res = await request(app)
+        .patch(`/v1/products/${productOne._id}`)
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ categoryId: categoryCricket._id.toHexString() });
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body).toEqual(
+        expect.objectContaining({
+          categoryId: categoryCricket._id.toHexString(),
+          category: categoryCricket.name,
+        })
+      );
+    });
+
+    test("should return 403 error if the user is not an admin", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productOne]);
+
+      const res = await request(app)
+        .patch(`/v1/products/${productOne._id}`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ cost: 25 });
+
+      expect(res.status).toEqual(httpStatus.FORBIDDEN);
+    });
+
+    test("should return 400 error if the body is empty", async () => {
+      await insertUsers([admin]);
+      await insertProducts([productOne]);
+
+      const res = await request(app)
+        .patch(`/v1/products/${productOne._id}`)
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({});
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+
+    test("should return 400 error if the rating is sent", async () => {
+      await insertUsers([admin]);
+      await insertProducts([productOne]);
+
+      const res = await request(app)
+        .patch(`/v1/products/${productOne._id}`)
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ rating: 5 });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+      const dbProduct = await Product.findById(productOne._id);
+      expect(dbProduct.rating).toEqual(productOne.rating);
+    });
+
+    test("should return 404 error if the product is not found", async () => {
+      await insertUsers([admin]);
+      await insertProducts([productOne]);
+
+      const res = await request(app)
+        .patch(`/v1/products/${productTwo._id}`)
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send({ cost: 25 });
+
+      expect(res.status).toEqual(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe("DELETE /v1/products/:productId", () => {
+    test("should return 204, delete the product and remove it from carts if requested by an admin", async () => {
+      await insertUsers([admin, userOne]);
+      await insertProducts([productInCart]);
+      await insertCart([cartWithProductsUserOne]);
+
+      const res = await request(app)
+        .delete(`/v1/products/${productInCart._id}`)
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.NO_CONTENT);
+      expect(await Product.findById(productInCart._id)).toBeNull();
+
+      const dbCart = await Cart.findOne({ email: userOne.email });
+      expect(dbCart.cartItems).toHaveLength(0);
+    });
+
+    test("should return 403 error if the user is not an admin", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productOne]);
+
+      const res = await request(app)
+        .delete(`/v1/products/${productOne._id}`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.FORBIDDEN);
+      expect(await Product.findById(productOne._id)).not.toBeNull();
+    });
+
+    test("should return 404 error if the product is not found", async () => {
+      await insertUsers([admin]);
+
+      const res = await request(app)
+        .delete(`/v1/products/${productOne._id}`)
+        .set("Authorization", `Bearer ${adminAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.NOT_FOUND);
+    });
+  });
 });
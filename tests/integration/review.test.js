@@ -0,0 +1,180 @@
+const request = require("supertest");
+const httpStatus = require("http-status");
+const app = require("../../src/app");
+const setupTestDB = require("../utils/setupTestDB");
+const { Product, Review } = require("../../src/models");
+const { userOne, userTwo, insertUsers } = require("../fixtures/user.fixture");
+const { productOne, insertProducts } = require("../fixtures/product.fixture");
+const { orderUserOne, insertOrders } = require("../fixtures/order.fixture");
+const { reviewUserTwo, insertReviews } = require("../fixtures/review.fixture");
+const { userOneAccessToken } = require("../fixtures/token.fixture");
+
+setupTestDB();
+
+describe("Review routes", () => {
+  describe("POST /v1/products/:productId/reviews", () => {
+    let newReview;
+
+    beforeEach(() => {
+      newReview = {
+        rating: 5,
+        title: "Great bat",
+        body: "Sweet spot is huge",
+      };
+    });
+
+    it("should return 201, create the review and update the product's rating", async () => {
+      await insertUsers([userOne, userTwo]);
+      await insertProducts([productOne]);
+      await insertReviews([reviewUserTwo]);
+
+      const res = await request(app)
+        .post(`/v1/products/${productOne._id}/reviews`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send(newReview);
+
+      expect(res.status).toEqual(httpStatus.CREATED);
+      expect(res.body).toMatchObject({
+        ...newReview,
+        productId: productOne._id.toString(),
+        userId: userOne._id.toString(),
+        author: userOne.name,
+        verifiedPurchase: false,
+      });
+
+      const dbProduct = await Product.findById(productOne._id);
+      expect(dbProduct.rating).toEqual(3.5);
+      expect(dbProduct.reviewCount).toEqual(2);
+    });
+
+    it("should mark the review as a verified purchase if the user has ordered the product", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productOne]);
+      await insertOrders([
+        {
+          ...orderUserOne,
+          orderItems: [
+            { ...orderUserOne.orderItems[0], product: productOne._id },
+          ],
+        },
+      ]);
+
+      const res = await request(app)
+        .post(`/v1/products/${productOne._id}/reviews`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send(newReview);
+
+      expect(res.status).toEqual(httpStatus.CREATED);
+      expect(res.body.verifiedPurchase).toBe(true);
+    });
+
+    it("should return 400 error if the user has already reviewed the product", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productOne]);
+      await insertReviews([{ ...reviewUserTwo, userId: userOne._id }]);
+
+      const res = await request(app)
+        .post(`/v1/products/${productOne._id}/reviews`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send(newReview);
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+      expect(await Review.countDocuments()).toEqual(1);
+    });
+
+    it("should return 400 error if the rating isn't an integer from 1 to 5", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productOne]);
+
+      const res = await request(app)
+        .post(`/v1/products/${productOne._id}/reviews`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ ...newReview, rating: 6 });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+
+    it("should return 404 error if the product doesn't exist", async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post(`/v1/products/${productOne._id}/reviews`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send(newReview);
+
+      expect(res.status).toEqual(httpStatus.NOT_FOUND);
+    });
+
+    it("should return 401 error if access token is missing", async () => {
+      const res = await request(app)
+        .post(`/v1/products/${productOne._id}/reviews`)
+        .send(newReview);
+
+      expect(res.status).toEqual(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe("GET /v1/products/:productId/reviews", () => {
+    it("should return 200 and a page of the product's reviews", async () => {
+      await insertProducts([productOne]);
+      await insertReviews([reviewUserTwo]);
+
+      const res = await request(app)
+        .get(`/v1/products/${productOne._id}/reviews`)
+        .query({ limit: 10 })
+        .send();
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body).toMatchObject({
+        page: 1,
+        limit: 10,
+        totalPages: 1,
+        totalResults: 1,
+      });
+      expect(res.body.results[0]).toMatchObject({
+        title: reviewUserTwo.title,
+        rating: reviewUserTwo.rating,
+        author: reviewUserTwo.author,
+      });
+    });
+
+    it("should return 404 error if the product doesn't exist", async () => {
+      const res = await request(app)
+        .get(`/v1/products/${productOne._id}/reviews`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe("GET /v1/products/:productId/reviews/summary", () => {
+    it("should return 200 and how many reviews gave each rating", async () => {
+      await insertUsers([userOne, userTwo]);
+      await insertProducts([productOne]);
+      await insertReviews([reviewUserTwo]);
+      await request(app)
+        .post(`/v1/products/${productOne._id}/reviews`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ rating: 5, title: "Great bat" });
+
+      const res = await request(app)
+        .get(`/v1/products/${productOne._id}/reviews/summary`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body).toEqual({
+        rating: 3.5,
+        reviewCount: 2,
+        breakdown: { 1: 0, 2: 1, 3: 0, 4: 0, 5: 1 },
+      });
+    });
+
+    it("should return 404 error if the product doesn't exist", async () => {
+      const res = await request(app)
+        .get(`/v1/products/${productOne._id}/reviews/summary`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.NOT_FOUND);
+    });
+  });
+});
@@ -2,9 +2,18 @@ const request = require("supertest");
 const httpStatus = require("http-status");
 const app = require("../../src/app");
 const setupTestDB = require("../utils/setupTestDB");
-const { User } = require("../../src/models");
+const { User, WalletTransaction } = require("../../src/models");
+const { paymentService } = require("../../src/services");
+const { createFakeGateway } = require("../../src/utils/paymentGateway");
+const { testCards } = require("../../src/config/payments");
 const { userOne, userTwo, insertUsers } = require("../fixtures/user.fixture");
 const { userOneAccessToken } = require("../fixtures/token.fixture");
+const {
+  walletTransactionOne,
+  walletTransactionTwo,
+  walletTransactionUserTwo,
+  insertWalletTransactions,
+} = require("../fixtures/walletTransaction.fixture");
 
 setupTestDB();
 
@@ -150,4 +159,261 @@ describe("User routes", () => {
       });
     });
   });
+
+  describe("GET /v1/users/:userId/wallet/transactions", () => {
+    test("should return 200 and the user's transactions, most recent first", async () => {
+      await insertUsers([userOne, userTwo]);
+      await insertWalletTransactions([
+        walletTransactionOne,
+        walletTransactionTwo,
+        walletTransactionUserTwo,
+      ]);
+
+      const res = await request(app)
+        .get(`/v1/users/${userOne._id}/wallet/transactions`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body).toEqual(
+        expect.objectContaining({
+          page: 1,
+          limit: 10,
+          totalPages: 1,
+          totalResults: 2,
+        })
+      );
+      expect(res.body.results.map((transaction) => transaction._id)).toEqual([
+        walletTransactionTwo._id.toHexString(),
+        walletTransactionOne._id.toHexString(),
+      ]);
+      expect(res.body.results[1]).toEqual(
+        expect.objectContaining({
+          type: "debit",
+          amount: 40,
+          reason: "orderPayment",
+          reference: walletTransactionOne.reference.toHexString(),
+          balance: 160,
+        })
+      );
+    });
+
+    test("should paginate the transactions", async () => {
+      await insertUsers([userOne]);
+      await insertWalletTransactions([
+        walletTransactionOne,
+        walletTransactionTwo,
+      ]);
+
+      const res = await request(app)
+        .get(`/v1/users/${userOne._id}/wallet/transactions`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .query({ page: 2, limit: 1 });
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.totalPages).toEqual(2);
+      expect(res.body.results.map((transaction) => transaction._id)).toEqual([
+        walletTransactionOne._id.toHexString(),
+      ]);
+    });
+
+    test("should return 401 error if access token is missing", async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .get(`/v1/users/${userOne._id}/wallet/transactions`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.UNAUTHORIZED);
+    });
+
+    test("should return 403 error if user is trying to get another user's transactions", async () => {
+      await insertUsers([userOne, userTwo]);
+      await insertWalletTransactions([walletTransactionUserTwo]);
+
+      const res = await request(app)
+        .get(`/v1/users/${userTwo._id}/wallet/transactions`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe("POST /v1/users/:userId/wallet/topup", () => {
+    let topUp;
+
+    beforeEach(() => {
+      paymentService.setGateway(createFakeGateway({ settleAfterMs: 1000 }));
+      topUp = { amount: 150, cardNumber: testCards.SUCCEEDS };
+    });
+
+    test("should return 200, credit the wallet and record the transaction if the payment succeeds", async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post(`/v1/users/${userOne._id}/wallet/topup`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "top-up-1")
+        .send(topUp);
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body).toEqual({
+        paymentId: expect.any(String),
+        status: "succeeded",
+        amount: 150,
+        walletMoney: 350,
+      });
+
+      const dbUser = await User.findById(userOne._id);
+      expect(dbUser.walletMoney).toEqual(350);
+
+      const transactions = await WalletTransaction.find({
+        userId: userOne._id,
+      });
+      expect(transactions).toHaveLength(1);
+      expect(transactions[0]).toMatchObject({
+        type: "credit",
+        amount: 150,
+        reason: "topUp",
+        balance: 350,
+      });
+      expect(transactions[0].reference.toHexString()).toEqual(
+        res.body.paymentId
+      );
+    });
+
+    test("should credit the wallet once if the request is retried with the same Idempotency-Key", async () => {
+      await insertUsers([userOne]);
+
+      const first = await request(app)
+        .post(`/v1/users/${userOne._id}/wallet/topup`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "top-up-1")
+        .send(topUp);
+      const retry = await request(app)
+        .post(`/v1/users/${userOne._id}/wallet/topup`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "top-up-1")
+        .send(topUp);
+
+      expect(retry.status).toEqual(httpStatus.OK);
+      expect(retry.body).toEqual(first.body);
+
+      const dbUser = await User.findById(userOne._id);
+      expect(dbUser.walletMoney).toEqual(350);
+      expect(
+        await WalletTransaction.countDocuments({ userId: userOne._id })
+      ).toEqual(1);
+    });
+
+    test("should return 202 for a pending payment, and credit the wallet on a retry once it has gone through", async () => {
+      await insertUsers([userOne]);
+      topUp.cardNumber = testCards.PENDING;
+      const now = Date.now();
+      const nowSpy = jest.spyOn(Date, "now").mockReturnValue(now);
+
+      const pending = await request(app)
+        .post(`/v1/users/${userOne._id}/wallet/topup`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "top-up-1")
+        .send(topUp);
+
+      expect(pending.status).toEqual(httpStatus.ACCEPTED);
+      expect(pending.body).toEqual(
+        expect.objectContaining({ status: "pending", walletMoney: 200 })
+      );
+
+      nowSpy.mockReturnValue(now + 1000);
+      const settled = await request(app)
+        .post(`/v1/users/${userOne._id}/wallet/topup`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "top-up-1")
+        .send(topUp);
+      nowSpy.mockRestore();
+
+      expect(settled.status).toEqual(httpStatus.OK);
+      expect(settled.body).toEqual(
+        expect.objectContaining({
+          paymentId: pending.body.paymentId,
+          status: "succeeded",
+          walletMoney: 350,
+        })
+      );
+    });
+
+    test("should return 402 error and not credit the wallet if the payment is declined", async () => {
+      await insertUsers([userOne]);
+      topUp.cardNumber = testCards.DECLINED;
+
+      const res = await request(app)
+        .post(`/v1/users/${userOne._id}/wallet/topup`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "top-up-1")
+        .send(topUp);
+
+      expect(res.status).toEqual(httpStatus.PAYMENT_REQUIRED);
+
+      const dbUser = await User.findById(userOne._id);
+      expect(dbUser.walletMoney).toEqual(200);
+      expect(
+        await WalletTransaction.countDocuments({ userId: userOne._id })
+      ).toEqual(0);
+    });
+
+    test("should return 422 error if the Idempotency-Key was used for a different top-up", async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post(`/v1/users/${userOne._id}/wallet/topup`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "top-up-1")
+        .send(topUp);
+      const res = await request(app)
+        .post(`/v1/users/${userOne._id}/wallet/topup`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "top-up-1")
+        .send({ ...topUp, amount: 300 });
+
+      expect(res.status).toEqual(httpStatus.UNPROCESSABLE_ENTITY);
+
+      const dbUser = await User.findById(userOne._id);
+      expect(dbUser.walletMoney).toEqual(350);
+    });
+
+    test("should return 400 error if the Idempotency-Key header is missing", async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post(`/v1/users/${userOne._id}/wallet/topup`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send(topUp);
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+
+    test("should return 400 error if the card number is invalid", async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post(`/v1/users/${userOne._id}/wallet/topup`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "top-up-1")
+        .send({ ...topUp, cardNumber: "1234" });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+
+    test("should return 403 error if user is trying to top up another user's wallet", async () => {
+      await insertUsers([userOne, userTwo]);
+
+      const res = await request(app)
+        .post(`/v1/users/${userTwo._id}/wallet/topup`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .set("Idempotency-Key", "top-up-1")
+        .send(topUp);
+
+      expect(res.status).toEqual(httpStatus.FORBIDDEN);
+    });
+  });
 });
@@ -0,0 +1,206 @@
+const request = require("supertest");
+const httpStatus = require("http-status");
+const app = require("../../src/app");
+const setupTestDB = require("../utils/setupTestDB");
+const { Cart, Wishlist } = require("../../src/models");
+const { userOne, insertUsers } = require("../fixtures/user.fixture");
+const {
+  productOne,
+  productTwo,
+  insertProducts,
+} = require("../fixtures/product.fixture");
+const {
+  productInCart,
+  cartWithProductsUserOne,
+  insertCart,
+} = require("../fixtures/cart.fixture");
+const {
+  wishlistUserOne,
+  insertWishlists,
+} = require("../fixtures/wishlist.fixture");
+const { userOneAccessToken } = require("../fixtures/token.fixture");
+
+setupTestDB();
+
+describe("Wishlist routes", () => {
+  describe("GET /v1/wishlist", () => {
+    it("should return 200 and the wishlist with its products", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productOne]);
+      await insertWishlists([wishlistUserOne]);
+
+      const res = await request(app)
+        .get("/v1/wishlist")
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.items.length).toEqual(1);
+      expect(res.body.items[0].product).toMatchObject({
+        _id: productOne._id.toString(),
+        name: productOne.name,
+        cost: productOne.cost,
+      });
+    });
+
+    it("should return 200 and an empty wishlist if the user hasn't saved anything", async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .get("/v1/wishlist")
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.items).toEqual([]);
+    });
+
+    it("should return 401 error if access token is missing", async () => {
+      const res = await request(app).get("/v1/wishlist").send();
+
+      expect(res.status).toEqual(httpStatus.UNAUTHORIZED);
+    });
+  });
+
+  describe("POST /v1/wishlist", () => {
+    it("should return 201 and save the product to the wishlist", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productOne, productTwo]);
+      await insertWishlists([wishlistUserOne]);
+
+      const res = await request(app)
+        .post("/v1/wishlist")
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ productId: productTwo._id });
+
+      expect(res.status).toEqual(httpStatus.CREATED);
+      expect(res.body.items.map((item) => item.product.name)).toEqual([
+        productOne.name,
+        productTwo.name,
+      ]);
+    });
+
+    it("should not save a product twice", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productOne]);
+      await insertWishlists([wishlistUserOne]);
+
+      const res = await request(app)
+        .post("/v1/wishlist")
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ productId: productOne._id });
+
+      expect(res.status).toEqual(httpStatus.CREATED);
+      expect(res.body.items.length).toEqual(1);
+    });
+
+    it("should return 400 error if the product doesn't exist", async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post("/v1/wishlist")
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send({ productId: productTwo._id });
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe("DELETE /v1/wishlist/:productId", () => {
+    it("should return 200 and remove the product from the wishlist", async () => {
+      await insertUsers([userOne]);
+      await insertWishlists([wishlistUserOne]);
+
+      const res = await request(app)
+        .delete(`/v1/wishlist/${productOne._id}`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.items).toEqual([]);
+    });
+
+    it("should return 404 error if the product isn't in the wishlist", async () => {
+      await insertUsers([userOne]);
+      await insertWishlists([wishlistUserOne]);
+
+      const res = await request(app)
+        .delete(`/v1/wishlist/${productTwo._id}`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe("Move between wishlist and cart", () => {
+    it("should move the product from the wishlist to the cart", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productOne, productInCart]);
+      await insertWishlists([wishlistUserOne]);
+      await insertCart([cartWithProductsUserOne]);
+
+      const res = await request(app)
+        .post(`/v1/wishlist/${productOne._id}/move-to-cart`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.wishlist.items).toEqual([]);
+      expect(res.body.cart.cartItems.length).toEqual(2);
+
+      const dbCart = await Cart.findOne({ email: userOne.email });
+      expect(dbCart.cartItems[1].product.name).toEqual(productOne.name);
+      expect(dbCart.cartItems[1].quantity).toEqual(1);
+    });
+
+    it("should leave the wishlist as it is if the product is out of stock", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([{ ...productOne, stock: 0 }]);
+      await insertWishlists([wishlistUserOne]);
+
+      const res = await request(app)
+        .post(`/v1/wishlist/${productOne._id}/move-to-cart`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+      const dbWishlist = await Wishlist.findOne({ userId: userOne._id });
+      expect(dbWishlist.items.length).toEqual(1);
+    });
+
+    it("should move the product from the cart to the wishlist", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productInCart]);
+      await insertCart([cartWithProductsUserOne]);
+
+      const res = await request(app)
+        .post(`/v1/cart/${productInCart._id}/save-for-later`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.OK);
+      expect(res.body.cart.cartItems).toEqual([]);
+      expect(res.body.wishlist.items[0].product.name).toEqual(
+        productInCart.name
+      );
+
+      const dbCart = await Cart.findOne({ email: userOne.email });
+      expect(dbCart.cartItems.length).toEqual(0);
+    });
+
+    it("should return 400 error if the product saved for later isn't in the cart", async () => {
+      await insertUsers([userOne]);
+      await insertProducts([productOne]);
+      await insertCart([cartWithProductsUserOne]);
+
+      const res = await request(app)
+        .post(`/v1/cart/${productOne._id}/save-for-later`)
+        .set("Authorization", `Bearer ${userOneAccessToken}`)
+        .send();
+
+      expect(res.status).toEqual(httpStatus.BAD_REQUEST);
+      expect(await Wishlist.countDocuments()).toEqual(0);
+    });
+  });
+});
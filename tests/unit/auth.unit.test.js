@@ -1,5 +1,12 @@
 const { userOne } = require("../fixtures/user.fixture");
-const { authService, userService } = require("../../src/services");
+const {
+  authService,
+  userService,
+  tokenService,
+} = require("../../src/services");
+const { Token, User } = require("../../src/models");
+const { tokenTypes } = require("../../src/config/tokens");
+const { jwtStrategy } = require("../../src/config/passport");
 const ApiError = require("../../src/utils/ApiError");
 const mockingoose = require("mockingoose").default;
 
@@ -56,4 +63,86 @@ describe("Auth test", () => {
       ).rejects.toThrow(ApiError);
     });
   });
+
+  describe("Refresh auth", () => {
+    it("should delete the refresh token used and return new tokens", async () => {
+      const tokenDoc = new Token({
+        token: "refresh-token",
+        user: userOne._id,
+        type: tokenTypes.REFRESH,
+        expires: new Date(),
+      });
+      tokenDoc.remove = jest.fn();
+      tokenService.verifyToken = jest.fn().mockResolvedValue(tokenDoc);
+      userService.getUserById = jest.fn().mockResolvedValue(userOne);
+
+      const tokens = await authService.refreshAuth("refresh-token");
+
+      expect(tokenService.verifyToken).toHaveBeenCalledWith(
+        "refresh-token",
+        tokenTypes.REFRESH
+      );
+      expect(tokenDoc.remove).toHaveBeenCalled();
+      expect(tokens.access.token).toEqual(expect.any(String));
+      expect(tokens.refresh.token).toEqual(expect.any(String));
+    });
+
+    it("should return API error when the refresh token is invalid", async () => {
+      tokenService.verifyToken = jest
+        .fn()
+        .mockRejectedValue(new Error("Token not found"));
+
+      await expect(authService.refreshAuth("refresh-token")).rejects.toThrow(
+        ApiError
+      );
+    });
+  });
+
+  describe("Logout", () => {
+    it("should blacklist the access token", async () => {
+      const { access } = await tokenService.generateAuthTokens(userOne);
+
+      let savedToken;
+      mockingoose(Token).toReturn((doc) => {
+        savedToken = doc;
+        return doc;
+      }, "save");
+
+      await authService.logout(userOne, access.token);
+
+      expect(savedToken.token).toEqual(access.token);
+      expect(savedToken.type).toEqual(tokenTypes.ACCESS);
+      expect(savedToken.blacklisted).toBe(true);
+      expect(savedToken.expires).toEqual(access.expires);
+    });
+
+    it("should revoke all refresh tokens and earlier access tokens on logout from all devices", async () => {
+      tokenService.revokeRefreshTokens = jest.fn();
+      const user = { ...userOne, save: jest.fn() };
+
+      await authService.logoutAll(user);
+
+      expect(tokenService.revokeRefreshTokens).toHaveBeenCalledWith(
+        userOne._id
+      );
+      expect(user.tokensRevokedAt).toEqual(expect.any(Date));
+      expect(user.save).toHaveBeenCalled();
+    });
+  });
+
+  describe("JWT verify", () => {
+    it("should pass on the error if finding the user fails", async () => {
+      const error = new Error("Database is down");
+      mockingoose(User).toReturn(error, "findOne");
+      const done = jest.fn();
+
+      await jwtStrategy._verify(
+        { headers: {} },
+        { sub: userOne._id, type: tokenTypes.ACCESS },
+        done
+      );
+
+      expect(done).toHaveBeenCalledWith(error, false);
+    });
+  });
 });
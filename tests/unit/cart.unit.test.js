@@ -1,14 +1,23 @@
 const httpStatus = require("http-status");
+const mongoose = require("mongoose");
 const { userOne } = require("../fixtures/user.fixture");
-const { Cart, Product } = require("../../src/models");
+const { Cart, Product, Wishlist } = require("../../src/models");
 const { cartService } = require("../../src/services");
 const {
   cartWithProductsUserOne,
   emptyCart,
+  guestCart,
+  productInCart,
 } = require("../fixtures/cart.fixture");
+const { wishlistUserOne } = require("../fixtures/wishlist.fixture");
 const ApiError = require("../../src/utils/ApiError");
+const config = require("../../src/config/config");
 const mockingoose = require("mockingoose").default;
-const { productOne } = require("../fixtures/product.fixture");
+const mockTransactions = require("../utils/mockTransactions");
+const {
+  productOne,
+  productWithVariants,
+} = require("../fixtures/product.fixture");
 
 describe("Cart test", () => {
   beforeEach(() => {
@@ -23,6 +32,51 @@ describe("Cart test", () => {
       expect(res.toJSON()).toEqual(emptyCart);
     });
 
+    it("should re-price stale cart items and report the changes", async () => {
+      const cart = {
+        ...cartWithProductsUserOne,
+        cartItems: [
+          ...cartWithProductsUserOne.cartItems,
+          {
+            _id: "5f8feede75b0cc037b1bce9e",
+            product: { ...productOne, _id: productOne._id.toString() },
+            quantity: 1,
+          },
+        ],
+      };
+      const cartProduct = cartWithProductsUserOne.cartItems[0].product;
+      mockingoose(Cart).toReturn(cart, "findOne");
+
+      // The cost of the product already in the cart went up and productOne was deleted
+      mockingoose(Product).toReturn([{ ...cartProduct, cost: 25 }], "find");
+
+      let saveMock = (...args) => {
+        expect(args[0].cartItems.length).toEqual(1);
+        expect(args[0].cartItems[0].product.cost).toEqual(25);
+        return args[0];
+      };
+      mockingoose(Cart).toReturn(saveMock, "save");
+
+      const res = await cartService.getCartByUser(userOne);
+
+      expect(res.cartItems.length).toEqual(1);
+      expect(res.cartItems[0].product.cost).toEqual(25);
+      expect(res.$locals.changes).toEqual([
+        {
+          type: "PRICE_CHANGED",
+          productId: cartProduct._id,
+          name: cartProduct.name,
+          oldCost: cartProduct.cost,
+          newCost: 25,
+        },
+        {
+          type: "PRODUCT_REMOVED",
+          productId: productOne._id.toString(),
+          name: productOne.name,
+        },
+      ]);
+    });
+
     it("should throw error if user does not have a cart", async () => {
       mockingoose(Cart).toReturn(null, "findOne");
       expect(cartService.getCartByUser(userOne.email)).rejects.toThrow(
@@ -64,6 +118,98 @@ describe("Cart test", () => {
       expect(addedProduct[0].quantity).toEqual(qty);
     });
 
+    it("should throw 400 error if there isn't enough stock of the product", async () => {
+      mockingoose(Cart).toReturn(emptyCart, "findOne");
+      mockingoose(Product).toReturn({ ...productOne, stock: 3 }, "findOne");
+
+      const res = cartService.addProductToCart(userOne, productOne._id, 5);
+
+      await expect(res).rejects.toThrow(ApiError);
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({
+          statusCode: httpStatus.BAD_REQUEST,
+          message: "Only 3 left in stock",
+        })
+      );
+    });
+
+    it("should add the chosen variant of a product with variants", async () => {
+      const variant = productWithVariants.variants[1];
+      mockingoose(Cart).toReturn(emptyCart, "findOne");
+      mockingoose(Product).toReturn(productWithVariants, "findOne");
+      mockingoose(Cart).toReturn((cart) => cart, "save");
+
+      const res = await cartService.addProductToCart(
+        userOne,
+        productWithVariants._id,
+        2,
+        variant._id.toString()
+      );
+
+      expect(res.cartItems.length).toEqual(1);
+      expect(res.cartItems[0].variantId.toString()).toEqual(
+        variant._id.toString()
+      );
+      expect(res.cartItems[0].quantity).toEqual(2);
+    });
+
+    it("should throw 400 error if no variant of a product with variants is chosen", async () => {
+      mockingoose(Cart).toReturn(emptyCart, "findOne");
+      mockingoose(Product).toReturn(productWithVariants, "findOne");
+
+      const res = cartService.addProductToCart(
+        userOne,
+        productWithVariants._id,
+        1
+      );
+
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({
+          statusCode: httpStatus.BAD_REQUEST,
+          message: "Choose a variant of the product",
+        })
+      );
+    });
+
+    it("should throw 400 error if the variant doesn't exist", async () => {
+      mockingoose(Cart).toReturn(emptyCart, "findOne");
+      mockingoose(Product).toReturn(productWithVariants, "findOne");
+
+      const res = cartService.addProductToCart(
+        userOne,
+        productWithVariants._id,
+        1,
+        mongoose.Types.ObjectId().toString()
+      );
+
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({
+          statusCode: httpStatus.BAD_REQUEST,
+          message: "Variant doesn't exist",
+        })
+      );
+    });
+
+    it("should throw 400 error if there isn't enough stock of the variant", async () => {
+      mockingoose(Cart).toReturn(emptyCart, "findOne");
+      mockingoose(Product).toReturn(productWithVariants, "findOne");
+
+      // The product has 8 in stock across its variants, but only 3 of the large size
+      const res = cartService.addProductToCart(
+        userOne,
+        productWithVariants._id,
+        5,
+        productWithVariants.variants[1]._id.toString()
+      );
+
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({
+          statusCode: httpStatus.BAD_REQUEST,
+          message: "Only 3 left in stock",
+        })
+      );
+    });
+
     it("should throw 500 error if cart is empty", async () => {
       // Mock Product.findOne() method to return predefined product
       mockingoose(Product).toReturn(productOne, "findOne");
@@ -152,6 +298,134 @@ describe("Cart test", () => {
     });
   });
 
+  describe("Merge guest cart", () => {
+    mockTransactions();
+
+    // Return the guest's or the user's cart depending on which one is looked up
+    const mockCarts = (userCart) => {
+      mockingoose(Cart).toReturn(
+        (query) => (query.getQuery().guestId ? guestCart : userCart),
+        "findOne"
+      );
+    };
+
+    it("should add the guest's items to the user's cart, summing the quantities of products in both", async () => {
+      mockCarts(cartWithProductsUserOne);
+      let savedCart;
+      mockingoose(Cart).toReturn((doc) => {
+        savedCart = doc;
+        return doc;
+      }, "save");
+      const deleteSpy = jest.spyOn(Cart, "deleteOne");
+
+      const res = await cartService.mergeGuestCart(userOne, guestCart.guestId);
+
+      expect(savedCart.email).toEqual(userOne.email);
+      expect(
+        res.toJSON().cartItems.map((item) => [item.product.name, item.quantity])
+      ).toEqual([
+        ["ball", 3],
+        ["bat", 3],
+      ]);
+      expect(deleteSpy).toHaveBeenCalledWith({ _id: guestCart._id });
+    });
+
+    it("should make the guest's cart the user's if the user doesn't have one", async () => {
+      mockCarts(null);
+      const deleteSpy = jest.spyOn(Cart, "deleteOne");
+
+      const res = await cartService.mergeGuestCart(userOne, guestCart.guestId);
+
+      expect(res._id).toEqual(guestCart._id);
+      expect(res.email).toEqual(userOne.email);
+      expect(res.guestId).toBeUndefined();
+      expect(res.cartItems.length).toEqual(2);
+      expect(deleteSpy).not.toHaveBeenCalled();
+    });
+
+    it("should do nothing if the guest doesn't have a cart", async () => {
+      mockingoose(Cart).toReturn(null, "findOne");
+
+      const res = await cartService.mergeGuestCart(userOne, guestCart.guestId);
+
+      expect(res).toBeNull();
+    });
+  });
+
+  describe("Move between wishlist and cart", () => {
+    mockTransactions();
+
+    it("should move a unit of the product from the wishlist to the cart", async () => {
+      mockingoose(Wishlist).toReturn(
+        { ...wishlistUserOne, items: [...wishlistUserOne.items] },
+        "findOne"
+      );
+      mockingoose(Product).toReturn([], "find");
+      mockingoose(Product).toReturn(productOne, "findOne");
+      mockingoose(Cart).toReturn(emptyCart, "findOne");
+
+      const { cart, wishlist } = await cartService.moveToCart(
+        userOne,
+        productOne._id
+      );
+
+      expect(wishlist.items.length).toEqual(0);
+      expect(cart.cartItems.length).toEqual(1);
+      expect(cart.cartItems[0].quantity).toEqual(1);
+      expect(cart.cartItems[0].product.name).toEqual(productOne.name);
+    });
+
+    it("should throw 400 error if the product moved to the cart is out of stock", async () => {
+      mockingoose(Wishlist).toReturn(
+        { ...wishlistUserOne, items: [...wishlistUserOne.items] },
+        "findOne"
+      );
+      mockingoose(Product).toReturn([], "find");
+      mockingoose(Product).toReturn({ ...productOne, stock: 0 }, "findOne");
+      mockingoose(Cart).toReturn(emptyCart, "findOne");
+
+      const res = cartService.moveToCart(userOne, productOne._id);
+
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({
+          statusCode: httpStatus.BAD_REQUEST,
+          message: "Product is out of stock",
+        })
+      );
+    });
+
+    it("should move the product from the cart to the wishlist", async () => {
+      mockingoose(Cart).toReturn(cartWithProductsUserOne, "findOne");
+      mockingoose(Product).toReturn(productInCart, "findOne");
+      mockingoose(Wishlist).toReturn(null, "findOne");
+      mockingoose(Product).toReturn([productInCart], "find");
+
+      const { cart, wishlist } = await cartService.saveForLater(
+        userOne,
+        productInCart._id
+      );
+
+      expect(cart.cartItems.length).toEqual(0);
+      expect(wishlist.userId).toEqual(userOne._id);
+      expect(wishlist.items.length).toEqual(1);
+      expect(wishlist.items[0].product.name).toEqual(productInCart.name);
+    });
+
+    it("should throw 400 error if the product saved for later isn't in the cart", async () => {
+      mockingoose(Cart).toReturn(emptyCart, "findOne");
+
+      const res = cartService.saveForLater(userOne, productOne._id);
+
+      await expect(res).rejects.toThrow(ApiError);
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({
+          statusCode: httpStatus.BAD_REQUEST,
+          message: "Product not in cart",
+        })
+      );
+    });
+  });
+
   describe("delete product in cart", () => {
     it("should delete product from cart", async () => {
       let saveMock = (...args) => {
@@ -196,4 +470,91 @@ describe("Cart test", () => {
       );
     });
   });
+
+  describe("Migrate cart indexes", () => {
+    it("should make the unique index on emails sparse", async () => {
+      jest.spyOn(Cart, "listIndexes").mockResolvedValue([
+        { name: "_id_", key: { _id: 1 } },
+        { name: "email_1", key: { email: 1 }, unique: true },
+        { name: "guestId_1", key: { guestId: 1 }, unique: true, sparse: true },
+      ]);
+      const dropSpy = jest
+        .spyOn(Cart.collection, "dropIndex")
+        .mockResolvedValue({});
+      const createSpy = jest
+        .spyOn(Cart, "createIndexes")
+        .mockResolvedValue({});
+
+      const res = await cartService.migrateCartIndexes();
+
+      expect(dropSpy).toHaveBeenCalledTimes(1);
+      expect(dropSpy).toHaveBeenCalledWith("email_1");
+      expect(createSpy).toHaveBeenCalled();
+      expect(res).toEqual({ indexesRebuilt: ["email_1"] });
+      expect(Cart.schema.indexes()).toContainEqual([
+        { email: 1 },
+        expect.objectContaining({ unique: true, sparse: true }),
+      ]);
+    });
+
+    it("should leave indexes that are already sparse", async () => {
+      jest.spyOn(Cart, "listIndexes").mockResolvedValue([
+        { name: "email_1", key: { email: 1 }, unique: true, sparse: true },
+      ]);
+      const dropSpy = jest.spyOn(Cart.collection, "dropIndex");
+      jest.spyOn(Cart, "createIndexes").mockResolvedValue({});
+
+      const res = await cartService.migrateCartIndexes();
+
+      expect(dropSpy).not.toHaveBeenCalled();
+      expect(res).toEqual({ indexesRebuilt: [] });
+    });
+
+    it("should expire only guest carts, once left untouched as long as guest tokens last", () => {
+      expect(Cart.schema.indexes()).toContainEqual([
+        { updatedAt: 1 },
+        expect.objectContaining({
+          expireAfterSeconds: config.jwt.guestExpirationDays * 24 * 60 * 60,
+          partialFilterExpression: { guestId: { $exists: true } },
+        }),
+      ]);
+    });
+
+    it("should rebuild the index expiring guest carts if their expiry changed", async () => {
+      jest.spyOn(Cart, "listIndexes").mockResolvedValue([
+        { name: "email_1", key: { email: 1 }, unique: true, sparse: true },
+        {
+          name: "updatedAt_1",
+          key: { updatedAt: 1 },
+          expireAfterSeconds: 24 * 60 * 60,
+        },
+      ]);
+      const dropSpy = jest
+        .spyOn(Cart.collection, "dropIndex")
+        .mockResolvedValue({});
+      jest.spyOn(Cart, "createIndexes").mockResolvedValue({});
+
+      const res = await cartService.migrateCartIndexes();
+
+      expect(dropSpy).toHaveBeenCalledWith("updatedAt_1");
+      expect(res).toEqual({ indexesRebuilt: ["updatedAt_1"] });
+    });
+
+    it("should date the guest carts stored before carts had an updatedAt, so they expire", async () => {
+      jest.spyOn(Cart, "listIndexes").mockResolvedValue([]);
+      jest.spyOn(Cart, "createIndexes").mockResolvedValue({});
+      let filter;
+      mockingoose(Cart).toReturn((query) => {
+        filter = query.getQuery();
+        return { n: 1, nModified: 1, ok: 1 };
+      }, "updateMany");
+
+      await cartService.migrateCartIndexes();
+
+      expect(filter).toEqual({
+        guestId: { $exists: true },
+        updatedAt: { $exists: false },
+      });
+    });
+  });
 });
@@ -0,0 +1,216 @@
+const httpStatus = require("http-status");
+const mongoose = require("mongoose");
+const { Category, Product } = require("../../src/models");
+const { catalogueService, categoryService } = require("../../src/services");
+const { parseCsv, formatCsv } = require("../../src/utils/csv");
+const { productOne } = require("../fixtures/product.fixture");
+const { categorySports } = require("../fixtures/category.fixture");
+const mockingoose = require("mockingoose").default;
+
+describe("Catalogue test", () => {
+  let saved;
+  let migrateSpy;
+
+  beforeEach(() => {
+    mockingoose.resetAll();
+    mockingoose(Category).toReturn([categorySports], "find");
+    mockingoose(Product).toReturn([], "find");
+    mockingoose(Product).toReturn(null, "findOne");
+
+    saved = [];
+    jest.spyOn(Product.prototype, "save").mockImplementation(function () {
+      saved.push(this);
+      return Promise.resolve(this);
+    });
+    migrateSpy = jest
+      .spyOn(categoryService, "migrateProductCategories")
+      .mockResolvedValue({ categoriesCreated: 1, productsUpdated: 1 });
+  });
+
+  describe("CSV", () => {
+    it("should read quoted values with commas, quotes and line breaks", () => {
+      const records = [
+        ["name", "description"],
+        ["bat", 'Willow, "grade 1"\nFull size'],
+      ];
+
+      expect(parseCsv(formatCsv(records))).toEqual(records);
+      expect(parseCsv("a,b\r\n\r\n1,\r\n")).toEqual([
+        ["a", "b"],
+        ["1", ""],
+      ]);
+    });
+  });
+
+  describe("Import", () => {
+    it("should update the products matched by _id or name and create the others", async () => {
+      mockingoose(Product).toReturn(productOne, "findOne");
+      const csv = [
+        "_id,name,category,cost,rating,image",
+        `${productOne._id},bat,Sports,25,3,google.com`,
+        ",football,Sports,30,4,google.com",
+      ].join("\n");
+
+      const report = await catalogueService.importCatalogue(csv, "csv", {
+        defaultStock: 100,
+      });
+
+      expect(report).toEqual({
+        created: 1,
+        updated: 1,
+        unchanged: 0,
+        failed: 0,
+        errors: [],
+        categoriesCreated: 1,
+      });
+      expect(saved.length).toEqual(2);
+      expect(saved[0]._id).toEqual(productOne._id);
+      expect(saved[0].cost).toEqual(25);
+      // Fields the row doesn't have keep their value
+      expect(saved[0].stock).toEqual(productOne.stock);
+      expect(saved[1].name).toEqual("football");
+      expect(saved[1].stock).toEqual(100);
+      expect(saved[1].categoryId).toEqual(categorySports._id);
+      expect(migrateSpy).toHaveBeenCalled();
+    });
+
+    it("should count the products a row doesn't change as unchanged", async () => {
+      const specs = [{ name: "Weight", value: "1.2 kg" }];
+      // A product as loaded from the database, which mockingoose's results aren't
+      jest
+        .spyOn(Product, "findById")
+        .mockResolvedValue(Product.hydrate({ ...productOne, specs }));
+      const ndjson = JSON.stringify({
+        _id: productOne._id.toString(),
+        cost: 20,
+        specs,
+      });
+
+      const report = await catalogueService.importCatalogue(ndjson, "ndjson");
+
+      expect(report.unchanged).toEqual(1);
+      expect(report.updated).toEqual(0);
+    });
+
+    it("should keep the rating of products that exist, computed from their reviews", async () => {
+      mockingoose(Product).toReturn(
+        { ...productOne, rating: 4.5, reviewCount: 2 },
+        "findOne"
+      );
+      const csv = [
+        "_id,name,category,cost,rating,image",
+        `${productOne._id},bat,Sports,25,1,google.com`,
+        ",football,Sports,30,4,google.com",
+      ].join("\n");
+
+      const report = await catalogueService.importCatalogue(csv, "csv", {
+        defaultStock: 100,
+      });
+
+      expect(report.updated).toEqual(1);
+      expect(saved[0].cost).toEqual(25);
+      expect(saved[0].rating).toEqual(4.5);
+      expect(saved[0].reviewCount).toEqual(2);
+      // New products take the rating of their row
+      expect(saved[1].rating).toEqual(4);
+    });
+
+    it("should report the rows that fail validation and import the rest", async () => {
+      const csv = [
+        "name,category,cost,rating,image,specs",
+        "bat,Sports,abc,3,google.com,",
+        "ball,Sports,5,7,google.com,",
+        "glove,Sports,5,3,google.com,[{",
+        "helmet,Sports,50,4,google.com,",
+      ].join("\n");
+
+      const report = await catalogueService.importCatalogue(csv, "csv");
+
+      expect(report.created).toEqual(1);
+      expect(report.failed).toEqual(3);
+      expect(report.errors.map(({ row }) => row)).toEqual([1, 2, 3]);
+      expect(report.errors[0].messages[0]).toContain("cost");
+      expect(report.errors[1].messages[0]).toContain("rating");
+      expect(report.errors[2].messages).toEqual(["specs: Not valid JSON"]);
+      expect(saved.map(({ name }) => name)).toEqual(["helmet"]);
+    });
+
+    it("should read NDJSON with extended JSON ids and fail rows repeating a product", async () => {
+      const _id = mongoose.Types.ObjectId().toHexString();
+      const row = {
+        _id: { $oid: _id },
+        name: "OnePlus 6",
+        category: "Phones",
+        cost: 100,
+        rating: 5,
+        image: "google.com",
+      };
+      const ndjson = [row, row, { ...row, _id: undefined, colour: "Red" }]
+        .map((json) => JSON.stringify(json))
+        .join("\n");
+
+      const report = await catalogueService.importCatalogue(ndjson, "ndjson");
+
+      expect(report.created).toEqual(1);
+      expect(report.errors).toEqual([
+        { row: 2, messages: ["Same product as row 1"] },
+        { row: 3, messages: ["Unknown field colour"] },
+      ]);
+      expect(saved[0]._id.toString()).toEqual(_id);
+    });
+
+    it("should not save anything on a dry run", async () => {
+      const csv = "name,category,cost,rating,image\nbat,Sports,20,3,google.com";
+
+      const report = await catalogueService.importCatalogue(csv, "csv", {
+        dryRun: true,
+      });
+
+      expect(report.created).toEqual(1);
+      expect(saved.length).toEqual(0);
+      expect(migrateSpy).not.toHaveBeenCalled();
+    });
+
+    it("should throw 400 error if a CSV column isn't a product field", async () => {
+      const res = catalogueService.importCatalogue(
+        "name,colour\nbat,red",
+        "csv"
+      );
+
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({
+          statusCode: httpStatus.BAD_REQUEST,
+          message: "Unknown column colour",
+        })
+      );
+    });
+  });
+
+  describe("Export", () => {
+    it("should write a CSV row per product with lists as JSON", async () => {
+      const specs = [{ name: "Weight", value: "1.2 kg" }];
+      mockingoose(Product).toReturn([{ ...productOne, specs }], "find");
+
+      const csv = await catalogueService.exportCatalogue("csv");
+      const [header, record] = parseCsv(csv);
+
+      expect(header[0]).toEqual("_id");
+      expect(record[header.indexOf("_id")]).toEqual(productOne._id.toString());
+      expect(record[header.indexOf("cost")]).toEqual("20");
+      expect(JSON.parse(record[header.indexOf("specs")])).toEqual(specs);
+      expect(record[header.indexOf("variants")]).toEqual("");
+    });
+
+    it("should write a JSON object per product for NDJSON", async () => {
+      mockingoose(Product).toReturn([productOne], "find");
+
+      const ndjson = await catalogueService.exportCatalogue("ndjson");
+
+      expect(ndjson.endsWith("\n")).toBe(true);
+      expect(JSON.parse(ndjson)).toEqual({
+        ...productOne,
+        _id: productOne._id.toString(),
+      });
+    });
+  });
+});
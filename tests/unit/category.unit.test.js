@@ -0,0 +1,160 @@
+const httpStatus = require("http-status");
+const { Category, Coupon, Product } = require("../../src/models");
+const { categoryService } = require("../../src/services");
+const ApiError = require("../../src/utils/ApiError");
+const {
+  categorySports,
+  categoryCricket,
+  categoryPhones,
+} = require("../fixtures/category.fixture");
+const mockingoose = require("mockingoose").default;
+
+describe("Category test", () => {
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  describe("Slugify", () => {
+    it("should lower case the name and join its words with dashes", () => {
+      expect(categoryService.slugify(" Mobile Phones & Tablets ")).toEqual(
+        "mobile-phones-tablets"
+      );
+    });
+  });
+
+  describe("Create category", () => {
+    it("should make the slug from the name if it isn't given", async () => {
+      const createSpy = jest.spyOn(Category, "create");
+
+      await categoryService.createCategory({ name: "Home Decor" });
+
+      expect(createSpy.mock.calls[0][0]).toEqual({
+        name: "Home Decor",
+        slug: "home-decor",
+      });
+    });
+
+    it("should throw 400 error if the parent category doesn't exist", async () => {
+      mockingoose(Category).toReturn(null, "findOne");
+
+      const res = categoryService.createCategory({
+        name: "Cricket",
+        parent: categorySports._id,
+      });
+
+      await expect(res).rejects.toThrow(ApiError);
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({
+          statusCode: httpStatus.BAD_REQUEST,
+          message: "Parent category not found",
+        })
+      );
+    });
+
+    it("should throw 400 error if the slug already exists", async () => {
+      jest
+        .spyOn(Category, "create")
+        .mockRejectedValueOnce(
+          Object.assign(new Error("dup"), { code: 11000 })
+        );
+
+      const res = categoryService.createCategory({ name: "Sports" });
+
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({ statusCode: httpStatus.BAD_REQUEST })
+      );
+    });
+  });
+
+  describe("Get category tree", () => {
+    it("should nest the categories and count the products of nested categories in their parents", async () => {
+      mockingoose(Category).toReturn(
+        [categoryPhones, categorySports, categoryCricket],
+        "find"
+      );
+      mockingoose(Product).toReturn(
+        [
+          { _id: categorySports._id, count: 2 },
+          { _id: categoryCricket._id, count: 3 },
+        ],
+        "aggregate"
+      );
+
+      const res = await categoryService.getCategoryTree();
+
+      expect(res.map((node) => [node.name, node.productCount])).toEqual([
+        ["Phones", 0],
+        ["Sports", 5],
+      ]);
+      expect(res[1].children.map((node) => node.name)).toEqual(["Cricket"]);
+      expect(res[1].children[0].productCount).toEqual(3);
+    });
+  });
+
+  describe("Get category ids with descendants", () => {
+    it("should return the category's id and the ids of the categories nested in it", async () => {
+      mockingoose(Category).toReturn(
+        [categoryPhones, categorySports, categoryCricket],
+        "find"
+      );
+
+      const res = await categoryService.getCategoryIdsWithDescendants(
+        categorySports._id
+      );
+
+      expect(res.map(String)).toEqual([
+        String(categorySports._id),
+        String(categoryCricket._id),
+      ]);
+    });
+
+    it("should return no ids if the category doesn't exist", async () => {
+      mockingoose(Category).toReturn([categoryPhones], "find");
+
+      const res = await categoryService.getCategoryIdsWithDescendants(
+        categorySports._id
+      );
+
+      expect(res).toEqual([]);
+    });
+  });
+
+  describe("Migrate product categories", () => {
+    it("should create the missing categories and link the products and coupons to them", async () => {
+      mockingoose(Product).toReturn(["Sports", "Health"], "distinct");
+      mockingoose(Coupon).toReturn(["sports"], "distinct");
+      mockingoose(Category).toReturn(
+        (query) => (query.getQuery().slug === "sports" ? categorySports : null),
+        "findOne"
+      );
+      const createSpy = jest.spyOn(Category, "create");
+      const updateSpy = jest
+        .spyOn(Product, "updateMany")
+        .mockResolvedValue({ nModified: 2 });
+      const updateCouponsSpy = jest
+        .spyOn(Coupon, "updateMany")
+        .mockResolvedValue({ nModified: 1 });
+
+      const res = await categoryService.migrateProductCategories();
+
+      expect(createSpy).toHaveBeenCalledTimes(1);
+      expect(createSpy.mock.calls[0][0]).toEqual({
+        name: "Health",
+        slug: "health",
+      });
+      expect(updateSpy.mock.calls[0]).toEqual([
+        { category: "Sports", categoryId: null },
+        { categoryId: categorySports._id, category: "Sports" },
+      ]);
+      expect(updateCouponsSpy.mock.calls[0]).toEqual([
+        { category: "sports", categoryId: null },
+        { categoryId: categorySports._id, category: "Sports" },
+      ]);
+      expect(res).toEqual({
+        categoriesCreated: 1,
+        productsUpdated: 4,
+        couponsUpdated: 1,
+      });
+    });
+  });
+});
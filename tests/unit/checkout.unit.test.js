@@ -1,14 +1,19 @@
 const httpStatus = require("http-status");
+const mongoose = require("mongoose");
 const { userOne, userTwo } = require("../fixtures/user.fixture");
-const { Cart } = require("../../src/models");
-const { cartService } = require("../../src/services");
+const { Cart, Order, Product, User } = require("../../src/models");
+const { cartService, paymentService } = require("../../src/services");
+const { testCards } = require("../../src/config/payments");
+const logger = require("../../src/config/logger");
 const {
   cartWithProductsUserOne,
   emptyCart,
   cartWithProductsUserTwo,
 } = require("../fixtures/cart.fixture");
+const { productTwo } = require("../fixtures/product.fixture");
 const ApiError = require("../../src/utils/ApiError");
 const mockingoose = require("mockingoose").default;
+const mockTransactions = require("../utils/mockTransactions");
 const config = require("../config/config");
 
 // Tests related to the Cart layer
@@ -18,6 +23,9 @@ describe("Cart test", () => {
     mockingoose.resetAll();
   });
 
+  // Checkout runs in a transaction
+  mockTransactions();
+
   // Tests for checking checkout functionality
   describe("Checkout", async() => {
     // Test a particular scenario of the checkout functionality
@@ -25,7 +33,7 @@ describe("Cart test", () => {
       // Mock Cart model to return `null` as output to `Cart.findOne()` call
       mockingoose(Cart).toReturn(null, "findOne");
 
-      const res = cartService.checkout(userOne);
+      const res = cartService.checkout(userOne, userOne.addresses[0]._id);
 
       // TODO: CRIO_TASK_MODULE_TEST - Assert if
       /* - ApiError is thrown
@@ -51,7 +59,7 @@ describe("Cart test", () => {
       // Mock Cart model to return `emptyCart` object as output to `Cart.findOne()` call
       mockingoose(Cart).toReturn(emptyCart, "findOne");
 
-      const res = cartService.checkout(userOne);
+      const res = cartService.checkout(userOne, userOne.addresses[0]._id);
 
       // TODO: CRIO_TASK_MODULE_TEST - Assert if
       // - ApiError is thrown
@@ -74,7 +82,7 @@ describe("Cart test", () => {
       userTwo.hasSetNonDefaultAddress =
         hasSetNonDefaultAddressMock.mockReturnValue(false);
 
-      const res = cartService.checkout(userTwo);
+      const res = cartService.checkout(userTwo, mongoose.Types.ObjectId());
 
       // TODO: CRIO_TASK_MODULE_TEST - Assert if
       // - ApiError is thrown
@@ -87,8 +95,131 @@ describe("Cart test", () => {
       );
     });
 
+    it("should throw 400 error if the address to ship to isn't one of the user's addresses", async () => {
+      mockingoose(Cart).toReturn(cartWithProductsUserOne, "findOne");
+
+      const userOneWithAddress = { ...userOne };
+      userOneWithAddress.hasSetNonDefaultAddress = jest
+        .fn()
+        .mockReturnValue(true);
+
+      const res = cartService.checkout(
+        userOneWithAddress,
+        mongoose.Types.ObjectId()
+      );
+
+      await expect(res).rejects.toThrow(ApiError);
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({
+          statusCode: httpStatus.BAD_REQUEST,
+        })
+      );
+    });
+
+    it("should throw 409 error and not debit the wallet if the price of a product in the cart changed", async () => {
+      mockingoose(Cart).toReturn(cartWithProductsUserOne, "findOne");
+      mockingoose(Product).toReturn(
+        [{ ...cartWithProductsUserOne.cartItems[0].product, cost: 25 }],
+        "find"
+      );
+      const walletDebitMock = jest.fn();
+      mockingoose(User).toReturn(walletDebitMock, "findOneAndUpdate");
+
+      const userOneWithAddress = { ...userOne };
+      userOneWithAddress.hasSetNonDefaultAddress = jest
+        .fn()
+        .mockReturnValue(true);
+
+      const res = cartService.checkout(
+        userOneWithAddress,
+        userOne.addresses[0]._id
+      );
+
+      await expect(res).rejects.toThrow(ApiError);
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({
+          statusCode: httpStatus.CONFLICT,
+        })
+      );
+      expect(walletDebitMock).not.toHaveBeenCalled();
+    });
+
+    it("should save the corrected cart outside the transaction the 409 error rolls back", async () => {
+      mockingoose(Cart).toReturn(cartWithProductsUserOne, "findOne");
+      mockingoose(Product).toReturn(
+        [{ ...cartWithProductsUserOne.cartItems[0].product, cost: 25 }],
+        "find"
+      );
+      const saveMock = jest.fn((cart) => {
+        expect(mongoose.startSession).not.toHaveBeenCalled();
+        return cart;
+      });
+      mockingoose(Cart).toReturn(saveMock, "save");
+
+      const userOneWithAddress = { ...userOne };
+      userOneWithAddress.hasSetNonDefaultAddress = jest
+        .fn()
+        .mockReturnValue(true);
+
+      const res = cartService.checkout(
+        userOneWithAddress,
+        userOne.addresses[0]._id
+      );
+
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({ statusCode: httpStatus.CONFLICT })
+      );
+      expect(saveMock).toHaveBeenCalledTimes(1);
+      expect(saveMock.mock.calls[0][0].cartItems[0].product.cost).toEqual(25);
+    });
+
+    it("should throw 400 error and not debit the wallet if a product is out of stock", async () => {
+      mockingoose(Cart).toReturn(cartWithProductsUserOne, "findOne");
+      // The products in the cart are unchanged since they were added
+      mockingoose(Product).toReturn(
+        cartWithProductsUserOne.cartItems.map((item) => item.product),
+        "find"
+      );
+
+      // The conditional stock decrement matches no product when there isn't enough stock left
+      mockingoose(Product).toReturn(null, "findOneAndUpdate");
+      const walletDebitMock = jest.fn();
+      mockingoose(User).toReturn(walletDebitMock, "findOneAndUpdate");
+
+      const userOneWithAddress = { ...userOne };
+      userOneWithAddress.hasSetNonDefaultAddress = jest
+        .fn()
+        .mockReturnValue(true);
+
+      const res = cartService.checkout(
+        userOneWithAddress,
+        userOne.addresses[0]._id
+      );
+
+      await expect(res).rejects.toThrow(ApiError);
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({
+          statusCode: httpStatus.BAD_REQUEST,
+          message: "Not enough stock of ball left",
+        })
+      );
+      expect(walletDebitMock).not.toHaveBeenCalled();
+    });
+
     it("should throw 400 error if wallet balance is insufficient", async () => {
       mockingoose(Cart).toReturn(cartWithProductsUserOne, "findOne");
+      // The products in the cart are unchanged since they were added
+      mockingoose(Product).toReturn(
+        cartWithProductsUserOne.cartItems.map((item) => item.product),
+        "find"
+      );
+      mockingoose(Product).toReturn(
+        cartWithProductsUserOne.cartItems[0].product,
+        "findOneAndUpdate"
+      );
+
+      // The conditional wallet decrement matches no user when the balance is too low
+      mockingoose(User).toReturn(null, "findOneAndUpdate");
 
       const userOneWithZeroBalance = { ...userOne, walletMoney: 0 };
 
@@ -98,7 +229,10 @@ describe("Cart test", () => {
         true
       );
 
-      const res = cartService.checkout(userOneWithZeroBalance);
+      const res = cartService.checkout(
+        userOneWithZeroBalance,
+        userOne.addresses[0]._id
+      );
 
       // TODO: CRIO_TASK_MODULE_TEST - Assert if
       // - ApiError is thrown
@@ -115,9 +249,6 @@ describe("Cart test", () => {
     it("should update user balance and empty the cart on success", async () => {
       let userOneFinal = { ...userOne };
 
-      // Mock the save() method on userOneFinal as it's not an instance of User object
-      userOneFinal.save = jest.fn();
-
       // create a mock function for User model's hasSetNonDefaultAddress() instance method
       const hasSetNonDefaultAddressMock = jest.fn();
       userOneFinal.hasSetNonDefaultAddress = hasSetNonDefaultAddressMock.mockReturnValue(
@@ -133,16 +264,294 @@ describe("Cart test", () => {
 
       // Return `cartSaveMock` object on calling `save()` function of Cart model
       mockingoose(Cart).toReturn(cartSaveMock, "save");
+
+      // define a mock object for `Order.create()` call - assert the order snapshots the cart
+      let orderSaveMock = (...args) => {
+        expect(args[0].email).toEqual(userOneFinal.email);
+        expect(args[0].orderItems.length).toEqual(
+          cartWithProductsUserOne.cartItems.length
+        );
+        expect(args[0].total).toEqual(40);
+        expect(args[0].shippingAddress.addressId).toEqual(
+          userOneFinal.addresses[0]._id
+        );
+        expect(args[0].shippingAddress.address).toEqual(
+          userOneFinal.addresses[0].address
+        );
+        return args[0];
+      };
+      mockingoose(Order).toReturn(orderSaveMock, "save");
       mockingoose(Cart).toReturn(cartWithProductsUserOne, "findOne");
+      // The products in the cart are unchanged since they were added
+      mockingoose(Product).toReturn(
+        cartWithProductsUserOne.cartItems.map((item) => item.product),
+        "find"
+      );
+
+      // Assert the wallet is debited by the cart total only if the balance covers it
+      let walletDebitMock = (query) => {
+        expect(query.getFilter()).toEqual({
+          _id: userOneFinal._id,
+          walletMoney: { $gte: 40 },
+        });
+        return { ...userOneFinal, walletMoney: userOneFinal.walletMoney - 40 };
+      };
+      mockingoose(User).toReturn(walletDebitMock, "findOneAndUpdate");
+
+      // Assert the stock is decremented by the quantity only if there's enough of it left
+      let stockDecrementMock = (query) => {
+        const filter = query.getFilter();
+        expect(filter._id.toString()).toEqual(
+          cartWithProductsUserOne.cartItems[0].product._id
+        );
+        expect(filter.stock).toEqual({ $gte: 2 });
+        return cartWithProductsUserOne.cartItems[0].product;
+      };
+      mockingoose(Product).toReturn(stockDecrementMock, "findOneAndUpdate");
 
       // Call the method to be tested - `checkout()`
-      let res = await cartService.checkout(userOneFinal);
+      let res = await cartService.checkout(
+        userOneFinal,
+        userOneFinal.addresses[0]._id
+      );
 
       // Assert User model's hasSetNonDefaultAddress() instance method was called
       expect(hasSetNonDefaultAddressMock.mock.calls.length).not.toBe(0);
 
       // TODO: CRIO_TASK_MODULE_TEST - Assert that the wallet balance of user was reduced
-      expect(res.walletMoney).toEqual(userOneFinal.walletMoney);
+      expect(res.user.walletMoney).toEqual(userOneFinal.walletMoney - 40);
+      expect(res.pricing.total).toEqual(40);
+      expect(res.order.total).toEqual(40);
+    });
+
+    it("should charge for every product in the cart, not only the first one", async () => {
+      const userOneFinal = {
+        ...userOne,
+        hasSetNonDefaultAddress: jest.fn().mockReturnValue(true),
+      };
+      const cartWithTwoProducts = {
+        ...cartWithProductsUserOne,
+        cartItems: [
+          ...cartWithProductsUserOne.cartItems,
+          { product: productTwo, quantity: 3 },
+        ],
+      };
+      const products = cartWithTwoProducts.cartItems.map(
+        (item) => item.product
+      );
+
+      mockingoose(Cart).toReturn(cartWithTwoProducts, "findOne");
+      mockingoose(Cart).toReturn((cart) => cart, "save");
+      mockingoose(Order).toReturn((order) => order, "save");
+      mockingoose(Product).toReturn(products, "find");
+      mockingoose(Product).toReturn(
+        (query) =>
+          products.find(
+            ({ _id }) => _id.toString() === query.getFilter()._id.toString()
+          ),
+        "findOneAndUpdate"
+      );
+
+      // 2 balls at 20 and 3 more at 5
+      const walletDebitMock = jest.fn(() => ({
+        ...userOneFinal,
+        walletMoney: userOneFinal.walletMoney - 55,
+      }));
+      mockingoose(User).toReturn(walletDebitMock, "findOneAndUpdate");
+
+      const res = await cartService.checkout(
+        userOneFinal,
+        userOneFinal.addresses[0]._id
+      );
+
+      expect(walletDebitMock.mock.calls[0][0].getFilter().walletMoney).toEqual({
+        $gte: 55,
+      });
+      expect(res.pricing.total).toEqual(55);
+      expect(res.order.total).toEqual(55);
+      expect(res.order.orderItems.length).toEqual(2);
+    });
+
+    describe("Payment options", () => {
+      let user;
+
+      // Mock a valid cart paid for by `paymentOption`, with the products in it unchanged and in stock
+      const mockCart = (paymentOption, quantity = 2) => {
+        const cart = {
+          ...cartWithProductsUserOne,
+          paymentOption,
+          cartItems: [{ ...cartWithProductsUserOne.cartItems[0], quantity }],
+        };
+        mockingoose(Cart).toReturn(cart, "findOne");
+        mockingoose(Product).toReturn(
+          cart.cartItems.map((item) => item.product),
+          "find"
+        );
+        mockingoose(Product).toReturn(
+          cart.cartItems[0].product,
+          "findOneAndUpdate"
+        );
+      };
+
+      beforeEach(() => {
+        user = { ...userOne, hasSetNonDefaultAddress: () => true };
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it("should place a cash on delivery order without debiting the wallet", async () => {
+        mockCart("PAYMENT_OPTION_COD");
+        const walletDebitMock = jest.fn();
+        mockingoose(User).toReturn(walletDebitMock, "findOneAndUpdate");
+
+        const res = await cartService.checkout(user, user.addresses[0]._id);
+
+        expect(res.order.paymentOption).toEqual("PAYMENT_OPTION_COD");
+        expect(res.order.paymentStatus).toEqual("pending");
+        expect(res.user.walletMoney).toEqual(userOne.walletMoney);
+        expect(walletDebitMock).not.toHaveBeenCalled();
+      });
+
+      it("should throw 400 error if the order is too large to pay cash on delivery", async () => {
+        mockCart("PAYMENT_OPTION_COD", 300);
+
+        const res = cartService.checkout(user, user.addresses[0]._id);
+
+        await expect(res).rejects.toEqual(
+          expect.objectContaining({
+            statusCode: httpStatus.BAD_REQUEST,
+            message: expect.stringContaining("Cash on delivery"),
+          })
+        );
+      });
+
+      // Keep the order created as the saved order, which taking its payment reads back
+      const mockOrders = () => {
+        let savedOrder;
+        mockingoose(Order).toReturn((order) => {
+          savedOrder = order.toObject();
+          return order;
+        }, "save");
+        mockingoose(Order).toReturn(() => savedOrder, "findOne");
+      };
+
+      it("should hold the amount on the card and take it once the order is placed", async () => {
+        mockCart("PAYMENT_OPTION_CARD");
+        mockOrders();
+        const gateway = paymentService.getGateway();
+        const authorizeSpy = jest.spyOn(gateway, "authorize");
+        const captureSpy = jest.spyOn(gateway, "capture");
+
+        const res = await cartService.checkout(
+          user,
+          user.addresses[0]._id,
+          testCards.SUCCEEDS
+        );
+
+        expect(authorizeSpy).toHaveBeenCalledWith(
+          expect.objectContaining({
+            amount: 40,
+            cardNumber: testCards.SUCCEEDS,
+          })
+        );
+        expect(captureSpy).toHaveBeenCalledWith(res.order.chargeId);
+        expect(res.order.paymentStatus).toEqual("succeeded");
+      });
+
+      it("should release the amount held on the card if the order isn't placed", async () => {
+        mockCart("PAYMENT_OPTION_CARD");
+        mockingoose(Order).toReturn(new Error("Write conflict"), "save");
+        const gateway = paymentService.getGateway();
+        const authorizeSpy = jest.spyOn(gateway, "authorize");
+        const cancelSpy = jest.spyOn(gateway, "cancel");
+
+        const res = cartService.checkout(
+          user,
+          user.addresses[0]._id,
+          testCards.SUCCEEDS
+        );
+
+        await expect(res).rejects.toThrow("Write conflict");
+        expect(authorizeSpy).toHaveBeenCalled();
+        const [chargeId] = cancelSpy.mock.calls[0];
+        expect((await gateway.retrieveCharge(chargeId)).status).toEqual(
+          "cancelled"
+        );
+      });
+
+      it("should log the amount held on the card if it can't be released", async () => {
+        mockCart("PAYMENT_OPTION_CARD");
+        mockingoose(Order).toReturn(new Error("Write conflict"), "save");
+        jest
+          .spyOn(paymentService.getGateway(), "cancel")
+          .mockRejectedValue(new Error("Gateway timeout"));
+        const errorSpy = jest
+          .spyOn(logger, "error")
+          .mockImplementation(() => {});
+
+        const res = cartService.checkout(
+          user,
+          user.addresses[0]._id,
+          testCards.SUCCEEDS
+        );
+
+        await expect(res).rejects.toThrow("Write conflict");
+        expect(errorSpy).toHaveBeenCalledWith(
+          expect.stringContaining("Failed to release"),
+          expect.any(String),
+          expect.stringContaining("Gateway timeout")
+        );
+      });
+
+      it("should place the order with the payment held if the gateway can't take it", async () => {
+        mockCart("PAYMENT_OPTION_CARD");
+        mockOrders();
+        jest
+          .spyOn(paymentService.getGateway(), "capture")
+          .mockRejectedValue(new Error("Gateway timeout"));
+        const errorSpy = jest
+          .spyOn(logger, "error")
+          .mockImplementation(() => {});
+
+        const res = await cartService.checkout(
+          user,
+          user.addresses[0]._id,
+          testCards.SUCCEEDS
+        );
+
+        expect(res.order.paymentStatus).toEqual("authorized");
+        expect(errorSpy).toHaveBeenCalledWith(
+          expect.stringContaining("Failed to take the payment"),
+          res.order._id,
+          expect.stringContaining("Gateway timeout")
+        );
+      });
+
+      it("should throw 400 error if paying by card without a card number", async () => {
+        mockCart("PAYMENT_OPTION_CARD");
+
+        const res = cartService.checkout(user, user.addresses[0]._id);
+
+        await expect(res).rejects.toEqual(
+          expect.objectContaining({ statusCode: httpStatus.BAD_REQUEST })
+        );
+      });
+
+      it("should throw 402 error if the card is declined", async () => {
+        mockCart("PAYMENT_OPTION_CARD");
+
+        const res = cartService.checkout(
+          user,
+          user.addresses[0]._id,
+          testCards.DECLINED
+        );
+
+        await expect(res).rejects.toEqual(
+          expect.objectContaining({ statusCode: httpStatus.PAYMENT_REQUIRED })
+        );
+      });
     });
   });
 });
@@ -0,0 +1,278 @@
+const httpStatus = require("http-status");
+const { Category, Coupon, Order } = require("../../src/models");
+const { couponService } = require("../../src/services");
+const ApiError = require("../../src/utils/ApiError");
+const { userOne } = require("../fixtures/user.fixture");
+const {
+  productOne,
+  productTwo,
+  productThree,
+  productWithVariants,
+} = require("../fixtures/product.fixture");
+const {
+  categorySports,
+  categoryCricket,
+  categoryPhones,
+} = require("../fixtures/category.fixture");
+const {
+  couponPercentage,
+  couponFlat,
+  couponExpired,
+  couponUsedUp,
+} = require("../fixtures/coupon.fixture");
+const mockingoose = require("mockingoose").default;
+
+// ₹40 of Sports products and ₹100 of Phones
+const cartItems = [
+  { product: { ...productOne, categoryId: categorySports._id }, quantity: 2 },
+  { product: { ...productThree, categoryId: categoryPhones._id }, quantity: 1 },
+];
+
+describe("Coupon test", () => {
+  beforeEach(() => {
+    mockingoose.resetAll();
+    mockingoose(Category).toReturn(
+      [categorySports, categoryCricket, categoryPhones],
+      "find"
+    );
+  });
+
+  describe("Create coupon", () => {
+    it("should take the name of the coupon's category", async () => {
+      mockingoose(Category).toReturn(categorySports, "findOne");
+      mockingoose(Coupon).toReturn((coupon) => coupon, "save");
+
+      const res = await couponService.createCoupon({
+        ...couponFlat,
+        categoryId: categorySports._id,
+      });
+
+      expect(res.category).toEqual(categorySports.name);
+    });
+
+    it("should throw 400 error if the category doesn't exist", async () => {
+      mockingoose(Category).toReturn(null, "findOne");
+      const createSpy = jest.spyOn(Coupon, "create");
+
+      const res = couponService.createCoupon({
+        ...couponFlat,
+        categoryId: categorySports._id,
+      });
+
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({
+          statusCode: httpStatus.BAD_REQUEST,
+          message: "Category not found",
+        })
+      );
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+
+    it("should throw 400 error if the coupon code already exists", async () => {
+      jest
+        .spyOn(Coupon, "create")
+        .mockRejectedValueOnce(
+          Object.assign(new Error("dup"), { code: 11000 })
+        );
+
+      const res = couponService.createCoupon(couponFlat);
+
+      await expect(res).rejects.toThrow(ApiError);
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({ statusCode: httpStatus.BAD_REQUEST })
+      );
+    });
+  });
+
+  describe("Check coupon", () => {
+    it("should take the percentage off the products of the coupon's category only", async () => {
+      mockingoose(Coupon).toReturn(couponPercentage, "findOne");
+
+      const { coupon, discount } = await couponService.checkCoupon(
+        "sports10",
+        userOne,
+        cartItems
+      );
+
+      expect(coupon.code).toEqual(couponPercentage.code);
+      expect(discount).toEqual(4);
+    });
+
+    it("should take the percentage off the products of categories nested in the coupon's category", async () => {
+      mockingoose(Coupon).toReturn(couponPercentage, "findOne");
+
+      const { discount } = await couponService.checkCoupon(
+        "SPORTS10",
+        userOne,
+        [
+          ...cartItems,
+          {
+            product: { ...productTwo, categoryId: categoryCricket._id },
+            quantity: 4,
+          },
+        ]
+      );
+
+      expect(discount).toEqual(6);
+    });
+
+    it("should take a flat amount off the cart", async () => {
+      mockingoose(Coupon).toReturn(couponFlat, "findOne");
+      mockingoose(Order).toReturn(0, "countDocuments");
+
+      const { discount } = await couponService.checkCoupon(
+        "FLAT15",
+        userOne,
+        cartItems
+      );
+
+      expect(discount).toEqual(15);
+    });
+
+    it("should count the cost of the variants in the cart towards the minimum cart value", async () => {
+      mockingoose(Coupon).toReturn(
+        { ...couponFlat, minCartValue: 35 },
+        "findOne"
+      );
+      mockingoose(Order).toReturn(0, "countDocuments");
+
+      // Two of the large size, ₹18 each rather than the product's ₹15
+      const { discount } = await couponService.checkCoupon("FLAT15", userOne, [
+        {
+          product: productWithVariants,
+          variantId: productWithVariants.variants[1]._id,
+          quantity: 2,
+        },
+      ]);
+
+      expect(discount).toEqual(15);
+    });
+
+    it("should not take more off than the eligible products cost", async () => {
+      mockingoose(Coupon).toReturn(
+        { ...couponPercentage, type: "flat", value: 100 },
+        "findOne"
+      );
+
+      const { discount } = await couponService.checkCoupon(
+        "SPORTS10",
+        userOne,
+        cartItems
+      );
+
+      expect(discount).toEqual(40);
+    });
+
+    [
+      ["the code doesn't exist", null, cartItems, "Invalid coupon code"],
+      ["it has expired", couponExpired, cartItems, "Coupon has expired"],
+      [
+        "the cart has no products of its category",
+        couponPercentage,
+        [cartItems[1]],
+        "Coupon is only valid on Sports products",
+      ],
+      [
+        "the cart value is too low",
+        couponFlat,
+        [{ ...cartItems[0], quantity: 1 }],
+        "Coupon needs a cart value of at least ₹30",
+      ],
+      [
+        "its usage limit was reached",
+        couponUsedUp,
+        cartItems,
+        "Coupon usage limit reached",
+      ],
+    ].forEach(([when, coupon, items, message]) => {
+      it(`should throw 400 error if ${when}`, async () => {
+        mockingoose(Coupon).toReturn(coupon, "findOne");
+        mockingoose(Order).toReturn(0, "countDocuments");
+
+        const res = couponService.checkCoupon("CODE", userOne, items);
+
+        await expect(res).rejects.toThrow(ApiError);
+        await expect(res).rejects.toEqual(
+          expect.objectContaining({
+            statusCode: httpStatus.BAD_REQUEST,
+            message,
+          })
+        );
+      });
+    });
+
+    it("should throw 400 error if the user already used the coupon as often as allowed", async () => {
+      mockingoose(Coupon).toReturn(couponFlat, "findOne");
+      mockingoose(Order).toReturn(1, "countDocuments");
+
+      const res = couponService.checkCoupon("FLAT15", userOne, cartItems);
+
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({
+          statusCode: httpStatus.BAD_REQUEST,
+          message: "You have already used this coupon",
+        })
+      );
+    });
+
+    it("should not count the user's cancelled orders towards the per user limit", async () => {
+      mockingoose(Coupon).toReturn(couponFlat, "findOne");
+      // The user's one order with the coupon was cancelled
+      mockingoose(Order).toReturn((query) => {
+        const { status } = query.getQuery();
+        return status && status.$ne === "CANCELLED" ? 0 : 1;
+      }, "countDocuments");
+
+      const res = await couponService.checkCoupon("FLAT15", userOne, cartItems);
+
+      expect(res.coupon.code).toEqual(couponFlat.code);
+    });
+  });
+
+  describe("Redeem coupon", () => {
+    it("should count a use of the coupon", async () => {
+      mockingoose(Coupon).toReturn(
+        { ...couponPercentage, usedCount: 1 },
+        "findOneAndUpdate"
+      );
+
+      const res = await couponService.redeemCoupon(couponPercentage);
+
+      expect(res.usedCount).toEqual(1);
+    });
+
+    it("should throw 400 error if the coupon reached its usage limit meanwhile", async () => {
+      mockingoose(Coupon).toReturn(null, "findOneAndUpdate");
+
+      const res = couponService.redeemCoupon({
+        ...couponFlat,
+        usageLimit: 1,
+      });
+
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({
+          statusCode: httpStatus.BAD_REQUEST,
+          message: "Coupon usage limit reached",
+        })
+      );
+    });
+  });
+
+  describe("Release coupon", () => {
+    it("should give back a use of the coupon, not taking its count below zero", async () => {
+      let update;
+      mockingoose(Coupon).toReturn((query) => {
+        update = { filter: query.getQuery(), change: query.getUpdate() };
+        return { n: 1, nModified: 1, ok: 1 };
+      }, "updateOne");
+
+      await couponService.releaseCoupon(couponFlat.code);
+
+      expect(update.filter).toEqual({
+        code: couponFlat.code,
+        usedCount: { $gt: 0 },
+      });
+      expect(update.change).toEqual({ $inc: { usedCount: -1 } });
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { emailService } = require("../../src/services");
+const { createFileOutbox } = require("../../src/utils/outbox");
+const config = require("../config/config");
+
+describe("Email test", () => {
+  beforeEach(() => {
+    emailService.getTransport().clear();
+  });
+
+  describe("Send reset password email", () => {
+    it("should send the reset password link through the transport", async () => {
+      await emailService.sendResetPasswordEmail("crio-user@gmail.com", "abc");
+
+      const { messages } = emailService.getTransport();
+      expect(messages.length).toEqual(1);
+      expect(messages[0]).toEqual(
+        expect.objectContaining({
+          from: config.email.from,
+          to: "crio-user@gmail.com",
+          subject: expect.any(String),
+        })
+      );
+      expect(messages[0].text).toContain(
+        `${config.clientUrl}/reset-password?token=abc`
+      );
+    });
+
+    it("should use the transport that is plugged in", async () => {
+      const defaultTransport = emailService.getTransport();
+      const transport = { send: jest.fn() };
+      emailService.setTransport(transport);
+
+      await emailService.sendResetPasswordEmail("crio-user@gmail.com", "abc");
+      emailService.setTransport(defaultTransport);
+
+      expect(transport.send).toHaveBeenCalledWith(
+        expect.objectContaining({ to: "crio-user@gmail.com" })
+      );
+      expect(defaultTransport.messages.length).toEqual(0);
+    });
+  });
+
+  describe("File outbox", () => {
+    it("should write each email to a JSON file", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "qkart-outbox-"));
+      const outbox = createFileOutbox(dir);
+
+      await outbox.send({
+        from: config.email.from,
+        to: "crio-user@gmail.com",
+        subject: "Hello",
+        text: "World",
+      });
+
+      const files = fs.readdirSync(dir);
+      expect(files.length).toEqual(1);
+      const email = JSON.parse(fs.readFileSync(path.join(dir, files[0])));
+      expect(email).toEqual(
+        expect.objectContaining({
+          to: "crio-user@gmail.com",
+          subject: "Hello",
+          text: "World",
+        })
+      );
+
+      fs.rmSync(dir, { recursive: true });
+    });
+  });
+});
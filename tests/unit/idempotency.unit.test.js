@@ -0,0 +1,150 @@
+const express = require("express");
+const request = require("supertest");
+const httpStatus = require("http-status");
+const { IdempotencyKey } = require("../../src/models");
+const { idempotencyService } = require("../../src/services");
+const idempotent = require("../../src/middlewares/idempotency");
+const { errorHandler } = require("../../src/middlewares/error");
+const { userOne } = require("../fixtures/user.fixture");
+const mockingoose = require("mockingoose").default;
+
+// The error MongoDB fails on when a key is already taken
+const duplicateKeyError = () =>
+  Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+
+describe("Idempotency test", () => {
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("Claim key", () => {
+    const storedKey = {
+      userId: userOne._id,
+      key: "key",
+      fingerprint: "fingerprint",
+      responseStatus: 201,
+      responseBody: { email: userOne.email },
+      createdAt: new Date(),
+    };
+
+    it("should claim a new key and return null", async () => {
+      const res = await idempotencyService.claimKey(
+        userOne._id,
+        "key",
+        "fingerprint"
+      );
+
+      expect(res).toBeNull();
+    });
+
+    it("should return the stored response if the request is a retry", async () => {
+      mockingoose(IdempotencyKey).toReturn(duplicateKeyError(), "save");
+      mockingoose(IdempotencyKey).toReturn(storedKey, "findOne");
+
+      const res = await idempotencyService.claimKey(
+        userOne._id,
+        "key",
+        "fingerprint"
+      );
+
+      expect(res.responseStatus).toEqual(201);
+      expect(res.responseBody).toEqual({ email: userOne.email });
+    });
+
+    it("should throw 422 error if the key was used for a different request", async () => {
+      mockingoose(IdempotencyKey).toReturn(duplicateKeyError(), "save");
+      mockingoose(IdempotencyKey).toReturn(storedKey, "findOne");
+
+      const res = idempotencyService.claimKey(
+        userOne._id,
+        "key",
+        "another fingerprint"
+      );
+
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({
+          statusCode: httpStatus.UNPROCESSABLE_ENTITY,
+        })
+      );
+    });
+
+    it("should throw 409 error if the first request with the key is still being handled", async () => {
+      mockingoose(IdempotencyKey).toReturn(duplicateKeyError(), "save");
+      mockingoose(IdempotencyKey).toReturn(
+        { ...storedKey, responseStatus: undefined, responseBody: undefined },
+        "findOne"
+      );
+
+      const res = idempotencyService.claimKey(
+        userOne._id,
+        "key",
+        "fingerprint"
+      );
+
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({ statusCode: httpStatus.CONFLICT })
+      );
+    });
+
+    it("should claim the key afresh once it has expired", async () => {
+      const createSpy = jest
+        .spyOn(IdempotencyKey, "create")
+        .mockRejectedValueOnce(duplicateKeyError())
+        .mockResolvedValueOnce({});
+      const deleteSpy = jest.spyOn(IdempotencyKey, "deleteOne");
+      mockingoose(IdempotencyKey).toReturn(
+        { ...storedKey, createdAt: new Date(Date.now() - 25 * 60 * 60 * 1000) },
+        "findOne"
+      );
+
+      const res = await idempotencyService.claimKey(
+        userOne._id,
+        "key",
+        "another fingerprint"
+      );
+
+      expect(res).toBeNull();
+      expect(deleteSpy).toHaveBeenCalled();
+      expect(createSpy).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("Idempotent middleware", () => {
+    // An app with a route handled by the middleware, failing with the error given
+    const appFailingWith = (error) => {
+      const app = express();
+      app.post(
+        "/",
+        (req, res, next) => {
+          req.user = userOne;
+          next();
+        },
+        idempotent,
+        (req, res, next) => next(error)
+      );
+      app.use(errorHandler);
+      return app;
+    };
+
+    it("should release the key and still respond if the handler fails with an error other than ApiError", async () => {
+      jest.spyOn(idempotencyService, "claimKey").mockResolvedValue(null);
+      const releaseSpy = jest
+        .spyOn(idempotencyService, "releaseKey")
+        .mockResolvedValue();
+      const saveSpy = jest.spyOn(idempotencyService, "saveResponse");
+
+      const res = await request(appFailingWith(new Error("boom")))
+        .post("/")
+        .set("Idempotency-Key", "key")
+        .timeout(2000);
+
+      expect(res.status).toEqual(httpStatus.INTERNAL_SERVER_ERROR);
+      expect(releaseSpy).toHaveBeenCalledWith(userOne._id, "key");
+      expect(saveSpy).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,348 @@
+const httpStatus = require("http-status");
+const { Order } = require("../../src/models");
+const {
+  couponService,
+  orderService,
+  paymentService,
+  productService,
+  walletService,
+} = require("../../src/services");
+const { userOne } = require("../fixtures/user.fixture");
+const { cartWithProductsUserOne } = require("../fixtures/cart.fixture");
+const { orderUserOne } = require("../fixtures/order.fixture");
+const logger = require("../../src/config/logger");
+const mockingoose = require("mockingoose").default;
+const mockTransactions = require("../utils/mockTransactions");
+
+describe("Order test", () => {
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  describe("Create order", () => {
+    it("should snapshot the cart items and shipping address", async () => {
+      const address = userOne.addresses[0];
+
+      const res = await orderService.createOrder(
+        userOne,
+        cartWithProductsUserOne,
+        address,
+        { subtotal: 40, discount: 0, shipping: 10, tax: 4, total: 54 },
+        {
+          paymentOption: cartWithProductsUserOne.paymentOption,
+          status: "succeeded",
+        }
+      );
+
+      expect(res.userId).toEqual(userOne._id);
+      expect(res.total).toEqual(54);
+      expect(res.pricing.toObject()).toEqual({
+        subtotal: 40,
+        discount: 0,
+        shipping: 10,
+        tax: 4,
+      });
+      expect(res.paymentOption).toEqual(cartWithProductsUserOne.paymentOption);
+      expect(res.paymentStatus).toEqual("succeeded");
+      expect(res.shippingAddress.addressId).toEqual(address._id);
+      expect(res.orderItems[0].toObject()).toEqual({
+        product: expect.anything(),
+        name: "ball",
+        category: "Sports",
+        image: "google.com",
+        cost: 20,
+        quantity: 2,
+      });
+    });
+  });
+
+  describe("GET order by id", () => {
+    it("should return one order", async () => {
+      mockingoose(Order).toReturn(orderUserOne, "findOne");
+
+      const res = await orderService.getOrderById(orderUserOne._id);
+
+      expect(res._id).toEqual(orderUserOne._id);
+      expect(res.total).toEqual(orderUserOne.total);
+    });
+  });
+
+  describe("Update order status", () => {
+    mockTransactions();
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("should move the order on and record the change", async () => {
+      mockingoose(Order).toReturn(orderUserOne, "findOne");
+
+      const res = await orderService.updateOrderStatus(
+        orderUserOne._id,
+        "CONFIRMED"
+      );
+
+      expect(res.status).toEqual("CONFIRMED");
+      expect(
+        res.toJSON().statusHistory.map((change) => change.status)
+      ).toEqual(["PLACED", "CONFIRMED"]);
+    });
+
+    it("should throw 400 error if the order can't move to the status", async () => {
+      mockingoose(Order).toReturn(
+        { ...orderUserOne, status: "SHIPPED" },
+        "findOne"
+      );
+
+      const res = orderService.updateOrderStatus(
+        orderUserOne._id,
+        "CANCELLED"
+      );
+
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({ statusCode: httpStatus.BAD_REQUEST })
+      );
+    });
+
+    it("should throw 404 error if the order is not found", async () => {
+      mockingoose(Order).toReturn(null, "findOne");
+
+      const res = orderService.updateOrderStatus(
+        orderUserOne._id,
+        "CONFIRMED"
+      );
+
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({ statusCode: httpStatus.NOT_FOUND })
+      );
+    });
+
+    it("should refund and restock a cancelled order paid for from the wallet", async () => {
+      mockingoose(Order).toReturn(orderUserOne, "findOne");
+      const restockSpy = jest
+        .spyOn(productService, "incrementStock")
+        .mockResolvedValue({});
+      const creditSpy = jest
+        .spyOn(walletService, "creditWallet")
+        .mockResolvedValue({});
+
+      const res = await orderService.updateOrderStatus(
+        orderUserOne._id,
+        "CANCELLED"
+      );
+
+      expect(res.paymentStatus).toEqual("refunded");
+      expect(restockSpy).toHaveBeenCalledWith(
+        orderUserOne.orderItems[0].product,
+        2,
+        expect.anything(),
+        undefined
+      );
+      expect(creditSpy).toHaveBeenCalledWith(
+        { _id: orderUserOne.userId },
+        40,
+        { reason: "refund", reference: orderUserOne._id },
+        expect.anything()
+      );
+    });
+
+    it("should not refund a cancelled cash on delivery order", async () => {
+      mockingoose(Order).toReturn(
+        {
+          ...orderUserOne,
+          paymentOption: "PAYMENT_OPTION_COD",
+          paymentStatus: "pending",
+        },
+        "findOne"
+      );
+      const creditSpy = jest.spyOn(walletService, "creditWallet");
+
+      const res = await orderService.updateOrderStatus(
+        orderUserOne._id,
+        "CANCELLED"
+      );
+
+      expect(res.paymentStatus).toEqual("pending");
+      expect(creditSpy).not.toHaveBeenCalled();
+    });
+
+    it("should give back the use of the coupon of a cancelled order", async () => {
+      mockingoose(Order).toReturn(
+        { ...orderUserOne, couponCode: "FLAT15" },
+        "findOne"
+      );
+      jest.spyOn(walletService, "creditWallet").mockResolvedValue({});
+      const releaseSpy = jest
+        .spyOn(couponService, "releaseCoupon")
+        .mockResolvedValue();
+
+      await orderService.updateOrderStatus(orderUserOne._id, "CANCELLED");
+
+      expect(releaseSpy).toHaveBeenCalledWith("FLAT15", expect.anything());
+    });
+
+    it("should not give back the use of the coupon of an order moved on", async () => {
+      mockingoose(Order).toReturn(
+        { ...orderUserOne, couponCode: "FLAT15" },
+        "findOne"
+      );
+      const releaseSpy = jest.spyOn(couponService, "releaseCoupon");
+
+      await orderService.updateOrderStatus(orderUserOne._id, "CONFIRMED");
+
+      expect(releaseSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Settle order payments", () => {
+    const cardOrder = {
+      ...orderUserOne,
+      paymentOption: "PAYMENT_OPTION_CARD",
+      paymentStatus: "authorized",
+      chargeId: "ch_1",
+    };
+
+    // Keep what was saved last, so later reads of the order see it
+    const mockOrders = (order) => {
+      let savedOrder = order;
+      mockingoose(Order).toReturn((doc) => {
+        savedOrder = doc.toObject();
+        return doc;
+      }, "save");
+      mockingoose(Order).toReturn(() => savedOrder, "findOne");
+      mockingoose(Order).toReturn([order], "find");
+    };
+
+    mockTransactions();
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("should take the payment held for a placed order", async () => {
+      mockOrders(cardOrder);
+      const captureSpy = jest
+        .spyOn(paymentService, "captureOrderPayment")
+        .mockResolvedValue({ id: "ch_1", status: "succeeded" });
+
+      const res = await orderService.settleOrderPayments();
+
+      expect(res).toEqual({ settled: 1, pending: 0, failed: 0, errors: [] });
+      expect(captureSpy).toHaveBeenCalledWith("ch_1");
+      const order = await Order.findById(cardOrder._id);
+      expect(order.paymentStatus).toEqual("succeeded");
+    });
+
+    it("should leave orders whose payment is still pending at the gateway", async () => {
+      mockOrders({ ...cardOrder, paymentStatus: "pending" });
+      jest
+        .spyOn(paymentService, "captureOrderPayment")
+        .mockResolvedValue({ id: "ch_1", status: "pending" });
+
+      const res = await orderService.settleOrderPayments();
+
+      expect(res).toEqual({ settled: 0, pending: 1, failed: 0, errors: [] });
+    });
+
+    it("should report orders whose payment couldn't be settled", async () => {
+      mockOrders(cardOrder);
+      jest
+        .spyOn(paymentService, "captureOrderPayment")
+        .mockRejectedValue(new Error("Gateway unavailable"));
+
+      const res = await orderService.settleOrderPayments();
+
+      expect(res).toEqual({
+        settled: 0,
+        pending: 0,
+        failed: 1,
+        errors: [{ orderId: cardOrder._id, message: "Gateway unavailable" }],
+      });
+    });
+
+    it("should cancel and restock the order if the card declined the hold", async () => {
+      mockOrders({ ...cardOrder, paymentStatus: "pending" });
+      jest
+        .spyOn(paymentService, "captureOrderPayment")
+        .mockResolvedValue({ id: "ch_1", status: "declined" });
+      const restockSpy = jest
+        .spyOn(productService, "incrementStock")
+        .mockResolvedValue({});
+      const creditSpy = jest.spyOn(walletService, "creditWallet");
+
+      const res = await orderService.settleOrderPayment(
+        Order.hydrate({ ...cardOrder, paymentStatus: "pending" })
+      );
+
+      expect(res.status).toEqual("CANCELLED");
+      expect(res.paymentStatus).toEqual("declined");
+      expect(restockSpy).toHaveBeenCalled();
+      expect(creditSpy).not.toHaveBeenCalled();
+    });
+
+    it("should release the payment held when the order is cancelled, without a refund", async () => {
+      mockOrders(cardOrder);
+      const cancelSpy = jest
+        .spyOn(paymentService, "cancelOrderPayment")
+        .mockResolvedValue({ id: "ch_1", status: "cancelled" });
+      jest.spyOn(productService, "incrementStock").mockResolvedValue({});
+      const creditSpy = jest.spyOn(walletService, "creditWallet");
+
+      const res = await orderService.updateOrderStatus(
+        cardOrder._id,
+        "CANCELLED"
+      );
+
+      expect(cancelSpy).toHaveBeenCalledWith("ch_1");
+      expect(res.status).toEqual("CANCELLED");
+      expect(res.paymentStatus).toEqual("cancelled");
+      expect(creditSpy).not.toHaveBeenCalled();
+    });
+
+    it("should cancel the order and leave the payment held to settle later if it can't be released", async () => {
+      mockOrders(cardOrder);
+      jest
+        .spyOn(paymentService, "cancelOrderPayment")
+        .mockRejectedValue(new Error("Gateway unavailable"));
+      jest.spyOn(productService, "incrementStock").mockResolvedValue({});
+      const errorSpy = jest
+        .spyOn(logger, "error")
+        .mockImplementation(() => {});
+
+      const res = await orderService.updateOrderStatus(
+        cardOrder._id,
+        "CANCELLED"
+      );
+
+      expect(res.status).toEqual("CANCELLED");
+      expect(res.paymentStatus).toEqual("authorized");
+      expect(errorSpy).toHaveBeenCalledWith(
+        expect.stringContaining("Failed to release"),
+        cardOrder._id,
+        expect.stringContaining("Gateway unavailable")
+      );
+    });
+
+    it("should refund an order cancelled while its payment was being taken", async () => {
+      mockOrders({ ...cardOrder, status: "CANCELLED" });
+      jest
+        .spyOn(paymentService, "cancelOrderPayment")
+        .mockResolvedValue({ id: "ch_1", status: "succeeded" });
+      const creditSpy = jest
+        .spyOn(walletService, "creditWallet")
+        .mockResolvedValue({});
+
+      const res = await orderService.settleOrderPayment(
+        Order.hydrate({ ...cardOrder, status: "CANCELLED" })
+      );
+
+      expect(res.paymentStatus).toEqual("refunded");
+      expect(creditSpy).toHaveBeenCalledWith(
+        { _id: cardOrder.userId },
+        40,
+        { reason: "refund", reference: cardOrder._id },
+        expect.anything()
+      );
+    });
+  });
+});
@@ -0,0 +1,261 @@
+const { execFileSync } = require("child_process");
+const path = require("path");
+const httpStatus = require("http-status");
+const { Payment } = require("../../src/models");
+const { paymentService, walletService } = require("../../src/services");
+const { createFakeGateway } = require("../../src/utils/paymentGateway");
+const config = require("../../src/config/config");
+const { testCards } = require("../../src/config/payments");
+const { userOne } = require("../fixtures/user.fixture");
+const mockingoose = require("mockingoose").default;
+const mockTransactions = require("../utils/mockTransactions");
+
+describe("Payment test", () => {
+  describe("Fake gateway", () => {
+    it("should decide the outcome of a charge by the test card", async () => {
+      const gateway = createFakeGateway();
+
+      const charges = await Promise.all(
+        [testCards.SUCCEEDS, testCards.DECLINED, testCards.PENDING, "4111111111111111"].map(
+          (cardNumber, i) =>
+            gateway.charge({ amount: 100, cardNumber, idempotencyKey: `key-${i}` })
+        )
+      );
+
+      expect(charges.map((charge) => charge.status)).toEqual([
+        "succeeded",
+        "declined",
+        "pending",
+        "declined",
+      ]);
+    });
+
+    it("should settle pending charges once settleAfterMs have passed", async () => {
+      const gateway = createFakeGateway({ settleAfterMs: 1000 });
+      const now = Date.now();
+      const nowSpy = jest.spyOn(Date, "now").mockReturnValue(now);
+
+      const charge = await gateway.charge({
+        amount: 100,
+        cardNumber: testCards.PENDING,
+        idempotencyKey: "key",
+      });
+      expect(charge.status).toEqual("pending");
+
+      nowSpy.mockReturnValue(now + 1000);
+      expect((await gateway.retrieveCharge(charge.id)).status).toEqual(
+        "succeeded"
+      );
+      nowSpy.mockRestore();
+    });
+
+    it("should return the original charge when charging again with the same key", async () => {
+      const gateway = createFakeGateway();
+
+      const first = await gateway.charge({
+        amount: 100,
+        cardNumber: testCards.SUCCEEDS,
+        idempotencyKey: "key",
+      });
+      const second = await gateway.charge({
+        amount: 100,
+        cardNumber: testCards.SUCCEEDS,
+        idempotencyKey: "key",
+      });
+
+      expect(second.id).toEqual(first.id);
+    });
+
+    it("should hold the amount on the card until it's taken or released", async () => {
+      const gateway = createFakeGateway();
+
+      const taken = await gateway.authorize({
+        amount: 100,
+        cardNumber: testCards.SUCCEEDS,
+        idempotencyKey: "taken",
+      });
+      expect(taken.status).toEqual("authorized");
+      expect((await gateway.capture(taken.id)).status).toEqual("succeeded");
+
+      const released = await gateway.authorize({
+        amount: 100,
+        cardNumber: testCards.SUCCEEDS,
+        idempotencyKey: "released",
+      });
+      expect((await gateway.cancel(released.id)).status).toEqual("cancelled");
+      await expect(gateway.capture(released.id)).rejects.toThrow(
+        "can't be made succeeded"
+      );
+    });
+  });
+
+  describe("Gateway config", () => {
+    const defaultConfig = { env: config.env, payments: { ...config.payments } };
+
+    afterEach(() => {
+      config.env = defaultConfig.env;
+      config.payments = { ...defaultConfig.payments };
+    });
+
+    it("should load the adapter from the module at PAYMENT_GATEWAY", () => {
+      const adapter = { charge: jest.fn(), retrieveCharge: jest.fn() };
+      jest.doMock(
+        path.join(__dirname, "../../gateways/provider.js"),
+        () => adapter,
+        { virtual: true }
+      );
+      config.env = "production";
+      config.payments.gateway = "gateways/provider.js";
+
+      expect(paymentService.createGateway()).toBe(adapter);
+    });
+
+    it("should refuse the fake gateway in production", () => {
+      config.env = "production";
+      config.payments.gateway = "fake";
+
+      expect(() => paymentService.createGateway()).toThrow(
+        "The fake payment gateway can't be used in production"
+      );
+    });
+
+    it("should not start in production without PAYMENT_GATEWAY", () => {
+      const configPath = path.join(__dirname, "../../src/config/config");
+      const env = { ...process.env, NODE_ENV: "production" };
+      delete env.PAYMENT_GATEWAY;
+
+      // Load the config in a process of its own, as it's validated once when loaded
+      const loadConfig = () =>
+        execFileSync(process.execPath, ["-e", `require("${configPath}")`], {
+          env,
+          stdio: "pipe",
+        });
+
+      expect(loadConfig).toThrow('"PAYMENT_GATEWAY" is required');
+    });
+  });
+
+  describe("Top up wallet", () => {
+    const defaultGateway = paymentService.getGateway();
+    let gateway;
+
+    mockTransactions();
+
+    beforeEach(() => {
+      mockingoose.resetAll();
+      gateway = {
+        charge: jest.fn(),
+        retrieveCharge: jest.fn(),
+      };
+      paymentService.setGateway(gateway);
+    });
+
+    afterEach(() => {
+      paymentService.setGateway(defaultGateway);
+      jest.restoreAllMocks();
+    });
+
+    it("should credit the wallet once the charge succeeds", async () => {
+      mockingoose(Payment).toReturn(null, "findOne");
+      gateway.charge.mockResolvedValue({ id: "ch_1", status: "succeeded" });
+      mockingoose(Payment).toReturn(
+        { userId: userOne._id, amount: 100, status: "succeeded" },
+        "findOneAndUpdate"
+      );
+      const creditSpy = jest
+        .spyOn(walletService, "creditWallet")
+        .mockResolvedValue({ ...userOne, walletMoney: 300 });
+
+      const payment = await paymentService.topUpWallet(
+        userOne,
+        100,
+        testCards.SUCCEEDS,
+        "key"
+      );
+
+      expect(payment.status).toEqual("succeeded");
+      expect(gateway.charge).toHaveBeenCalledWith({
+        amount: 100,
+        cardNumber: testCards.SUCCEEDS,
+        idempotencyKey: `${userOne._id}:key`,
+      });
+      expect(creditSpy).toHaveBeenCalledWith(
+        { _id: userOne._id },
+        100,
+        expect.objectContaining({ reason: "topUp" }),
+        expect.anything()
+      );
+    });
+
+    it("should not credit the wallet if the charge is declined", async () => {
+      mockingoose(Payment).toReturn(null, "findOne");
+      gateway.charge.mockResolvedValue({ id: "ch_1", status: "declined" });
+      mockingoose(Payment).toReturn(
+        { userId: userOne._id, amount: 100, status: "declined" },
+        "findOneAndUpdate"
+      );
+      const creditSpy = jest.spyOn(walletService, "creditWallet");
+
+      const payment = await paymentService.topUpWallet(
+        userOne,
+        100,
+        testCards.DECLINED,
+        "key"
+      );
+
+      expect(payment.status).toEqual("declined");
+      expect(creditSpy).not.toHaveBeenCalled();
+    });
+
+    it("should return the payment made with the key instead of charging again", async () => {
+      mockingoose(Payment).toReturn(
+        {
+          userId: userOne._id,
+          idempotencyKey: "key",
+          amount: 100,
+          cardLast4: "4242",
+          status: "succeeded",
+          chargeId: "ch_1",
+        },
+        "findOne"
+      );
+
+      const payment = await paymentService.topUpWallet(
+        userOne,
+        100,
+        testCards.SUCCEEDS,
+        "key"
+      );
+
+      expect(payment.status).toEqual("succeeded");
+      expect(gateway.charge).not.toHaveBeenCalled();
+    });
+
+    it("should throw 422 error if the key was used for a different top-up", async () => {
+      mockingoose(Payment).toReturn(
+        {
+          userId: userOne._id,
+          idempotencyKey: "key",
+          amount: 100,
+          cardLast4: "4242",
+          status: "succeeded",
+        },
+        "findOne"
+      );
+
+      const res = paymentService.topUpWallet(
+        userOne,
+        200,
+        testCards.SUCCEEDS,
+        "key"
+      );
+
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({
+          statusCode: httpStatus.UNPROCESSABLE_ENTITY,
+        })
+      );
+      expect(gateway.charge).not.toHaveBeenCalled();
+    });
+  });
+});
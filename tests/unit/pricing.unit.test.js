@@ -0,0 +1,89 @@
+const config = require("../../src/config/config");
+const { pricingService } = require("../../src/services");
+const {
+  productOne,
+  productTwo,
+  productWithVariants,
+} = require("../fixtures/product.fixture");
+
+describe("Pricing test", () => {
+  const defaultPricing = { ...config.pricing };
+  const cartItems = [
+    { product: productOne, quantity: 2 },
+    { product: productTwo, quantity: 3 },
+  ];
+
+  afterEach(() => {
+    config.pricing = { ...defaultPricing };
+  });
+
+  it("should total every line in the cart", () => {
+    const pricing = pricingService.priceCart(cartItems);
+
+    expect(pricing.items).toEqual([
+      {
+        productId: productOne._id,
+        name: productOne.name,
+        cost: 20,
+        quantity: 2,
+        subtotal: 40,
+      },
+      {
+        productId: productTwo._id,
+        name: productTwo.name,
+        cost: 5,
+        quantity: 3,
+        subtotal: 15,
+      },
+    ]);
+    expect(pricing.subtotal).toEqual(55);
+    expect(pricing.total).toEqual(55);
+  });
+
+  it("should charge the cost of the variant, if it has its own", () => {
+    const [small, large] = productWithVariants.variants;
+    const pricing = pricingService.priceCart([
+      { product: productWithVariants, variantId: small._id, quantity: 1 },
+      { product: productWithVariants, variantId: large._id, quantity: 2 },
+    ]);
+
+    expect(pricing.items.map((item) => item.cost)).toEqual([15, 18]);
+    expect(pricing.subtotal).toEqual(51);
+  });
+
+  it("should add shipping and tax on the discounted subtotal", () => {
+    config.pricing = { shippingCharge: 50, taxRate: 0.18 };
+
+    const pricing = pricingService.priceCart(cartItems, { discount: 5 });
+
+    expect(pricing).toEqual(
+      expect.objectContaining({
+        subtotal: 55,
+        discount: 5,
+        shipping: 50,
+        tax: 9,
+        total: 109,
+      })
+    );
+  });
+
+  it("should waive shipping from the free shipping threshold", () => {
+    config.pricing = {
+      shippingCharge: 50,
+      freeShippingThreshold: 55,
+      taxRate: 0,
+    };
+
+    expect(pricingService.priceCart(cartItems).shipping).toEqual(0);
+    expect(pricingService.priceCart(cartItems.slice(0, 1)).shipping).toEqual(
+      50
+    );
+  });
+
+  it("should not discount more than the subtotal", () => {
+    const pricing = pricingService.priceCart(cartItems, { discount: 100 });
+
+    expect(pricing.discount).toEqual(55);
+    expect(pricing.total).toEqual(0);
+  });
+});
@@ -1,6 +1,16 @@
-const { Product } = require("../../src/models");
+const httpStatus = require("http-status");
+const { Product, Cart, Review, Category } = require("../../src/models");
+const ApiError = require("../../src/utils/ApiError");
 const { productService } = require("../../src/services");
-const { productOne, productTwo } = require("../fixtures/product.fixture");
+const {
+  productOne,
+  productTwo,
+  productWithVariants,
+} = require("../fixtures/product.fixture");
+const {
+  categorySports,
+  categoryCricket,
+} = require("../fixtures/category.fixture");
 const mockingoose = require("mockingoose").default;
 
 describe("Product test", () => {
@@ -8,16 +18,72 @@ describe("Product test", () => {
     mockingoose.resetAll();
   });
 
-  describe("GET products", () => {
-    it("should return list of products", async () => {
+  describe("Query products", () => {
+    it("should return a page of products", async () => {
       // Mock mongoose Product object to return a hardcoded array when its find() method is called
       mockingoose(Product).toReturn([productOne, productTwo], "find");
+      mockingoose(Product).toReturn(12, "countDocuments");
 
-      let productResponse = await productService.getProducts();
+      let productResponse = await productService.queryProducts(
+        {},
+        { page: 2, limit: 2 }
+      );
+
+      expect(productResponse.results.map((product) => product.toJSON())).toEqual(
+        [productOne, productTwo]
+      );
+      expect(productResponse).toEqual(
+        expect.objectContaining({
+          page: 2,
+          limit: 2,
+          totalPages: 6,
+          totalResults: 12,
+        })
+      );
+    });
+
+    it("should build the mongo filter from the query", async () => {
+      let findQuery;
+      mockingoose(Product).toReturn((query) => {
+        findQuery = query;
+        return [];
+      }, "find");
+      mockingoose(Product).toReturn(0, "countDocuments");
 
-      expect(JSON.stringify(productResponse)).toEqual(
-        JSON.stringify([productOne, productTwo])
+      await productService.queryProducts(
+        { q: "b.ll", category: "Sports", minCost: 10, maxCost: 50, minRating: 3 },
+        { sortBy: "cost:desc" }
       );
+
+      const filter = findQuery.getFilter();
+      expect(filter.$or).toEqual([
+        { name: /b\.ll/i },
+        { category: /b\.ll/i },
+      ]);
+      expect(filter.category).toEqual(/^Sports$/i);
+      expect(filter.cost).toEqual({ $gte: 10, $lte: 50 });
+      expect(filter.rating).toEqual({ $gte: 3 });
+      expect(findQuery.getOptions().sort).toEqual({ cost: -1, _id: 1 });
+    });
+
+    it("should match the products of the category and of the categories nested in it", async () => {
+      let findQuery;
+      mockingoose(Category).toReturn([categorySports, categoryCricket], "find");
+      mockingoose(Product).toReturn((query) => {
+        findQuery = query;
+        return [];
+      }, "find");
+      mockingoose(Product).toReturn(0, "countDocuments");
+
+      await productService.queryProducts(
+        { categoryId: categorySports._id },
+        {}
+      );
+
+      expect(findQuery.getFilter().categoryId.$in.map(String)).toEqual([
+        String(categorySports._id),
+        String(categoryCricket._id),
+      ]);
     });
   });
 
@@ -28,9 +94,145 @@ describe("Product test", () => {
 
       let productResponse = await productService.getProductById("1111");
 
-      expect(JSON.stringify(productResponse)).toEqual(
-        JSON.stringify(productOne)
+      expect(productResponse.toJSON()).toEqual(productOne);
+    });
+  });
+
+  describe("Create product", () => {
+    it("should take the category name from the category", async () => {
+      mockingoose(Category).toReturn(categorySports, "findOne");
+      const createSpy = jest.spyOn(Product, "create");
+      const { category, ...productBody } = productOne;
+
+      await productService.createProduct({
+        ...productBody,
+        categoryId: categorySports._id,
+      });
+
+      expect(createSpy.mock.calls[0][0].category).toEqual(categorySports.name);
+    });
+
+    it("should throw 400 error if the category doesn't exist", async () => {
+      mockingoose(Category).toReturn(null, "findOne");
+      const createSpy = jest.spyOn(Product, "create");
+
+      const res = productService.createProduct({
+        ...productOne,
+        categoryId: categorySports._id,
+      });
+
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({
+          statusCode: httpStatus.BAD_REQUEST,
+          message: "Category not found",
+        })
+      );
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Update product", () => {
+    it("should throw 404 error if the product is not found", async () => {
+      mockingoose(Product).toReturn(null, "findOne");
+
+      const res = productService.updateProductById(productOne._id, {
+        cost: 25,
+      });
+
+      await expect(res).rejects.toThrow(ApiError);
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({ statusCode: httpStatus.NOT_FOUND })
+      );
+    });
+
+    it("should save and return the updated product", async () => {
+      mockingoose(Product).toReturn(productOne, "findOne");
+      const saveSpy = jest.spyOn(Product.prototype, "save");
+
+      const product = await productService.updateProductById(productOne._id, {
+        cost: 25,
+      });
+
+      expect(product.cost).toEqual(25);
+      expect(product.name).toEqual(productOne.name);
+      expect(saveSpy).toHaveBeenCalled();
+      saveSpy.mockRestore();
+    });
+  });
+
+  describe("Variants", () => {
+    it("should keep the product's stock the sum of its variants' stock", async () => {
+      const product = new Product({
+        ...productWithVariants,
+        stock: 0,
+        variants: [
+          { sku: "TSHIRT-S", attributes: { size: "S" }, stock: 4 },
+          { sku: "TSHIRT-M", attributes: { size: "M" }, stock: 6 },
+        ],
+      });
+
+      await product.validate();
+
+      expect(product.stock).toEqual(10);
+    });
+
+    it("should only take stock of a variant that has enough left", async () => {
+      const variant = productWithVariants.variants[0];
+      const updateMock = jest.fn(() => productWithVariants);
+      mockingoose(Product).toReturn(updateMock, "findOneAndUpdate");
+
+      await productService.decrementStock(
+        productWithVariants._id,
+        2,
+        undefined,
+        variant._id
       );
+
+      const query = updateMock.mock.calls[0][0];
+      expect(query.getQuery()).toEqual({
+        _id: productWithVariants._id,
+        variants: { $elemMatch: { _id: variant._id, stock: { $gte: 2 } } },
+      });
+    });
+  });
+
+  describe("Delete product", () => {
+    it("should throw 404 error if the product is not found", async () => {
+      mockingoose(Product).toReturn(null, "findOne");
+
+      const res = productService.deleteProductById(productOne._id);
+
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({ statusCode: httpStatus.NOT_FOUND })
+      );
+    });
+
+    it("should remove the product from carts", async () => {
+      let cartQuery;
+      mockingoose(Product).toReturn(productOne, "findOne");
+      mockingoose(Cart).toReturn((query) => {
+        cartQuery = query;
+        return { nModified: 1 };
+      }, "updateMany");
+
+      await productService.deleteProductById(productOne._id);
+
+      expect(cartQuery.getFilter()).toEqual({
+        "cartItems.product._id": productOne._id,
+      });
+    });
+
+    it("should delete the product's reviews", async () => {
+      let reviewQuery;
+      mockingoose(Product).toReturn(productOne, "findOne");
+      mockingoose(Review).toReturn((query) => {
+        reviewQuery = query;
+        return { deletedCount: 1 };
+      }, "deleteMany");
+
+      await productService.deleteProductById(productOne._id);
+
+      expect(reviewQuery.getFilter()).toEqual({ productId: productOne._id });
     });
   });
 });
@@ -0,0 +1,202 @@
+const httpStatus = require("http-status");
+const { Product, Order, Review } = require("../../src/models");
+const { reviewService } = require("../../src/services");
+const ApiError = require("../../src/utils/ApiError");
+const { userOne } = require("../fixtures/user.fixture");
+const { productOne } = require("../fixtures/product.fixture");
+const { orderUserOne } = require("../fixtures/order.fixture");
+const { reviewUserTwo } = require("../fixtures/review.fixture");
+const mockingoose = require("mockingoose").default;
+const mockTransactions = require("../utils/mockTransactions");
+
+const reviewBody = {
+  rating: 4,
+  title: "Bounces well",
+  body: "Held up to a whole season of practice",
+};
+
+describe("Review test", () => {
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  mockTransactions();
+
+  describe("Create review", () => {
+    const mockProductUpdate = () => {
+      mockingoose(Product).toReturn(productOne, "findOneAndUpdate");
+      return jest.spyOn(Product, "findByIdAndUpdate");
+    };
+
+    it("should mark the review as a verified purchase if the user has ordered the product", async () => {
+      mockingoose(Product).toReturn(productOne, "findOne");
+      mockingoose(Order).toReturn(orderUserOne, "findOne");
+      mockingoose(Review).toReturn(
+        [{ _id: null, rating: 4, reviewCount: 1 }],
+        "aggregate"
+      );
+      mockProductUpdate();
+      const createSpy = jest.spyOn(Review, "create");
+
+      const res = await reviewService.createReview(
+        userOne,
+        productOne._id,
+        reviewBody
+      );
+
+      expect(createSpy.mock.calls[0][0][0]).toEqual(
+        expect.objectContaining({
+          ...reviewBody,
+          productId: productOne._id,
+          userId: userOne._id,
+          author: userOne.name,
+          verifiedPurchase: true,
+        })
+      );
+      expect(res.verifiedPurchase).toBe(true);
+    });
+
+    it("should not mark the review as a verified purchase if the user hasn't ordered the product", async () => {
+      mockingoose(Product).toReturn(productOne, "findOne");
+      mockingoose(Order).toReturn(null, "findOne");
+      mockingoose(Review).toReturn(
+        [{ _id: null, rating: 4, reviewCount: 1 }],
+        "aggregate"
+      );
+      mockProductUpdate();
+
+      const res = await reviewService.createReview(
+        userOne,
+        productOne._id,
+        reviewBody
+      );
+
+      expect(res.verifiedPurchase).toBe(false);
+    });
+
+    it("should set the product's rating to the average of its reviews, rounded to one decimal", async () => {
+      mockingoose(Product).toReturn(productOne, "findOne");
+      mockingoose(Order).toReturn(null, "findOne");
+      mockingoose(Review).toReturn(
+        [{ _id: null, rating: 11 / 3, reviewCount: 3 }],
+        "aggregate"
+      );
+      const updateSpy = mockProductUpdate();
+
+      await reviewService.createReview(userOne, productOne._id, reviewBody);
+
+      expect(updateSpy).toHaveBeenCalledTimes(1);
+      expect(updateSpy.mock.calls[0][1]).toEqual({
+        rating: 3.7,
+        reviewCount: 3,
+      });
+    });
+
+    it("should throw 400 error if the user has already reviewed the product", async () => {
+      mockingoose(Product).toReturn(productOne, "findOne");
+      mockingoose(Order).toReturn(null, "findOne");
+      jest
+        .spyOn(Review, "create")
+        .mockRejectedValueOnce(
+          Object.assign(new Error("dup"), { code: 11000 })
+        );
+      const updateSpy = mockProductUpdate();
+
+      const res = reviewService.createReview(
+        userOne,
+        productOne._id,
+        reviewBody
+      );
+
+      await expect(res).rejects.toThrow(ApiError);
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({
+          statusCode: httpStatus.BAD_REQUEST,
+          message: "You have already reviewed this product",
+        })
+      );
+      expect(updateSpy).not.toHaveBeenCalled();
+    });
+
+    it("should throw 404 error if the product doesn't exist", async () => {
+      mockingoose(Product).toReturn(null, "findOne");
+      const createSpy = jest.spyOn(Review, "create");
+
+      const res = reviewService.createReview(
+        userOne,
+        productOne._id,
+        reviewBody
+      );
+
+      await expect(res).rejects.toThrow(ApiError);
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({ statusCode: httpStatus.NOT_FOUND })
+      );
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Get reviews", () => {
+    it("should return a page of the product's reviews", async () => {
+      mockingoose(Product).toReturn(productOne, "findOne");
+      mockingoose(Review).toReturn(1, "countDocuments");
+      mockingoose(Review).toReturn([reviewUserTwo], "find");
+
+      const res = await reviewService.queryReviews(productOne._id, {
+        limit: 10,
+        page: 1,
+      });
+
+      expect(res.results.length).toEqual(1);
+      expect(res.results[0].title).toEqual(reviewUserTwo.title);
+      expect(res).toEqual(
+        expect.objectContaining({ page: 1, totalPages: 1, totalResults: 1 })
+      );
+    });
+
+    it("should throw 404 error if the product doesn't exist", async () => {
+      mockingoose(Product).toReturn(null, "findOne");
+
+      const res = reviewService.queryReviews(productOne._id, {});
+
+      await expect(res).rejects.toThrow(ApiError);
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({ statusCode: httpStatus.NOT_FOUND })
+      );
+    });
+  });
+
+  describe("Get rating summary", () => {
+    it("should count the reviews giving each rating, including ratings no one gave", async () => {
+      mockingoose(Product).toReturn(
+        { ...productOne, rating: 3.5, reviewCount: 2 },
+        "findOne"
+      );
+      mockingoose(Review).toReturn(
+        [
+          { _id: 2, count: 1 },
+          { _id: 5, count: 1 },
+        ],
+        "aggregate"
+      );
+
+      const res = await reviewService.getRatingSummary(productOne._id);
+
+      expect(res).toEqual({
+        rating: 3.5,
+        reviewCount: 2,
+        breakdown: { 1: 0, 2: 1, 3: 0, 4: 0, 5: 1 },
+      });
+    });
+
+    it("should throw 404 error if the product doesn't exist", async () => {
+      mockingoose(Product).toReturn(null, "findOne");
+
+      const res = reviewService.getRatingSummary(productOne._id);
+
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({ statusCode: httpStatus.NOT_FOUND })
+      );
+    });
+  });
+});
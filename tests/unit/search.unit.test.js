@@ -0,0 +1,153 @@
+const mongoose = require("mongoose");
+const { Cart, Product } = require("../../src/models");
+const { searchService } = require("../../src/services");
+const { wordSimilarity, textTrigrams } = require("../../src/utils/trigram");
+const mockingoose = require("mockingoose").default;
+
+describe("Search test", () => {
+  const toothpaste = {
+    _id: mongoose.Types.ObjectId(),
+    name: "toothpaste",
+    category: "Health",
+    cost: 100,
+    rating: 4,
+    image: "google.com",
+    stock: 10,
+  };
+  const toothbrush = {
+    ...toothpaste,
+    _id: mongoose.Types.ObjectId(),
+    name: "toothbrush",
+  };
+  const iphone = {
+    ...toothpaste,
+    _id: mongoose.Types.ObjectId(),
+    name: "iphone xr",
+    category: "Phones",
+  };
+  const products = [iphone, toothbrush, toothpaste];
+
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  it("should score words with typos and parts of words as similar", () => {
+    expect(wordSimilarity("iphnoe", "iphone")).toBeGreaterThanOrEqual(0.3);
+    expect(wordSimilarity("past", "toothpaste")).toBeGreaterThanOrEqual(0.3);
+    expect(wordSimilarity("past", "health")).toEqual(0);
+  });
+
+  it("should return the full-text matches ranked by text score, with highlights", async () => {
+    mockingoose(Product).toReturn(1, "countDocuments");
+    const findMock = jest.fn(() => [iphone]);
+    mockingoose(Product).toReturn(findMock, "find");
+
+    const res = await searchService.searchProducts({ q: "iphone" });
+
+    const query = findMock.mock.calls[0][0];
+    expect(query.getQuery()).toEqual({ $text: { $search: "iphone" } });
+    expect(query.getOptions().sort).toEqual({
+      score: { $meta: "textScore" },
+      _id: 1,
+    });
+    expect(res).toMatchObject({
+      page: 1,
+      limit: 10,
+      totalPages: 1,
+      totalResults: 1,
+      fuzzy: false,
+    });
+    expect(res.results[0]).toMatchObject({
+      name: "iphone xr",
+      highlights: { name: [{ start: 0, end: 6 }] },
+    });
+  });
+
+  it("should fall back to similar products, most similar first, when no product has the words", async () => {
+    mockingoose(Product).toReturn(0, "countDocuments");
+    mockingoose(Product).toReturn((query) => {
+      const filter = query.getQuery();
+      if (filter.$text) {
+        return [];
+      }
+      const ids = filter._id.$in.map(String);
+      return products.filter(({ _id }) => ids.includes(String(_id)));
+    }, "find");
+    const aggregateMock = jest.fn(() => products);
+    mockingoose(Product).toReturn(aggregateMock, "aggregate");
+
+    const res = await searchService.searchProducts({ q: "tooth past" });
+
+    const pipeline = aggregateMock.mock.calls[0][0].pipeline();
+    expect(pipeline[0].$match).toEqual({
+      searchTrigrams: { $in: textTrigrams(["tooth", "past"]) },
+    });
+    expect(pipeline[pipeline.length - 1]).toEqual({ $limit: 200 });
+    expect(res.fuzzy).toBe(true);
+    expect(res.totalResults).toEqual(2);
+    expect(res.results.map(({ name }) => name)).toEqual([
+      "toothpaste",
+      "toothbrush",
+    ]);
+    expect(res.results[0].score).toBeGreaterThan(res.results[1].score);
+    expect(res.results[0].highlights).toEqual({
+      name: [{ start: 0, end: 9 }],
+    });
+    expect(res.results[1].highlights).toEqual({
+      name: [{ start: 0, end: 5 }],
+    });
+  });
+
+  it("should return no results if nothing is similar", async () => {
+    mockingoose(Product).toReturn(0, "countDocuments");
+    mockingoose(Product).toReturn([], "find");
+    mockingoose(Product).toReturn(products, "aggregate");
+
+    const res = await searchService.searchProducts(
+      { q: "zzzz" },
+      { page: 2, limit: 5 }
+    );
+
+    expect(res).toEqual({
+      results: [],
+      page: 2,
+      limit: 5,
+      totalPages: 0,
+      totalResults: 0,
+      fuzzy: true,
+    });
+  });
+
+  it("should store the trigrams of the name, category and description of products, but not of their copies in carts", async () => {
+    const product = new Product({ ...iphone, description: "Dual camera" });
+    await product.validate();
+
+    expect(Array.from(product.searchTrigrams)).toEqual(
+      textTrigrams(["iphone xr", "Phones", "Dual camera"])
+    );
+    expect(product.toJSON().searchTrigrams).toBeUndefined();
+
+    const cart = new Cart({
+      email: "user@example.com",
+      cartItems: [{ product: iphone, quantity: 1 }],
+    });
+    await cart.validate();
+
+    expect(cart.cartItems[0].product.searchTrigrams).toBeUndefined();
+  });
+
+  it("should store the trigrams of products that don't have them yet", async () => {
+    mockingoose(Product).toReturn([toothpaste, iphone], "find");
+    const updateSpy = jest
+      .spyOn(Product, "updateOne")
+      .mockResolvedValue({ nModified: 1 });
+
+    const res = await searchService.indexProductTrigrams();
+
+    expect(res).toEqual({ productsUpdated: 2 });
+    expect(updateSpy).toHaveBeenCalledWith(
+      { _id: iphone._id },
+      { searchTrigrams: textTrigrams(["iphone xr", "Phones"]) }
+    );
+  });
+});
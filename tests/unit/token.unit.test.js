@@ -1,7 +1,14 @@
 const { userOne } = require("../fixtures/user.fixture");
 const { tokenService } = require("../../src/services");
+const { Token } = require("../../src/models");
+const { tokenTypes } = require("../../src/config/tokens");
+const mockingoose = require("mockingoose").default;
 
 describe("User test", () => {
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
   describe("Generate auth tokens", () => {
     it("should return tokens", async () => {
       let tokenResponse = await tokenService.generateAuthTokens(userOne);
@@ -11,6 +18,64 @@ describe("User test", () => {
           expires: expect.any(Date),
         })
       );
+      expect(tokenResponse.refresh).toEqual(
+        expect.objectContaining({
+          token: expect.any(String),
+          expires: expect.any(Date),
+        })
+      );
+    });
+
+    it("should persist the refresh token", async () => {
+      let savedToken;
+      mockingoose(Token).toReturn((doc) => {
+        savedToken = doc;
+        return doc;
+      }, "save");
+
+      let tokenResponse = await tokenService.generateAuthTokens(userOne);
+
+      expect(savedToken.token).toEqual(tokenResponse.refresh.token);
+      expect(savedToken.type).toEqual(tokenTypes.REFRESH);
+      expect(savedToken.user).toEqual(userOne._id);
+      expect(savedToken.blacklisted).toBe(false);
+    });
+  });
+
+  describe("Verify token", () => {
+    it("should throw an error if the token isn't in the database", async () => {
+      let tokenResponse = await tokenService.generateAuthTokens(userOne);
+      mockingoose(Token).toReturn(null, "findOne");
+
+      await expect(
+        tokenService.verifyToken(tokenResponse.refresh.token, tokenTypes.REFRESH)
+      ).rejects.toThrow("Token not found");
+    });
+
+    it("should throw an error if the token type doesn't match", async () => {
+      let tokenResponse = await tokenService.generateAuthTokens(userOne);
+
+      await expect(
+        tokenService.verifyToken(tokenResponse.access.token, tokenTypes.REFRESH)
+      ).rejects.toThrow("Invalid token type");
+    });
+  });
+
+  describe("Guest tokens", () => {
+    it("should return the guest id a guest token was generated for", () => {
+      const { guestId, token, expires } = tokenService.generateGuestToken();
+
+      expect(guestId).toEqual(expect.any(String));
+      expect(expires).toEqual(expect.any(Date));
+      expect(tokenService.verifyGuestToken(token)).toEqual(guestId);
+    });
+
+    it("should throw an error if the token isn't a guest token", async () => {
+      let tokenResponse = await tokenService.generateAuthTokens(userOne);
+
+      expect(() =>
+        tokenService.verifyGuestToken(tokenResponse.access.token)
+      ).toThrow("Invalid token type");
     });
   });
 });
@@ -0,0 +1,101 @@
+const { User, WalletTransaction } = require("../../src/models");
+const { walletService } = require("../../src/services");
+const { userOne } = require("../fixtures/user.fixture");
+const mockingoose = require("mockingoose").default;
+
+describe("Wallet test", () => {
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  describe("Debit wallet", () => {
+    it("should return null and record nothing if the balance is insufficient", async () => {
+      mockingoose(User).toReturn(null, "findOneAndUpdate");
+      const saveMock = jest.fn();
+      mockingoose(WalletTransaction).toReturn(saveMock, "save");
+
+      const res = await walletService.debitWallet(userOne, 500, {
+        reason: "orderPayment",
+      });
+
+      expect(res).toBeNull();
+      expect(saveMock).not.toHaveBeenCalled();
+    });
+
+    it("should record the debit with the resulting balance", async () => {
+      let userQuery;
+      mockingoose(User).toReturn((query) => {
+        userQuery = query;
+        return { ...userOne, walletMoney: 160 };
+      }, "findOneAndUpdate");
+
+      let savedTransaction;
+      mockingoose(WalletTransaction).toReturn((transaction) => {
+        savedTransaction = transaction;
+        return transaction;
+      }, "save");
+
+      const res = await walletService.debitWallet(userOne, 40, {
+        reason: "orderPayment",
+        reference: userOne.addresses[0]._id,
+      });
+
+      expect(res.walletMoney).toEqual(160);
+      expect(userQuery.getFilter()).toEqual({
+        _id: userOne._id,
+        walletMoney: { $gte: 40 },
+      });
+      expect(savedTransaction).toEqual(
+        expect.objectContaining({
+          userId: userOne._id,
+          type: "debit",
+          amount: 40,
+          reason: "orderPayment",
+          reference: userOne.addresses[0]._id,
+          balance: 160,
+        })
+      );
+    });
+  });
+
+  describe("Credit wallet", () => {
+    it("should record the credit with the resulting balance", async () => {
+      mockingoose(User).toReturn(
+        { ...userOne, walletMoney: 300 },
+        "findOneAndUpdate"
+      );
+
+      let savedTransaction;
+      mockingoose(WalletTransaction).toReturn((transaction) => {
+        savedTransaction = transaction;
+        return transaction;
+      }, "save");
+
+      const res = await walletService.creditWallet(userOne, 100, {
+        reason: "orderPayment",
+      });
+
+      expect(res.walletMoney).toEqual(300);
+      expect(savedTransaction).toEqual(
+        expect.objectContaining({ type: "credit", amount: 100, balance: 300 })
+      );
+    });
+  });
+
+  describe("Query transactions", () => {
+    it("should query the user's transactions, most recent first", async () => {
+      let findQuery;
+      mockingoose(WalletTransaction).toReturn((query) => {
+        findQuery = query;
+        return [];
+      }, "find");
+      mockingoose(WalletTransaction).toReturn(0, "countDocuments");
+
+      const res = await walletService.queryTransactions(userOne, { limit: 5 });
+
+      expect(res.limit).toEqual(5);
+      expect(findQuery.getFilter()).toEqual({ userId: userOne._id });
+      expect(findQuery.getOptions().sort).toEqual({ createdAt: -1, _id: -1 });
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const httpStatus = require("http-status");
+const { Product, Wishlist } = require("../../src/models");
+const { wishlistService } = require("../../src/services");
+const ApiError = require("../../src/utils/ApiError");
+const { userOne } = require("../fixtures/user.fixture");
+const { productOne, productTwo } = require("../fixtures/product.fixture");
+const { wishlistUserOne } = require("../fixtures/wishlist.fixture");
+const mockingoose = require("mockingoose").default;
+
+// Copy of the wishlist fixture, as the service changes the items of the wishlist it's given
+const userOneWishlist = () => ({
+  ...wishlistUserOne,
+  items: wishlistUserOne.items.map((item) => ({ ...item })),
+});
+
+describe("Wishlist test", () => {
+  beforeEach(() => {
+    mockingoose.resetAll();
+  });
+
+  describe("GET wishlist", () => {
+    it("should return an empty wishlist if the user hasn't saved anything", async () => {
+      mockingoose(Wishlist).toReturn(null, "findOne");
+
+      const res = await wishlistService.getWishlistByUser(userOne);
+
+      expect(res.userId).toEqual(userOne._id);
+      expect(res.items.length).toEqual(0);
+    });
+  });
+
+  describe("Add product to wishlist", () => {
+    it("should save the product to the user's wishlist", async () => {
+      mockingoose(Product).toReturn(productTwo, "findOne");
+      mockingoose(Wishlist).toReturn(userOneWishlist(), "findOne");
+      mockingoose(Product).toReturn([productOne, productTwo], "find");
+      let savedProductIds;
+      mockingoose(Wishlist).toReturn((doc) => {
+        savedProductIds = Array.from(doc.items, (item) => String(item.product));
+        return doc;
+      }, "save");
+
+      const res = await wishlistService.addProductToWishlist(
+        userOne,
+        productTwo._id
+      );
+
+      expect(savedProductIds).toEqual([
+        String(productOne._id),
+        String(productTwo._id),
+      ]);
+      expect(res.items[1].product.name).toEqual(productTwo.name);
+    });
+
+    it("should leave the wishlist as it is if the product is already in it", async () => {
+      mockingoose(Product).toReturn(productOne, "findOne");
+      mockingoose(Wishlist).toReturn(userOneWishlist(), "findOne");
+      mockingoose(Product).toReturn([productOne], "find");
+      let saved = false;
+      mockingoose(Wishlist).toReturn((doc) => {
+        saved = true;
+        return doc;
+      }, "save");
+
+      const res = await wishlistService.addProductToWishlist(
+        userOne,
+        productOne._id
+      );
+
+      expect(res.items.length).toEqual(1);
+      expect(saved).toBe(false);
+    });
+
+    it("should throw 400 error if the product doesn't exist", async () => {
+      mockingoose(Product).toReturn(null, "findOne");
+
+      const res = wishlistService.addProductToWishlist(userOne, productTwo._id);
+
+      await expect(res).rejects.toThrow(ApiError);
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({ statusCode: httpStatus.BAD_REQUEST })
+      );
+    });
+  });
+
+  describe("Remove product from wishlist", () => {
+    it("should remove the product from the wishlist", async () => {
+      mockingoose(Wishlist).toReturn(userOneWishlist(), "findOne");
+      mockingoose(Product).toReturn([], "find");
+
+      const res = await wishlistService.removeProductFromWishlist(
+        userOne,
+        productOne._id
+      );
+
+      expect(res.items.length).toEqual(0);
+    });
+
+    it("should throw 404 error if the product isn't in the wishlist", async () => {
+      mockingoose(Wishlist).toReturn(userOneWishlist(), "findOne");
+
+      const res = wishlistService.removeProductFromWishlist(
+        userOne,
+        productTwo._id
+      );
+
+      await expect(res).rejects.toThrow(ApiError);
+      await expect(res).rejects.toEqual(
+        expect.objectContaining({ statusCode: httpStatus.NOT_FOUND })
+      );
+    });
+  });
+});
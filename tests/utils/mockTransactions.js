@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+// Stand in for the session of the transactions the services run, see runInTransaction(), so no database connection is
+// needed. The spy is restored after each test, as jest's restoreMocks is set
+const mockTransactions = () => {
+  beforeEach(() => {
+    jest.spyOn(mongoose, "startSession").mockResolvedValue({
+      withTransaction: async (fn) => fn(),
+      endSession: jest.fn(),
+    });
+  });
+};
+
+module.exports = mockTransactions;